@@ -0,0 +1,500 @@
+/** A JSON-compatible value, as produced by the parsers. */
+export type JsonValue = null | boolean | number | string | JsonValue[] | { [key: string]: JsonValue };
+
+/**
+ * One step of a path: an object key, an array index, or an array element
+ * identified by its `arrayIdKey` value.
+ */
+export type PathSegment = string | number | { key: string; value: unknown };
+
+/** A position in a source document; `line` and `column` are 1-based. */
+export interface SourceLocation {
+  /** File path or label given when parsing. */
+  file?: string;
+  line: number;
+  column: number;
+}
+
+/** Where a change happened. Results may be located by any of these fields. */
+export interface ResultLocation {
+  /** Display path, e.g. `spec.containers[0].image` or `users[id=3]`. */
+  path: string;
+  /** Unambiguous path, for keys containing `.` or `[`. */
+  pathSegments: PathSegment[];
+  /** RFC 6901 JSON Pointer into the old document (the new one for Added). */
+  pointer: string;
+  /**
+   * Path in the new document, set below array elements that unordered or
+   * sorted alignment paired out of order. For Removed, it ends in the old index.
+   */
+  newPathSegments?: PathSegment[];
+  /** Source position in the old document, if it was parsed with locations. */
+  oldLocation?: SourceLocation;
+  /** Source position in the new document, if it was parsed with locations. */
+  newLocation?: SourceLocation;
+  /** Whether the change breaks the `schema` diff option; set only with one. */
+  breaking?: boolean;
+}
+
+export interface AddedResult extends ResultLocation {
+  diffType: 'Added';
+  newValue: unknown;
+}
+
+export interface RemovedResult extends ResultLocation {
+  diffType: 'Removed';
+  value: unknown;
+}
+
+export interface ModifiedResult extends ResultLocation {
+  diffType: 'Modified';
+  oldValue: unknown;
+  newValue: unknown;
+}
+
+export interface TypeChangedResult extends ResultLocation {
+  diffType: 'TypeChanged';
+  oldValue: unknown;
+  newValue: unknown;
+}
+
+/** An array element that only changed place (`arrayStrategy: 'lcs'`). */
+export interface MovedResult extends ResultLocation {
+  diffType: 'Moved';
+  fromIndex: number;
+  toIndex: number;
+  value: unknown;
+}
+
+/** A single difference, discriminated on `diffType`. */
+export type JsDiffResult = AddedResult | RemovedResult | ModifiedResult | TypeChangedResult | MovedResult;
+
+export type DiffType = JsDiffResult['diffType'];
+
+/**
+ * A result as accepted by `applyDiff()`, `formatOutput()` and friends: it
+ * needs only one of `path`, `pathSegments` or `pointer`.
+ */
+export type DiffResultInput = JsDiffResult extends infer R
+  ? R extends JsDiffResult
+    ? Omit<R, keyof ResultLocation> & Partial<ResultLocation>
+    : never
+  : never;
+
+export type ArrayStrategy = 'index' | 'lcs' | 'unordered';
+
+/** Options that `overrides` may set for part of a document. */
+export interface OverrideOptions {
+  epsilon?: number;
+  arrayIdKey?: string;
+  arrayStrategy?: ArrayStrategy;
+  ignoreCase?: boolean;
+  ignoreWhitespace?: boolean;
+  ignoreKeysRegex?: string;
+  coerceTypes?: boolean;
+  nullEqualsMissing?: boolean;
+  emptyEqualsMissing?: boolean;
+  sortUnkeyedArrays?: boolean;
+}
+
+export interface ComparatorContext {
+  path: string;
+  pathSegments: PathSegment[];
+}
+
+/**
+ * Decide whether two differing values are equal: `true` (equal), `false`
+ * (report a change here) or `undefined` (compare as usual).
+ */
+export type Comparator = (oldValue: unknown, newValue: unknown, context: ComparatorContext) => boolean | undefined;
+
+export type ComparatorEntry =
+  | { path: string; compare: Comparator }
+  | { when: (oldValue: unknown, newValue: unknown, context: ComparatorContext) => boolean; compare: Comparator };
+
+export interface JsDiffOptions {
+  /** Tolerance for floating-point comparisons. */
+  epsilon?: number;
+  /** Key identifying array elements, e.g. `'id'`. */
+  arrayIdKey?: string;
+  /** How unkeyed array elements are aligned. Defaults to `'index'`. */
+  arrayStrategy?: ArrayStrategy;
+  /** Regex for keys to ignore. */
+  ignoreKeysRegex?: string;
+  /** Only report paths containing this string. */
+  pathFilter?: string;
+  /** Only report paths matching these globs or JSONPath expressions. */
+  includePaths?: string | string[];
+  /** Hide paths matching these globs or JSONPath expressions. */
+  excludePaths?: string | string[];
+  /** Path pattern -> options for that part of the document. */
+  overrides?: Record<string, OverrideOptions>;
+  /** JavaScript equality callbacks by path pattern or value predicate. */
+  comparators?: Record<string, Comparator> | ComparatorEntry[];
+  /**
+   * JSON Schema of the documents. Its `x-diffx-key`, `x-diffx-ignore`,
+   * `x-diffx-epsilon` and `x-diffx-breaking` keywords set options by path,
+   * and each result gets `breaking`.
+   */
+  schema?: Record<string, unknown>;
+  outputFormat?: string;
+  ignoreWhitespace?: boolean;
+  ignoreCase?: boolean;
+  /** A string equals the number or boolean it spells (`'42'`, `'true'`, `'yes'`). */
+  coerceTypes?: boolean;
+  /** A `null` value equals a missing key. */
+  nullEqualsMissing?: boolean;
+  /** An empty array or object equals a missing key. */
+  emptyEqualsMissing?: boolean;
+  /** Ignore the order of array elements not matched by `arrayIdKey`. */
+  sortUnkeyedArrays?: boolean;
+  briefMode?: boolean;
+  quietMode?: boolean;
+}
+
+/** Formats understood by the parsers and `detectFormat()`. */
+export type DocumentFormat =
+  | 'json' | 'yaml' | 'yml' | 'toml' | 'ini' | 'xml' | 'csv'
+  | 'json5' | 'jsonc' | 'dotenv' | 'env' | 'properties' | 'ndjson' | 'jsonl' | 'hcl' | 'tf' | 'tfvars';
+
+/** Formats `stringify*()` and `convert()` can write. */
+export type WritableFormat = 'json' | 'yaml' | 'yml' | 'toml' | 'ini' | 'xml' | 'csv';
+
+export type OutputFormat = 'diffx' | 'json' | 'yaml' | 'json-patch' | 'merge-patch' | 'html' | 'ansi' | 'markdown' | 'sarif' | 'junit';
+
+/** Severity of a change in "sarif" and "junit", as SARIF levels. */
+export type SeverityLevel = 'error' | 'warning' | 'note' | 'none';
+
+export interface FormatOutputOptions {
+  /** The old document, needed by the patch formats for `arrayIdKey` paths. */
+  source?: unknown;
+  /** Title for "html" and "markdown" (default "diffx report"), test suite name for "junit" (default "diffx"). */
+  title?: string;
+  /** "markdown": leave out trailing changes to keep the output this short. */
+  maxLength?: number;
+  /** "markdown": values longer than this go to a `<details>` block. Default 80. */
+  maxValueLength?: number;
+  /**
+   * "sarif" and "junit": level per diff type (default Removed and TypeChanged
+   * "error", Modified "warning", Added and Moved "note"), or per result.
+   */
+  severity?: Partial<Record<DiffType, SeverityLevel>> | ((result: DiffResultInput) => SeverityLevel);
+  /** "sarif": file to report changes without a source location in. */
+  file?: string;
+  /** "ansi": write color codes. Default true. */
+  color?: boolean;
+}
+
+/** Compare two values and return their differences. */
+export function diff(oldValue: unknown, newValue: unknown, options?: JsDiffOptions): JsDiffResult[];
+
+/** Whether `diff()` would report any difference, stopping at the first one. */
+export function hasDiff(oldValue: unknown, newValue: unknown, options?: JsDiffOptions): boolean;
+
+export interface DiffStats {
+  total: number;
+  byType: Record<DiffType, number>;
+  /** Result count per top-level key (`""` for the root). */
+  byKey: Record<string, number>;
+  /** Leaves of both documents covered by a result. */
+  changedLeaves: number;
+  /** Leaves of both documents. */
+  totalLeaves: number;
+  /** `changedLeaves / totalLeaves`, from 0 to 1. */
+  changedRatio: number;
+}
+
+/** Count `diff()` results per diff type and top-level key, and the share of changed leaves. */
+export function diffStats(oldValue: unknown, newValue: unknown, options?: JsDiffOptions): DiffStats;
+
+export interface ParseOptions {
+  /** Record source locations, reported by `diff()` as `oldLocation` / `newLocation`. */
+  locations?: boolean;
+  /** File name to report in locations. */
+  file?: string;
+}
+
+export interface CsvParseOptions {
+  /** Field separator. Default ",". */
+  delimiter?: string;
+  /** Quote character. Default '"'. */
+  quote?: string;
+  /** Read the first record as field names (default), or return every record as an array of fields. */
+  header?: boolean;
+  /** Turn unquoted numeric fields into numbers. */
+  inferTypes?: boolean;
+}
+
+export interface XmlParseOptions {
+  /** Prepended to attribute names, e.g. "@". Default "". */
+  attributePrefix?: string;
+  /** Key for the text of elements with attributes or children. Default "text". */
+  textKey?: string;
+  /** "keep" prefixed names as written (default), or "strip" prefixes and `xmlns` attributes. */
+  namespaces?: 'keep' | 'strip';
+  /** Element names always read as arrays, or `true` for all. */
+  alwaysArray?: string[] | true;
+}
+
+export interface YamlParseOptions {
+  /** Read a stream of `---`-separated documents into an array. */
+  multiDocument?: boolean;
+  /** Apply `<<` merge keys. */
+  mergeKeys?: boolean;
+}
+
+/** Parser options by format, for the functions that parse documents. */
+export interface ParserOptionsByFormat {
+  csv?: CsvParseOptions;
+  xml?: XmlParseOptions;
+  yaml?: YamlParseOptions;
+}
+
+export function parseJson<T = JsonValue>(content: string, options?: ParseOptions): T;
+export function parseCsv<T = string[]>(content: string, options: CsvParseOptions & { header: false }): T[];
+export function parseCsv<T = Record<string, JsonValue>>(content: string, options?: CsvParseOptions): T[];
+export function parseYaml<T = JsonValue>(content: string, options?: ParseOptions & YamlParseOptions): T;
+export function parseToml<T = JsonValue>(content: string, options?: ParseOptions): T;
+export function parseIni<T = Record<string, Record<string, JsonValue>>>(content: string): T;
+export function parseXml<T = JsonValue>(content: string, options?: XmlParseOptions): T;
+/** JSON5, and so JSONC: comments, trailing commas, unquoted keys, single quotes, ... */
+export function parseJson5<T = JsonValue>(content: string): T;
+export function parseDotenv<T = Record<string, string>>(content: string): T;
+/** Java properties, with dotted keys kept whole. */
+export function parseProperties<T = Record<string, string>>(content: string): T;
+export function parseNdjson<T = JsonValue>(content: string): T[];
+/** HCL 2; expressions other than literals are kept as `${source}` strings. */
+export function parseHcl<T = Record<string, JsonValue>>(content: string): T;
+
+export interface StringifyXmlOptions {
+  /** Root element to wrap the value in. */
+  root?: string;
+  /** Element for the items of an array wrapped in `root`. Default "item". */
+  item?: string;
+}
+
+export function stringifyYaml(value: unknown): string;
+export function stringifyToml(value: Record<string, unknown>): string;
+export function stringifyIni(value: Record<string, Record<string, unknown>>): string;
+export function stringifyXml(value: unknown, options?: StringifyXmlOptions): string;
+export function stringifyCsv(rows: Array<Record<string, unknown>>): string;
+/** Parse `content` as `from` (detected when omitted) and write it as `to`. */
+export function convert(
+  content: string,
+  from: DocumentFormat | null | undefined,
+  to: WritableFormat,
+  options?: StringifyXmlOptions
+): string;
+
+/** Render diff results in one of the supported output formats. */
+export function formatOutput(results: DiffResultInput[], format: OutputFormat, options?: FormatOutputOptions): string;
+
+export interface AsyncOptions {
+  signal?: AbortSignal;
+}
+
+/** `diff()` on the libuv threadpool. */
+export function diffAsync(oldValue: unknown, newValue: unknown, options?: JsDiffOptions & AsyncOptions): Promise<JsDiffResult[]>;
+
+export function parseJsonAsync<T = JsonValue>(content: string, options?: AsyncOptions & ParseOptions): Promise<T>;
+export function parseCsvAsync<T = string[]>(
+  content: string,
+  options: AsyncOptions & CsvParseOptions & { header: false }
+): Promise<T[]>;
+export function parseCsvAsync<T = Record<string, JsonValue>>(
+  content: string,
+  options?: AsyncOptions & CsvParseOptions
+): Promise<T[]>;
+export function parseYamlAsync<T = JsonValue>(
+  content: string,
+  options?: AsyncOptions & ParseOptions & YamlParseOptions
+): Promise<T>;
+export function parseTomlAsync<T = JsonValue>(content: string, options?: AsyncOptions & ParseOptions): Promise<T>;
+export function parseIniAsync<T = Record<string, Record<string, JsonValue>>>(content: string, options?: AsyncOptions): Promise<T>;
+export function parseXmlAsync<T = JsonValue>(content: string, options?: AsyncOptions & XmlParseOptions): Promise<T>;
+export function parseJson5Async<T = JsonValue>(content: string, options?: AsyncOptions): Promise<T>;
+export function parseDotenvAsync<T = Record<string, string>>(content: string, options?: AsyncOptions): Promise<T>;
+export function parsePropertiesAsync<T = Record<string, string>>(content: string, options?: AsyncOptions): Promise<T>;
+export function parseNdjsonAsync<T = JsonValue>(content: string, options?: AsyncOptions): Promise<T[]>;
+export function parseHclAsync<T = Record<string, JsonValue>>(content: string, options?: AsyncOptions): Promise<T>;
+
+export interface DocumentDiffOptions extends JsDiffOptions {
+  /** Format of both sides; detected from the extension or content otherwise. */
+  format?: DocumentFormat;
+  oldFormat?: DocumentFormat;
+  newFormat?: DocumentFormat;
+  /** Parser options by format, e.g. `{ csv: { delimiter: ';' } }`. */
+  parseOptions?: ParserOptionsByFormat;
+}
+
+export function diffFiles(oldPath: string, newPath: string, options?: DocumentDiffOptions): JsDiffResult[];
+export function diffStrings(oldContent: string, newContent: string, options?: DocumentDiffOptions): JsDiffResult[];
+
+export interface DiffDirectoriesOptions extends JsDiffOptions {
+  /** Only compare files matching these globs (`*.yaml` matches at any depth). */
+  includeFiles?: string | string[];
+  /** Skip files matching these globs. */
+  excludeFiles?: string | string[];
+  /** Parser options by format, e.g. `{ yaml: { multiDocument: true } }`. */
+  parseOptions?: ParserOptionsByFormat;
+}
+
+export type DirectoryEntry =
+  | { file: string; status: 'Added' | 'Removed'; results: [] }
+  | { file: string; status: 'Modified'; results: JsDiffResult[] }
+  | { file: string; status: 'Error'; results: []; error: Error };
+
+/** Diff two directory trees, pairing files by relative path. */
+export function diffDirectories(oldDir: string, newDir: string, options?: DiffDirectoriesOptions): DirectoryEntry[];
+
+/** Render `diffDirectories()` entries as one document. */
+export function formatDirectoryOutput(
+  entries: DirectoryEntry[],
+  format?: OutputFormat,
+  options?: Omit<FormatOutputOptions, 'source' | 'file'>
+): string;
+
+/** Detect the format of a document from its path or content. */
+export function detectFormat(content: string, filePath?: string): Exclude<DocumentFormat, 'yml' | 'jsonc' | 'env' | 'jsonl' | 'tf' | 'tfvars'>;
+
+/** A file path, or a Readable stream / async iterable of text chunks. */
+export type RowSource = string | AsyncIterable<string | Uint8Array>;
+
+export interface DiffStreamOptions extends JsDiffOptions {
+  /** Column(s) identifying a row. */
+  key: string | string[];
+  format?: 'csv' | 'ndjson';
+  /** Both sources are sorted by key: compare them in constant memory. */
+  sorted?: boolean;
+  /** Options for reading CSV sources, as for `parseCsv()`. */
+  parseOptions?: { csv?: CsvParseOptions };
+}
+
+interface RowResultBase {
+  path: string;
+  /** Key column -> value. */
+  key: Record<string, unknown>;
+}
+
+export interface RowAddedResult<Row = Record<string, unknown>> extends RowResultBase {
+  diffType: 'Added';
+  newValue: Row;
+}
+
+export interface RowRemovedResult<Row = Record<string, unknown>> extends RowResultBase {
+  diffType: 'Removed';
+  value: Row;
+}
+
+export interface RowModifiedResult<Row = Record<string, unknown>> extends RowResultBase {
+  diffType: 'Modified';
+  oldValue: Row;
+  newValue: Row;
+  /** Column-level differences. */
+  changes: JsDiffResult[];
+}
+
+export type RowDiffResult<Row = Record<string, unknown>> =
+  | RowAddedResult<Row>
+  | RowRemovedResult<Row>
+  | RowModifiedResult<Row>;
+
+/** Diff two CSV or NDJSON sources row by row, matching rows by key. */
+export function diffStream<Row = Record<string, unknown>>(
+  oldSource: RowSource,
+  newSource: RowSource,
+  options: DiffStreamOptions
+): AsyncGenerator<RowDiffResult<Row>, void, undefined>;
+
+export interface ApplyOptions {
+  /** Check that the document holds the values the results expect. */
+  strict?: boolean;
+}
+
+export function applyDiff<T = unknown>(
+  target: T,
+  results: Array<DiffResultInput | JsonPatchResult>,
+  options?: ApplyOptions
+): T;
+export function revertDiff<T = unknown>(target: T, results: DiffResultInput[], options?: ApplyOptions): T;
+
+export type MergeStrategy = 'ours' | 'theirs';
+
+export interface Merge3Options extends JsDiffOptions {
+  /** Resolution for every conflict. */
+  strategy?: MergeStrategy;
+  /** Path prefix -> resolution; the longest matching prefix wins. */
+  strategies?: Record<string, MergeStrategy>;
+}
+
+export interface MergeConflict {
+  path: string;
+  pathSegments: PathSegment[];
+  pointer: string;
+  base: unknown;
+  ours: unknown;
+  theirs: unknown;
+}
+
+export interface ResolvedConflict extends MergeConflict {
+  resolution: MergeStrategy;
+}
+
+export interface Merge3Result<T> {
+  merged: T;
+  conflicts: MergeConflict[];
+  resolved: ResolvedConflict[];
+}
+
+export function merge3<T = unknown>(base: T, ours: T, theirs: T, options?: Merge3Options): Merge3Result<T>;
+
+export type JsonPatchOperation =
+  | { op: 'add'; path: string; value: unknown }
+  | { op: 'remove'; path: string }
+  | { op: 'replace'; path: string; value: unknown }
+  | { op: 'move'; from: string; path: string }
+  | { op: 'copy'; from: string; path: string }
+  | { op: 'test'; path: string; value: unknown };
+
+export interface PatchSourceOptions {
+  /** The document the results or patch apply to. */
+  source?: unknown;
+}
+
+/**
+ * A result of `fromJsonPatch()` without a `source`. The patch does not hold
+ * the values it removes or replaces, so Removed results have no `value` and
+ * Modified ones no `oldValue`.
+ */
+export type JsonPatchResult =
+  | AddedResult
+  | (ResultLocation & { diffType: 'Removed' })
+  | (ResultLocation & { diffType: 'Modified'; newValue: unknown });
+
+export function toJsonPatch(
+  results: Array<DiffResultInput | JsonPatchResult>,
+  options?: PatchSourceOptions
+): JsonPatchOperation[];
+export function fromJsonPatch(operations: JsonPatchOperation[], options?: { source?: undefined }): JsonPatchResult[];
+/** With a `source`, the exact diff between it and the patched copy. */
+export function fromJsonPatch(operations: JsonPatchOperation[], options: PatchSourceOptions): JsDiffResult[];
+export function toMergePatch(results: DiffResultInput[], options?: PatchSourceOptions): unknown;
+export function fromMergePatch(patch: unknown, options: { source: unknown }): JsDiffResult[];
+
+/** A document could not be parsed in its given or detected format. */
+export class ParseError extends Error {
+  name: 'ParseError';
+  /** Path of the offending input, or `old` / `new` for in-memory content. */
+  file?: string;
+  format?: string;
+  cause?: unknown;
+  constructor(message: string, details?: { file?: string; format?: string; cause?: unknown });
+}
+
+/** A diff result could not be applied to a document. */
+export class PatchError extends Error {
+  name: 'PatchError';
+  path?: string;
+  diffType?: string;
+  constructor(message: string, details?: { path?: string; diffType?: string });
+}
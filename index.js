@@ -1,322 +1,67 @@
-/* tslint:disable */
-/* eslint-disable */
-/* prettier-ignore */
+'use strict';
 
-/* auto-generated by NAPI-RS */
+const { diff } = require('./lib/diff');
+const { ParseError, PatchError } = require('./lib/errors');
+const { detectFormat, parser } = require('./lib/formats');
+const { diffDirectories, formatDirectoryOutput } = require('./lib/directories');
+const { diffFiles, diffStrings } = require('./lib/files');
+const { applyDiff, revertDiff } = require('./lib/patch');
+const { fromJsonPatch, fromMergePatch, toJsonPatch, toMergePatch } = require('./lib/json-patch');
+const { merge3 } = require('./lib/merge');
+const { formatOutput } = require('./lib/output');
+const { diffStats, hasDiff } = require('./lib/stats');
+const { diffStream } = require('./lib/stream');
+const { convert, stringifyCsv, stringifyIni, stringifyToml, stringifyXml, stringifyYaml } = require('./lib/stringify');
+const asyncApi = require('./lib/async');
 
-const { existsSync, readFileSync } = require('fs')
-const { join } = require('path')
+module.exports.diff = diff;
+module.exports.hasDiff = hasDiff;
+module.exports.diffStats = diffStats;
+module.exports.parseJson = parser('json');
+module.exports.parseCsv = parser('csv');
+module.exports.parseYaml = parser('yaml');
+module.exports.parseToml = parser('toml');
+module.exports.parseIni = parser('ini');
+module.exports.parseXml = parser('xml');
+module.exports.parseJson5 = parser('json5');
+module.exports.parseDotenv = parser('dotenv');
+module.exports.parseProperties = parser('properties');
+module.exports.parseNdjson = parser('ndjson');
+module.exports.parseHcl = parser('hcl');
+module.exports.formatOutput = formatOutput;
 
-const { platform, arch } = process
+module.exports.stringifyYaml = stringifyYaml;
+module.exports.stringifyToml = stringifyToml;
+module.exports.stringifyIni = stringifyIni;
+module.exports.stringifyXml = stringifyXml;
+module.exports.stringifyCsv = stringifyCsv;
+module.exports.convert = convert;
 
-let nativeBinding = null
-let localFileExisted = false
-let loadError = null
+module.exports.diffAsync = asyncApi.diffAsync;
+module.exports.parseJsonAsync = asyncApi.parseJsonAsync;
+module.exports.parseCsvAsync = asyncApi.parseCsvAsync;
+module.exports.parseYamlAsync = asyncApi.parseYamlAsync;
+module.exports.parseTomlAsync = asyncApi.parseTomlAsync;
+module.exports.parseIniAsync = asyncApi.parseIniAsync;
+module.exports.parseXmlAsync = asyncApi.parseXmlAsync;
+module.exports.parseJson5Async = asyncApi.parseJson5Async;
+module.exports.parseDotenvAsync = asyncApi.parseDotenvAsync;
+module.exports.parsePropertiesAsync = asyncApi.parsePropertiesAsync;
+module.exports.parseNdjsonAsync = asyncApi.parseNdjsonAsync;
+module.exports.parseHclAsync = asyncApi.parseHclAsync;
 
-function isMusl() {
-  // For Node 10
-  if (!process.report || typeof process.report.getReport !== 'function') {
-    try {
-      const lddPath = require('child_process').execSync('which ldd').toString().trim()
-      return readFileSync(lddPath, 'utf8').includes('musl')
-    } catch (e) {
-      return true
-    }
-  } else {
-    const { glibcVersionRuntime } = process.report.getReport().header
-    return !glibcVersionRuntime
-  }
-}
-
-switch (platform) {
-  case 'android':
-    switch (arch) {
-      case 'arm64':
-        localFileExisted = existsSync(join(__dirname, 'diffx-js.android-arm64.node'))
-        try {
-          if (localFileExisted) {
-            nativeBinding = require('./diffx-js.android-arm64.node')
-          } else {
-            nativeBinding = require('diffx-js-android-arm64')
-          }
-        } catch (e) {
-          loadError = e
-        }
-        break
-      case 'arm':
-        localFileExisted = existsSync(join(__dirname, 'diffx-js.android-arm-eabi.node'))
-        try {
-          if (localFileExisted) {
-            nativeBinding = require('./diffx-js.android-arm-eabi.node')
-          } else {
-            nativeBinding = require('diffx-js-android-arm-eabi')
-          }
-        } catch (e) {
-          loadError = e
-        }
-        break
-      default:
-        throw new Error(`Unsupported architecture on Android ${arch}`)
-    }
-    break
-  case 'win32':
-    switch (arch) {
-      case 'x64':
-        localFileExisted = existsSync(
-          join(__dirname, 'diffx-js.win32-x64-msvc.node')
-        )
-        try {
-          if (localFileExisted) {
-            nativeBinding = require('./diffx-js.win32-x64-msvc.node')
-          } else {
-            nativeBinding = require('diffx-js-win32-x64-msvc')
-          }
-        } catch (e) {
-          loadError = e
-        }
-        break
-      case 'ia32':
-        localFileExisted = existsSync(
-          join(__dirname, 'diffx-js.win32-ia32-msvc.node')
-        )
-        try {
-          if (localFileExisted) {
-            nativeBinding = require('./diffx-js.win32-ia32-msvc.node')
-          } else {
-            nativeBinding = require('diffx-js-win32-ia32-msvc')
-          }
-        } catch (e) {
-          loadError = e
-        }
-        break
-      case 'arm64':
-        localFileExisted = existsSync(
-          join(__dirname, 'diffx-js.win32-arm64-msvc.node')
-        )
-        try {
-          if (localFileExisted) {
-            nativeBinding = require('./diffx-js.win32-arm64-msvc.node')
-          } else {
-            nativeBinding = require('diffx-js-win32-arm64-msvc')
-          }
-        } catch (e) {
-          loadError = e
-        }
-        break
-      default:
-        throw new Error(`Unsupported architecture on Windows: ${arch}`)
-    }
-    break
-  case 'darwin':
-    localFileExisted = existsSync(join(__dirname, 'diffx-js.darwin-universal.node'))
-    try {
-      if (localFileExisted) {
-        nativeBinding = require('./diffx-js.darwin-universal.node')
-      } else {
-        nativeBinding = require('diffx-js-darwin-universal')
-      }
-      break
-    } catch {}
-    switch (arch) {
-      case 'x64':
-        localFileExisted = existsSync(join(__dirname, 'diffx-js.darwin-x64.node'))
-        try {
-          if (localFileExisted) {
-            nativeBinding = require('./diffx-js.darwin-x64.node')
-          } else {
-            nativeBinding = require('diffx-js-darwin-x64')
-          }
-        } catch (e) {
-          loadError = e
-        }
-        break
-      case 'arm64':
-        localFileExisted = existsSync(
-          join(__dirname, 'diffx-js.darwin-arm64.node')
-        )
-        try {
-          if (localFileExisted) {
-            nativeBinding = require('./diffx-js.darwin-arm64.node')
-          } else {
-            nativeBinding = require('diffx-js-darwin-arm64')
-          }
-        } catch (e) {
-          loadError = e
-        }
-        break
-      default:
-        throw new Error(`Unsupported architecture on macOS: ${arch}`)
-    }
-    break
-  case 'freebsd':
-    if (arch !== 'x64') {
-      throw new Error(`Unsupported architecture on FreeBSD: ${arch}`)
-    }
-    localFileExisted = existsSync(join(__dirname, 'diffx-js.freebsd-x64.node'))
-    try {
-      if (localFileExisted) {
-        nativeBinding = require('./diffx-js.freebsd-x64.node')
-      } else {
-        nativeBinding = require('diffx-js-freebsd-x64')
-      }
-    } catch (e) {
-      loadError = e
-    }
-    break
-  case 'linux':
-    switch (arch) {
-      case 'x64':
-        if (isMusl()) {
-          localFileExisted = existsSync(
-            join(__dirname, 'diffx-js.linux-x64-musl.node')
-          )
-          try {
-            if (localFileExisted) {
-              nativeBinding = require('./diffx-js.linux-x64-musl.node')
-            } else {
-              nativeBinding = require('diffx-js-linux-x64-musl')
-            }
-          } catch (e) {
-            loadError = e
-          }
-        } else {
-          localFileExisted = existsSync(
-            join(__dirname, 'diffx-js.linux-x64-gnu.node')
-          )
-          try {
-            if (localFileExisted) {
-              nativeBinding = require('./diffx-js.linux-x64-gnu.node')
-            } else {
-              nativeBinding = require('diffx-js-linux-x64-gnu')
-            }
-          } catch (e) {
-            loadError = e
-          }
-        }
-        break
-      case 'arm64':
-        if (isMusl()) {
-          localFileExisted = existsSync(
-            join(__dirname, 'diffx-js.linux-arm64-musl.node')
-          )
-          try {
-            if (localFileExisted) {
-              nativeBinding = require('./diffx-js.linux-arm64-musl.node')
-            } else {
-              nativeBinding = require('diffx-js-linux-arm64-musl')
-            }
-          } catch (e) {
-            loadError = e
-          }
-        } else {
-          localFileExisted = existsSync(
-            join(__dirname, 'diffx-js.linux-arm64-gnu.node')
-          )
-          try {
-            if (localFileExisted) {
-              nativeBinding = require('./diffx-js.linux-arm64-gnu.node')
-            } else {
-              nativeBinding = require('diffx-js-linux-arm64-gnu')
-            }
-          } catch (e) {
-            loadError = e
-          }
-        }
-        break
-      case 'arm':
-        if (isMusl()) {
-          localFileExisted = existsSync(
-            join(__dirname, 'diffx-js.linux-arm-musleabihf.node')
-          )
-          try {
-            if (localFileExisted) {
-              nativeBinding = require('./diffx-js.linux-arm-musleabihf.node')
-            } else {
-              nativeBinding = require('diffx-js-linux-arm-musleabihf')
-            }
-          } catch (e) {
-            loadError = e
-          }
-        } else {
-          localFileExisted = existsSync(
-            join(__dirname, 'diffx-js.linux-arm-gnueabihf.node')
-          )
-          try {
-            if (localFileExisted) {
-              nativeBinding = require('./diffx-js.linux-arm-gnueabihf.node')
-            } else {
-              nativeBinding = require('diffx-js-linux-arm-gnueabihf')
-            }
-          } catch (e) {
-            loadError = e
-          }
-        }
-        break
-      case 'riscv64':
-        if (isMusl()) {
-          localFileExisted = existsSync(
-            join(__dirname, 'diffx-js.linux-riscv64-musl.node')
-          )
-          try {
-            if (localFileExisted) {
-              nativeBinding = require('./diffx-js.linux-riscv64-musl.node')
-            } else {
-              nativeBinding = require('diffx-js-linux-riscv64-musl')
-            }
-          } catch (e) {
-            loadError = e
-          }
-        } else {
-          localFileExisted = existsSync(
-            join(__dirname, 'diffx-js.linux-riscv64-gnu.node')
-          )
-          try {
-            if (localFileExisted) {
-              nativeBinding = require('./diffx-js.linux-riscv64-gnu.node')
-            } else {
-              nativeBinding = require('diffx-js-linux-riscv64-gnu')
-            }
-          } catch (e) {
-            loadError = e
-          }
-        }
-        break
-      case 's390x':
-        localFileExisted = existsSync(
-          join(__dirname, 'diffx-js.linux-s390x-gnu.node')
-        )
-        try {
-          if (localFileExisted) {
-            nativeBinding = require('./diffx-js.linux-s390x-gnu.node')
-          } else {
-            nativeBinding = require('diffx-js-linux-s390x-gnu')
-          }
-        } catch (e) {
-          loadError = e
-        }
-        break
-      default:
-        throw new Error(`Unsupported architecture on Linux: ${arch}`)
-    }
-    break
-  default:
-    throw new Error(`Unsupported OS: ${platform}, architecture: ${arch}`)
-}
-
-if (!nativeBinding) {
-  if (loadError) {
-    throw loadError
-  }
-  throw new Error(`Failed to load native binding`)
-}
-
-const { diff, parseJson, parseCsv, parseYaml, parseToml, parseIni, parseXml, formatOutput } = nativeBinding
-
-module.exports.diff = diff
-module.exports.parseJson = parseJson
-module.exports.parseCsv = parseCsv
-module.exports.parseYaml = parseYaml
-module.exports.parseToml = parseToml
-module.exports.parseIni = parseIni
-module.exports.parseXml = parseXml
-module.exports.formatOutput = formatOutput
+module.exports.diffFiles = diffFiles;
+module.exports.diffStrings = diffStrings;
+module.exports.diffDirectories = diffDirectories;
+module.exports.formatDirectoryOutput = formatDirectoryOutput;
+module.exports.diffStream = diffStream;
+module.exports.detectFormat = detectFormat;
+module.exports.applyDiff = applyDiff;
+module.exports.revertDiff = revertDiff;
+module.exports.merge3 = merge3;
+module.exports.toJsonPatch = toJsonPatch;
+module.exports.fromJsonPatch = fromJsonPatch;
+module.exports.toMergePatch = toMergePatch;
+module.exports.fromMergePatch = fromMergePatch;
+module.exports.ParseError = ParseError;
+module.exports.PatchError = PatchError;
@@ -0,0 +1,49 @@
+import type { JsDiffOptions } from './index';
+
+export interface DiffxMatchers<R = unknown> {
+  /** Pass when `diff(expected, received, options)` finds no differences. */
+  toSemanticallyEqual(expected: unknown, options?: JsDiffOptions): R;
+}
+
+export interface MatcherContext {
+  isNot: boolean;
+  promise?: string;
+  utils: {
+    matcherHint(name: string, received?: string, expected?: string, options?: { isNot?: boolean; promise?: string }): string;
+    printExpected(value: unknown): string;
+    printReceived(value: unknown): string;
+  };
+}
+
+export interface MatcherResult {
+  pass: boolean;
+  message(): string;
+}
+
+export function toSemanticallyEqual(
+  this: MatcherContext,
+  received: unknown,
+  expected: unknown,
+  options?: JsDiffOptions
+): MatcherResult;
+
+/** Pass to `expect.extend()`. */
+export const matchers: { toSemanticallyEqual: typeof toSemanticallyEqual };
+
+/** Pass to `expect.addSnapshotSerializer()`: prints diff results in diffx format. */
+export const serializer: {
+  test(value: unknown): boolean;
+  serialize(value: unknown): string;
+};
+
+/** Add `matchers` and `serializer` to Jest's or Vitest's `expect`. */
+export function register(expect: {
+  extend(matchers: object): void;
+  addSnapshotSerializer(serializer: object): void;
+}): void;
+
+declare global {
+  namespace jest {
+    interface Matchers<R, T = {}> extends DiffxMatchers<R> {}
+  }
+}
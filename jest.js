@@ -0,0 +1,10 @@
+'use strict';
+
+/**
+ * Test helpers, as `diffx/jest`:
+ *
+ *     const { matchers, serializer } = require('diffx/jest');
+ *     expect.extend(matchers);
+ *     expect.addSnapshotSerializer(serializer);
+ */
+module.exports = require('./lib/jest');
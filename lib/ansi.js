@@ -0,0 +1,60 @@
+'use strict';
+
+const { buildTree, formatValue } = require('./tree');
+
+const RED = 31;
+const GREEN = 32;
+const CYAN = 36;
+
+const colorize = (color, text) => `\u001b[${color}m${text}\u001b[0m`;
+const plain = (color, text) => text;
+
+/**
+ * Render results as a colored tree for terminals: the changed paths nested
+ * by key, each change written unified-diff style with `-` (red) for the old
+ * value and `+` (green) for the new one. Moves are marked `~` (cyan).
+ *
+ * @param {Array} results - Diff results
+ * @param {object} [options]
+ * @param {boolean} [options.color=true] - Write color codes; `false` keeps the tree and the signs only
+ * @returns {string} Text with ANSI color codes
+ */
+function formatAnsi(results, options = {}) {
+    if (options.color !== undefined && typeof options.color !== 'boolean') {
+        throw new TypeError(`color must be a boolean, got ${JSON.stringify(options.color)}`);
+    }
+    const lines = [];
+    renderNode(buildTree(results), lines, options.color === false ? plain : colorize);
+    return lines.map(line => `${line}\n`).join('');
+}
+
+function renderNode(node, lines, paint) {
+    // The root's own changes sit at depth 0, everyone else's below their key.
+    const indent = '  '.repeat(Math.max(node.depth - 1, 0));
+    const key = node.label ? `${node.label}: ` : '';
+    for (const result of node.results) {
+        const line = (sign, value) => `${sign} ${indent}${key}${formatValue(value)}`;
+        switch (result.diffType) {
+            case 'Added':
+                lines.push(paint(GREEN, line('+', result.newValue !== undefined ? result.newValue : result.value)));
+                break;
+            case 'Removed':
+                lines.push(paint(RED, line('-', result.oldValue !== undefined ? result.oldValue : result.value)));
+                break;
+            case 'Moved':
+                lines.push(paint(CYAN, `~ ${indent}[${result.fromIndex}] → [${result.toIndex}]: ${formatValue(result.value)}`));
+                break;
+            default:
+                lines.push(paint(RED, line('-', result.oldValue)));
+                lines.push(paint(GREEN, line('+', result.newValue)));
+        }
+    }
+    for (const child of node.children) {
+        if (child.children.length > 0) {
+            lines.push(`  ${'  '.repeat(child.depth - 1)}${child.label}:`);
+        }
+        renderNode(child, lines, paint);
+    }
+}
+
+module.exports.formatAnsi = formatAnsi;
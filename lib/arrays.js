@@ -0,0 +1,227 @@
+'use strict';
+
+/**
+ * Element alignment for the `arrayStrategy` option.
+ *
+ * `alignArrays()` pairs up the elements of two arrays and returns the edits
+ * between them, by position within the arrays given:
+ *
+ * - `{ type: 'pair', oldIndex, newIndex }`: the same element, changed; diff it
+ * - `{ type: 'moved', oldIndex, newIndex }`: an equal element at another place
+ * - `{ type: 'removed', oldIndex }` / `{ type: 'added', newIndex }`
+ *
+ * Elements matched as equal in place produce no edit. `equals(oldIndex,
+ * newIndex)` decides equality, so the caller can honour diff options. When
+ * given, `keys` (`{ oldKeys, newKeys }`) holds a key per element that equal
+ * elements share, so that `equals` only runs on elements with the same key.
+ */
+
+const STRATEGIES = ['index', 'lcs', 'unordered'];
+
+function alignArrays(oldLength, newLength, strategy, equals, keys) {
+    const keyed = {
+        oldKeys: keys ? keys.oldKeys : new Array(oldLength).fill(''),
+        newKeys: keys ? keys.newKeys : new Array(newLength).fill(''),
+    };
+    const probe = memoize(equals, newLength);
+    const matches = (i, j) => keyed.oldKeys[i] === keyed.newKeys[j] && probe(i, j);
+    switch (strategy) {
+        case 'lcs':
+            return alignLcs(oldLength, newLength, matches, keyed);
+        case 'unordered':
+            return alignUnordered(oldLength, newLength, matches, keyed);
+        default:
+            return alignIndex(oldLength, newLength);
+    }
+}
+
+function alignIndex(oldLength, newLength) {
+    return pairInOrder(range(oldLength), range(newLength));
+}
+
+/**
+ * Align along a longest common subsequence (Myers' O(ND) algorithm). Of the
+ * elements left over, equal ones become moves; the rest are paired in order
+ * between the same two common elements, so a changed element stays a
+ * modification of its old self.
+ */
+function alignLcs(oldLength, newLength, equals, { oldKeys, newKeys }) {
+    const common = commonSubsequence(oldLength, newLength, equals);
+    const commonOld = new Set(common.map(([i]) => i));
+    const commonNew = new Set(common.map(([, j]) => j));
+    const deleted = range(oldLength).filter(i => !commonOld.has(i));
+    const inserted = range(newLength).filter(j => !commonNew.has(j));
+
+    const edits = [];
+    const movedOld = new Set();
+    const movedNew = new Set();
+    const candidates = bucket(inserted, newKeys);
+    for (const i of deleted) {
+        const j = take(candidates.get(oldKeys[i]), candidate => equals(i, candidate));
+        if (j !== undefined) {
+            movedOld.add(i);
+            movedNew.add(j);
+            edits.push({ type: 'moved', oldIndex: i, newIndex: j });
+        }
+    }
+
+    // Between two consecutive common elements (the "gap"), pair what is left.
+    const gapOf = (index, side) => countBelow(common, side, index);
+    const gaps = new Map();
+    const gapFor = key => {
+        if (!gaps.has(key)) {
+            gaps.set(key, { removed: [], added: [] });
+        }
+        return gaps.get(key);
+    };
+    for (const i of deleted.filter(index => !movedOld.has(index))) {
+        gapFor(gapOf(i, 0)).removed.push(i);
+    }
+    for (const j of inserted.filter(index => !movedNew.has(index))) {
+        gapFor(gapOf(j, 1)).added.push(j);
+    }
+    for (const { removed, added } of gaps.values()) {
+        edits.push(...pairInOrder(removed, added));
+    }
+    return edits;
+}
+
+/**
+ * Match equal elements wherever they are; pair the rest in order.
+ */
+function alignUnordered(oldLength, newLength, equals, { oldKeys, newKeys }) {
+    const used = new Set();
+    const unmatched = [];
+    const candidates = bucket(range(newLength), newKeys);
+    for (const i of range(oldLength)) {
+        const j = take(candidates.get(oldKeys[i]), candidate => equals(i, candidate));
+        if (j === undefined) {
+            unmatched.push(i);
+        } else {
+            used.add(j);
+        }
+    }
+    const added = range(newLength).filter(j => !used.has(j));
+    return pairInOrder(unmatched, added);
+}
+
+/**
+ * Group `indices` by their key, keeping their order.
+ */
+function bucket(indices, keys) {
+    const buckets = new Map();
+    for (const index of indices) {
+        if (!buckets.has(keys[index])) {
+            buckets.set(keys[index], []);
+        }
+        buckets.get(keys[index]).push(index);
+    }
+    return buckets;
+}
+
+/**
+ * Remove and return the first of `indices` that `matches`, if any.
+ */
+function take(indices, matches) {
+    const at = indices ? indices.findIndex(matches) : -1;
+    return at === -1 ? undefined : indices.splice(at, 1)[0];
+}
+
+/**
+ * How many of the ascending `pairs` are below `index` on `side`.
+ */
+function countBelow(pairs, side, index) {
+    let low = 0;
+    let high = pairs.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (pairs[middle][side] < index) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    return low;
+}
+
+/**
+ * Pair `oldIndices` with `newIndices` in order; report what is left over.
+ */
+function pairInOrder(oldIndices, newIndices) {
+    const edits = [];
+    const paired = Math.min(oldIndices.length, newIndices.length);
+    for (let n = 0; n < paired; n++) {
+        edits.push({ type: 'pair', oldIndex: oldIndices[n], newIndex: newIndices[n] });
+    }
+    edits.push(...oldIndices.slice(paired).map(oldIndex => ({ type: 'removed', oldIndex })));
+    edits.push(...newIndices.slice(paired).map(newIndex => ({ type: 'added', newIndex })));
+    return edits;
+}
+
+/**
+ * Index pairs `[oldIndex, newIndex]` of a longest common subsequence. The
+ * trace keeps, for each step `d`, the diagonals `-d - 1` to `d + 1` that
+ * the next step reads.
+ */
+function commonSubsequence(n, m, equals) {
+    const offset = n + m + 1;
+    const v = new Int32Array(2 * offset + 1);
+    const trace = [];
+
+    search:
+    for (let d = 0; d <= n + m; d++) {
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && equals(x, y)) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                break search;
+            }
+        }
+    }
+
+    const pairs = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const saved = trace[d];
+        const at = diagonal => saved[diagonal + d + 1];
+        const k = x - y;
+        const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+        const prevX = at(prevK);
+        const prevY = prevX - prevK;
+        while (x > prevX && y > prevY) {
+            x--;
+            y--;
+            pairs.push([x, y]);
+        }
+        x = prevX;
+        y = prevY;
+    }
+    return pairs.reverse();
+}
+
+function memoize(equals, newLength) {
+    const cache = new Map();
+    return (i, j) => {
+        const key = i * (newLength + 1) + j;
+        if (!cache.has(key)) {
+            cache.set(key, equals(i, j));
+        }
+        return cache.get(key);
+    };
+}
+
+function range(length) {
+    return Array.from({ length }, (_, i) => i);
+}
+
+module.exports.STRATEGIES = STRATEGIES;
+module.exports.alignArrays = alignArrays;
@@ -0,0 +1,107 @@
+'use strict';
+
+const binding = require('../binding');
+const { DIFF_OPTIONS, prepareDiff, validateOptions } = require('./diff');
+const { PARSER_OPTIONS, parseWith } = require('./formats');
+const { LOCATABLE, attachLocations } = require('./locations');
+const { relocate } = require('./plan');
+
+/**
+ * Promise-returning wrappers around the native threadpool tasks.
+ *
+ * Every function accepts an AbortSignal as `options.signal`. The native task
+ * is dequeued if the signal fires before it starts; once it is running the
+ * work cannot be interrupted, so the returned Promise rejects right away and
+ * the eventual result is discarded. Every error, including invalid options
+ * and those the native side throws when a task is queued, rejects the
+ * Promise.
+ */
+
+function abortError(signal) {
+    if (signal.reason !== undefined) {
+        return signal.reason;
+    }
+    const error = new Error('The operation was aborted');
+    error.name = 'AbortError';
+    return error;
+}
+
+function abortable(signal, start) {
+    const started = nativeSignal => new Promise(resolve => resolve(start(nativeSignal)));
+    if (!signal) {
+        return started(undefined);
+    }
+    if (signal.aborted) {
+        return Promise.reject(abortError(signal));
+    }
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(abortError(signal));
+        signal.addEventListener('abort', onAbort, { once: true });
+        started(signal)
+            .then(resolve, reject)
+            .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+/**
+ * Compare two values on the libuv threadpool. Planning the native diffs
+ * (see lib/plan.js), including the element comparisons of `arrayStrategy`,
+ * still runs on the calling thread.
+ *
+ * @param {any} oldValue - The old value
+ * @param {any} newValue - The new value
+ * @param {object} [options] - `diff()` options plus `signal`
+ * @returns {Promise<Array>} Diff results
+ */
+async function diffAsync(oldValue, newValue, options = {}) {
+    validateOptions(options, [...DIFF_OPTIONS, 'signal'], 'diffAsync() option');
+    const { signal, ...diffOptions } = options;
+    const { steps: planned, finish } = prepareDiff(oldValue, newValue, diffOptions);
+    const steps = Array.from(planned);
+    const run = (step, nativeSignal) => {
+        if (step.results) {
+            return step.results;
+        }
+        return binding.diffAsync(step.oldValue, step.newValue, step.options, nativeSignal)
+            .then(results => relocate(results, step));
+    };
+    return abortable(signal, nativeSignal =>
+        Promise.all(steps.map(step => run(step, nativeSignal))).then(finish)
+    );
+}
+
+/**
+ * The `parse*Async()` function for a format. Formats without a native
+ * parser, and parser options, are handled by the JavaScript parsers (see
+ * lib/formats.js), which run on the main thread.
+ */
+function parserAsync(nativeParse, format) {
+    const name = `parse${format[0].toUpperCase()}${format.slice(1)}Async()`;
+    const known = [
+        'signal',
+        ...PARSER_OPTIONS[format],
+        ...(LOCATABLE.includes(format) ? ['locations', 'file'] : []),
+    ];
+    return async (content, options = {}) => {
+        validateOptions(options, known, `${name} option`);
+        const { signal, locations, file, ...parseOptions } = options;
+        if (!nativeParse || Object.values(parseOptions).some(option => option !== undefined)) {
+            return abortable(signal, async () => parseWith(format, content, { ...parseOptions, locations, file }));
+        }
+        return abortable(signal, nativeSignal => nativeParse(content, nativeSignal))
+            .then(value => (locations ? attachLocations(value, content, format, file) : value));
+    };
+}
+
+module.exports.diffAsync = diffAsync;
+module.exports.parseJsonAsync = parserAsync(binding.parseJsonAsync, 'json');
+module.exports.parseCsvAsync = parserAsync(binding.parseCsvAsync, 'csv');
+module.exports.parseYamlAsync = parserAsync(binding.parseYamlAsync, 'yaml');
+module.exports.parseTomlAsync = parserAsync(binding.parseTomlAsync, 'toml');
+module.exports.parseIniAsync = parserAsync(binding.parseIniAsync, 'ini');
+module.exports.parseXmlAsync = parserAsync(binding.parseXmlAsync, 'xml');
+module.exports.parseJson5Async = parserAsync(undefined, 'json5');
+module.exports.parseDotenvAsync = parserAsync(undefined, 'dotenv');
+module.exports.parsePropertiesAsync = parserAsync(undefined, 'properties');
+module.exports.parseNdjsonAsync = parserAsync(undefined, 'ndjson');
+module.exports.parseHclAsync = parserAsync(undefined, 'hcl');
@@ -0,0 +1,226 @@
+'use strict';
+
+const fs = require('fs');
+const { diff } = require('./diff');
+const { parseDocument } = require('./formats');
+const { FORMAT_OPTIONS, formatOutput } = require('./output');
+const { hasDiff } = require('./stats');
+
+/**
+ * Command-line flags, one per `diff()` option plus the file-level ones.
+ * `type` says how the value is read: booleans take none, lists may repeat,
+ * JSON values are parsed.
+ */
+const FLAGS = [
+    { name: 'epsilon', option: 'epsilon', type: 'number', help: 'Tolerance for floating-point comparisons' },
+    { name: 'array-id-key', option: 'arrayIdKey', type: 'string', help: 'Key identifying array elements' },
+    { name: 'array-strategy', option: 'arrayStrategy', type: 'string', help: 'index, lcs or unordered' },
+    { name: 'ignore-keys-regex', option: 'ignoreKeysRegex', type: 'string', help: 'Ignore keys matching this regex' },
+    { name: 'path-filter', option: 'pathFilter', type: 'string', help: 'Only show paths containing this string' },
+    { name: 'include-path', option: 'includePaths', type: 'list', help: 'Only show paths matching this pattern (repeatable)' },
+    { name: 'exclude-path', option: 'excludePaths', type: 'list', help: 'Hide paths matching this pattern (repeatable)' },
+    { name: 'overrides', option: 'overrides', type: 'json', help: 'Per-path options as JSON, e.g. \'{"users":{"arrayIdKey":"id"}}\'' },
+    { name: 'output-format', short: 'o', option: 'outputFormat', type: 'string', help: 'diffx (default), json, yaml, json-patch, merge-patch, html, ansi, markdown, sarif or junit' },
+    { name: 'ignore-whitespace', short: 'w', option: 'ignoreWhitespace', type: 'boolean', help: 'Ignore whitespace differences' },
+    { name: 'ignore-case', short: 'i', option: 'ignoreCase', type: 'boolean', help: 'Ignore case differences' },
+    { name: 'coerce-types', option: 'coerceTypes', type: 'boolean', help: 'Compare "42", "true" and "yes" with the number or boolean they spell' },
+    { name: 'null-equals-missing', option: 'nullEqualsMissing', type: 'boolean', help: 'Treat null values as missing keys' },
+    { name: 'empty-equals-missing', option: 'emptyEqualsMissing', type: 'boolean', help: 'Treat empty arrays and objects as missing keys' },
+    { name: 'sort-unkeyed-arrays', option: 'sortUnkeyedArrays', type: 'boolean', help: 'Ignore the order of array elements without arrayIdKey' },
+    { name: 'schema', option: 'schema', type: 'string', help: 'JSON Schema file (JSON or YAML) of the documents, for its x-diffx-* keywords' },
+    { name: 'brief', short: 'q', option: 'briefMode', type: 'boolean', help: 'Only report whether the files differ' },
+    { name: 'quiet', option: 'quietMode', type: 'boolean', help: 'Print nothing; only set the exit code' },
+    { name: 'format', short: 'f', option: 'format', type: 'string', help: 'Input format of both files (detected otherwise)' },
+    { name: 'old-format', option: 'oldFormat', type: 'string', help: 'Input format of the old file' },
+    { name: 'new-format', option: 'newFormat', type: 'string', help: 'Input format of the new file' },
+    { name: 'parse-options', option: 'parseOptions', type: 'json', help: 'Parser options by format as JSON, e.g. \'{"csv":{"delimiter":";"}}\'' },
+    { name: 'help', short: 'h', type: 'boolean', help: 'Show this help' },
+    { name: 'version', short: 'V', type: 'boolean', help: 'Show the version' },
+];
+
+/**
+ * Exit codes, as diff(1) uses them.
+ */
+const SAME = 0;
+const DIFFERENT = 1;
+const TROUBLE = 2;
+
+/**
+ * Run the `diffx` command.
+ *
+ * Compares two files, either of which may be `-` for standard input, and
+ * prints the differences with `formatOutput()`. Returns the exit code: 0 when
+ * the documents are the same, 1 when they differ, 2 on error. The "ansi"
+ * format is only colored on a terminal, and not when `NO_COLOR` is set.
+ *
+ * @param {string[]} argv - Arguments, without the node and script paths
+ * @param {object} [io] - `stdout`, `stderr` (writable), `readStdin()` and `env`
+ * @returns {number} Exit code
+ */
+function run(argv, io = {}) {
+    const {
+        stdout = process.stdout,
+        stderr = process.stderr,
+        readStdin = () => fs.readFileSync(0, 'utf8'),
+        env = process.env,
+    } = io;
+
+    try {
+        const { flags, files } = parseArgs(argv);
+        if (flags.help) {
+            stdout.write(usage());
+            return SAME;
+        }
+        if (flags.version) {
+            stdout.write(`${require('../package.json').version}\n`);
+            return SAME;
+        }
+        if (files.length !== 2) {
+            throw new UsageError(`expected two files, got ${files.length}`);
+        }
+        if ([...files, flags.schema].filter(file => file === '-').length > 1) {
+            throw new UsageError('only one file or the schema can be read from standard input');
+        }
+
+        const {
+            format, oldFormat = format, newFormat = format, parseOptions, outputFormat = 'diffx', briefMode, quietMode,
+            schema, ...diffOptions
+        } = flags;
+        const [oldValue, newValue] = files.map((file, side) => parseDocument(read(file, readStdin), {
+            format: side === 0 ? oldFormat : newFormat,
+            file: file === '-' ? 'stdin' : file,
+            parseOptions,
+        }));
+        if (schema !== undefined) {
+            diffOptions.schema = parseDocument(read(schema, readStdin), {
+                file: schema === '-' ? 'stdin' : schema,
+                parseOptions,
+            });
+        }
+
+        if (quietMode || briefMode) {
+            const differ = hasDiff(oldValue, newValue, diffOptions);
+            if (differ && !quietMode) {
+                stdout.write(`Files ${files[0]} and ${files[1]} differ\n`);
+            }
+            return differ ? DIFFERENT : SAME;
+        }
+        const results = diff(oldValue, newValue, diffOptions);
+        const takes = FORMAT_OPTIONS[String(outputFormat).toLowerCase()] || [];
+        const output = formatOutput(results, outputFormat, {
+            ...(takes.includes('source') && { source: oldValue }),
+            ...(takes.includes('color') && { color: Boolean(stdout.isTTY) && !env.NO_COLOR }),
+        });
+        if (output) {
+            stdout.write(output.endsWith('\n') ? output : `${output}\n`);
+        }
+        return results.length > 0 ? DIFFERENT : SAME;
+    } catch (e) {
+        stderr.write(`diffx: ${e.message}\n`);
+        if (e instanceof UsageError) {
+            stderr.write('Try \'diffx --help\' for more information.\n');
+        }
+        return TROUBLE;
+    }
+}
+
+class UsageError extends Error {}
+
+function read(file, readStdin) {
+    return file === '-' ? readStdin() : fs.readFileSync(file, 'utf8');
+}
+
+/**
+ * Split arguments into flag values, keyed by option name, and file operands.
+ * Accepts `--flag value`, `--flag=value`, `-f value` and `--` to end flags.
+ */
+function parseArgs(argv) {
+    const flags = {};
+    const files = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--') {
+            files.push(...argv.slice(i + 1));
+            break;
+        }
+        if (arg === '-' || !arg.startsWith('-')) {
+            files.push(arg);
+            continue;
+        }
+
+        const [name, inline] = arg.startsWith('--')
+            ? splitInline(arg.slice(2))
+            : [arg.slice(1), undefined];
+        const flag = FLAGS.find(candidate => (arg.startsWith('--') ? candidate.name : candidate.short) === name);
+        if (!flag) {
+            throw new UsageError(`unknown option ${arg}`);
+        }
+        const key = flag.option || flag.name;
+
+        if (flag.type === 'boolean') {
+            if (inline !== undefined) {
+                throw new UsageError(`option --${flag.name} takes no value`);
+            }
+            flags[key] = true;
+            continue;
+        }
+        let value = inline;
+        if (value === undefined) {
+            if (i + 1 >= argv.length) {
+                throw new UsageError(`option --${flag.name} requires a value`);
+            }
+            value = argv[++i];
+        }
+        flags[key] = readValue(flag, value, flags[key]);
+    }
+    return { flags, files };
+}
+
+function splitInline(arg) {
+    const equals = arg.indexOf('=');
+    return equals === -1 ? [arg, undefined] : [arg.slice(0, equals), arg.slice(equals + 1)];
+}
+
+function readValue(flag, value, previous) {
+    switch (flag.type) {
+        case 'number': {
+            const number = Number(value);
+            if (value.trim() === '' || Number.isNaN(number)) {
+                throw new UsageError(`option --${flag.name} expects a number, got "${value}"`);
+            }
+            return number;
+        }
+        case 'list':
+            return [...(previous || []), value];
+        case 'json':
+            try {
+                return JSON.parse(value);
+            } catch (e) {
+                throw new UsageError(`option --${flag.name} expects JSON: ${e.message}`);
+            }
+        default:
+            return value;
+    }
+}
+
+function usage() {
+    const lines = FLAGS.map(flag => {
+        const names = `${flag.short ? `-${flag.short}, ` : '    '}--${flag.name}${flag.type === 'boolean' ? '' : ' <value>'}`;
+        return `  ${names.padEnd(34)}${flag.help}`;
+    });
+    return [
+        'Usage: diffx [options] <old> <new>',
+        '',
+        'Semantic diff of JSON, JSON5, YAML, TOML, XML, INI, CSV, dotenv, Java',
+        'properties, NDJSON and HCL files. Use - to read one side from standard',
+        'input.',
+        '',
+        'Options:',
+        ...lines,
+        '',
+        'Exit status is 0 if the documents are the same, 1 if they differ, 2 on error.',
+        '',
+    ].join('\n');
+}
+
+module.exports.run = run;
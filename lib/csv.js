@@ -0,0 +1,174 @@
+'use strict';
+
+/**
+ * CSV parsing in JavaScript, for the options the native parser lacks.
+ *
+ * With default options documents read the way the native parser reads
+ * them: the first record names the fields of the rest, blank lines are
+ * skipped, a leading BOM is dropped and every value is a string. A quote
+ * opens a quoted field only at the start of a field; inside one, a doubled
+ * quote stands for itself.
+ */
+
+const NUMBER = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+
+const CSV_OPTIONS = ['delimiter', 'quote', 'header', 'inferTypes'];
+
+/**
+ * @param {string} content - CSV text
+ * @param {object} [options]
+ * @param {string} [options.delimiter=","] - Field separator, one character
+ * @param {string} [options.quote='"'] - Quote character, one character
+ * @param {boolean} [options.header=true] - Read the first record as field names; `false` returns arrays of fields
+ * @param {boolean} [options.inferTypes=false] - Turn unquoted numeric fields into numbers
+ * @returns {Array} Rows
+ */
+function parseCsv(content, options = {}) {
+    const reader = csvReader(options);
+    return [...reader.read(content), ...reader.end()].map(row => row.value);
+}
+
+/**
+ * Read CSV text that arrives in chunks, with the options of `parseCsv()`.
+ * `read(chunk)` returns the rows the chunk completes and `end()` the rest,
+ * each as `{ value, line }`, `line` being where the row starts.
+ */
+function csvReader(options = {}) {
+    const { delimiter = ',', quote = '"', header = true, inferTypes = false } = options;
+    for (const [name, char] of [['delimiter', delimiter], ['quote', quote]]) {
+        if (typeof char !== 'string' || char.length !== 1 || char === '\n' || char === '\r') {
+            throw new TypeError(`CSV ${name} must be a single character other than a line break`);
+        }
+    }
+    if (delimiter === quote) {
+        throw new TypeError('CSV delimiter and quote must differ');
+    }
+
+    const records = recordReader(delimiter, quote);
+    const value = field => {
+        const numeric = inferTypes && !field.quoted && NUMBER.test(field.text);
+        return numeric && Number.isFinite(Number(field.text)) ? Number(field.text) : field.text;
+    };
+    let names;
+    let started = false;
+    const rows = completed => completed.flatMap(record => {
+        if (!header) {
+            return [{ value: record.fields.map(value), line: record.line }];
+        }
+        if (!names) {
+            names = record;
+            return [];
+        }
+        if (record.fields.length !== names.fields.length) {
+            throw new Error(
+                `CSV parse error: record on line ${record.line} has ${record.fields.length} fields, `
+                + `but the header has ${names.fields.length}`
+            );
+        }
+        const row = Object.fromEntries(names.fields.map((name, i) => [name.text, value(record.fields[i])]));
+        return [{ value: row, line: record.line }];
+    });
+
+    return {
+        read: chunk => {
+            const text = started ? chunk : chunk.replace(/^\uFEFF/, '');
+            started = started || chunk !== '';
+            return rows(records.read(text));
+        },
+        end: () => rows(records.end()),
+    };
+}
+
+/**
+ * Split CSV text into records of `{ text, quoted }` fields, each record with
+ * the line it starts on. A quote, or a carriage return, at the end of a
+ * chunk is settled by the first character of the next.
+ */
+function recordReader(delimiter, quote) {
+    let records = [];
+    let fields = [];
+    let field = { text: '', quoted: false };
+    let inQuotes = false;
+    let closing = false;
+    let afterCr = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endField = () => {
+        fields.push(field);
+        field = { text: '', quoted: false };
+    };
+    const endRecord = () => {
+        endField();
+        const blank = fields.length === 1 && fields[0].text === '' && !fields[0].quoted;
+        if (!blank) {
+            records.push({ fields, line: recordLine });
+        }
+        fields = [];
+    };
+
+    const readChar = char => {
+        if (afterCr) {
+            afterCr = false;
+            if (char === '\n') {
+                return;
+            }
+        }
+        if (closing) {
+            // A quote inside a quoted field: doubled, it stands for itself.
+            closing = false;
+            if (char === quote) {
+                field.text += quote;
+                return;
+            }
+            inQuotes = false;
+        }
+        if (inQuotes) {
+            if (char === quote) {
+                closing = true;
+            } else {
+                line += char === '\n' ? 1 : 0;
+                field.text += char;
+            }
+        } else if (char === quote && field.text === '' && !field.quoted) {
+            inQuotes = true;
+            field.quoted = true;
+        } else if (char === delimiter) {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            afterCr = char === '\r';
+            endRecord();
+            line++;
+            recordLine = line;
+        } else {
+            field.text += char;
+        }
+    };
+
+    const completed = () => {
+        const done = records;
+        records = [];
+        return done;
+    };
+    return {
+        read: text => {
+            for (let i = 0; i < text.length; i++) {
+                readChar(text[i]);
+            }
+            return completed();
+        },
+        end: () => {
+            if (inQuotes && !closing) {
+                throw new Error(`CSV parse error: quoted field opened on line ${recordLine} is not closed`);
+            }
+            if (fields.length > 0 || field.text !== '' || field.quoted) {
+                endRecord();
+            }
+            return completed();
+        },
+    };
+}
+
+module.exports.CSV_OPTIONS = CSV_OPTIONS;
+module.exports.csvReader = csvReader;
+module.exports.parseCsv = parseCsv;
@@ -0,0 +1,292 @@
+'use strict';
+
+const binding = require('../binding');
+const { PLANNED, planDiff, relocate } = require('./plan');
+const { hasLocations, locateResult } = require('./locations');
+const { bestMatch, compilePattern, matchesBelow } = require('./pattern');
+const { pathResolver, segmentIndex, segmentsToPointer } = require('./path');
+const { compileSchema } = require('./schema');
+
+/**
+ * Options handled in JavaScript around the native diff. Everything else
+ * (and, through lib/plan.js, `arrayStrategy` and `comparators`) is passed to
+ * the native `diff()`.
+ */
+const JS_OPTIONS = ['includePaths', 'excludePaths', 'overrides', 'schema'];
+
+/**
+ * Fields of the native `JsDiffOptions`.
+ */
+const NATIVE_OPTIONS = [
+    'epsilon',
+    'arrayIdKey',
+    'ignoreKeysRegex',
+    'pathFilter',
+    'outputFormat',
+    'ignoreWhitespace',
+    'ignoreCase',
+    'briefMode',
+    'quietMode',
+];
+
+const DIFF_OPTIONS = [...NATIVE_OPTIONS, ...JS_OPTIONS, ...PLANNED];
+
+/**
+ * Unified diff function for JavaScript/Node.js
+ *
+ * Wraps the native `diff()` and adds unambiguous location fields to each
+ * result: `pathSegments` (object keys, array indices, and `{ key, value }`
+ * for elements matched by `arrayIdKey`) and `pointer`, an RFC 6901 JSON
+ * Pointer into the old document (the new document for `Added` results).
+ *
+ * @param {any} oldValue - The old value
+ * @param {any} newValue - The new value
+ * @param {object} [options] - Optional configuration object
+ * @returns {Array} Array of difference objects
+ */
+function diff(oldValue, newValue, options) {
+    const { steps, finish } = prepareDiff(oldValue, newValue, options);
+    return finish(Array.from(steps, step =>
+        step.results || relocate(binding.diff(step.oldValue, step.newValue, step.options), step)
+    ));
+}
+
+/**
+ * Plan a diff: the native diffs to run (one for the whole document, or one
+ * per subtree with `overrides` or `arrayStrategy`, planned as they are
+ * iterated) and `finish`, which turns their results, in step order, into the
+ * final list.
+ */
+function prepareDiff(oldValue, newValue, options) {
+    const [diffOptions, jsOptions, planned] = splitDiffOptions(options);
+    const finish = finisher(jsOptions);
+    const steps = planned
+        ? planDiff(oldValue, newValue, diffOptions, jsOptions.overrides)
+        : [{ oldValue, newValue, options: diffOptions, segments: [] }];
+    return { steps, finish: parts => finish(parts.flat(), oldValue, newValue) };
+}
+
+/**
+ * Split `diff()` options into those for the native diff and those applied
+ * here, and tell whether the diff needs planning. Planned diffs run natively
+ * on subtrees, so the `pathFilter` substring is matched here against full
+ * paths instead.
+ */
+function splitDiffOptions(options) {
+    validateOptions(options, DIFF_OPTIONS, 'diff option');
+    const diffOptions = options && options.schema !== undefined
+        ? applySchema(options, compileSchema(options.schema))
+        : { ...options };
+    const jsOptions = {};
+    const planned = ['overrides', ...PLANNED].some(name => diffOptions[name] !== undefined);
+    const handled = planned ? [...JS_OPTIONS, 'pathFilter'] : JS_OPTIONS;
+    for (const name of handled) {
+        if (name in diffOptions) {
+            jsOptions[name] = diffOptions[name];
+            delete diffOptions[name];
+        }
+    }
+    return [diffOptions, jsOptions, planned];
+}
+
+/**
+ * Fold the options a compiled schema implies into `options`. Options given
+ * explicitly win over the schema's: top-level options, and `overrides`
+ * entries for the same pattern.
+ */
+function applySchema(options, compiled) {
+    const { '': root = {}, ...overrides } = compiled.overrides;
+    const merged = { ...root, ...options, schema: compiled };
+    if (Object.keys(overrides).length > 0) {
+        merged.overrides = { ...overrides };
+        for (const [pattern, entry] of Object.entries(options.overrides || {})) {
+            merged.overrides[pattern] = { ...overrides[pattern], ...entry };
+        }
+    }
+    if (compiled.excludePaths.length > 0) {
+        merged.excludePaths = [...compiled.excludePaths, ...[].concat(options.excludePaths || [])];
+    }
+    return merged;
+}
+
+/**
+ * Reject option keys outside `known`, suggesting the closest known key, so
+ * that typos like `arrayIDKey` fail loudly instead of being ignored.
+ * `undefined` values are allowed through, as the native binding does.
+ */
+function validateOptions(options, known, label) {
+    if (options === undefined || options === null) {
+        return;
+    }
+    if (typeof options !== 'object' || Array.isArray(options)) {
+        throw new TypeError(`Expected an options object, got ${Array.isArray(options) ? 'an array' : typeof options}`);
+    }
+    for (const name of Object.keys(options)) {
+        if (known.includes(name) || options[name] === undefined) {
+            continue;
+        }
+        const suggestion = closest(name, known);
+        throw new TypeError(
+            `Unknown ${label} "${name}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}. `
+            + (known.length > 0 ? `Valid options: ${known.join(', ')}` : 'It takes no options')
+        );
+    }
+}
+
+function closest(name, candidates) {
+    const lower = name.toLowerCase();
+    let best;
+    let bestDistance = Math.max(2, Math.floor(name.length / 4));
+    for (const candidate of candidates) {
+        if (candidate.toLowerCase() === lower) {
+            return candidate;
+        }
+        const distance = editDistance(lower, candidate.toLowerCase());
+        if (distance <= bestDistance) {
+            best = candidate;
+            bestDistance = distance - 1;
+        }
+    }
+    return best;
+}
+
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Build the post-processing step for native results: annotation, path
+ * filtering, then `breaking` under a `schema`. Patterns are
+ * compiled once, so invalid ones throw before any diffing happens.
+ */
+function finisher(jsOptions) {
+    const keep = pathFilter(jsOptions.includePaths, jsOptions.excludePaths);
+    const { pathFilter: substring, schema } = jsOptions;
+    return (results, oldValue, newValue) => {
+        let annotated = annotate(results, oldValue, newValue);
+        if (substring) {
+            annotated = annotated.filter(result => result.path.includes(substring));
+        }
+        if (keep) {
+            annotated = annotated.filter(result => !result.pathSegments || keep(result.pathSegments, wholeValue(result)));
+        }
+        if (schema) {
+            annotated = annotated.filter(result => !result.pathSegments || !schema.ignores(result));
+            for (const result of annotated) {
+                result.breaking = schema.classify(result);
+            }
+        }
+        return annotated;
+    };
+}
+
+/**
+ * Add `pathSegments` (unless already known) and `pointer` to native diff
+ * results, and `oldLocation` / `newLocation` when the documents were parsed
+ * with locations.
+ */
+function annotate(results, oldValue, newValue) {
+    const located = hasLocations(oldValue) || hasLocations(newValue);
+    const index = segmentIndex();
+    const resolvePath = pathResolver([oldValue, newValue], index);
+    for (const result of results) {
+        let segments = result.pathSegments;
+        if (!segments) {
+            try {
+                segments = resolvePath(result.path, result);
+            } catch {
+                // A path no split of the documents explains: keep it as is.
+                continue;
+            }
+        }
+        result.pathSegments = segments;
+        result.pointer = segmentsToPointer(segments, result.diffType === 'Added' ? newValue : oldValue, index);
+        if (located) {
+            locateResult(result, oldValue, newValue, index);
+        }
+    }
+    return results;
+}
+
+/**
+ * Predicate over path segments for `includePaths` / `excludePaths`.
+ *
+ * On its own, `includePaths` keeps only matching paths and `excludePaths`
+ * drops matching paths. Together, includes carve exceptions out of the
+ * excludes: a path matched by both follows the more specific pattern
+ * (literal segments outweigh wildcards; exclude wins a tie), and a path
+ * matched by neither is kept.
+ *
+ * A value added or removed as a whole (`value`) is also kept when it holds
+ * a path an include matches, as that path has no result of its own.
+ */
+function pathFilter(includePaths, excludePaths) {
+    const includes = compileAll('includePaths', includePaths);
+    const excludes = compileAll('excludePaths', excludePaths);
+    if (includes.length === 0 && excludes.length === 0) {
+        return undefined;
+    }
+    return (segments, value) => {
+        const include = bestMatch(includes, segments);
+        const exclude = bestMatch(excludes, segments);
+        if (include && exclude) {
+            return include.specificity > exclude.specificity;
+        }
+        if (include || holdsMatch(includes, segments, value)) {
+            return true;
+        }
+        if (exclude) {
+            return false;
+        }
+        return excludes.length > 0;
+    };
+}
+
+function holdsMatch(includes, segments, value) {
+    if (value === null || typeof value !== 'object') {
+        return false;
+    }
+    const below = includes.filter(pattern => matchesBelow(pattern, segments));
+    return below.length > 0 && Object.keys(value).some(key => {
+        const child = [...segments, Array.isArray(value) ? Number(key) : key];
+        return Boolean(bestMatch(below, child)) || holdsMatch(below, child, value[key]);
+    });
+}
+
+/**
+ * The value a result adds or removes as a whole, if any.
+ */
+function wholeValue(result) {
+    if (result.diffType === 'Added') {
+        return result.newValue;
+    }
+    return result.diffType === 'Removed' ? result.value : undefined;
+}
+
+function compileAll(name, patterns) {
+    if (patterns === undefined || patterns === null) {
+        return [];
+    }
+    if (!Array.isArray(patterns) && typeof patterns !== 'string') {
+        throw new TypeError(`${name} must be a string or an array of strings`);
+    }
+    return [].concat(patterns).map(compilePattern);
+}
+
+module.exports.diff = diff;
+module.exports.annotate = annotate;
+module.exports.prepareDiff = prepareDiff;
+module.exports.validateOptions = validateOptions;
+module.exports.DIFF_OPTIONS = DIFF_OPTIONS;
@@ -0,0 +1,216 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { DIFF_OPTIONS, diff, validateOptions } = require('./diff');
+const { parseDocument, validateParseOptions } = require('./formats');
+const { escapeHtml, htmlDocument, htmlReport } = require('./html');
+const { formatJunitEntries } = require('./junit');
+const { FORMAT_OPTIONS, formatOutput } = require('./output');
+const { formatSarifEntries } = require('./sarif');
+
+/**
+ * Formats `formatDirectoryOutput()` renders as one JSON document; the others
+ * are text, rendered file by file under a `#` header line, or have a
+ * renderer of their own below.
+ */
+const JSON_FORMATS = ['json', 'json-patch', 'merge-patch'];
+
+/**
+ * Formats whose reports hold every file in one document.
+ */
+const REPORTERS = {
+    sarif: formatSarifEntries,
+    junit: formatJunitEntries,
+};
+
+/**
+ * Compare two directory trees file by file.
+ *
+ * Files are paired by their path relative to each directory. Each pair is
+ * parsed in its detected format and diffed with the given `diff()` options;
+ * files present on one side only are reported as `Added` or `Removed`
+ * without being parsed. A file that cannot be read or parsed is reported
+ * with status `Error` and does not stop the comparison. Unchanged files are
+ * left out.
+ *
+ * `includeFiles` and `excludeFiles` are globs over relative paths (`*`, `?`,
+ * `**` and `{a,b}`); a pattern without `/` matches the file name at any
+ * depth, e.g. `*.yaml`.
+ *
+ * @param {string} oldDir - Old directory
+ * @param {string} newDir - New directory
+ * @param {object} [options] - `diff()` options plus:
+ * @param {string|string[]} [options.includeFiles] - Only compare matching files
+ * @param {string|string[]} [options.excludeFiles] - Skip matching files
+ * @param {object} [options.parseOptions] - Parser options by format (see `parseDocument()`)
+ * @returns {Array<object>} One `{ file, status, results, error? }` per changed file, sorted by file
+ */
+function diffDirectories(oldDir, newDir, options = {}) {
+    validateOptions(
+        options,
+        [...DIFF_OPTIONS, 'includeFiles', 'excludeFiles', 'parseOptions'],
+        'diffDirectories() option'
+    );
+    const { includeFiles, excludeFiles, parseOptions, ...diffOptions } = options;
+    validateParseOptions(parseOptions);
+    const keep = fileFilter(includeFiles, excludeFiles);
+
+    const oldFiles = listFiles(oldDir).filter(keep);
+    const newFiles = listFiles(newDir).filter(keep);
+    const files = [...new Set([...oldFiles, ...newFiles])].sort();
+    const inOld = new Set(oldFiles);
+    const inNew = new Set(newFiles);
+
+    const entries = [];
+    for (const file of files) {
+        if (!inNew.has(file)) {
+            entries.push({ file, status: 'Removed', results: [] });
+            continue;
+        }
+        if (!inOld.has(file)) {
+            entries.push({ file, status: 'Added', results: [] });
+            continue;
+        }
+        try {
+            const [oldValue, newValue] = [oldDir, newDir].map(dir => {
+                const filePath = path.join(dir, ...file.split('/'));
+                return parseDocument(fs.readFileSync(filePath, 'utf8'), {
+                    file: filePath,
+                    locations: true,
+                    parseOptions,
+                });
+            });
+            const results = diff(oldValue, newValue, diffOptions);
+            if (results.length > 0) {
+                entries.push({ file, status: 'Modified', results });
+            }
+        } catch (error) {
+            entries.push({ file, status: 'Error', results: [], error });
+        }
+    }
+    return entries;
+}
+
+/**
+ * Render `diffDirectories()` entries as one document. JSON formats produce a
+ * JSON array of `{ file, status, ... }` with each file's changes in that
+ * format; text formats ("diffx", "yaml") list each file under a
+ * `# <file> (<status>)` line, followed by its changes; "html" renders one
+ * page with a section per file; "sarif" one log and "junit" one report
+ * covering every file.
+ *
+ * @param {Array<object>} entries - Entries returned by `diffDirectories()`
+ * @param {string} [format="diffx"] - Any `formatOutput()` format
+ * @param {object} [options] - The format's `formatOutput()` options, except
+ *   `source` and `file`, which describe a single document
+ * @returns {string} Formatted output
+ */
+function formatDirectoryOutput(entries, format = 'diffx', options = {}) {
+    const name = String(format).toLowerCase();
+    const known = (FORMAT_OPTIONS[name] || []).filter(option => option !== 'source' && option !== 'file');
+    validateOptions(options, known, `${name} format option`);
+    if (REPORTERS[name]) {
+        return REPORTERS[name](entries, options);
+    }
+    if (JSON_FORMATS.includes(name)) {
+        return JSON.stringify(entries.map(entry => ({
+            file: entry.file,
+            status: entry.status,
+            ...(entry.error
+                ? { error: entry.error.message }
+                : { changes: JSON.parse(formatOutput(entry.results, format, options)) }),
+        })), null, 2);
+    }
+    if (name === 'html') {
+        return htmlDocument(options.title || 'diffx report', entries.map(entry => [
+            `<h2>${escapeHtml(entry.file)} (${entry.status})</h2>`,
+            entry.error
+                ? `<p class="error">${escapeHtml(entry.error.message)}</p>`
+                : htmlReport(entry.results),
+        ].join('\n')).join('\n'));
+    }
+    return entries.map(entry => {
+        const header = entry.error
+            ? `# ${entry.file} (Error: ${entry.error.message.split('\n')[0]})\n`
+            : `# ${entry.file} (${entry.status})\n`;
+        return header + (entry.results.length > 0 ? formatOutput(entry.results, format, options) : '');
+    }).join('');
+}
+
+/**
+ * Relative paths (with `/` separators) of the files below `dir`, following
+ * symbolic links to files.
+ */
+function listFiles(dir, prefix = '') {
+    const files = [];
+    for (const entry of fs.readdirSync(path.join(dir, prefix), { withFileTypes: true })) {
+        const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+            files.push(...listFiles(dir, relative));
+        } else if (entry.isFile() || (entry.isSymbolicLink() && fs.statSync(path.join(dir, relative)).isFile())) {
+            files.push(relative);
+        }
+    }
+    return files;
+}
+
+function fileFilter(includeFiles, excludeFiles) {
+    const includes = compileGlobs('includeFiles', includeFiles);
+    const excludes = compileGlobs('excludeFiles', excludeFiles);
+    return file => (includes.length === 0 || includes.some(glob => glob(file)))
+        && !excludes.some(glob => glob(file));
+}
+
+function compileGlobs(name, patterns) {
+    if (patterns === undefined || patterns === null) {
+        return [];
+    }
+    if (!Array.isArray(patterns) && typeof patterns !== 'string') {
+        throw new TypeError(`${name} must be a string or an array of strings`);
+    }
+    return [].concat(patterns).map(pattern => {
+        const regex = globToRegExp(pattern);
+        return pattern.includes('/')
+            ? file => regex.test(file)
+            : file => regex.test(file.slice(file.lastIndexOf('/') + 1));
+    });
+}
+
+/**
+ * Translate a file glob to a regular expression over a relative path.
+ */
+function globToRegExp(glob) {
+    let source = '';
+    let braces = 0;
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            // `**/` matches any number of directories, a trailing `**` anything.
+            const slash = glob[i + 2] === '/';
+            source += slash ? '(?:.*/)?' : '.*';
+            i += slash ? 2 : 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '{') {
+            braces++;
+            source += '(?:';
+        } else if (char === '}' && braces > 0) {
+            braces--;
+            source += ')';
+        } else if (char === ',' && braces > 0) {
+            source += '|';
+        } else {
+            source += char.replace(/[.+^$()|[\]\\{}]/g, '\\$&');
+        }
+    }
+    if (braces > 0) {
+        throw new Error(`Invalid file glob "${glob}": unterminated "{"`);
+    }
+    return new RegExp(`^${source}$`);
+}
+
+module.exports.diffDirectories = diffDirectories;
+module.exports.formatDirectoryOutput = formatDirectoryOutput;
@@ -0,0 +1,84 @@
+'use strict';
+
+/**
+ * `.env` parsing: one `KEY=value` assignment per line, optionally prefixed
+ * with `export`, into an object of strings. Lines starting with `#` are
+ * comments. Unquoted values are trimmed and end at a ` #` comment; single-
+ * and backtick-quoted values are literal; double-quoted values understand
+ * `\n`, `\r`, `\t`, `\"`, `\\` and `\$`. Quoted values may span lines.
+ * `${VAR}` references are kept as written, not expanded. A repeated key
+ * keeps its last value.
+ */
+
+const ASSIGNMENT = /^\s*(?:export\s+)?([A-Za-z_][\w.-]*)\s*=[ \t]*/;
+const ESCAPES = { n: '\n', r: '\r', t: '\t', '"': '"', '\\': '\\', $: '$' };
+
+/**
+ * @param {string} content - dotenv text
+ * @returns {object} Variables by name
+ */
+function parseDotenv(content) {
+    const text = content.replace(/^\uFEFF/, '');
+    const entries = [];
+    let offset = 0;
+    while (offset < text.length) {
+        const end = lineEnd(text, offset);
+        const line = text.slice(offset, end);
+        if (!line.trim() || line.trim().startsWith('#')) {
+            offset = end + 1;
+            continue;
+        }
+        const match = ASSIGNMENT.exec(line);
+        if (!match) {
+            fail(text, offset, `expected KEY=value, found ${JSON.stringify(line.trim())}`);
+        }
+        const [value, next] = readValue(text, offset + match[0].length);
+        entries.push([match[1], value]);
+        offset = next;
+    }
+    return Object.fromEntries(entries);
+}
+
+/**
+ * Read the value starting at `offset`, returning it and the offset of the
+ * next line.
+ */
+function readValue(text, offset) {
+    const quote = text[offset];
+    if (quote !== '"' && quote !== '\'' && quote !== '`') {
+        const end = lineEnd(text, offset);
+        const value = text.slice(offset, end).replace(/(^|\s)#.*$/, '').trim();
+        return [value, end + 1];
+    }
+
+    let value = '';
+    let i = offset + 1;
+    for (; text[i] !== quote; i++) {
+        if (i >= text.length) {
+            fail(text, offset, `unterminated ${quote} quoted value`);
+        }
+        if (quote === '"' && text[i] === '\\' && text[i + 1] in ESCAPES) {
+            value += ESCAPES[text[++i]];
+        } else {
+            value += text[i];
+        }
+    }
+    const end = lineEnd(text, i);
+    const rest = text.slice(i + 1, end).trim();
+    if (rest && !rest.startsWith('#')) {
+        fail(text, i, `unexpected ${JSON.stringify(rest)} after the closing quote`);
+    }
+    return [value.replace(/\r\n/g, '\n'), end + 1];
+}
+
+function lineEnd(text, offset) {
+    const end = text.indexOf('\n', offset);
+    return end === -1 ? text.length : end;
+}
+
+function fail(text, offset, message) {
+    const line = text.slice(0, offset).split('\n').length;
+    throw new Error(`dotenv parse error: ${message} on line ${line}`);
+}
+
+module.exports.parseDotenv = parseDotenv;
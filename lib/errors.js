@@ -0,0 +1,35 @@
+'use strict';
+
+/**
+ * Raised when a document cannot be parsed in its (given or detected) format.
+ *
+ * `file` names the offending input (a path, or `old` / `new` for in-memory
+ * content) and `format` the parser that rejected it, so callers comparing
+ * several documents can tell which side failed.
+ */
+class ParseError extends Error {
+    constructor(message, { file, format, cause } = {}) {
+        super(message);
+        this.name = 'ParseError';
+        this.file = file;
+        this.format = format;
+        this.cause = cause;
+    }
+}
+
+/**
+ * Raised when a diff result cannot be applied to a document, either because
+ * its path does not exist or, in strict mode, because the document does not
+ * hold the value the result expects.
+ */
+class PatchError extends Error {
+    constructor(message, { path, diffType } = {}) {
+        super(message);
+        this.name = 'PatchError';
+        this.path = path;
+        this.diffType = diffType;
+    }
+}
+
+module.exports.ParseError = ParseError;
+module.exports.PatchError = PatchError;
@@ -0,0 +1,69 @@
+'use strict';
+
+const fs = require('fs');
+const { DIFF_OPTIONS, diff, validateOptions } = require('./diff');
+const { parseDocument } = require('./formats');
+
+/**
+ * Split file-level options from the options forwarded to `diff()`.
+ */
+function splitOptions(options = {}) {
+    validateOptions(options, [...DIFF_OPTIONS, 'format', 'oldFormat', 'newFormat', 'parseOptions'], 'option');
+    const { format, oldFormat, newFormat, parseOptions, ...diffOptions } = options;
+    return {
+        oldFormat: oldFormat || format,
+        newFormat: newFormat || format,
+        parseOptions,
+        diffOptions,
+    };
+}
+
+/**
+ * Parse two documents and diff them.
+ *
+ * Each side is parsed on its own, so the two may be in different formats
+ * (e.g. a YAML file against the JSON it was generated from).
+ *
+ * @param {string} oldContent - Old document text
+ * @param {string} newContent - New document text
+ * @param {object} [options] - `diff()` options plus `format`, `oldFormat`, `newFormat`, `parseOptions`
+ * @returns {Array} Diff results
+ */
+function diffStrings(oldContent, newContent, options) {
+    const { oldFormat, newFormat, parseOptions, diffOptions } = splitOptions(options);
+    const oldValue = parseDocument(oldContent, { format: oldFormat, file: 'old', locations: true, parseOptions });
+    const newValue = parseDocument(newContent, { format: newFormat, file: 'new', locations: true, parseOptions });
+    return diff(oldValue, newValue, diffOptions);
+}
+
+/**
+ * Read, parse and diff two files.
+ *
+ * Formats are detected from the file extensions, falling back to content
+ * sniffing; `format`, `oldFormat` and `newFormat` override detection.
+ * `parseOptions` passes parser options by format (see `parseDocument()`).
+ *
+ * @param {string} oldPath - Path to the old file
+ * @param {string} newPath - Path to the new file
+ * @param {object} [options] - `diff()` options plus `format`, `oldFormat`, `newFormat`, `parseOptions`
+ * @returns {Array} Diff results
+ */
+function diffFiles(oldPath, newPath, options) {
+    const { oldFormat, newFormat, parseOptions, diffOptions } = splitOptions(options);
+    const oldValue = parseDocument(fs.readFileSync(oldPath, 'utf8'), {
+        format: oldFormat,
+        file: oldPath,
+        locations: true,
+        parseOptions,
+    });
+    const newValue = parseDocument(fs.readFileSync(newPath, 'utf8'), {
+        format: newFormat,
+        file: newPath,
+        locations: true,
+        parseOptions,
+    });
+    return diff(oldValue, newValue, diffOptions);
+}
+
+module.exports.diffStrings = diffStrings;
+module.exports.diffFiles = diffFiles;
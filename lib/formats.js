@@ -0,0 +1,292 @@
+'use strict';
+
+const path = require('path');
+const binding = require('../binding');
+const { validateOptions } = require('./diff');
+const { ParseError } = require('./errors');
+const { LOCATABLE, attachLocations } = require('./locations');
+const { CSV_OPTIONS, parseCsv } = require('./csv');
+const { parseDotenv } = require('./dotenv');
+const { parseHcl } = require('./hcl');
+const { parseJson5 } = require('./json5');
+const { parseNdjson } = require('./ndjson');
+const { parseProperties } = require('./properties');
+const { XML_OPTIONS, parseXml } = require('./xml');
+const { YAML_OPTIONS, parseYaml } = require('./yaml');
+
+/**
+ * Parser per format: native for the formats the binding reads, JavaScript
+ * for the others.
+ */
+const PARSERS = {
+    json: binding.parseJson,
+    yaml: binding.parseYaml,
+    toml: binding.parseToml,
+    ini: binding.parseIni,
+    xml: binding.parseXml,
+    csv: binding.parseCsv,
+    json5: parseJson5,
+    dotenv: parseDotenv,
+    properties: parseProperties,
+    ndjson: parseNdjson,
+    hcl: parseHcl,
+};
+
+/**
+ * Options each format's parser accepts, and the JavaScript parsers that
+ * implement them. The native parser is used whenever none is set.
+ */
+const PARSER_OPTIONS = {
+    json: [],
+    yaml: YAML_OPTIONS,
+    toml: [],
+    ini: [],
+    xml: XML_OPTIONS,
+    csv: CSV_OPTIONS,
+    json5: [],
+    dotenv: [],
+    properties: [],
+    ndjson: [],
+    hcl: [],
+};
+
+const OPTION_PARSERS = {
+    yaml: parseYaml,
+    xml: parseXml,
+    csv: parseCsv,
+};
+
+const ALIASES = {
+    yml: 'yaml',
+    jsonc: 'json5',
+    env: 'dotenv',
+    jsonl: 'ndjson',
+    tf: 'hcl',
+    tfvars: 'hcl',
+};
+
+const EXTENSIONS = {
+    '.json': 'json',
+    '.yaml': 'yaml',
+    '.yml': 'yaml',
+    '.toml': 'toml',
+    '.ini': 'ini',
+    '.cfg': 'ini',
+    '.xml': 'xml',
+    '.csv': 'csv',
+    '.json5': 'json5',
+    '.jsonc': 'json5',
+    '.env': 'dotenv',
+    '.properties': 'properties',
+    '.ndjson': 'ndjson',
+    '.jsonl': 'ndjson',
+    '.hcl': 'hcl',
+    '.tf': 'hcl',
+    '.tfvars': 'hcl',
+};
+
+/** `.env`, `.env.local`, `.env.production`, ... */
+const DOTENV_FILE = /^\.env(\.[^.]+)*$/i;
+
+const SECTION_LINE = /^\s*\[[^\]]+\]\s*$/;
+const ASSIGNMENT_LINE = /^\s*[\w."-]+\s*=/;
+const COMMENT_LINE = /^\s*[#;]/;
+const DOTENV_LINE = /^(export\s+)?[A-Z_][A-Z0-9_]*=/;
+const HCL_LINE = /^\s*[\w-]+(\s+("[^"]*"|[\w-]+))*\s*\{\s*$|^\s*[\w-]+\s*=\s*(\{|<<-?\w+)\s*$/;
+const JSON5_HINT = /\/[/*]|,\s*[}\]]/;
+
+/**
+ * Normalize a user-supplied format name ("YML" -> "yaml").
+ *
+ * Throws if the format is not one the package can parse.
+ */
+function normalizeFormat(format) {
+    const name = String(format).toLowerCase();
+    const normalized = ALIASES[name] || name;
+    if (!PARSERS[normalized]) {
+        throw new Error(
+            `Unsupported format: ${format} (expected one of ${Object.keys(PARSERS).join(', ')})`
+        );
+    }
+    return normalized;
+}
+
+/**
+ * Detect the format of a document.
+ *
+ * The file name wins when it is a known one (an extension, or `.env` and
+ * `.env.*`); otherwise the content is sniffed. A `.json` file that only
+ * JSON5 reads, such as a `tsconfig.json` with comments, is JSON5. YAML is
+ * the fallback since it accepts the widest range of input.
+ *
+ * @param {string} content - Document text
+ * @param {string} [filePath] - Path the content was read from
+ * @returns {string} One of the formats of `normalizeFormat()`, e.g. "json", "yaml" or "hcl"
+ */
+function detectFormat(content, filePath) {
+    if (filePath) {
+        const format = DOTENV_FILE.test(path.basename(filePath))
+            ? 'dotenv'
+            : EXTENSIONS[path.extname(filePath).toLowerCase()];
+        if (format === 'json' && JSON5_HINT.test(content) && !isJson(content) && isJson5(content)) {
+            return 'json5';
+        }
+        if (format) {
+            return format;
+        }
+    }
+    return sniffFormat(content);
+}
+
+function sniffFormat(content) {
+    const text = content.replace(/^\uFEFF/, '').trim();
+
+    if (text.startsWith('{') || text.startsWith('[')) {
+        if (isJson(text)) {
+            return 'json';
+        }
+        const records = text.split(/\r?\n/).filter(line => line.trim());
+        if (records.length > 1 && records.every(isJson)) {
+            return 'ndjson';
+        }
+        if (isJson5(text)) {
+            return 'json5';
+        }
+    }
+    if (text.startsWith('<')) {
+        return 'xml';
+    }
+
+    const lines = text.split(/\r?\n/).filter(line => line.trim() && !COMMENT_LINE.test(line));
+    if (lines.length === 0) {
+        return 'yaml';
+    }
+
+    if (lines.some(line => HCL_LINE.test(line))) {
+        return 'hcl';
+    }
+
+    if (lines.every(line => DOTENV_LINE.test(line))) {
+        return 'dotenv';
+    }
+
+    if (lines.every(line => SECTION_LINE.test(line) || ASSIGNMENT_LINE.test(line))) {
+        return isToml(text) ? 'toml' : 'ini';
+    }
+
+    if (looksLikeCsv(lines)) {
+        return 'csv';
+    }
+
+    return 'yaml';
+}
+
+function isJson(text) {
+    try {
+        JSON.parse(text);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function isJson5(text) {
+    try {
+        parseJson5(text);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function isToml(text) {
+    try {
+        binding.parseToml(text);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function looksLikeCsv(lines) {
+    if (lines.length < 2 || /^\s*-\s|^[^,]*:\s/.test(lines[0])) {
+        return false;
+    }
+    const columns = lines[0].split(',').length;
+    return columns > 1 && lines[1].split(',').length === columns;
+}
+
+/**
+ * Parse a document, detecting its format when none is given.
+ *
+ * Parser failures are rethrown as `ParseError` carrying the file label and
+ * the format that was tried.
+ *
+ * @param {string} content - Document text
+ * @param {object} [options]
+ * @param {string} [options.format] - Force a format instead of detecting it
+ * @param {string} [options.file] - Path or label used for detection, errors and locations
+ * @param {boolean} [options.locations] - Record source locations (see lib/locations.js)
+ * @param {object} [options.parseOptions] - Parser options by format, e.g. `{ csv: { delimiter: ';' } }`
+ * @returns {any} Parsed document
+ */
+function parseDocument(content, { format, file, locations, parseOptions = {} } = {}) {
+    validateParseOptions(parseOptions);
+    const resolved = format ? normalizeFormat(format) : detectFormat(content, file);
+    try {
+        return parseWith(resolved, content, { ...parseOptions[resolved], locations, file });
+    } catch (e) {
+        throw new ParseError(
+            `Failed to parse ${file || 'input'} as ${resolved.toUpperCase()}: ${e.message}`,
+            { file, format: resolved, cause: e }
+        );
+    }
+}
+
+/**
+ * Check a `parseOptions` object: keys are format names, values the options
+ * of that format's parser.
+ */
+function validateParseOptions(parseOptions = {}) {
+    validateOptions(parseOptions, Object.keys(PARSER_OPTIONS), 'parseOptions format');
+    for (const [format, options] of Object.entries(parseOptions)) {
+        validateOptions(options, PARSER_OPTIONS[format], `${format} parse option`);
+    }
+}
+
+/**
+ * Parse with the native parser, or with the JavaScript one when a parser
+ * option is set, then record locations if asked to. Multi-document YAML
+ * records the locations of each document itself.
+ */
+function parseWith(format, content, { locations, file, ...options }) {
+    if (format === 'yaml' && options.multiDocument) {
+        return parseYaml(content, { ...options, locations, file });
+    }
+    const custom = Object.values(options).some(option => option !== undefined);
+    const value = custom ? OPTION_PARSERS[format](content, options) : PARSERS[format](content);
+    return locations ? attachLocations(value, content, format, file) : value;
+}
+
+/**
+ * The public `parse*()` function for a format: the native parser, plus the
+ * format's parser options and `options.locations` (and `options.file`, the
+ * name to report in them) for the formats whose source locations can be
+ * recorded.
+ */
+function parser(format) {
+    const name = `parse${format[0].toUpperCase()}${format.slice(1)}()`;
+    const known = [...PARSER_OPTIONS[format], ...(LOCATABLE.includes(format) ? ['locations', 'file'] : [])];
+    return (content, options = {}) => {
+        validateOptions(options, known, `${name} option`);
+        return parseWith(format, content, options);
+    };
+}
+
+module.exports.detectFormat = detectFormat;
+module.exports.normalizeFormat = normalizeFormat;
+module.exports.parseDocument = parseDocument;
+module.exports.PARSER_OPTIONS = PARSER_OPTIONS;
+module.exports.parseWith = parseWith;
+module.exports.parser = parser;
+module.exports.validateParseOptions = validateParseOptions;
@@ -0,0 +1,448 @@
+'use strict';
+
+/**
+ * HCL (HashiCorp Configuration Language, version 2) parsing, for Terraform
+ * `.tf` and `.tfvars` files.
+ *
+ * Attributes become keys. A block nests its body under its type and then
+ * each of its labels, so `resource "aws_instance" "web" { ... }` reads as
+ * `{ resource: { aws_instance: { web: { ... } } } }`; repeated blocks of the
+ * same type and labels collect into an array. Literal values (strings,
+ * heredocs, numbers, booleans, null, and lists and objects of them) read as
+ * their values. Any other expression, such as `var.region` or
+ * `upper(local.name)`, is not evaluated but kept as its source text in
+ * `${...}`, the way string templates are kept as written.
+ */
+
+const IDENTIFIER = /^[\p{ID_Start}_][\p{ID_Continue}-]*/u;
+const NUMBER = /^-?\d+(\.\d+)?([eE][+-]?\d+)?/;
+const HEREDOC = /^<<(-?)([\p{ID_Start}_][\p{ID_Continue}-]*)[ \t]*\r?\n/u;
+const ESCAPES = { n: '\n', r: '\r', t: '\t', '"': '"', '\\': '\\' };
+
+/** The `kinds` (see `addBlock()`) of the objects holding block labels. */
+const labelKinds = new WeakMap();
+
+/** Thrown while reading a literal that turns out to be some other expression. */
+const NOT_LITERAL = Symbol('NOT_LITERAL');
+
+/**
+ * @param {string} content - HCL text
+ * @returns {object} The body's attributes and blocks
+ */
+function parseHcl(content) {
+    const reader = { text: content.replace(/^\uFEFF/, ''), offset: 0 };
+    return readBody(reader, false);
+}
+
+/**
+ * Read attributes and blocks up to the end of the input, or up to the `}`
+ * closing a nested body.
+ */
+function readBody(reader, nested) {
+    const { text } = reader;
+    const body = {};
+    const kinds = new Map();
+    for (;;) {
+        skipSpace(reader, true);
+        if (reader.offset >= text.length) {
+            if (nested) {
+                fail(reader, 'expected "}"');
+            }
+            return body;
+        }
+        if (text[reader.offset] === '}') {
+            if (!nested) {
+                fail(reader, 'unexpected "}"');
+            }
+            reader.offset++;
+            return body;
+        }
+        const name = readIdentifier(reader, 'expected an attribute or block');
+        skipSpace(reader, false);
+        if (text[reader.offset] === '=' && text[reader.offset + 1] !== '=') {
+            reader.offset++;
+            skipSpace(reader, false);
+            if (kinds.has(name)) {
+                fail(reader, `"${name}" is defined twice`);
+            }
+            kinds.set(name, 'attribute');
+            define(body, name, readExpression(reader, true));
+            skipSpace(reader, false);
+            const next = text[reader.offset];
+            if (next !== undefined && next !== '\n' && next !== '\r' && !(nested && next === '}')) {
+                fail(reader, `expected a new line after attribute "${name}", found ${describe(reader)}`);
+            }
+        } else {
+            const labels = [];
+            while (text[reader.offset] !== '{') {
+                labels.push(text[reader.offset] === '"'
+                    ? readString(reader)
+                    : readIdentifier(reader, `expected a label or "{" after block "${name}"`));
+                skipSpace(reader, false);
+            }
+            reader.offset++;
+            addBlock(reader, body, kinds, [name, ...labels], readBody(reader, true));
+        }
+    }
+}
+
+/**
+ * Nest a block's body under its type and labels. `kinds` tells, for each
+ * key of `target`, whether it holds an attribute, a block body, an array of
+ * block bodies or a level of labels.
+ */
+function addBlock(reader, target, kinds, keys, body) {
+    const [key, ...rest] = keys;
+    const kind = kinds.get(key);
+    if (kind === 'attribute') {
+        fail(reader, `"${key}" is defined both as an attribute and as a block`);
+    }
+    if (kind !== undefined && (kind === 'labels') !== (rest.length > 0)) {
+        fail(reader, `blocks "${keys.join(' ')}" do not have the same labels as an earlier block`);
+    }
+    if (rest.length > 0) {
+        if (kind === undefined) {
+            define(target, key, {});
+            kinds.set(key, 'labels');
+            labelKinds.set(target[key], new Map());
+        }
+        addBlock(reader, target[key], labelKinds.get(target[key]), rest, body);
+    } else if (kind === undefined) {
+        define(target, key, body);
+        kinds.set(key, 'block');
+    } else {
+        target[key] = kind === 'blocks' ? [...target[key], body] : [target[key], body];
+        kinds.set(key, 'blocks');
+    }
+}
+
+/**
+ * Read the expression at the offset: its value when it is a literal, and
+ * `${source}` otherwise. An expression ends at a `,`, at the bracket closing
+ * the enclosing one, at a comment or, when `lineEnds`, at the end of the line.
+ */
+function readExpression(reader, lineEnds) {
+    const start = reader.offset;
+    const end = scanExpression(reader, lineEnds);
+    const source = reader.text.slice(start, end).trim();
+    if (!source) {
+        fail(reader, 'expected a value');
+    }
+    const literal = { text: reader.text, offset: start };
+    let value;
+    try {
+        value = readLiteral(literal);
+    } catch (e) {
+        if (e !== NOT_LITERAL) {
+            throw e;
+        }
+        literal.offset = start;
+    }
+    reader.offset = end;
+    return literal.offset > start && !reader.text.slice(literal.offset, end).trim() ? value : `\${${source}}`;
+}
+
+function readLiteral(reader) {
+    const { text, offset } = reader;
+    const char = text[offset];
+    if (char === '"') {
+        return readString(reader);
+    }
+    if (char === '[') {
+        return readList(reader);
+    }
+    if (char === '{') {
+        return readObject(reader);
+    }
+    if (HEREDOC.test(text.slice(offset, offset + 256))) {
+        return readHeredoc(reader);
+    }
+    const word = IDENTIFIER.exec(text.slice(offset, offset + 256));
+    const keywords = { true: true, false: false, null: null };
+    if (word && word[0] in keywords) {
+        reader.offset += word[0].length;
+        return keywords[word[0]];
+    }
+    const number = NUMBER.exec(text.slice(offset, offset + 256));
+    if (number && !/[\w.]/.test(text[offset + number[0].length] || '')) {
+        reader.offset += number[0].length;
+        return Number(number[0]);
+    }
+    throw NOT_LITERAL;
+}
+
+function readList(reader) {
+    const items = [];
+    reader.offset++;
+    for (;;) {
+        skipSpace(reader, true);
+        if (reader.text[reader.offset] === ']') {
+            reader.offset++;
+            return items;
+        }
+        if (/^for\s/.test(reader.text.slice(reader.offset, reader.offset + 4))) {
+            throw NOT_LITERAL;
+        }
+        items.push(readExpression(reader, false));
+        skipSpace(reader, true);
+        if (reader.text[reader.offset] === ',') {
+            reader.offset++;
+        } else if (reader.text[reader.offset] !== ']') {
+            throw NOT_LITERAL;
+        }
+    }
+}
+
+function readObject(reader) {
+    const { text } = reader;
+    const object = {};
+    reader.offset++;
+    for (;;) {
+        skipSpace(reader, true);
+        if (text[reader.offset] === '}') {
+            reader.offset++;
+            return object;
+        }
+        if (/^for\s/.test(text.slice(reader.offset, reader.offset + 4))) {
+            throw NOT_LITERAL;
+        }
+        const key = text[reader.offset] === '"' ? readString(reader) : readKey(reader);
+        skipSpace(reader, false);
+        if (text[reader.offset] !== '=' && text[reader.offset] !== ':') {
+            throw NOT_LITERAL;
+        }
+        reader.offset++;
+        skipSpace(reader, false);
+        if (Object.prototype.hasOwnProperty.call(object, key)) {
+            fail(reader, `duplicate key "${key}"`);
+        }
+        define(object, key, readExpression(reader, true));
+        skipSpace(reader, false);
+        if (text[reader.offset] === ',') {
+            reader.offset++;
+        } else if (!/[\r\n}]/.test(text[reader.offset] || '')) {
+            throw NOT_LITERAL;
+        }
+    }
+}
+
+function readKey(reader) {
+    const match = IDENTIFIER.exec(reader.text.slice(reader.offset, reader.offset + 256));
+    if (!match) {
+        throw NOT_LITERAL;
+    }
+    reader.offset += match[0].length;
+    return match[0];
+}
+
+/**
+ * Read a quoted string, decoding its escapes but keeping `${...}` and
+ * `%{...}` template sequences (and their `$${` and `%%{` escapes) as written.
+ */
+function readString(reader) {
+    const { text } = reader;
+    let value = '';
+    let i = reader.offset + 1;
+    for (;;) {
+        const char = text[i];
+        if (char === undefined || char === '\n' || char === '\r') {
+            reader.offset = i;
+            fail(reader, 'unterminated string');
+        }
+        if (char === '"') {
+            reader.offset = i + 1;
+            return value;
+        }
+        if (char === '\\') {
+            const next = text[i + 1];
+            const unicode = /^(u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8})/.exec(text.slice(i + 1, i + 10));
+            if (unicode) {
+                value += String.fromCodePoint(parseInt(unicode[0].slice(1), 16));
+                i += 1 + unicode[0].length;
+            } else if (next in ESCAPES) {
+                value += ESCAPES[next];
+                i += 2;
+            } else {
+                reader.offset = i;
+                fail(reader, `invalid escape "\\${next}"`);
+            }
+        } else if (text.startsWith('$${', i) || text.startsWith('%%{', i)) {
+            value += text.slice(i, i + 3);
+            i += 3;
+        } else if (text.startsWith('${', i) || text.startsWith('%{', i)) {
+            const end = skipTemplate(reader, i + 2);
+            value += text.slice(i, end);
+            i = end;
+        } else {
+            value += char;
+            i++;
+        }
+    }
+}
+
+/**
+ * Read a `<<EOT` heredoc, up to the line holding only its marker. The
+ * `<<-EOT` form drops the indentation its lines share.
+ */
+function readHeredoc(reader) {
+    const { text } = reader;
+    const [header, indented, marker] = HEREDOC.exec(text.slice(reader.offset, reader.offset + 256));
+    const lines = [];
+    let offset = reader.offset + header.length;
+    for (;;) {
+        if (offset >= text.length) {
+            fail(reader, `heredoc <<${indented}${marker} is not closed`);
+        }
+        const end = text.indexOf('\n', offset) === -1 ? text.length : text.indexOf('\n', offset);
+        const line = text.slice(offset, end).replace(/\r$/, '');
+        if (line.trim() === marker) {
+            reader.offset = offset + line.indexOf(marker) + marker.length;
+            break;
+        }
+        lines.push(line);
+        offset = end + 1;
+    }
+    if (indented) {
+        const indents = lines.filter(line => line.trim()).map(line => /^[ \t]*/.exec(line)[0].length);
+        const indent = Math.min(...indents);
+        return lines.map(line => `${line.slice(indent)}\n`).join('');
+    }
+    return lines.map(line => `${line}\n`).join('');
+}
+
+/**
+ * Find the end of the expression at the offset (see `readExpression()`),
+ * stepping over nested brackets, strings, heredocs and comments.
+ */
+function scanExpression(reader, lineEnds) {
+    const { text } = reader;
+    let depth = 0;
+    let i = reader.offset;
+    while (i < text.length) {
+        const char = text[i];
+        if (char === '"') {
+            const string = { text, offset: i };
+            readString(string);
+            i = string.offset;
+            continue;
+        }
+        if (char === '<' && HEREDOC.test(text.slice(i, i + 256))) {
+            const heredoc = { text, offset: i };
+            readHeredoc(heredoc);
+            i = heredoc.offset;
+            continue;
+        }
+        if (text.startsWith('/*', i)) {
+            const end = text.indexOf('*/', i + 2);
+            if (end === -1) {
+                reader.offset = i;
+                fail(reader, 'unterminated comment');
+            }
+            i = end + 2;
+            continue;
+        }
+        if (char === '#' || text.startsWith('//', i)) {
+            if (depth === 0) {
+                break;
+            }
+            i = text.indexOf('\n', i) === -1 ? text.length : text.indexOf('\n', i);
+            continue;
+        }
+        if ('([{'.includes(char)) {
+            depth++;
+        } else if (')]}'.includes(char)) {
+            if (depth === 0) {
+                break;
+            }
+            depth--;
+        } else if (depth === 0 && (char === ',' || (lineEnds && char === '\n'))) {
+            break;
+        }
+        i++;
+    }
+    if (depth > 0) {
+        reader.offset = i;
+        fail(reader, 'unclosed bracket in expression');
+    }
+    return i;
+}
+
+/**
+ * Find the `}` closing a template sequence whose body starts at `offset`,
+ * returning the offset after it.
+ */
+function skipTemplate(reader, offset) {
+    const { text } = reader;
+    let depth = 1;
+    let i = offset;
+    while (depth > 0) {
+        if (i >= text.length) {
+            reader.offset = offset;
+            fail(reader, 'unterminated template sequence');
+        }
+        if (text[i] === '"') {
+            const string = { text, offset: i };
+            readString(string);
+            i = string.offset;
+            continue;
+        }
+        depth += text[i] === '{' ? 1 : text[i] === '}' ? -1 : 0;
+        i++;
+    }
+    return i;
+}
+
+function readIdentifier(reader, message) {
+    const match = IDENTIFIER.exec(reader.text.slice(reader.offset, reader.offset + 256));
+    if (!match) {
+        fail(reader, `${message}, found ${describe(reader)}`);
+    }
+    reader.offset += match[0].length;
+    return match[0];
+}
+
+/**
+ * Skip spaces and comments, and also line breaks when `lineBreaks`. A line
+ * comment is skipped up to, not including, its line break.
+ */
+function skipSpace(reader, lineBreaks) {
+    const { text } = reader;
+    for (;;) {
+        const char = text[reader.offset];
+        if (char === ' ' || char === '\t' || char === '\r' || (lineBreaks && char === '\n')) {
+            reader.offset++;
+        } else if (char === '#' || text.startsWith('//', reader.offset)) {
+            const end = text.indexOf('\n', reader.offset);
+            reader.offset = end === -1 ? text.length : end;
+        } else if (text.startsWith('/*', reader.offset)) {
+            const end = text.indexOf('*/', reader.offset + 2);
+            if (end === -1) {
+                fail(reader, 'unterminated comment');
+            }
+            reader.offset = end + 2;
+        } else {
+            return;
+        }
+    }
+}
+
+/** Set a key, including `__proto__`, as an own property. */
+function define(object, key, value) {
+    Object.defineProperty(object, key, { value, writable: true, enumerable: true, configurable: true });
+}
+
+function describe(reader) {
+    const char = reader.text[reader.offset];
+    if (char === undefined) {
+        return 'end of input';
+    }
+    return char === '\n' ? 'end of line' : JSON.stringify(char);
+}
+
+function fail(reader, message) {
+    const lines = reader.text.slice(0, reader.offset).split('\n');
+    const column = lines[lines.length - 1].length + 1;
+    throw new Error(`HCL parse error: ${message} at line ${lines.length} column ${column}`);
+}
+
+module.exports.parseHcl = parseHcl;
@@ -0,0 +1,143 @@
+'use strict';
+
+const { buildTree, formatValue, summarize } = require('./tree');
+
+const STYLE = `
+body { font: 14px/1.4 system-ui, sans-serif; margin: 2em; color: #1f2328; }
+h1 { font-size: 1.4em; }
+h2 { font-size: 1.15em; margin-top: 2em; }
+.summary { color: #59636e; }
+.error { color: #b3261e; }
+.diff { border: 1px solid #d1d9e0; border-radius: 6px; overflow: hidden; }
+.row { display: grid; grid-template-columns: minmax(10em, 1fr) 2fr 2fr; border-top: 1px solid #d1d9e0; }
+.row > * { padding: 2px 8px; padding-left: calc(8px + var(--depth, 0) * 1.25em); }
+.row > .old, .row > .new { padding-left: 8px; }
+.head { font-weight: 600; background: #f6f8fa; border-top: 0; }
+summary { cursor: pointer; padding: 2px 8px; padding-left: calc(8px + var(--depth, 0) * 1.25em); border-top: 1px solid #d1d9e0; font-family: ui-monospace, monospace; }
+.key { font-family: ui-monospace, monospace; }
+pre { margin: 0; white-space: pre-wrap; word-break: break-word; }
+.note { color: #59636e; font-size: 0.85em; }
+.added .new, .modified .new, .type-changed .new { background: #dafbe1; }
+.removed .old, .modified .old, .type-changed .old { background: #ffebe9; }
+.moved .old, .moved .new { background: #ddf4ff; }
+`;
+
+const CLASSES = {
+    Added: 'added',
+    Removed: 'removed',
+    Modified: 'modified',
+    TypeChanged: 'type-changed',
+    Moved: 'moved',
+};
+
+/**
+ * Render results as a self-contained HTML page: a summary line and a table
+ * of the changed paths, nested in collapsible sections by key, with the old
+ * and new values side by side. The page needs no scripts or external files.
+ *
+ * @param {Array} results - Diff results
+ * @param {object} [options]
+ * @param {string} [options.title="diffx report"] - Page title
+ * @returns {string} HTML document
+ */
+function formatHtml(results, options = {}) {
+    return htmlDocument(options.title || 'diffx report', htmlReport(results));
+}
+
+/**
+ * A complete page around already rendered `body` markup.
+ */
+function htmlDocument(title, body) {
+    return [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        '<head>',
+        '<meta charset="utf-8">',
+        `<title>${escapeHtml(title)}</title>`,
+        `<style>${STYLE}</style>`,
+        '</head>',
+        '<body>',
+        `<h1>${escapeHtml(title)}</h1>`,
+        body,
+        '</body>',
+        '</html>',
+        '',
+    ].join('\n');
+}
+
+/**
+ * The summary and table for one set of results, without the page around it.
+ */
+function htmlReport(results) {
+    const summary = `<p class="summary">${escapeHtml(summarize(results))}</p>`;
+    if (results.length === 0) {
+        return summary;
+    }
+    const lines = [
+        summary,
+        '<div class="diff">',
+        '<div class="row head"><span>Path</span><span>Old</span><span>New</span></div>',
+    ];
+    renderNode(buildTree(results), lines);
+    lines.push('</div>');
+    return lines.join('\n');
+}
+
+function renderNode(node, lines) {
+    for (const result of node.results) {
+        lines.push(renderChange(node, result));
+    }
+    for (const child of node.children) {
+        if (child.children.length === 0) {
+            renderNode(child, lines);
+            continue;
+        }
+        lines.push(`<details open style="--depth: ${child.depth - 1}">`);
+        lines.push(`<summary>${escapeHtml(child.label)}</summary>`);
+        renderNode(child, lines);
+        lines.push('</details>');
+    }
+}
+
+function renderChange(node, result) {
+    const cell = (side, value, note) => {
+        const content = value === undefined ? '' : `<pre>${escapeHtml(formatValue(value, 2))}</pre>`;
+        return `<div class="${side}">${content}${note ? `<span class="note">${note}</span>` : ''}</div>`;
+    };
+    let oldCell;
+    let newCell;
+    switch (result.diffType) {
+        case 'Added':
+            oldCell = cell('old');
+            newCell = cell('new', result.newValue !== undefined ? result.newValue : result.value);
+            break;
+        case 'Removed':
+            oldCell = cell('old', result.oldValue !== undefined ? result.oldValue : result.value);
+            newCell = cell('new');
+            break;
+        case 'Moved':
+            oldCell = cell('old', result.value, `at index ${result.fromIndex}`);
+            newCell = cell('new', result.value, `at index ${result.toIndex}`);
+            break;
+        default:
+            oldCell = cell('old', result.oldValue);
+            newCell = cell('new', result.newValue);
+    }
+    const label = node.label || '(root)';
+    const depth = Math.max(node.depth - 1, 0);
+    return `<div class="row ${CLASSES[result.diffType]}" title="${result.diffType}" style="--depth: ${depth}">`
+        + `<span class="key">${escapeHtml(label)}</span>${oldCell}${newCell}</div>`;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports.formatHtml = formatHtml;
+module.exports.htmlDocument = htmlDocument;
+module.exports.htmlReport = htmlReport;
+module.exports.escapeHtml = escapeHtml;
@@ -0,0 +1,73 @@
+'use strict';
+
+const { diff } = require('./diff');
+const { formatOutput } = require('./output');
+const { resultPath } = require('./path');
+const { isPlainObject } = require('./values');
+
+const DIFF_TYPES = ['Added', 'Removed', 'Modified', 'TypeChanged', 'Moved'];
+
+/**
+ * Assert that `received` equals `expected` by `diff()`, with its options
+ * (`epsilon`, `ignoreKeysRegex`, `arrayIdKey`, ...). A failure lists the
+ * differences in diffx format, from `expected` (old) to `received` (new).
+ */
+function toSemanticallyEqual(received, expected, options) {
+    const results = diff(expected, received, options);
+    const pass = results.length === 0;
+    const hint = this.utils.matcherHint('toSemanticallyEqual', undefined, undefined, {
+        isNot: this.isNot,
+        promise: this.promise,
+    });
+    return {
+        pass,
+        message: pass
+            ? () => `${hint}\n\nExpected: not semantically equal to ${this.utils.printExpected(expected)}\n`
+                + `Received: ${this.utils.printReceived(received)}`
+            : () => `${hint}\n\nDifferences from expected to received:\n\n${render(results)}`,
+    };
+}
+
+const matchers = { toSemanticallyEqual };
+
+/**
+ * Snapshot serializer printing arrays of `diff()` results in diffx format,
+ * sorted by path so that snapshots do not depend on result order.
+ */
+const serializer = {
+    test: value => Array.isArray(value) && value.length > 0 && value.every(isDiffResult),
+    serialize: value => render(value),
+};
+
+/**
+ * Add the matcher and the serializer to `expect`, Jest's or Vitest's, whose
+ * `extend()` and `addSnapshotSerializer()` take them alike.
+ */
+function register(expect) {
+    expect.extend(matchers);
+    expect.addSnapshotSerializer(serializer);
+}
+
+function isDiffResult(value) {
+    return isPlainObject(value)
+        && DIFF_TYPES.includes(value.diffType)
+        && (typeof value.path === 'string' || Array.isArray(value.pathSegments) || typeof value.pointer === 'string');
+}
+
+function render(results) {
+    const sorted = [...results].sort((a, b) => compareStrings(resultPath(a), resultPath(b))
+        || compareStrings(a.diffType, b.diffType));
+    return formatOutput(sorted, 'diffx').trimEnd();
+}
+
+function compareStrings(a, b) {
+    if (a === b) {
+        return 0;
+    }
+    return a < b ? -1 : 1;
+}
+
+module.exports.matchers = matchers;
+module.exports.toSemanticallyEqual = toSemanticallyEqual;
+module.exports.serializer = serializer;
+module.exports.register = register;
@@ -0,0 +1,457 @@
+'use strict';
+
+const { diff, validateOptions } = require('./diff');
+const { PatchError } = require('./errors');
+const { applyDiff, oldLocations, orderSteps } = require('./patch');
+const { formatPath, formatPointer, parsePointer, resolveSegment, resultPath, resultSegments } = require('./path');
+const { clone, isDeepEqual, isPlainObject } = require('./values');
+
+const ARRAY_INDEX = /^(0|[1-9]\d*)$/;
+
+/**
+ * Convert diff results to an RFC 6902 JSON Patch.
+ *
+ * Operations are emitted in an order that is valid to apply sequentially,
+ * and a `Moved` result becomes one `move` operation. Paths that match array
+ * elements by `arrayIdKey` are located by the results' `pointer`s; passing
+ * the document the results were computed from as `source` resolves them
+ * against it instead, step by step.
+ *
+ * @param {Array} results - Results returned by `diff()`
+ * @param {object} [options]
+ * @param {any} [options.source] - The old document of the diff
+ * @returns {Array<object>} JSON Patch operations
+ */
+function toJsonPatch(results, options = {}) {
+    validateOptions(options, ['source'], 'toJsonPatch() option');
+    const hasSource = options.source !== undefined;
+    let working = hasSource ? clone(options.source) : undefined;
+    const moving = new Map(results
+        .filter(result => result.diffType === 'Moved')
+        .map(result => [JSON.stringify(resultSegments(result).slice(0, -1)), arrayPositions()]));
+    const operations = [];
+
+    for (const step of orderSteps(hasSource ? results : locateByPointer(results))) {
+        const operation = toOperation(step, working, moving.get(JSON.stringify(step.segments.slice(0, -1))));
+        if (!operation) {
+            continue;
+        }
+        operations.push(operation);
+        if (hasSource) {
+            working = applyOperation(working, operation);
+        }
+    }
+
+    return operations;
+}
+
+/**
+ * The operation for one step of `orderSteps()`. In an array with moves,
+ * `positions` turns the indices of the results into indices in the array as
+ * patched so far.
+ */
+function toOperation({ result, segments, move }, working, positions) {
+    const path = toPointer(result, segments, working);
+    const last = segments[segments.length - 1];
+    const at = index => formatPointer([...parsePointer(path).slice(0, -1), index]);
+    switch (result.diffType) {
+        case 'Added':
+            return { op: 'add', path: positions ? at(positions.insert(last)) : path, value: result.newValue };
+        case 'Removed':
+            return { op: 'remove', path: positions ? at(positions.remove(last)) : path };
+        case 'Modified':
+        case 'TypeChanged':
+            return { op: 'replace', path, value: result.newValue };
+        case 'Moved': {
+            if (move === 'take') {
+                positions.take(result.fromIndex);
+                return undefined;
+            }
+            const { from, to } = positions.put(result.fromIndex, result.toIndex);
+            return { op: 'move', from: at(from), path: at(to) };
+        }
+        default:
+            throw new PatchError(`Invalid diff result type: ${result.diffType}`, result);
+    }
+}
+
+/**
+ * Track the elements of an array while its edits are converted, in the
+ * order of `orderSteps()`: removals by old index, then insertions and moves
+ * by new index. A moved element keeps its old place until it is put back
+ * with one `move` operation, so insertions before then skip over the
+ * elements waiting to move.
+ */
+function arrayPositions() {
+    const slots = [];
+    const waiting = new Set();
+    let seen = 0;
+    const extendTo = length => {
+        while (slots.length < length) {
+            slots.push(seen++);
+        }
+    };
+    const indexOf = oldIndex => {
+        while (seen <= oldIndex) {
+            slots.push(seen++);
+        }
+        return slots.indexOf(oldIndex);
+    };
+    const insert = newIndex => {
+        let index = 0;
+        for (let before = 0; before < newIndex || waiting.has(slots[index]); index++) {
+            extendTo(index + 1);
+            before += waiting.has(slots[index]) ? 0 : 1;
+        }
+        slots.splice(index, 0, null);
+        return index;
+    };
+    return {
+        insert,
+        remove: oldIndex => {
+            const index = indexOf(oldIndex);
+            slots.splice(index, 1);
+            return index;
+        },
+        take: oldIndex => {
+            indexOf(oldIndex);
+            waiting.add(oldIndex);
+        },
+        put: (oldIndex, newIndex) => {
+            const from = indexOf(oldIndex);
+            slots.splice(from, 1);
+            waiting.delete(oldIndex);
+            return { from, to: insert(newIndex) };
+        },
+    };
+}
+
+/**
+ * Without the source document, locate identity segments by the results'
+ * `pointer`s. Elements added or removed by identity then become index
+ * edits, ordered like any others, and an identity segment above an addition,
+ * which its pointer locates in the new document, is mapped back to the old
+ * one.
+ */
+function locateByPointer(results) {
+    const located = results.map(result => {
+        const segments = resultSegments(result);
+        if (!segments.some(segment => typeof segment === 'object')) {
+            return { result, segments, identities: [] };
+        }
+        const tokens = typeof result.pointer === 'string' ? parsePointer(result.pointer) : [];
+        if (tokens.length !== segments.length) {
+            throw new Error(`Cannot convert "${resultPath(result)}" to a JSON Pointer without the source document`);
+        }
+        const identities = [];
+        const indexed = segments.map((segment, i) => {
+            if (typeof segment !== 'object') {
+                return segment;
+            }
+            if (!ARRAY_INDEX.test(tokens[i])) {
+                throw new PatchError(`Cannot convert "${resultPath(result)}": no array element matches`, result);
+            }
+            identities.push(i);
+            return Number(tokens[i]);
+        });
+        return { result: { ...result, pathSegments: indexed }, segments: indexed, identities };
+    });
+
+    const toOld = oldLocations(located.map(({ result }) => result));
+    return located.map(({ result, segments, identities }) => {
+        const above = identities.filter(i => i < segments.length - 1);
+        if (result.diffType !== 'Added' || above.length === 0) {
+            return result;
+        }
+        const mapped = segments.slice();
+        for (const i of above) {
+            mapped[i] = toOld(segments.slice(0, i + 1))[i];
+        }
+        return { ...result, path: formatPath(mapped), pathSegments: mapped };
+    });
+}
+
+function toPointer(result, segments, working) {
+    const tokens = [];
+    let node = working;
+
+    segments.forEach((segment, i) => {
+        const isLast = i === segments.length - 1;
+        if (typeof segment === 'object') {
+            const index = resolveSegment(node, segment);
+            if (index === undefined && !(isLast && result.diffType === 'Added')) {
+                throw new PatchError(`Cannot convert "${resultPath(result)}": no array element matches`, result);
+            }
+            tokens.push(index === undefined ? '-' : index);
+            node = index === undefined ? undefined : node[index];
+        } else {
+            tokens.push(segment);
+            node = node !== null && typeof node === 'object' ? node[segment] : undefined;
+        }
+    });
+
+    return formatPointer(tokens);
+}
+
+/**
+ * Convert an RFC 6902 JSON Patch to diff results.
+ *
+ * With a `source` document the patch is applied to a copy of it (honouring
+ * `move`, `copy` and `test`) and the results are the diff between the two,
+ * so old values and array shifts are exact. Without one, `add`, `remove`
+ * and `replace` are mapped one to one and numeric tokens are read as array
+ * indices. The patch does not hold the values it removes or replaces, so
+ * Removed results then have no `value` and Modified ones no `oldValue`.
+ *
+ * @param {Array<object>} operations - JSON Patch operations
+ * @param {object} [options]
+ * @param {any} [options.source] - Document the patch applies to
+ * @returns {Array} Diff results
+ */
+function fromJsonPatch(operations, options = {}) {
+    validateOptions(options, ['source'], 'fromJsonPatch() option');
+    if (options.source !== undefined) {
+        const patched = applyJsonPatch(options.source, operations);
+        return diff(options.source, patched);
+    }
+
+    return operations.map(operation => {
+        const pathSegments = parsePointer(operation.path).map(toSegment);
+        const location = { path: formatPath(pathSegments), pathSegments, pointer: operation.path };
+        switch (operation.op) {
+            case 'add':
+                if (operation.path.endsWith('/-')) {
+                    throw new Error('Appending with "-" requires the source document');
+                }
+                return { diffType: 'Added', ...location, newValue: operation.value };
+            case 'remove':
+                return { diffType: 'Removed', ...location };
+            case 'replace':
+                return { diffType: 'Modified', ...location, newValue: operation.value };
+            default:
+                throw new Error(`JSON Patch operation "${operation.op}" requires the source document`);
+        }
+    });
+}
+
+function toSegment(token) {
+    return ARRAY_INDEX.test(token) ? Number(token) : token;
+}
+
+/**
+ * Apply an RFC 6902 JSON Patch to a copy of a document.
+ */
+function applyJsonPatch(document, operations) {
+    let patched = clone(document);
+    for (const operation of operations) {
+        patched = applyOperation(patched, operation);
+    }
+    return patched;
+}
+
+function applyOperation(document, operation) {
+    const tokens = parsePointer(operation.path);
+    switch (operation.op) {
+        case 'add':
+            return addValue(document, tokens, clone(operation.value), operation);
+        case 'remove':
+            return removeValue(document, tokens, operation).document;
+        case 'replace': {
+            const { document: removed } = removeValue(document, tokens, operation);
+            return addValue(removed, tokens, clone(operation.value), operation);
+        }
+        case 'move': {
+            const { document: removed, value } = removeValue(
+                document, parsePointer(operation.from), operation
+            );
+            return addValue(removed, tokens, value, operation);
+        }
+        case 'copy':
+            return addValue(
+                document, tokens, clone(getValue(document, parsePointer(operation.from), operation)), operation
+            );
+        case 'test':
+            if (!isDeepEqual(getValue(document, tokens, operation), operation.value)) {
+                fail(operation, `expected ${JSON.stringify(operation.value)}`);
+            }
+            return document;
+        default:
+            return fail(operation, 'unsupported operation');
+    }
+}
+
+function fail(operation, reason) {
+    throw new PatchError(`Cannot apply JSON Patch "${operation.op}" at "${operation.path}": ${reason}`, {
+        path: operation.path,
+    });
+}
+
+function getValue(document, tokens, operation) {
+    let node = document;
+    for (const token of tokens) {
+        const key = childKey(node, token, operation);
+        if (key === undefined || !Object.prototype.hasOwnProperty.call(node, key)) {
+            fail(operation, 'path not found');
+        }
+        node = node[key];
+    }
+    return node;
+}
+
+function childKey(node, token, operation) {
+    if (Array.isArray(node)) {
+        return ARRAY_INDEX.test(token) ? Number(token) : undefined;
+    }
+    if (isPlainObject(node)) {
+        return token;
+    }
+    return fail(operation, 'path not found');
+}
+
+function addValue(document, tokens, value, operation) {
+    if (tokens.length === 0) {
+        return value;
+    }
+    const parent = getValue(document, tokens.slice(0, -1), operation);
+    const token = tokens[tokens.length - 1];
+    if (Array.isArray(parent)) {
+        const index = token === '-' ? parent.length : childKey(parent, token, operation);
+        if (index === undefined || index > parent.length) {
+            fail(operation, 'index out of bounds');
+        }
+        parent.splice(index, 0, value);
+    } else if (isPlainObject(parent)) {
+        parent[token] = value;
+    } else {
+        fail(operation, 'parent is not an object or array');
+    }
+    return document;
+}
+
+function removeValue(document, tokens, operation) {
+    const value = getValue(document, tokens, operation);
+    if (tokens.length === 0) {
+        return { document: null, value };
+    }
+    const parent = getValue(document, tokens.slice(0, -1), operation);
+    const token = tokens[tokens.length - 1];
+    if (Array.isArray(parent)) {
+        parent.splice(Number(token), 1);
+    } else {
+        delete parent[token];
+    }
+    return { document, value };
+}
+
+/**
+ * Convert diff results to an RFC 7386 JSON Merge Patch.
+ *
+ * Merge patches replace arrays wholesale, so results inside arrays need the
+ * `source` document to rebuild the new array. `null` cannot be set through
+ * a merge patch and is rejected.
+ *
+ * @param {Array} results - Results returned by `diff()`
+ * @param {object} [options]
+ * @param {any} [options.source] - The old document of the diff
+ * @returns {any} Merge patch document
+ */
+function toMergePatch(results, options = {}) {
+    validateOptions(options, ['source'], 'toMergePatch() option');
+    if (options.source !== undefined) {
+        return mergePatchBetween(options.source, applyDiff(options.source, results));
+    }
+
+    let patch = {};
+    for (const { result, segments } of orderSteps(results)) {
+        if (segments.some(segment => typeof segment !== 'string')) {
+            throw new Error(`Cannot express "${resultPath(result)}" as a merge patch without the source document`);
+        }
+        const value = result.diffType === 'Removed' ? null : mergeValue(result.newValue, resultPath(result));
+        if (segments.length === 0) {
+            patch = value;
+            continue;
+        }
+        let node = patch;
+        for (const segment of segments.slice(0, -1)) {
+            if (!isPlainObject(node[segment])) {
+                node[segment] = {};
+            }
+            node = node[segment];
+        }
+        node[segments[segments.length - 1]] = value;
+    }
+    return patch;
+}
+
+function mergePatchBetween(oldValue, newValue, path = '') {
+    if (!isPlainObject(oldValue) || !isPlainObject(newValue)) {
+        return mergeValue(newValue, path);
+    }
+    const patch = {};
+    for (const key of Object.keys(oldValue)) {
+        if (!Object.prototype.hasOwnProperty.call(newValue, key)) {
+            patch[key] = null;
+        }
+    }
+    for (const [key, value] of Object.entries(newValue)) {
+        const childPath = path ? `${path}.${key}` : key;
+        if (!Object.prototype.hasOwnProperty.call(oldValue, key)) {
+            patch[key] = mergeValue(value, childPath);
+        } else if (!isDeepEqual(oldValue[key], value)) {
+            patch[key] = mergePatchBetween(oldValue[key], value, childPath);
+        }
+    }
+    return patch;
+}
+
+function mergeValue(value, path) {
+    assertNoNull(value, path);
+    return clone(value);
+}
+
+function assertNoNull(value, path) {
+    if (value === null) {
+        throw new Error(`Cannot set "${path}" to null in a merge patch`);
+    }
+    if (isPlainObject(value)) {
+        for (const [key, child] of Object.entries(value)) {
+            assertNoNull(child, path ? `${path}.${key}` : key);
+        }
+    }
+}
+
+/**
+ * Convert an RFC 7386 JSON Merge Patch to diff results against `source`.
+ *
+ * @param {any} patch - Merge patch document
+ * @param {object} options
+ * @param {any} options.source - Document the patch applies to
+ * @returns {Array} Diff results
+ */
+function fromMergePatch(patch, options = {}) {
+    validateOptions(options, ['source'], 'fromMergePatch() option');
+    if (options.source === undefined) {
+        throw new Error('fromMergePatch() requires the source document');
+    }
+    return diff(options.source, applyMergePatch(options.source, patch));
+}
+
+function applyMergePatch(target, patch) {
+    if (!isPlainObject(patch)) {
+        return clone(patch);
+    }
+    const result = isPlainObject(target) ? clone(target) : {};
+    for (const [key, value] of Object.entries(patch)) {
+        if (value === null) {
+            delete result[key];
+        } else {
+            result[key] = applyMergePatch(result[key], value);
+        }
+    }
+    return result;
+}
+
+module.exports.toJsonPatch = toJsonPatch;
+module.exports.fromJsonPatch = fromJsonPatch;
+module.exports.toMergePatch = toMergePatch;
+module.exports.fromMergePatch = fromMergePatch;
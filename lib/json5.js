@@ -0,0 +1,229 @@
+'use strict';
+
+/**
+ * JSON5 parsing, which also covers JSONC (JSON with comments and trailing
+ * commas, as in `tsconfig.json`).
+ *
+ * On top of JSON, JSON5 allows comments, trailing commas, unquoted keys,
+ * single-quoted strings with line continuations, and hexadecimal, signed,
+ * `Infinity` and `NaN` numbers or ones with a leading or trailing decimal
+ * point. Duplicate keys keep the last value, as `JSON.parse()` does.
+ */
+
+const IDENTIFIER = /^[$_\p{ID_Start}][$_\u200C\u200D\p{ID_Continue}]*/u;
+const NUMBER = /^[+-]?(?:0[xX][0-9a-fA-F]+|Infinity|NaN|(?:(?:0|[1-9]\d*)\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/;
+const LINE_BREAK = /\r\n?|[\n\u2028\u2029]/;
+const ESCAPES = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v', 0: '\0' };
+
+/**
+ * @param {string} content - JSON5 or JSONC text
+ * @returns {any} Parsed value
+ */
+function parseJson5(content) {
+    const reader = { text: content.replace(/^\uFEFF/, ''), offset: 0 };
+    const value = readValue(reader);
+    skipSpace(reader);
+    if (reader.offset < reader.text.length) {
+        fail(reader, `unexpected ${describe(reader)} after the value`);
+    }
+    return value;
+}
+
+function readValue(reader) {
+    skipSpace(reader);
+    const { text, offset } = reader;
+    const char = text[offset];
+    if (char === '{') {
+        return readObject(reader);
+    }
+    if (char === '[') {
+        return readArray(reader);
+    }
+    if (char === '"' || char === '\'') {
+        return readString(reader);
+    }
+    for (const [word, value] of [['true', true], ['false', false], ['null', null]]) {
+        if (text.startsWith(word, offset) && !continuesIdentifier(text, offset + word.length)) {
+            reader.offset += word.length;
+            return value;
+        }
+    }
+    const number = NUMBER.exec(text.slice(offset, offset + 400));
+    if (!number || continuesIdentifier(text, offset + number[0].length)) {
+        fail(reader, `unexpected ${describe(reader)}`);
+    }
+    reader.offset += number[0].length;
+    return toNumber(number[0]);
+}
+
+/**
+ * Whether the character at `offset` could continue a word, which makes
+ * `nullable` or `1px` unexpected rather than `null` or `1` followed by junk.
+ */
+function continuesIdentifier(text, offset) {
+    return /[$_\u200C\u200D\p{ID_Continue}]/u.test(text[offset] || '');
+}
+
+function readObject(reader) {
+    const entries = [];
+    reader.offset++;
+    for (;;) {
+        skipSpace(reader);
+        if (reader.text[reader.offset] === '}') {
+            reader.offset++;
+            return Object.fromEntries(entries);
+        }
+        const key = readKey(reader);
+        skipSpace(reader);
+        expect(reader, ':');
+        entries.push([key, readValue(reader)]);
+        if (!readSeparator(reader, '}')) {
+            return Object.fromEntries(entries);
+        }
+    }
+}
+
+function readArray(reader) {
+    const items = [];
+    reader.offset++;
+    for (;;) {
+        skipSpace(reader);
+        if (reader.text[reader.offset] === ']') {
+            reader.offset++;
+            return items;
+        }
+        items.push(readValue(reader));
+        if (!readSeparator(reader, ']')) {
+            return items;
+        }
+    }
+}
+
+/**
+ * Read the `,` after a member, or the closing bracket. Tells whether more
+ * members may follow.
+ */
+function readSeparator(reader, close) {
+    skipSpace(reader);
+    const char = reader.text[reader.offset];
+    if (char === ',') {
+        reader.offset++;
+        return true;
+    }
+    if (char === close) {
+        reader.offset++;
+        return false;
+    }
+    return fail(reader, `expected "," or "${close}", found ${describe(reader)}`);
+}
+
+function readKey(reader) {
+    const char = reader.text[reader.offset];
+    if (char === '"' || char === '\'') {
+        return readString(reader);
+    }
+    const match = IDENTIFIER.exec(reader.text.slice(reader.offset, reader.offset + 400));
+    if (!match) {
+        fail(reader, `expected a key, found ${describe(reader)}`);
+    }
+    reader.offset += match[0].length;
+    return match[0];
+}
+
+function readString(reader) {
+    const { text } = reader;
+    const quote = text[reader.offset];
+    let value = '';
+    let i = reader.offset + 1;
+    for (;;) {
+        const char = text[i];
+        if (char === undefined || char === '\n' || char === '\r') {
+            reader.offset = i;
+            fail(reader, 'unterminated string');
+        }
+        if (char === quote) {
+            reader.offset = i + 1;
+            return value;
+        }
+        if (char !== '\\') {
+            value += char;
+            i++;
+            continue;
+        }
+        const next = text[i + 1];
+        const lineBreak = LINE_BREAK.exec(text.slice(i + 1, i + 3));
+        if (lineBreak && lineBreak.index === 0) {
+            i += 1 + lineBreak[0].length;
+        } else if (next === 'x' || next === 'u') {
+            const digits = text.slice(i + 2, i + (next === 'x' ? 4 : 6));
+            if (!/^[0-9a-fA-F]+$/.test(digits) || digits.length !== (next === 'x' ? 2 : 4)) {
+                reader.offset = i;
+                fail(reader, `invalid escape \\${next}${digits}`);
+            }
+            value += String.fromCharCode(parseInt(digits, 16));
+            i += 2 + digits.length;
+        } else if (next === '0' && /\d/.test(text[i + 2] || '')) {
+            reader.offset = i;
+            fail(reader, 'octal escapes are not allowed');
+        } else if (next in ESCAPES) {
+            value += ESCAPES[next];
+            i += 2;
+        } else if (/[1-9]/.test(next || '')) {
+            reader.offset = i;
+            fail(reader, `invalid escape \\${next}`);
+        } else {
+            value += next === undefined ? '' : next;
+            i += 2;
+        }
+    }
+}
+
+function toNumber(text) {
+    const sign = text[0] === '-' ? -1 : 1;
+    const unsigned = text.replace(/^[+-]/, '');
+    if (/^0[xX]/.test(unsigned)) {
+        return sign * parseInt(unsigned.slice(2), 16);
+    }
+    return sign * Number(unsigned);
+}
+
+function skipSpace(reader) {
+    const { text } = reader;
+    for (;;) {
+        const char = text[reader.offset];
+        if (char !== undefined && /\s/.test(char)) {
+            reader.offset++;
+        } else if (text.startsWith('//', reader.offset)) {
+            const end = text.slice(reader.offset).search(LINE_BREAK);
+            reader.offset = end === -1 ? text.length : reader.offset + end;
+        } else if (text.startsWith('/*', reader.offset)) {
+            const end = text.indexOf('*/', reader.offset + 2);
+            if (end === -1) {
+                fail(reader, 'unterminated comment');
+            }
+            reader.offset = end + 2;
+        } else {
+            return;
+        }
+    }
+}
+
+function expect(reader, char) {
+    if (reader.text[reader.offset] !== char) {
+        fail(reader, `expected "${char}", found ${describe(reader)}`);
+    }
+    reader.offset++;
+}
+
+function describe(reader) {
+    const char = reader.text[reader.offset];
+    return char === undefined ? 'end of input' : JSON.stringify(char);
+}
+
+function fail(reader, message) {
+    const lines = reader.text.slice(0, reader.offset).split('\n');
+    const column = lines[lines.length - 1].length + 1;
+    throw new Error(`JSON5 parse error: ${message} at line ${lines.length} column ${column}`);
+}
+
+module.exports.parseJson5 = parseJson5;
@@ -0,0 +1,112 @@
+'use strict';
+
+const { escapeHtml } = require('./html');
+const { resultPath } = require('./path');
+const { describeChange, severityOf } = require('./severity');
+const { formatValue } = require('./tree');
+
+/**
+ * Render results as a JUnit XML report with one test case per change, named
+ * by its path and classed by its diff type. A change fails its test case,
+ * with the level from `severity` as the failure type; changes of level
+ * "none" are reported as passing.
+ *
+ * @param {Array} results - Diff results
+ * @param {object} [options]
+ * @param {object|Function} [options.severity] - Diff type -> level, or result -> level
+ * @param {string} [options.title="diffx"] - Test suite name
+ * @returns {string} JUnit XML
+ */
+function formatJunit(results, options = {}) {
+    const levelOf = severityOf(options.severity);
+    const title = options.title || 'diffx';
+    return junitDocument(title, [{ name: title, cases: results.map(result => resultCase(result, levelOf)) }]);
+}
+
+/**
+ * Render `diffDirectories()` entries as one JUnit XML report with a test
+ * suite per file. A file added or removed as a whole is one test case; a
+ * file that could not be compared is one test case in error.
+ *
+ * @param {Array<object>} entries - Entries returned by `diffDirectories()`
+ * @param {object} [options] - Same as `formatJunit()`
+ * @returns {string} JUnit XML
+ */
+function formatJunitEntries(entries, options = {}) {
+    const levelOf = severityOf(options.severity);
+    return junitDocument(options.title || 'diffx', entries.map(entry => {
+        if (entry.error) {
+            return { name: entry.file, cases: [{ name: entry.file, classname: 'Error', error: entry.error.message }] };
+        }
+        if (entry.status === 'Modified') {
+            return { name: entry.file, cases: entry.results.map(result => resultCase(result, levelOf)) };
+        }
+        const level = levelOf({ diffType: entry.status, path: '', pathSegments: [] });
+        const message = `${entry.file} ${entry.status.toLowerCase()}`;
+        return { name: entry.file, cases: [{ name: entry.file, classname: entry.status, level, message, details: '' }] };
+    }));
+}
+
+function resultCase(result, levelOf) {
+    return {
+        name: resultPath(result) || '(root)',
+        classname: result.diffType,
+        level: levelOf(result),
+        message: describeChange(result),
+        details: details(result),
+    };
+}
+
+function junitDocument(title, suites) {
+    const countsOf = cases => {
+        const errors = cases.filter(testcase => testcase.error !== undefined).length;
+        const failures = cases.filter(testcase => testcase.error === undefined && testcase.level !== 'none').length;
+        return `tests="${cases.length}" failures="${failures}" errors="${errors}"`;
+    };
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="${escapeXml(title)}" ${countsOf(suites.flatMap(suite => suite.cases))}>`,
+    ];
+    for (const suite of suites) {
+        lines.push(`  <testsuite name="${escapeXml(suite.name)}" ${countsOf(suite.cases)}>`);
+        for (const { name, classname, level, message, details: text, error } of suite.cases) {
+            const testcase = `    <testcase name="${escapeXml(name)}" classname="${classname}"`;
+            if (error !== undefined) {
+                lines.push(`${testcase}>`, `      <error message="${escapeXml(error)}"/>`, '    </testcase>');
+            } else if (level === 'none') {
+                lines.push(`${testcase}/>`);
+            } else {
+                lines.push(
+                    `${testcase}>`,
+                    `      <failure type="${level}" message="${escapeXml(message)}">${escapeXml(text)}</failure>`,
+                    '    </testcase>'
+                );
+            }
+        }
+        lines.push('  </testsuite>');
+    }
+    lines.push('</testsuites>', '');
+    return lines.join('\n');
+}
+
+function details(result) {
+    const lines = [];
+    const location = result.newLocation || result.oldLocation;
+    if (location) {
+        lines.push(`at: ${location.file ? `${location.file}:` : ''}${location.line}:${location.column}`);
+    }
+    for (const [label, key] of [['old', 'oldValue'], ['new', 'newValue'], ['value', 'value']]) {
+        if (result[key] !== undefined) {
+            lines.push(`${label}: ${formatValue(result[key], 2)}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+// XML 1.0 cannot carry most control characters, even escaped.
+function escapeXml(text) {
+    return escapeHtml(text).replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+module.exports.formatJunit = formatJunit;
+module.exports.formatJunitEntries = formatJunitEntries;
@@ -0,0 +1,721 @@
+'use strict';
+
+const { formatPointer, segmentsToPointer } = require('./path');
+
+/**
+ * Source locations of parsed documents.
+ *
+ * The native parsers return plain values, so positions are recovered by
+ * scanning the source text again in JavaScript. Each scanner maps the JSON
+ * Pointer of every key and array element to where it starts: the key for
+ * object members, the value (or the `-`) for array elements. The map is
+ * attached to the parsed root object, so that `diff()` can look it up when
+ * it is handed that object.
+ *
+ * Scanners understand the usual shapes of their format. Should one meet
+ * something it does not, the document gets no locations at all rather than
+ * wrong ones.
+ */
+
+const registry = new WeakMap();
+
+/**
+ * Where results found on aligned arrays sit in the new document, when that
+ * differs from their `pathSegments` (which use old indices).
+ */
+const newSegmentsOf = new WeakMap();
+
+const SCANNERS = {
+    json: scanJson,
+    yaml: scanYaml,
+    toml: scanToml,
+};
+
+/**
+ * Record the locations of `value`, parsed from `content`, for later lookup.
+ * Does nothing for formats without a scanner or for non-object values.
+ *
+ * @returns {any} `value`
+ */
+function attachLocations(value, content, format, file) {
+    const scan = SCANNERS[format];
+    if (!scan || value === null || typeof value !== 'object') {
+        return value;
+    }
+    let locations;
+    try {
+        locations = scan(content.replace(/^\uFEFF/, ''));
+    } catch {
+        return value;
+    }
+    registry.set(value, { locations, file });
+    return value;
+}
+
+/**
+ * Record the locations of a stream parsed as an array of documents, from
+ * those of each document (see `attachLocations()`), under its index.
+ *
+ * @returns {Array} `documents`
+ */
+function attachStreamLocations(documents, file) {
+    const locations = new Map();
+    documents.forEach((document, index) => {
+        const entry = hasLocations(document) ? registry.get(document) : undefined;
+        for (const [pointer, position] of entry ? entry.locations : []) {
+            locations.set(`/${index}${pointer}`, position);
+        }
+    });
+    registry.set(documents, { locations, file });
+    return documents;
+}
+
+/**
+ * The source location of the node at `pointer` in a document parsed with
+ * locations, as `{ file?, line, column }` (both 1-based), or `undefined`.
+ */
+function locationOf(document, pointer) {
+    const entry = document !== null && typeof document === 'object' ? registry.get(document) : undefined;
+    const position = entry && entry.locations.get(pointer);
+    if (!position) {
+        return undefined;
+    }
+    return entry.file === undefined ? { ...position } : { file: entry.file, ...position };
+}
+
+/**
+ * Remember where a result's change sits in the new document (see
+ * `planDiff()`). Does nothing without `segments`.
+ *
+ * @returns {object} `result`
+ */
+function setNewSegments(result, segments) {
+    if (segments) {
+        newSegmentsOf.set(result, segments);
+    }
+    return result;
+}
+
+/**
+ * Where a result's change sits in the new document, if recorded.
+ */
+function getNewSegments(result) {
+    return newSegmentsOf.get(result);
+}
+
+/**
+ * Add `oldLocation` and `newLocation` to an annotated diff result, where the
+ * documents have locations and the result's path exists in them. `index` is
+ * an optional `segmentIndex()` of the documents.
+ */
+function locateResult(result, oldValue, newValue, index) {
+    const newSegments = newSegmentsOf.get(result) || result.pathSegments;
+    let oldPointer;
+    let newPointer;
+    switch (result.diffType) {
+        case 'Added':
+            newPointer = result.pointer;
+            break;
+        case 'Removed':
+            oldPointer = result.pointer;
+            break;
+        case 'Moved':
+            oldPointer = result.pointer;
+            newPointer = newSegmentsOf.has(result)
+                ? segmentsToPointer(newSegments, newValue, index)
+                : `${segmentsToPointer(newSegments.slice(0, -1), newValue, index)}/${result.toIndex}`;
+            break;
+        default:
+            oldPointer = result.pointer;
+            newPointer = segmentsToPointer(newSegments, newValue, index);
+    }
+    const oldLocation = oldPointer === undefined ? undefined : locationOf(oldValue, oldPointer);
+    const newLocation = newPointer === undefined ? undefined : locationOf(newValue, newPointer);
+    if (oldLocation) {
+        result.oldLocation = oldLocation;
+    }
+    if (newLocation) {
+        result.newLocation = newLocation;
+    }
+    return result;
+}
+
+function hasLocations(document) {
+    return document !== null && typeof document === 'object' && registry.has(document);
+}
+
+/**
+ * Shared state of a scan: the text, the pointer -> position map and a way to
+ * turn offsets into line and column.
+ */
+function scanner(text) {
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') {
+            lineStarts.push(i + 1);
+        }
+    }
+    const locations = new Map();
+    const position = offset => {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const middle = (low + high + 1) >> 1;
+            if (lineStarts[middle] <= offset) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return { line: low + 1, column: offset - lineStarts[low] + 1 };
+    };
+    return {
+        locations,
+        record: (tokens, offset) => locations.set(formatPointer(tokens), position(offset)),
+        recordOnce: (tokens, offset) => {
+            if (!locations.has(formatPointer(tokens))) {
+                locations.set(formatPointer(tokens), position(offset));
+            }
+        },
+    };
+}
+
+function fail(offset) {
+    throw new Error(`Cannot locate nodes past offset ${offset}`);
+}
+
+/* JSON */
+
+function scanJson(text) {
+    const { locations, record } = scanner(text);
+    let pos = 0;
+
+    const skipSpace = () => {
+        while (pos < text.length && /\s/.test(text[pos])) {
+            pos++;
+        }
+    };
+    const string = () => {
+        const start = pos;
+        pos++;
+        while (pos < text.length && text[pos] !== '"') {
+            pos += text[pos] === '\\' ? 2 : 1;
+        }
+        pos++;
+        return JSON.parse(text.slice(start, pos));
+    };
+    const value = tokens => {
+        skipSpace();
+        const char = text[pos];
+        if (char === '{') {
+            pos++;
+            skipSpace();
+            while (text[pos] !== '}') {
+                if (text[pos] !== '"') {
+                    fail(pos);
+                }
+                const keyStart = pos;
+                const key = string();
+                record([...tokens, key], keyStart);
+                skipSpace();
+                pos++; // ':'
+                value([...tokens, key]);
+                skipSpace();
+                if (text[pos] === ',') {
+                    pos++;
+                    skipSpace();
+                }
+            }
+            pos++;
+        } else if (char === '[') {
+            pos++;
+            skipSpace();
+            for (let index = 0; text[pos] !== ']'; index++) {
+                skipSpace();
+                record([...tokens, index], pos);
+                value([...tokens, index]);
+                skipSpace();
+                if (text[pos] === ',') {
+                    pos++;
+                    skipSpace();
+                }
+            }
+            pos++;
+        } else if (char === '"') {
+            string();
+        } else if (pos < text.length) {
+            while (pos < text.length && !/[\s,\]}]/.test(text[pos])) {
+                pos++;
+            }
+        } else {
+            fail(pos);
+        }
+    };
+
+    skipSpace();
+    record([], pos);
+    value([]);
+    return locations;
+}
+
+/* YAML */
+
+const YAML_PLAIN_KEY = /^([^\s#'"{}[\],&*!|>%@`?-]|[?-](?=\S))[^#]*?\s*:(?=\s|$)/;
+const YAML_DOUBLE_KEY = /^"((?:[^"\\]|\\.)*)"\s*:(?=\s|$)/;
+const YAML_SINGLE_KEY = /^'((?:[^']|'')*)'\s*:(?=\s|$)/;
+const YAML_PROPERTIES = /^(?:[&!][^\s]*\s+)+/;
+
+/**
+ * Scan the first document of a YAML stream. Block mappings and sequences
+ * are followed by indentation; flow collections and quoted scalars are
+ * scanned by offset, as they may span lines.
+ */
+function scanYaml(text) {
+    const { locations, record } = scanner(text);
+    const stack = [{ indent: -1, kind: 'root', tokens: [] }];
+    let pending = { indent: -1, tokens: [] };
+    // Lines indented deeper than this belong to a scalar (block or plain).
+    let scalarIndent = null;
+    // Lines starting before this offset belong to a flow collection or a
+    // quoted scalar.
+    let skipUntil = 0;
+    let started = false;
+
+    const container = (column, kind) => {
+        // A key's sequence may sit at the key's own indentation.
+        if (pending && (column > pending.indent || (column === pending.indent && kind === 'seq' && pending.key))) {
+            const node = { indent: column, kind, tokens: pending.tokens, next: 0 };
+            pending = null;
+            stack.push(node);
+            return node;
+        }
+        pending = null;
+        while (stack[stack.length - 1].indent > column) {
+            stack.pop();
+        }
+        let top = stack[stack.length - 1];
+        if (top.indent === column && top.kind === 'seq' && kind === 'map') {
+            // A sequence at its parent key's indentation ends at the next key.
+            stack.pop();
+            top = stack[stack.length - 1];
+        }
+        if (top.indent !== column || top.kind !== kind) {
+            fail(column);
+        }
+        return top;
+    };
+
+    // The value of a key or sequence item, starting at `offset`.
+    const value = (tokens, offset, ownerIndent, key = false) => {
+        let rest = text.slice(offset, lineEnd(text, offset));
+        const properties = YAML_PROPERTIES.exec(rest);
+        if (properties) {
+            offset += properties[0].length;
+            rest = rest.slice(properties[0].length);
+        }
+        if (rest === '' || rest.startsWith('#') || /^[&!]\S*$/.test(rest)) {
+            pending = { indent: ownerIndent, tokens, key };
+        } else if (rest[0] === '|' || rest[0] === '>') {
+            scalarIndent = ownerIndent;
+        } else if (rest[0] === '[' || rest[0] === '{') {
+            skipUntil = scanYamlFlow(text, offset, tokens, record);
+        } else if (rest[0] === '"' || rest[0] === '\'') {
+            skipUntil = skipQuoted(text, offset);
+            scalarIndent = ownerIndent;
+        } else {
+            scalarIndent = ownerIndent;
+        }
+    };
+
+    const node = (offset, column) => {
+        const rest = text.slice(offset, lineEnd(text, offset));
+        if (rest === '-' || rest.startsWith('- ') || rest.startsWith('-\t')) {
+            const sequence = container(column, 'seq');
+            const tokens = [...sequence.tokens, sequence.next++];
+            const itemOffset = offset + 1 + /^\s*/.exec(rest.slice(1))[0].length;
+            const item = text.slice(itemOffset, lineEnd(text, itemOffset));
+            if (item === '' || item.startsWith('#')) {
+                record(tokens, offset);
+                pending = { indent: column, tokens };
+                return;
+            }
+            record(tokens, itemOffset);
+            if (isYamlKey(item) || item === '-' || item.startsWith('- ')) {
+                pending = { indent: column, tokens };
+                node(itemOffset, column + (itemOffset - offset));
+            } else {
+                value(tokens, itemOffset, column);
+            }
+            return;
+        }
+
+        const key = yamlKey(rest);
+        if (key) {
+            const mapping = container(column, 'map');
+            const tokens = [...mapping.tokens, key.name];
+            record(tokens, offset);
+            const valueOffset = offset + key.length + /^\s*/.exec(rest.slice(key.length))[0].length;
+            value(tokens, valueOffset, column, true);
+            return;
+        }
+
+        if (rest.startsWith('? ')) {
+            fail(offset);
+        }
+        if (pending && column > pending.indent) {
+            // A value on the line after its key, e.g. a flow collection.
+            const { tokens, indent, key: afterKey } = pending;
+            pending = null;
+            value(tokens, offset, indent, afterKey);
+        }
+    };
+
+    let offset = 0;
+    while (offset < text.length) {
+        const end = lineEnd(text, offset);
+        const line = text.slice(offset, end);
+        const column = /^ */.exec(line)[0].length;
+        const content = line.slice(column);
+        const lineStart = offset;
+        offset = text[end] === '\r' ? end + 2 : end + 1;
+
+        if (lineStart < skipUntil || content === '' || content.startsWith('#')) {
+            continue;
+        }
+        if (scalarIndent !== null) {
+            if (column > scalarIndent) {
+                continue;
+            }
+            scalarIndent = null;
+        }
+        if (column === 0 && /^(---|\.\.\.)(\s|$)/.test(content)) {
+            if (started || content.startsWith('...')) {
+                break;
+            }
+            const after = /^---\s*/.exec(content)[0].length;
+            if (after < content.length && !content.slice(after).startsWith('#')) {
+                started = true;
+                record([], lineStart + after);
+                value([], lineStart + after, -1);
+            }
+            continue;
+        }
+        if (column === 0 && content.startsWith('%')) {
+            continue;
+        }
+        if (!started) {
+            started = true;
+            record([], lineStart + column);
+        }
+        node(lineStart + column, column);
+    }
+    return locations;
+}
+
+function isYamlKey(text) {
+    return yamlKey(text) !== undefined;
+}
+
+/**
+ * Parse the key of a block mapping entry: `{ name, length }`, the length
+ * running up to and including the `:`.
+ */
+function yamlKey(text) {
+    let match = YAML_DOUBLE_KEY.exec(text);
+    if (match) {
+        return { name: JSON.parse(`"${match[1]}"`), length: match[0].length };
+    }
+    match = YAML_SINGLE_KEY.exec(text);
+    if (match) {
+        return { name: match[1].replace(/''/g, '\''), length: match[0].length };
+    }
+    match = YAML_PLAIN_KEY.exec(text);
+    if (match) {
+        return { name: match[0].slice(0, -1).trim(), length: match[0].length };
+    }
+    return undefined;
+}
+
+/**
+ * Scan a YAML flow collection starting at `offset`; returns the offset just
+ * past its end.
+ */
+function scanYamlFlow(text, offset, tokens, record) {
+    let pos = offset;
+    const skipSpace = () => {
+        while (pos < text.length) {
+            if (/\s/.test(text[pos])) {
+                pos++;
+            } else if (text[pos] === '#') {
+                pos = lineEnd(text, pos);
+            } else {
+                break;
+            }
+        }
+    };
+    const scalar = () => {
+        if (text[pos] === '"' || text[pos] === '\'') {
+            const start = pos;
+            pos = skipQuoted(text, pos);
+            const raw = text.slice(start, pos);
+            return raw[0] === '"' ? JSON.parse(raw.replace(/\n\s*/g, ' ')) : raw.slice(1, -1).replace(/''/g, '\'');
+        }
+        const start = pos;
+        while (pos < text.length && !/[,\]}]/.test(text[pos]) && !(text[pos] === ':' && /[\s,\]}]/.test(text[pos + 1] || ' '))) {
+            pos++;
+        }
+        return text.slice(start, pos).trim();
+    };
+    const value = nodeTokens => {
+        skipSpace();
+        const properties = YAML_PROPERTIES.exec(text.slice(pos, lineEnd(text, pos)));
+        if (properties) {
+            pos += properties[0].length;
+        }
+        if (text[pos] === '[') {
+            pos++;
+            skipSpace();
+            for (let index = 0; text[pos] !== ']'; index++) {
+                if (pos >= text.length) {
+                    fail(pos);
+                }
+                skipSpace();
+                record([...nodeTokens, index], pos);
+                value([...nodeTokens, index]);
+                skipSpace();
+                if (text[pos] === ':') {
+                    fail(pos);
+                }
+                if (text[pos] === ',') {
+                    pos++;
+                    skipSpace();
+                }
+            }
+            pos++;
+        } else if (text[pos] === '{') {
+            pos++;
+            skipSpace();
+            while (text[pos] !== '}') {
+                if (pos >= text.length) {
+                    fail(pos);
+                }
+                const keyStart = pos;
+                const key = scalar();
+                record([...nodeTokens, key], keyStart);
+                skipSpace();
+                if (text[pos] === ':') {
+                    pos++;
+                    value([...nodeTokens, key]);
+                    skipSpace();
+                }
+                if (text[pos] === ',') {
+                    pos++;
+                    skipSpace();
+                }
+            }
+            pos++;
+        } else {
+            scalar();
+        }
+    };
+    value(tokens);
+    return pos;
+}
+
+/**
+ * The offset just past a quoted scalar (YAML or TOML single-line strings).
+ */
+function skipQuoted(text, offset) {
+    const quote = text[offset];
+    let pos = offset + 1;
+    while (pos < text.length) {
+        if (quote === '"' && text[pos] === '\\') {
+            pos += 2;
+        } else if (text[pos] === quote) {
+            if (quote === '\'' && text[pos + 1] === '\'') {
+                pos += 2;
+            } else {
+                return pos + 1;
+            }
+        } else {
+            pos++;
+        }
+    }
+    return fail(offset);
+}
+
+function lineEnd(text, offset) {
+    const end = text.indexOf('\n', offset);
+    const stop = end === -1 ? text.length : end;
+    return text[stop - 1] === '\r' ? stop - 1 : stop;
+}
+
+/* TOML */
+
+/**
+ * Scan a TOML document: tables, arrays of tables, dotted keys, inline
+ * tables and arrays.
+ */
+function scanToml(text) {
+    const { locations, record, recordOnce } = scanner(text);
+    const arrayTables = new Map();
+    let table = [];
+    let pos = 0;
+
+    const skipSpace = (newlines = false) => {
+        while (pos < text.length) {
+            if (text[pos] === ' ' || text[pos] === '\t' || (newlines && /[\r\n]/.test(text[pos]))) {
+                pos++;
+            } else if (text[pos] === '#') {
+                pos = lineEnd(text, pos);
+            } else {
+                break;
+            }
+        }
+    };
+    const key = () => {
+        const keys = [];
+        for (;;) {
+            skipSpace();
+            const start = pos;
+            if (text[pos] === '"' || text[pos] === '\'') {
+                pos = skipQuoted(text, pos);
+                const raw = text.slice(start, pos);
+                keys.push(raw[0] === '"' ? JSON.parse(raw) : raw.slice(1, -1));
+            } else {
+                while (pos < text.length && /[A-Za-z0-9_-]/.test(text[pos])) {
+                    pos++;
+                }
+                if (pos === start) {
+                    fail(pos);
+                }
+                keys.push(text.slice(start, pos));
+            }
+            skipSpace();
+            if (text[pos] !== '.') {
+                return keys;
+            }
+            pos++;
+        }
+    };
+    // Insert the current index after each prefix that names an array of tables.
+    const resolve = (keys, last) => {
+        const tokens = [];
+        keys.forEach((name, i) => {
+            tokens.push(name);
+            const count = arrayTables.get(formatPointer(tokens));
+            if (count !== undefined && (i < keys.length - 1 || last)) {
+                tokens.push(count - 1);
+            }
+        });
+        return tokens;
+    };
+    const assignment = (prefix, start) => {
+        const keys = key();
+        keys.forEach((_, i) => recordOnce([...prefix, ...keys.slice(0, i + 1)], start));
+        record([...prefix, ...keys], start);
+        if (text[pos] !== '=') {
+            fail(pos);
+        }
+        pos++;
+        value([...prefix, ...keys]);
+    };
+    const value = tokens => {
+        skipSpace();
+        if (text.startsWith('"""', pos) || text.startsWith('\'\'\'', pos)) {
+            const quote = text.slice(pos, pos + 3);
+            let end = text.indexOf(quote, pos + 3);
+            while (end !== -1 && quote === '"""' && text[end - 1] === '\\') {
+                end = text.indexOf(quote, end + 1);
+            }
+            if (end === -1) {
+                fail(pos);
+            }
+            pos = end + 3;
+            while (text[pos] === quote[0]) {
+                pos++;
+            }
+        } else if (text[pos] === '"' || text[pos] === '\'') {
+            pos = skipQuoted(text, pos);
+        } else if (text[pos] === '[') {
+            pos++;
+            skipSpace(true);
+            for (let index = 0; text[pos] !== ']'; index++) {
+                if (pos >= text.length) {
+                    fail(pos);
+                }
+                record([...tokens, index], pos);
+                value([...tokens, index]);
+                skipSpace(true);
+                if (text[pos] === ',') {
+                    pos++;
+                    skipSpace(true);
+                }
+            }
+            pos++;
+        } else if (text[pos] === '{') {
+            pos++;
+            skipSpace();
+            while (text[pos] !== '}') {
+                if (pos >= text.length) {
+                    fail(pos);
+                }
+                assignment(tokens, pos);
+                skipSpace();
+                if (text[pos] === ',') {
+                    pos++;
+                    skipSpace();
+                }
+            }
+            pos++;
+        } else {
+            while (pos < text.length && !/[,\]}#\r\n]/.test(text[pos])) {
+                pos++;
+            }
+        }
+    };
+
+    skipSpace(true);
+    record([], pos);
+    for (;;) {
+        skipSpace(true);
+        if (pos >= text.length) {
+            break;
+        }
+        const start = pos;
+        if (text.startsWith('[[', pos)) {
+            pos += 2;
+            const keys = key();
+            const parent = resolve(keys, false);
+            const pointer = formatPointer(parent);
+            const count = (arrayTables.get(pointer) || 0) + 1;
+            arrayTables.set(pointer, count);
+            recordOnce(parent, start);
+            table = [...parent, count - 1];
+            record(table, start);
+            pos = text.indexOf(']]', pos) + 2;
+        } else if (text[pos] === '[') {
+            pos++;
+            const keys = key();
+            table = resolve(keys, true);
+            keys.forEach((_, i) => recordOnce(resolve(keys.slice(0, i + 1), true), start));
+            record(table, start);
+            pos = text.indexOf(']', pos) + 1;
+        } else {
+            assignment(table, start);
+        }
+        if (pos <= start) {
+            fail(start);
+        }
+    }
+    return locations;
+}
+
+module.exports.LOCATABLE = Object.keys(SCANNERS);
+module.exports.attachLocations = attachLocations;
+module.exports.attachStreamLocations = attachStreamLocations;
+module.exports.getNewSegments = getNewSegments;
+module.exports.hasLocations = hasLocations;
+module.exports.locateResult = locateResult;
+module.exports.locationOf = locationOf;
+module.exports.setNewSegments = setNewSegments;
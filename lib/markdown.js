@@ -0,0 +1,166 @@
+'use strict';
+
+const { escapeHtml } = require('./html');
+const { formatPath, resultPath, resultSegments } = require('./path');
+const { DIFF_TYPES, formatValue, summarize } = require('./tree');
+
+const TYPE_NAMES = {
+    Added: 'Added',
+    Removed: 'Removed',
+    Modified: 'Modified',
+    TypeChanged: 'Type changed',
+    Moved: 'Moved',
+};
+
+/**
+ * Render results as GitHub-flavored Markdown for pull request comments: a
+ * title, a summary line with counts, then a section per top-level key with
+ * a table per diff type. Values longer than `maxValueLength` are cut short
+ * in the table and given in full in a `<details>` block below it.
+ *
+ * With `maxLength`, trailing changes are left out (and counted in a closing
+ * note) so that the output fits, e.g. under a comment size limit.
+ *
+ * @param {Array} results - Diff results
+ * @param {object} [options]
+ * @param {string} [options.title="diffx report"] - Heading
+ * @param {number} [options.maxLength] - Maximum length of the output
+ * @param {number} [options.maxValueLength=80] - Longest value shown inline
+ * @returns {string} Markdown text
+ */
+function formatMarkdown(results, options = {}) {
+    const { title = 'diffx report', maxLength = Infinity, maxValueLength = 80 } = options;
+    const header = `## ${title}\n\n${summarize(results)}\n`;
+    const sorted = sortResults(results);
+    const render = count => {
+        const omitted = sorted.length - count;
+        const note = omitted > 0
+            ? `\n_${omitted} more ${omitted === 1 ? 'difference' : 'differences'} not shown._\n`
+            : '';
+        return header + renderGroups(sorted.slice(0, count), maxValueLength) + note;
+    };
+
+    const full = render(sorted.length);
+    if (full.length <= maxLength) {
+        return full;
+    }
+    // The longest prefix of the changes that fits.
+    let low = 0;
+    let high = sorted.length - 1;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (render(middle).length <= maxLength) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return render(low);
+}
+
+function groupKey(result) {
+    const segments = resultSegments(result);
+    return segments.length > 0 ? formatPath(segments.slice(0, 1)) : '';
+}
+
+function sortResults(results) {
+    return results
+        .map(result => ({ result, group: groupKey(result), path: resultPath(result) }))
+        .sort((a, b) => compareStrings(a.group, b.group)
+            || DIFF_TYPES.indexOf(a.result.diffType) - DIFF_TYPES.indexOf(b.result.diffType)
+            || compareStrings(a.path, b.path))
+        .map(entry => entry.result);
+}
+
+function compareStrings(a, b) {
+    if (a === b) {
+        return 0;
+    }
+    return a < b ? -1 : 1;
+}
+
+function renderGroups(results, maxValueLength) {
+    const sections = [];
+    let group;
+    let type;
+    let rows = [];
+    let details = [];
+    const flush = () => {
+        if (rows.length > 0) {
+            sections.push(`\n**${TYPE_NAMES[type]}**\n\n| Path | Old | New |\n| --- | --- | --- |\n`, ...rows);
+            sections.push(...details);
+        }
+        rows = [];
+        details = [];
+    };
+
+    for (const result of results) {
+        const key = groupKey(result);
+        if (key !== group) {
+            flush();
+            group = key;
+            type = undefined;
+            sections.push(`\n### ${key ? inlineCode(key) : '(root)'}\n`);
+        }
+        if (result.diffType !== type) {
+            flush();
+            type = result.diffType;
+        }
+        const path = resultPath(result);
+        const cell = (value, side, note = '') => {
+            const text = formatValue(value);
+            if (text.length <= maxValueLength) {
+                return inlineCode(text) + note;
+            }
+            details.push(detailsBlock(`${path} (${side})`, formatValue(value, 2)));
+            return `${inlineCode(`${text.slice(0, maxValueLength)}…`)}${note} (full ${side} value below)`;
+        };
+        const [oldCell, newCell] = cells(result, cell);
+        rows.push(`| ${inlineCode(path || '(root)')} | ${oldCell} | ${newCell} |\n`);
+    }
+    flush();
+    return sections.join('');
+}
+
+function cells(result, cell) {
+    switch (result.diffType) {
+        case 'Added':
+            return ['', cell(result.newValue !== undefined ? result.newValue : result.value, 'new')];
+        case 'Removed':
+            return [cell(result.oldValue !== undefined ? result.oldValue : result.value, 'old'), ''];
+        case 'Moved':
+            return [
+                cell(result.value, 'old', ` at index ${result.fromIndex}`),
+                `moved to index ${result.toIndex}`,
+            ];
+        default:
+            return [cell(result.oldValue, 'old'), cell(result.newValue, 'new')];
+    }
+}
+
+/**
+ * A code span that is safe inside a table cell.
+ */
+function inlineCode(text) {
+    const fence = '`'.repeat(longestRun(text, '`') + 1);
+    const pad = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+    return `${fence}${pad}${text.replace(/\|/g, '\\|')}${pad}${fence}`;
+}
+
+function detailsBlock(summary, text) {
+    const fence = '`'.repeat(Math.max(3, longestRun(text, '`') + 1));
+    return `\n<details>\n<summary><code>${escapeHtml(summary)}</code></summary>\n\n`
+        + `${fence}json\n${text}\n${fence}\n\n</details>\n`;
+}
+
+function longestRun(text, char) {
+    let longest = 0;
+    let run = 0;
+    for (const c of text) {
+        run = c === char ? run + 1 : 0;
+        longest = Math.max(longest, run);
+    }
+    return longest;
+}
+
+module.exports.formatMarkdown = formatMarkdown;
@@ -0,0 +1,342 @@
+'use strict';
+
+const { DIFF_OPTIONS, diff, validateOptions } = require('./diff');
+const { applyDiff, newLocations } = require('./patch');
+const { formatPath, getValue, isWithinPath, segmentsToPointer } = require('./path');
+
+const STRATEGIES = ['ours', 'theirs'];
+
+/**
+ * Three-way merge of two edited copies of a document.
+ *
+ * `base` is diffed against `ours` and against `theirs` with the given
+ * `diff()` options (so `arrayIdKey`, `epsilon`, `ignoreKeysRegex` and friends
+ * decide what counts as a change). Changes made on only one side, or made
+ * identically on both, are merged, their array indices shifted by our
+ * insertions and removals. Two sides touching the same path, one side
+ * touching a path the other changed an ancestor of, or both sides inserting
+ * or removing elements of an array one of them moves elements in, conflict.
+ *
+ * The merge starts from `ours`: an unresolved conflict keeps our value and
+ * is reported in `conflicts`. A conflict matched by `strategy` (all paths)
+ * or `strategies` (path prefix -> strategy, the longest prefix winning) is
+ * settled as asked and reported in `resolved` instead. A conflict holds the
+ * value at its path in `base` and the values of the same element in `ours`
+ * and `theirs`, wherever array edits on that side put it.
+ *
+ * @param {any} base - Common ancestor
+ * @param {any} ours - Our edited copy
+ * @param {any} theirs - Their edited copy
+ * @param {object} [options] - `diff()` options plus:
+ * @param {string} [options.strategy] - "ours" or "theirs" for every conflict
+ * @param {object} [options.strategies] - Per-path strategies, e.g. `{ 'spec.replicas': 'theirs' }`
+ * @returns {{ merged: any, conflicts: Array<object>, resolved: Array<object> }}
+ */
+function merge3(base, ours, theirs, options = {}) {
+    validateOptions(options, [...DIFF_OPTIONS, 'strategy', 'strategies'], 'merge3() option');
+    const { strategy, strategies = {}, ...diffOptions } = options;
+    for (const value of [strategy, ...Object.values(strategies)]) {
+        if (value !== undefined && !STRATEGIES.includes(value)) {
+            throw new Error(`Invalid merge strategy: ${value} (expected "ours" or "theirs")`);
+        }
+    }
+
+    const ourChanges = diff(base, ours, diffOptions);
+    const theirChanges = diff(base, theirs, diffOptions);
+
+    const ourChangesByKey = new Map(ourChanges.map(change => [changeKey(change), change]));
+    const ourAncestors = new Set(
+        ourChanges.flatMap(change => ancestorsOf(change.pathSegments).map(keyOf))
+    );
+
+    const conflictsByKey = new Map();
+    const duplicates = new Set();
+    for (const change of theirChanges) {
+        const segments = change.pathSegments;
+        const ourChange = ourChangesByKey.get(changeKey(change));
+        if (ourChange) {
+            if (isSameChange(ourChange, change, diffOptions)) {
+                duplicates.add(change);
+            } else {
+                conflictsByKey.set(changeKey(change), { segments, inserted: isInsertion(change) });
+            }
+            continue;
+        }
+        const ancestor = ancestorsOf(segments).find(prefix => ourChangesByKey.has(keyOf(prefix)));
+        if (ancestor !== undefined) {
+            conflictsByKey.set(keyOf(ancestor), { segments: ancestor, inserted: false });
+        } else if (ourAncestors.has(changeKey(change))) {
+            conflictsByKey.set(keyOf(segments), { segments, inserted: false });
+        }
+    }
+
+    const ourArrays = arrayEdits(ourChanges);
+    for (const [key, theirArray] of arrayEdits(theirChanges)) {
+        if (ourArrays.has(key) && (ourArrays.get(key).moved || theirArray.moved)) {
+            conflictsByKey.set(key, { segments: theirArray.parent, inserted: false });
+        }
+    }
+
+    const found = [...conflictsByKey.values()];
+    const outermost = found.filter(
+        conflict => !found.some(other => other !== conflict && holds(other, conflict.segments, conflict.inserted))
+    );
+    const inConflict = change => outermost.some(
+        conflict => holds(conflict, change.pathSegments, isInsertion(change))
+    );
+
+    const toOurs = locator(ourChanges);
+    const toTheirs = locator(theirChanges);
+    const conflicts = [];
+    const resolved = [];
+    const settled = [];
+    const rebased = theirChanges.filter(change => !duplicates.has(change) && !inConflict(change));
+
+    for (const { segments, inserted } of outermost) {
+        const ourSegments = inserted ? segments : toOurs(segments);
+        const theirSegments = inserted ? segments : toTheirs(segments);
+        const conflict = {
+            path: formatPath(segments),
+            pathSegments: segments,
+            pointer: segmentsToPointer(segments, base),
+            base: inserted ? undefined : getValue(base, segments),
+            ours: ourSegments && getValue(ours, ourSegments),
+            theirs: theirSegments && getValue(theirs, theirSegments),
+        };
+        const resolution = strategyFor(conflict.path, strategy, strategies);
+        if (!resolution) {
+            conflicts.push(conflict);
+            continue;
+        }
+        resolved.push({ ...conflict, resolution });
+        if (resolution !== 'theirs' || conflict.ours === conflict.theirs) {
+            continue;
+        }
+        const added = { diffType: 'Added', newValue: conflict.theirs };
+        const removed = { diffType: 'Removed', value: conflict.ours };
+        if (conflict.ours !== undefined && conflict.theirs !== undefined) {
+            settled.push(relocate({ diffType: 'Modified', oldValue: conflict.ours, newValue: conflict.theirs }, ourSegments));
+        } else if (typeof lastOf(segments) === 'number') {
+            // Their element, or its absence, takes its place among the
+            // elements both sides kept, like any insertion or removal of theirs.
+            rebased.push(conflict.ours === undefined
+                ? relocate(added, [...segments.slice(0, -1), lastOf(theirSegments)])
+                : relocate(removed, segments));
+        } else {
+            settled.push(conflict.ours === undefined
+                ? relocate(added, ourSegments || newLocations(ourChanges)(segments))
+                : relocate(removed, ourSegments));
+        }
+    }
+
+    const accepted = [...rebase(rebased, { base, ours, ourChanges, theirChanges }), ...settled];
+    return { merged: applyDiff(ours, accepted), conflicts, resolved };
+}
+
+/**
+ * Map paths in `base` to the same values on the side `changes` lead to, or
+ * to `undefined` when that side removed an array element on the way.
+ */
+function locator(changes) {
+    const toSide = newLocations(changes);
+    const removed = new Set();
+    const moved = new Map();
+    for (const change of changes.filter(isIndexEdit)) {
+        if (change.diffType === 'Removed') {
+            removed.add(keyOf(change.pathSegments));
+        } else if (change.diffType === 'Moved') {
+            moved.set(keyOf(change.pathSegments), change.toIndex);
+        }
+    }
+    return segments => {
+        const located = toSide(segments);
+        for (let i = 0; i < segments.length; i++) {
+            const key = keyOf(segments.slice(0, i + 1));
+            if (removed.has(key)) {
+                return undefined;
+            }
+            if (moved.has(key)) {
+                located[i] = moved.get(key);
+            }
+        }
+        return located;
+    };
+}
+
+/**
+ * Move their changes, located in `base`, onto `ours`: array indices are
+ * mapped through our insertions, removals and moves, and their insertions
+ * and removals in an array get indices in the merged array, in which they
+ * keep their place between the elements both sides kept.
+ */
+function rebase(changes, documents) {
+    const toOurs = newLocations(documents.ourChanges);
+    const ourArrays = arrayEdits(documents.ourChanges);
+    const theirArrays = arrayEdits(documents.theirChanges);
+    const rebased = [];
+    const arrays = new Map();
+    for (const change of changes) {
+        if (!isIndexEdit(change)) {
+            rebased.push(relocate(change, toOurs(change.pathSegments)));
+            continue;
+        }
+        const key = keyOf(change.pathSegments.slice(0, -1));
+        if (!arrays.has(key)) {
+            arrays.set(key, []);
+        }
+        arrays.get(key).push(change);
+    }
+    for (const [key, arrayChanges] of arrays) {
+        const parent = arrayChanges[0].pathSegments.slice(0, -1);
+        const theirArray = theirArrays.get(key) || { parent, gone: new Set(), taken: new Set(), moved: false };
+        if (theirArray.moved) {
+            // We made no insertions or removals here, or they conflict.
+            rebased.push(...arrayChanges.map(change => relocate(change, toOurs(change.pathSegments))));
+            continue;
+        }
+        const ourArray = ourArrays.get(key) || { gone: new Set(), taken: new Set() };
+        rebased.push(...rebaseArray(arrayChanges, theirArray, ourArray, toOurs(theirArray.parent), documents));
+    }
+    return rebased;
+}
+
+function rebaseArray(changes, theirArray, ourArray, ourParent, { base, ours }) {
+    const baseLength = getValue(base, theirArray.parent).length;
+    const theirIndex = keptIndices(baseLength, theirArray);
+    const ourIndex = keptIndices(baseLength, ourArray);
+    const slots = getValue(ours, ourParent).map((_, index) => ({ index }));
+
+    const removals = changes.filter(change => change.diffType === 'Removed');
+    for (const change of removals) {
+        const index = ourIndex.get(lastOf(change.pathSegments));
+        slots.splice(slots.findIndex(slot => slot.index === index), 1);
+    }
+    const additions = changes
+        .filter(change => change.diffType === 'Added')
+        .sort((a, b) => lastOf(a.pathSegments) - lastOf(b.pathSegments));
+    for (const change of additions) {
+        // Before the first element both sides kept that follows it on their side.
+        const newIndex = lastOf(change.pathSegments);
+        const next = [...ourIndex.keys()].find(i => theirIndex.has(i) && theirIndex.get(i) > newIndex);
+        const at = next === undefined ? slots.length : slots.findIndex(slot => slot.index === ourIndex.get(next));
+        slots.splice(at, 0, { change });
+    }
+
+    return [
+        ...removals.map(change => relocate(change, [...ourParent, ourIndex.get(lastOf(change.pathSegments))])),
+        ...slots.flatMap((slot, index) => (slot.change ? [relocate(slot.change, [...ourParent, index])] : [])),
+    ];
+}
+
+/**
+ * The insertions (`taken`, by new index) and removals (`gone`, by old index)
+ * made in each array, by parent path, and whether elements moved there.
+ */
+function arrayEdits(changes) {
+    const arrays = new Map();
+    for (const change of changes.filter(isIndexEdit)) {
+        const parent = change.pathSegments.slice(0, -1);
+        const key = keyOf(parent);
+        if (!arrays.has(key)) {
+            arrays.set(key, { parent, gone: new Set(), taken: new Set(), moved: false });
+        }
+        const edits = arrays.get(key);
+        if (change.diffType === 'Added') {
+            edits.taken.add(lastOf(change.pathSegments));
+        } else if (change.diffType === 'Removed') {
+            edits.gone.add(lastOf(change.pathSegments));
+        } else {
+            edits.moved = true;
+        }
+    }
+    return arrays;
+}
+
+/**
+ * Map the old indices of the elements an array kept to their new indices.
+ */
+function keptIndices(length, { gone, taken }) {
+    const kept = new Map();
+    let newIndex = 0;
+    for (let index = 0; index < length; index++) {
+        if (gone.has(index)) {
+            continue;
+        }
+        while (taken.has(newIndex)) {
+            newIndex++;
+        }
+        kept.set(index, newIndex++);
+    }
+    return kept;
+}
+
+/**
+ * Added array elements are located by their index on their own side, so they
+ * are told apart from the elements of `base` at the same index.
+ */
+function changeKey(change) {
+    return isInsertion(change) ? `+${keyOf(change.pathSegments)}` : keyOf(change.pathSegments);
+}
+
+function isInsertion(change) {
+    return change.diffType === 'Added' && isIndexEdit(change);
+}
+
+/**
+ * Whether a conflict covers a path, `inserted` telling whether the path ends
+ * in the index of an inserted element.
+ */
+function holds(conflict, segments, inserted) {
+    if (conflict.inserted) {
+        return inserted && keyOf(segments) === keyOf(conflict.segments);
+    }
+    return isWithin(segments, conflict.segments) && !(inserted && segments.length === conflict.segments.length);
+}
+
+function isIndexEdit(change) {
+    return ['Added', 'Removed', 'Moved'].includes(change.diffType) && typeof lastOf(change.pathSegments) === 'number';
+}
+
+function lastOf(segments) {
+    return segments[segments.length - 1];
+}
+
+function relocate(change, pathSegments) {
+    const { pointer, ...rest } = change;
+    return { ...rest, path: formatPath(pathSegments), pathSegments };
+}
+
+function keyOf(segments) {
+    return JSON.stringify(segments);
+}
+
+function ancestorsOf(segments) {
+    return segments.map((_, i) => segments.slice(0, i));
+}
+
+function isWithin(segments, prefix) {
+    return prefix.length <= segments.length
+        && prefix.every((segment, i) => keyOf(segment) === keyOf(segments[i]));
+}
+
+function isSameChange(a, b, diffOptions) {
+    if (a.diffType !== b.diffType) {
+        return false;
+    }
+    if (a.diffType === 'Removed') {
+        return true;
+    }
+    if (a.diffType === 'Moved') {
+        return a.toIndex === b.toIndex;
+    }
+    return diff(a.newValue, b.newValue, diffOptions).length === 0;
+}
+
+function strategyFor(path, strategy, strategies) {
+    const prefix = Object.keys(strategies)
+        .filter(candidate => isWithinPath(path, candidate))
+        .sort((a, b) => b.length - a.length)[0];
+    return prefix === undefined ? strategy : strategies[prefix];
+}
+
+module.exports.merge3 = merge3;
@@ -0,0 +1,28 @@
+'use strict';
+
+/**
+ * NDJSON (JSON Lines) parsing: one JSON value per line, read into an array.
+ * Blank lines are skipped. See lib/stream.js for diffing large NDJSON
+ * sources row by row instead.
+ */
+
+/**
+ * @param {string} content - NDJSON text
+ * @returns {Array} One value per non-blank line
+ */
+function parseNdjson(content) {
+    const values = [];
+    content.replace(/^\uFEFF/, '').split('\n').forEach((text, index) => {
+        if (!text.trim()) {
+            return;
+        }
+        try {
+            values.push(JSON.parse(text));
+        } catch (e) {
+            throw new Error(`NDJSON parse error: ${e.message} on line ${index + 1}`);
+        }
+    });
+    return values;
+}
+
+module.exports.parseNdjson = parseNdjson;
@@ -0,0 +1,139 @@
+'use strict';
+
+const { isPlainObject } = require('./values');
+
+/**
+ * Normalisation options: differences that are only in how a value is
+ * written, typically between documents produced by different tools, are not
+ * reported.
+ *
+ * - `coerceTypes`: a string equals the number or boolean it spells
+ *   (`'42'` and `42`, `'true'` / `'yes'` and `true`, `'false'` / `'no'` and
+ *   `false`); if the spelled value differs, the change is `Modified`.
+ * - `nullEqualsMissing`: a `null` value equals a missing key.
+ * - `emptyEqualsMissing`: an empty array or object equals a missing key, as
+ *   does an object holding nothing but such values.
+ * - `sortUnkeyedArrays`: array elements not matched by `arrayIdKey` are
+ *   sorted by content, then aligned along their longest common subsequence
+ *   (or by `arrayStrategy: 'unordered'`), so their order is ignored.
+ *
+ * These are handled by lib/plan.js, like `arrayStrategy`.
+ */
+const NORMALIZATIONS = ['coerceTypes', 'nullEqualsMissing', 'emptyEqualsMissing', 'sortUnkeyedArrays'];
+
+const NUMBER = /^[+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?$/;
+const BOOLEANS = { true: true, yes: true, false: false, no: false };
+
+function validateNormalizations(options, label) {
+    for (const name of NORMALIZATIONS) {
+        if (options[name] !== undefined && typeof options[name] !== 'boolean') {
+            throw new TypeError(`${name}${label} must be a boolean`);
+        }
+    }
+}
+
+/**
+ * Whether the options ask for values to be compared beyond what the native
+ * diff sees, so the planner has to walk them.
+ */
+function isNormalizing(options) {
+    return Boolean(options.coerceTypes || options.nullEqualsMissing || options.emptyEqualsMissing);
+}
+
+/**
+ * Whether a value counts as a missing key under the options.
+ */
+function isAbsent(value, options) {
+    if (value === null) {
+        return Boolean(options.nullEqualsMissing);
+    }
+    if (!options.emptyEqualsMissing) {
+        return false;
+    }
+    if (Array.isArray(value)) {
+        return value.length === 0;
+    }
+    return isPlainObject(value) && Object.values(value).every(child => isAbsent(child, options));
+}
+
+/**
+ * Compare a string with a number or boolean under `coerceTypes`: `true`
+ * when the string spells the other value (within `epsilon` for numbers),
+ * `false` when it spells another value of that type, and `undefined` for
+ * any other pair of values.
+ */
+function compareCoerced(oldValue, newValue, epsilon = 0) {
+    const [text, other] = typeof oldValue === 'string' ? [oldValue, newValue] : [newValue, oldValue];
+    if (typeof text !== 'string' || (typeof other !== 'number' && typeof other !== 'boolean')) {
+        return undefined;
+    }
+    const coerced = coerce(text.trim());
+    if (typeof coerced !== typeof other) {
+        return undefined;
+    }
+    return typeof coerced === 'number' ? Math.abs(coerced - other) <= epsilon : coerced === other;
+}
+
+function coerce(text) {
+    if (NUMBER.test(text)) {
+        return Number(text);
+    }
+    const lower = text.toLowerCase();
+    return Object.prototype.hasOwnProperty.call(BOOLEANS, lower) ? BOOLEANS[lower] : text;
+}
+
+const TYPE_ORDER = ['null', 'boolean', 'number', 'string', 'array', 'object'];
+
+/**
+ * Order two values by content, for `sortUnkeyedArrays`: by type, then
+ * numbers by value, strings by code unit, and arrays and objects by their
+ * elements (objects by their sorted keys first).
+ */
+function compareContent(a, b) {
+    const typeA = TYPE_ORDER.indexOf(typeOf(a));
+    const typeB = TYPE_ORDER.indexOf(typeOf(b));
+    if (typeA !== typeB) {
+        return typeA - typeB;
+    }
+    if (Array.isArray(a)) {
+        return compareLists(a, b, compareContent);
+    }
+    if (isPlainObject(a)) {
+        const keysA = Object.keys(a).sort();
+        const keysB = Object.keys(b).sort();
+        return compareLists(keysA, keysB, compareContent)
+            || compareLists(keysA.map(key => a[key]), keysA.map(key => b[key]), compareContent);
+    }
+    if (a === b || a === null) {
+        return 0;
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function compareLists(a, b, compare) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const order = compare(a[i], b[i]);
+        if (order !== 0) {
+            return order;
+        }
+    }
+    return a.length - b.length;
+}
+
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    return isPlainObject(value) ? 'object' : typeof value;
+}
+
+module.exports.NORMALIZATIONS = NORMALIZATIONS;
+module.exports.coerce = coerce;
+module.exports.compareContent = compareContent;
+module.exports.compareCoerced = compareCoerced;
+module.exports.isAbsent = isAbsent;
+module.exports.isNormalizing = isNormalizing;
+module.exports.validateNormalizations = validateNormalizations;
@@ -0,0 +1,101 @@
+'use strict';
+
+const binding = require('../binding');
+const { formatAnsi } = require('./ansi');
+const { validateOptions } = require('./diff');
+const { formatHtml } = require('./html');
+const { formatJunit } = require('./junit');
+const { formatMarkdown } = require('./markdown');
+const { toJsonPatch, toMergePatch } = require('./json-patch');
+const { resultPath } = require('./path');
+const { formatSarif } = require('./sarif');
+
+/**
+ * Formats rendered in JavaScript. Anything else goes to the native
+ * `formatOutput`, which owns "diffx", "json" and "yaml".
+ */
+const FORMATTERS = {
+    'json-patch': (results, options) => JSON.stringify(toJsonPatch(results, options), null, 2),
+    'merge-patch': (results, options) => JSON.stringify(toMergePatch(results, options), null, 2),
+    html: formatHtml,
+    ansi: formatAnsi,
+    markdown: formatMarkdown,
+    sarif: formatSarif,
+    junit: formatJunit,
+};
+
+/**
+ * The options each format takes; the native formats take none.
+ */
+const FORMAT_OPTIONS = {
+    'json-patch': ['source'],
+    'merge-patch': ['source'],
+    html: ['title'],
+    ansi: ['color'],
+    markdown: ['title', 'maxLength', 'maxValueLength'],
+    sarif: ['severity', 'file'],
+    junit: ['severity', 'title'],
+};
+
+/**
+ * Format diff results as string
+ *
+ * Results may locate their change by `path`, `pathSegments` or `pointer`.
+ *
+ * @param {Array} results - Array of diff results
+ * @param {string} format - Output format: "diffx", "json" or "yaml", or one of `FORMATTERS`
+ * @param {object} [options] - Format-specific options, e.g. `source` for the patch formats, `severity` for "sarif" and "junit"
+ * @returns {string} Formatted string output
+ */
+function formatOutput(results, format, options = {}) {
+    const name = String(format).toLowerCase();
+    validateOptions(options, FORMAT_OPTIONS[name] || [], `${name} format option`);
+    const formatter = FORMATTERS[name];
+    if (formatter) {
+        return formatter(results, options);
+    }
+    const located = results.map(result => ({ ...result, path: resultPath(result) }));
+    if (!located.some(result => result.diffType === 'Moved')) {
+        return binding.formatOutput(located, format);
+    }
+    return formatWithMoves(located, format);
+}
+
+/**
+ * The native formatter does not know `Moved` results, so each result is
+ * formatted on its own and the pieces are joined. A move is written like the
+ * native variants, as `Moved: [path, fromIndex, toIndex, value]`.
+ */
+function formatWithMoves(results, format) {
+    // Let the native formatter reject unknown formats.
+    binding.formatOutput([], format);
+
+    const name = String(format).toLowerCase();
+    const moved = result => [result.path, result.fromIndex, result.toIndex, result.value];
+    if (name === 'json') {
+        const entries = results.map(result => (result.diffType === 'Moved'
+            ? { Moved: moved(result) }
+            : JSON.parse(binding.formatOutput([result], format))[0]));
+        return JSON.stringify(entries, null, 2);
+    }
+    return results.map(result => {
+        if (result.diffType !== 'Moved') {
+            return binding.formatOutput([result], format);
+        }
+        if (name === 'yaml') {
+            // Borrow the native YAML rendering of the indices and the value.
+            const indices = binding.formatOutput([{
+                diffType: 'Modified',
+                path: result.path,
+                oldValue: result.fromIndex,
+                newValue: result.toIndex,
+            }], format);
+            const value = binding.formatOutput([{ diffType: 'Added', path: '', newValue: result.value }], format);
+            return indices.replace('!Modified', '!Moved') + value.split('\n').slice(2).join('\n');
+        }
+        return `${JSON.stringify({ Moved: moved(result) })}\n`;
+    }).join('');
+}
+
+module.exports.FORMAT_OPTIONS = FORMAT_OPTIONS;
+module.exports.formatOutput = formatOutput;
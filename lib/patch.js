@@ -0,0 +1,352 @@
+'use strict';
+
+const { validateOptions } = require('./diff');
+const { PatchError } = require('./errors');
+const { formatPath, parsePointer, resolveSegment, resultPath, resultSegments } = require('./path');
+const { clone, isDeepEqual } = require('./values');
+
+const has = (container, key) => Object.prototype.hasOwnProperty.call(container, key);
+
+/**
+ * Apply diff results to a document, producing the "new" side of the diff.
+ *
+ * The target is not mutated. Array insertions, deletions and moves addressed
+ * by index are replayed array by array, innermost first: deletions in
+ * descending order, then insertions and moves in ascending order of their
+ * final index, so that earlier edits do not shift later ones. Elements
+ * added by identity (`[id=…]`) go in at the index their `pointer` gives,
+ * after the other edits and in ascending order, or at the end without one.
+ *
+ * @param {any} target - Document to patch
+ * @param {Array} results - Results returned by `diff()`
+ * @param {object} [options]
+ * @param {boolean} [options.strict=false] - Verify that the document holds the
+ *   old value of every result (and that Added paths are free) before changing it
+ * @returns {any} Patched copy of the document
+ */
+function applyDiff(target, results, options = {}) {
+    validateOptions(options, ['strict'], 'applyDiff() option');
+    const strict = Boolean(options.strict);
+    let document = clone(target);
+    for (const step of orderSteps(results)) {
+        document = applyStep(document, step, strict);
+    }
+    return document;
+}
+
+/**
+ * Undo diff results on a document, producing the "old" side of the diff.
+ *
+ * @param {any} target - Document to patch (usually the new side of the diff)
+ * @param {Array} results - Results returned by `diff()`
+ * @param {object} [options] - Same as `applyDiff()`
+ * @returns {any} Patched copy of the document
+ */
+function revertDiff(target, results, options) {
+    validateOptions(options, ['strict'], 'revertDiff() option');
+    const toNew = newLocations(results);
+    return applyDiff(target, results.slice().reverse().map(result => invertResult(result, toNew)), options);
+}
+
+function invertResult(result, toNew) {
+    const segments = resultSegments(result);
+    // Results below elements paired out of order say where they are in the
+    // new document; the order of the array edits cannot tell.
+    const located = result.newPathSegments;
+    let pathSegments;
+    if (isStructural({ result, segments })) {
+        pathSegments = [...(located ? located.slice(0, -1) : toNew(segments.slice(0, -1))), segments[segments.length - 1]];
+    } else {
+        pathSegments = located || toNew(segments);
+    }
+    const location = { path: formatPath(pathSegments), pathSegments };
+    switch (result.diffType) {
+        case 'Added':
+            return { diffType: 'Removed', ...location, value: result.newValue };
+        case 'Removed':
+            // The old index of an element removed by identity puts it back.
+            return {
+                diffType: 'Added',
+                ...location,
+                newValue: result.value,
+                ...(typeof segments[segments.length - 1] === 'object' && { pointer: result.pointer }),
+            };
+        case 'Modified':
+        case 'TypeChanged':
+            return {
+                diffType: result.diffType,
+                ...location,
+                oldValue: result.newValue,
+                newValue: result.oldValue,
+            };
+        case 'Moved': {
+            const movedSegments = [...pathSegments.slice(0, -1), result.toIndex];
+            return {
+                diffType: 'Moved',
+                path: formatPath(movedSegments),
+                pathSegments: movedSegments,
+                fromIndex: result.toIndex,
+                toIndex: result.fromIndex,
+                value: result.value,
+            };
+        }
+        default:
+            throw new PatchError(`Invalid diff result type: ${result.diffType}`, result);
+    }
+}
+
+/**
+ * Map paths in the old document to the same elements in the new one.
+ *
+ * Results locate changes by old array index, which stops being the index of
+ * the element once insertions, deletions or moves before it are applied.
+ * Old elements that stay in an array keep their order, and fill the slots
+ * not taken by Added and Moved elements, in order.
+ */
+function newLocations(results) {
+    return locations(results, false);
+}
+
+/**
+ * Map paths in the new document to the same elements in the old one: the
+ * inverse of `newLocations()`.
+ */
+function oldLocations(results) {
+    return locations(results, true);
+}
+
+function locations(results, inverse) {
+    const arrays = new Map();
+    for (const result of results) {
+        const segments = resultSegments(result);
+        if (!isStructural({ result, segments })) {
+            continue;
+        }
+        const key = JSON.stringify(segments.slice(0, -1));
+        if (!arrays.has(key)) {
+            arrays.set(key, { gone: new Set(), taken: new Set() });
+        }
+        const edits = arrays.get(key);
+        const index = segments[segments.length - 1];
+        if (result.diffType === 'Added') {
+            edits.taken.add(index);
+        } else {
+            edits.gone.add(index);
+        }
+        if (result.diffType === 'Moved') {
+            edits.taken.add(result.toIndex);
+        }
+    }
+
+    const mapIndex = ({ gone, taken }, index) => {
+        let rank = 0;
+        for (let i = 0; i < index; i++) {
+            rank += gone.has(i) ? 0 : 1;
+        }
+        let newIndex = 0;
+        for (; rank > 0 || taken.has(newIndex); newIndex++) {
+            rank -= taken.has(newIndex) ? 0 : 1;
+        }
+        return newIndex;
+    };
+
+    return segments => segments.map((segment, i) => {
+        const edits = typeof segment === 'number' && arrays.get(JSON.stringify(segments.slice(0, i)));
+        if (!edits) {
+            return segment;
+        }
+        return inverse ? mapIndex({ gone: edits.taken, taken: edits.gone }, segment) : mapIndex(edits, segment);
+    });
+}
+
+const STRUCTURAL = ['Added', 'Removed', 'Moved'];
+
+function isStructural({ result, segments }) {
+    return STRUCTURAL.includes(result.diffType) && typeof segments[segments.length - 1] === 'number';
+}
+
+function orderSteps(results) {
+    const steps = results.map(result => {
+        const segments = resultSegments(result);
+        return { result, segments, index: placedIndex(result, segments) };
+    });
+
+    const arrays = new Map();
+    for (const step of steps.filter(isStructural)) {
+        const parent = step.segments.slice(0, -1);
+        const key = JSON.stringify(parent);
+        if (!arrays.has(key)) {
+            arrays.set(key, { parent, steps: [] });
+        }
+        arrays.get(key).steps.push(step);
+    }
+
+    const others = steps.filter(step => !isStructural(step) && step.index === undefined);
+    const placed = steps.filter(step => step.index !== undefined).sort((a, b) => a.index - b.index);
+    const structural = [...arrays.values()]
+        .sort((a, b) => b.parent.length - a.parent.length)
+        .flatMap(arrayEdits);
+    return [...others, ...placed, ...structural];
+}
+
+/**
+ * The index an element added by identity goes in at: the last token of the
+ * result's `pointer`, which locates it in the document being produced.
+ */
+function placedIndex(result, segments) {
+    const last = segments[segments.length - 1];
+    if (result.diffType !== 'Added' || last === null || typeof last !== 'object'
+        || typeof result.pointer !== 'string' || !result.pointer.startsWith('/')) {
+        return undefined;
+    }
+    const token = parsePointer(result.pointer).pop();
+    return /^(0|[1-9]\d*)$/.test(token) ? Number(token) : undefined;
+}
+
+/**
+ * Order the index-addressed edits of one array. Removed results locate
+ * elements by old index, Added ones by new index; a Moved element is taken
+ * out with the removals and put back with the insertions.
+ */
+function arrayEdits({ parent, steps }) {
+    const indexOf = step => step.segments[step.segments.length - 1];
+    const moves = steps.filter(step => step.result.diffType === 'Moved');
+
+    const takes = moves.map(step => ({ ...step, move: 'take' }));
+    const puts = moves.map(step => ({ ...step, segments: [...parent, step.result.toIndex], move: 'put' }));
+    const removals = [...steps.filter(step => step.result.diffType === 'Removed'), ...takes]
+        .sort((a, b) => indexOf(b) - indexOf(a));
+    const insertions = [...steps.filter(step => step.result.diffType === 'Added'), ...puts]
+        .sort((a, b) => indexOf(a) - indexOf(b));
+
+    return [...removals, ...insertions];
+}
+
+function applyStep(document, { result, segments, move, index }, strict) {
+    const { diffType } = result;
+    const path = resultPath(result);
+    const fail = reason => {
+        throw new PatchError(`Cannot apply ${diffType} at "${path}": ${reason}`, { path, diffType });
+    };
+
+    if (segments.length === 0) {
+        return applyRoot(document, result, strict, fail);
+    }
+
+    let parent = document;
+    for (const segment of segments.slice(0, -1)) {
+        const key = parent !== null && typeof parent === 'object'
+            ? resolveSegment(parent, segment)
+            : undefined;
+        if (key === undefined || !has(parent, key)) {
+            fail('path not found');
+        }
+        parent = parent[key];
+    }
+    if (parent === null || typeof parent !== 'object') {
+        fail('parent is not an object or array');
+    }
+
+    const last = segments[segments.length - 1];
+    const key = resolveSegment(parent, last);
+    const exists = key !== undefined && has(parent, key);
+
+    switch (diffType) {
+        case 'Added':
+            if (typeof last === 'number' && Array.isArray(parent)) {
+                if (key > parent.length) {
+                    fail(`index ${key} is out of bounds`);
+                }
+                parent.splice(key, 0, clone(result.newValue));
+                break;
+            }
+            if (strict && exists) {
+                fail(`value already exists: ${JSON.stringify(parent[key])}`);
+            }
+            if (typeof last === 'object' && !exists) {
+                const at = index !== undefined && Array.isArray(parent) ? Math.min(index, parent.length) : parent.length;
+                parent.splice(at, 0, clone(result.newValue));
+            } else {
+                parent[key] = clone(result.newValue);
+            }
+            break;
+        case 'Moved':
+            if (!Array.isArray(parent) || (move !== 'put' && !exists)) {
+                fail('no array element to move');
+            }
+            if (move === 'take') {
+                if (strict && !isDeepEqual(parent[key], result.value)) {
+                    fail(`expected ${JSON.stringify(result.value)}, found ${JSON.stringify(parent[key])}`);
+                }
+                parent.splice(key, 1);
+            } else if (move === 'put') {
+                if (key > parent.length) {
+                    fail(`index ${key} is out of bounds`);
+                }
+                parent.splice(key, 0, clone(result.value));
+            } else {
+                const [element] = parent.splice(key, 1);
+                parent.splice(result.toIndex, 0, element);
+            }
+            break;
+        case 'Removed':
+            if (!exists) {
+                if (strict) {
+                    fail('path not found');
+                }
+                break;
+            }
+            if (strict && !isDeepEqual(parent[key], result.value)) {
+                fail(`expected ${JSON.stringify(result.value)}, found ${JSON.stringify(parent[key])}`);
+            }
+            if (Array.isArray(parent)) {
+                parent.splice(key, 1);
+            } else {
+                delete parent[key];
+            }
+            break;
+        case 'Modified':
+        case 'TypeChanged':
+            if (strict && !exists) {
+                fail('path not found');
+            }
+            if (strict && !isDeepEqual(parent[key], result.oldValue)) {
+                fail(`expected ${JSON.stringify(result.oldValue)}, found ${JSON.stringify(parent[key])}`);
+            }
+            if (key === undefined) {
+                fail('no array element matches');
+            }
+            parent[key] = clone(result.newValue);
+            break;
+        default:
+            throw new PatchError(`Invalid diff result type: ${diffType}`, { path, diffType });
+    }
+
+    return document;
+}
+
+function applyRoot(document, result, strict, fail) {
+    switch (result.diffType) {
+        case 'Added':
+            return clone(result.newValue);
+        case 'Removed':
+            if (strict && !isDeepEqual(document, result.value)) {
+                fail(`expected ${JSON.stringify(result.value)}, found ${JSON.stringify(document)}`);
+            }
+            return null;
+        case 'Modified':
+        case 'TypeChanged':
+            if (strict && !isDeepEqual(document, result.oldValue)) {
+                fail(`expected ${JSON.stringify(result.oldValue)}, found ${JSON.stringify(document)}`);
+            }
+            return clone(result.newValue);
+        default:
+            return fail('invalid diff result type');
+    }
+}
+
+module.exports.applyDiff = applyDiff;
+module.exports.revertDiff = revertDiff;
+module.exports.newLocations = newLocations;
+module.exports.oldLocations = oldLocations;
+module.exports.orderSteps = orderSteps;
@@ -0,0 +1,475 @@
+'use strict';
+
+/**
+ * Helpers for the path strings carried by diff results.
+ *
+ * diffx paths join object keys with `.` and address array elements either
+ * by position (`items[1]`) or, when `arrayIdKey` is set, by identity
+ * (`users[id=3]`, `users[id="alice"]`). The root value has the empty path.
+ *
+ * Parsed paths are arrays of segments: a string for an object key, a number
+ * for an array index, or `{ key, value }` for an identity match.
+ *
+ * Path strings are ambiguous when keys contain `.` or `[` (`app.kubernetes.io/name`),
+ * so `resolvePath()` parses them against the documents they were computed
+ * from. Results carry the unambiguous `pathSegments` and `pointer` forms as
+ * well, and `resultSegments()` prefers those when reading a result back.
+ */
+
+const { isDeepEqual } = require('./values');
+
+const ARRAY_INDEX = /^(0|[1-9]\d*)$/;
+const has = (container, key) => Object.prototype.hasOwnProperty.call(container, key);
+
+function parsePath(path) {
+    const segments = [];
+    let i = 0;
+
+    while (i < path.length) {
+        const ch = path[i];
+        if (ch === '.') {
+            i++;
+        } else if (ch === '[') {
+            const [segment, next] = parseBracket(path, i);
+            segments.push(segment);
+            i = next;
+        } else {
+            let end = i;
+            while (end < path.length && path[end] !== '.' && path[end] !== '[') {
+                end++;
+            }
+            segments.push(path.slice(i, end));
+            i = end;
+        }
+    }
+
+    return segments;
+}
+
+function parseBracket(path, start) {
+    let i = start + 1;
+    let end = i;
+    while (end < path.length && path[end] !== ']' && path[end] !== '=') {
+        end++;
+    }
+    const head = path.slice(i, end);
+
+    if (path[end] === ']') {
+        if (!/^\d+$/.test(head)) {
+            throw new Error(`Invalid path "${path}": expected an array index at offset ${start}`);
+        }
+        return [Number(head), end + 1];
+    }
+    if (path[end] !== '=') {
+        throw new Error(`Invalid path "${path}": unterminated "[" at offset ${start}`);
+    }
+
+    i = end + 1;
+    let raw;
+    if (path[i] === '"') {
+        end = i + 1;
+        while (end < path.length && path[end] !== '"') {
+            end += path[end] === '\\' ? 2 : 1;
+        }
+        raw = path.slice(i, end + 1);
+        end++;
+    } else {
+        end = i;
+        while (end < path.length && path[end] !== ']') {
+            end++;
+        }
+        raw = path.slice(i, end);
+    }
+    if (path[end] !== ']') {
+        throw new Error(`Invalid path "${path}": unterminated "[" at offset ${start}`);
+    }
+
+    return [{ key: head, value: parseIdValue(raw) }, end + 1];
+}
+
+function parseIdValue(raw) {
+    try {
+        return JSON.parse(raw);
+    } catch {
+        return raw;
+    }
+}
+
+function formatPath(segments) {
+    let path = '';
+    for (const segment of segments) {
+        if (typeof segment === 'number') {
+            path += `[${segment}]`;
+        } else if (typeof segment === 'object') {
+            path += `[${segment.key}=${JSON.stringify(segment.value)}]`;
+        } else {
+            path += path ? `.${segment}` : segment;
+        }
+    }
+    return path;
+}
+
+/**
+ * Parse a path string against the documents it was computed from.
+ *
+ * Every segment of a diff result's path exists in at least one of the two
+ * documents, which picks the right split when keys contain separators, and
+ * the identity of an element as written in the path (where string ids are
+ * not escaped) is matched against the ids of the array's elements. Falls
+ * back to `parsePath()` when no split fits.
+ */
+function resolvePath(path, ...documents) {
+    return pathResolver(documents)(path);
+}
+
+/**
+ * `resolvePath()` for many paths into the same documents, which `index` (a
+ * `segmentIndex()`) indexes along the way, so they must not change in
+ * between.
+ *
+ * Given the diff result a path comes from, with `documents` the old and new
+ * ones, a split is only taken if it leads to the values the result reports,
+ * so that `a.b` is told from `a` › `b` when both keys exist; failing that,
+ * the first split that exists is.
+ */
+function pathResolver(documents, index = segmentIndex()) {
+    const resolve = (path, accept) => resolveFrom(path, 0, documents, true, index, accept);
+    return (path, result) => (result && resolve(path, leaves => reports(result, leaves)))
+        || resolve(path, () => true)
+        || parsePath(path);
+}
+
+/**
+ * Whether `oldNode` and `newNode` hold the values `result` reports.
+ */
+function reports(result, [oldNode, newNode]) {
+    if ('oldValue' in result && !isDeepEqual(oldNode, result.oldValue)) {
+        return false;
+    }
+    if ('value' in result && !isDeepEqual(oldNode, result.value)) {
+        return false;
+    }
+    return !('newValue' in result) || isDeepEqual(newNode, result.newValue);
+}
+
+function resolveFrom(path, start, nodes, atRoot, index, accept) {
+    if (start === path.length) {
+        return accept(nodes) ? [] : null;
+    }
+    const containers = nodes.filter(node => node !== null && typeof node === 'object');
+    if (containers.length === 0) {
+        return null;
+    }
+
+    if (path[start] === '[' && containers.some(Array.isArray)) {
+        for (const [segment, next] of bracketCandidates(path, start, containers.filter(Array.isArray), index)) {
+            const resolved = descend(path, segment, next, nodes, index, accept);
+            if (resolved) {
+                return resolved;
+            }
+        }
+    }
+
+    const keyStart = !atRoot && path[start] === '.' ? start + 1 : start;
+    if (keyStart === start && !atRoot && path[start] !== '[') {
+        return null;
+    }
+    const objects = containers.filter(node => !Array.isArray(node));
+    if (objects.length === 0) {
+        return null;
+    }
+
+    let end = keyStart;
+    while (end < path.length && path[end] !== '.' && path[end] !== '[') {
+        end++;
+    }
+    const token = path.slice(keyStart, end);
+    if (objects.some(node => has(node, token))) {
+        const resolved = descend(path, token, end, nodes, index, accept);
+        if (resolved) {
+            return resolved;
+        }
+    }
+
+    const candidates = new Set();
+    for (const node of objects) {
+        for (const key of Object.keys(node)) {
+            const next = keyStart + key.length;
+            if (key !== token && path.startsWith(key, keyStart)
+                && (next === path.length || path[next] === '.' || path[next] === '[')) {
+                candidates.add(key);
+            }
+        }
+    }
+    for (const key of [...candidates].sort((a, b) => b.length - a.length)) {
+        const resolved = descend(path, key, keyStart + key.length, nodes, index, accept);
+        if (resolved) {
+            return resolved;
+        }
+    }
+    return null;
+}
+
+/**
+ * The segments an array bracket at `start` may stand for, each with the
+ * offset after it: the bracket as `parsePath()` reads it, then the ids of
+ * the arrays' elements whose native rendering the bracket holds.
+ */
+function* bracketCandidates(path, start, arrays, index) {
+    try {
+        yield parseBracket(path, start);
+    } catch {
+        // Unescaped quotes or brackets in an id; matched below.
+    }
+    const equals = path.indexOf('=', start);
+    const close = path.indexOf(']', start);
+    if (equals === -1 || close < equals) {
+        return;
+    }
+    const key = path.slice(start + 1, equals);
+    for (let end = path.indexOf(']', equals); end !== -1; end = path.indexOf(']', end + 1)) {
+        const text = path.slice(equals + 1, end);
+        for (const array of arrays) {
+            const ids = index.idsByText(array, key);
+            if (ids.has(text)) {
+                yield [{ key, value: ids.get(text) }, end + 1];
+            }
+        }
+    }
+}
+
+function descend(path, segment, next, nodes, index, accept) {
+    const children = nodes.map(node => childOf(node, segment, index));
+    if (children.every(child => child === undefined)) {
+        return null;
+    }
+    const rest = resolveFrom(path, next, children, false, index, accept);
+    return rest ? [segment, ...rest] : null;
+}
+
+function childOf(node, segment, index) {
+    if (node === null || typeof node !== 'object') {
+        return undefined;
+    }
+    if (typeof segment === 'string' && Array.isArray(node)) {
+        return undefined;
+    }
+    const key = index.resolve(node, segment);
+    return key !== undefined && has(node, key) ? node[key] : undefined;
+}
+
+/**
+ * Identity lookups that index each array the first time it is searched, so
+ * that resolving a path per result stays linear in the number of results.
+ * `resolve()` is `resolveSegment()`; `idsByText(array, key)` maps the
+ * native rendering of each id under `key` (as in `users[id="a"]`) to the id.
+ */
+function segmentIndex() {
+    const indexes = new WeakMap();
+    const lookup = (array, key, build) => {
+        if (!indexes.has(array)) {
+            indexes.set(array, new Map());
+        }
+        const byKey = indexes.get(array);
+        if (!byKey.has(key)) {
+            byKey.set(key, build());
+        }
+        return byKey.get(key);
+    };
+    const idsOf = (array, key, keyOf) => {
+        const ids = new Map();
+        array.forEach((item, i) => {
+            if (item !== null && typeof item === 'object' && item[key] !== undefined) {
+                for (const text of keyOf(item[key])) {
+                    if (!ids.has(text)) {
+                        ids.set(text, keyOf === nativeIdTexts ? item[key] : i);
+                    }
+                }
+            }
+        });
+        return ids;
+    };
+    return {
+        resolve: (container, segment) => {
+            if (typeof segment !== 'object' || !Array.isArray(container)) {
+                return resolveSegment(container, segment);
+            }
+            const positions = lookup(container, `index:${segment.key}`, () => idsOf(container, segment.key, idKeys));
+            return positions.get(idKeys(segment.value)[0]);
+        },
+        idsByText: (array, key) => lookup(array, `text:${key}`, () => idsOf(array, key, nativeIdTexts)),
+    };
+}
+
+/**
+ * A Map key for an id compared by value, as the native diff compares them.
+ */
+function idKeys(value) {
+    if (value !== null && typeof value === 'object') {
+        return [`object:${debugValue(value, true)}`];
+    }
+    return [typeof value === 'string' ? `string:${value}` : value];
+}
+
+/**
+ * The ways the native diff may render an id in a path: strings quoted but
+ * not escaped, and other values in Rust's debug notation (with object keys
+ * in insertion or sorted order).
+ */
+function nativeIdTexts(value) {
+    if (typeof value === 'string') {
+        return [`"${value}"`];
+    }
+    if (value === null) {
+        return ['Null'];
+    }
+    if (typeof value !== 'object') {
+        return [String(value)];
+    }
+    return [...new Set([debugValue(value, false), debugValue(value, true)])];
+}
+
+function debugValue(value, sortKeys) {
+    if (value === null) {
+        return 'Null';
+    }
+    if (Array.isArray(value)) {
+        return `Array [${value.map(item => debugValue(item, sortKeys)).join(', ')}]`;
+    }
+    if (typeof value === 'object') {
+        const keys = sortKeys ? Object.keys(value).sort() : Object.keys(value);
+        return `Object {${keys.map(key => `${JSON.stringify(key)}: ${debugValue(value[key], sortKeys)}`).join(', ')}}`;
+    }
+    if (typeof value === 'string') {
+        return `String(${JSON.stringify(value)})`;
+    }
+    return typeof value === 'boolean' ? `Bool(${value})` : `Number(${value})`;
+}
+
+/**
+ * The segments a result addresses, preferring `pathSegments`, then
+ * `pointer`, then the `path` string.
+ */
+function resultSegments(result) {
+    if (Array.isArray(result.pathSegments)) {
+        return result.pathSegments;
+    }
+    if (typeof result.pointer === 'string') {
+        return parsePointer(result.pointer).map(token => (ARRAY_INDEX.test(token) ? Number(token) : token));
+    }
+    return parsePath(result.path);
+}
+
+/**
+ * A readable path string for a result, whichever location fields it has.
+ */
+function resultPath(result) {
+    return typeof result.path === 'string' ? result.path : formatPath(resultSegments(result));
+}
+
+/**
+ * Resolve a segment against a container, returning the key or index to use
+ * on it, or `undefined` when an identity segment matches no element.
+ *
+ * `-` addresses the position after the last element of an array, as in
+ * JSON Pointer.
+ */
+function resolveSegment(container, segment) {
+    if (segment === '-' && Array.isArray(container)) {
+        return container.length;
+    }
+    if (typeof segment !== 'object') {
+        return segment;
+    }
+    if (!Array.isArray(container)) {
+        return undefined;
+    }
+    const matches = segment.value !== null && typeof segment.value === 'object'
+        ? value => isDeepEqual(value, segment.value)
+        : value => value === segment.value;
+    const index = container.findIndex(item => item !== null && typeof item === 'object' && matches(item[segment.key]));
+    return index === -1 ? undefined : index;
+}
+
+/**
+ * Read the value at a parsed path, or `undefined` when it does not exist.
+ */
+function getValue(document, segments) {
+    let node = document;
+    for (const segment of segments) {
+        if (node === null || typeof node !== 'object') {
+            return undefined;
+        }
+        const key = resolveSegment(node, segment);
+        if (key === undefined || !Object.prototype.hasOwnProperty.call(node, key)) {
+            return undefined;
+        }
+        node = node[key];
+    }
+    return node;
+}
+
+/**
+ * Whether `path` equals `prefix` or lies underneath it.
+ */
+function isWithinPath(path, prefix) {
+    return prefix === ''
+        || path === prefix
+        || (path.startsWith(prefix) && (path[prefix.length] === '.' || path[prefix.length] === '['));
+}
+
+/**
+ * Build the RFC 6901 JSON Pointer for parsed segments, resolving identity
+ * segments to indices in `document` (through `index`, a `segmentIndex()`,
+ * when given).
+ */
+function segmentsToPointer(segments, document, index) {
+    const resolve = index ? index.resolve : resolveSegment;
+    let node = document;
+    const tokens = segments.map(segment => {
+        let key = segment;
+        if (typeof segment === 'object') {
+            key = node !== null && typeof node === 'object' ? resolve(node, segment) : undefined;
+            if (key === undefined) {
+                key = '-';
+            }
+        }
+        node = node !== null && typeof node === 'object' && key !== '-' ? node[key] : undefined;
+        return key;
+    });
+    return formatPointer(tokens);
+}
+
+/**
+ * Build an RFC 6901 JSON Pointer from reference tokens.
+ */
+function formatPointer(tokens) {
+    return tokens.map(token => `/${String(token).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
+/**
+ * Split an RFC 6901 JSON Pointer into its (unescaped) reference tokens.
+ */
+function parsePointer(pointer) {
+    if (pointer === '') {
+        return [];
+    }
+    if (!pointer.startsWith('/')) {
+        throw new Error(`Invalid JSON Pointer "${pointer}": must be empty or start with "/"`);
+    }
+    return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+module.exports.parsePath = parsePath;
+module.exports.formatPath = formatPath;
+module.exports.resolvePath = resolvePath;
+module.exports.pathResolver = pathResolver;
+module.exports.segmentIndex = segmentIndex;
+module.exports.resultSegments = resultSegments;
+module.exports.resultPath = resultPath;
+module.exports.resolveSegment = resolveSegment;
+module.exports.segmentsToPointer = segmentsToPointer;
+module.exports.getValue = getValue;
+module.exports.isWithinPath = isWithinPath;
+module.exports.formatPointer = formatPointer;
+module.exports.parsePointer = parsePointer;
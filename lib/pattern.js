@@ -0,0 +1,261 @@
+'use strict';
+
+/**
+ * Path patterns, matched against the `pathSegments` of diff results.
+ *
+ * Two syntaxes are accepted:
+ *
+ * - globs in diffx path notation: `spec.containers[*].image`, `metadata.**`,
+ *   `*.enabled`, `users[id=3]`, `labels["app.kubernetes.io/name"]`. `*` matches
+ *   one key or array element (or part of a key, as in `log*`), `**` any
+ *   number of them.
+ * - JSONPath, when the pattern starts with `$`: `$.spec.containers[*].image`,
+ *   `$..image`, `$['app.kubernetes.io/name']`. Filter expressions are not
+ *   supported.
+ *
+ * A pattern compiles to a list of tokens, each `{ type }` with type one of
+ * `key`, `index`, `identity`, `glob`, `any` or `deep`.
+ */
+
+const ARRAY_INDEX = /^(0|[1-9]\d*)$/;
+
+function compilePattern(pattern) {
+    if (typeof pattern !== 'string') {
+        throw new TypeError(`Path patterns must be strings, got ${typeof pattern}`);
+    }
+    const tokens = pattern.startsWith('$') ? parseJsonPath(pattern) : parseGlob(pattern);
+    return { source: pattern, tokens, specificity: specificityOf(tokens) };
+}
+
+function parseGlob(pattern) {
+    const tokens = [];
+    let i = 0;
+    while (i < pattern.length) {
+        if (pattern[i] === '.') {
+            i++;
+        } else if (pattern[i] === '[') {
+            i = parseBracketToken(pattern, i, tokens);
+        } else {
+            let end = i;
+            while (end < pattern.length && pattern[end] !== '.' && pattern[end] !== '[') {
+                end++;
+            }
+            tokens.push(wordToken(pattern.slice(i, end)));
+            i = end;
+        }
+    }
+    return tokens;
+}
+
+function parseJsonPath(pattern) {
+    const tokens = [];
+    let i = 1;
+    while (i < pattern.length) {
+        if (pattern.startsWith('..', i)) {
+            tokens.push({ type: 'deep' });
+            i += 2;
+            if (pattern[i] === '[') {
+                continue;
+            }
+            i = parseJsonPathWord(pattern, i, tokens);
+        } else if (pattern[i] === '.') {
+            i = parseJsonPathWord(pattern, i + 1, tokens);
+        } else if (pattern[i] === '[') {
+            if (pattern[i + 1] === '?' || pattern[i + 1] === '(') {
+                throw new Error(`Unsupported JSONPath expression in "${pattern}": filters are not supported`);
+            }
+            i = parseBracketToken(pattern, i, tokens);
+        } else {
+            throw new Error(`Invalid JSONPath "${pattern}" at offset ${i}`);
+        }
+    }
+    return tokens;
+}
+
+function parseJsonPathWord(pattern, start, tokens) {
+    let end = start;
+    while (end < pattern.length && pattern[end] !== '.' && pattern[end] !== '[') {
+        end++;
+    }
+    const word = pattern.slice(start, end);
+    if (!word) {
+        throw new Error(`Invalid JSONPath "${pattern}": empty name at offset ${start}`);
+    }
+    tokens.push(word === '*' ? { type: 'any' } : { type: 'key', value: word });
+    return end;
+}
+
+function wordToken(word) {
+    if (word === '**') {
+        return { type: 'deep' };
+    }
+    if (word === '*') {
+        return { type: 'any' };
+    }
+    if (word.includes('*')) {
+        const source = word.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        return { type: 'glob', regex: new RegExp(`^${source}$`) };
+    }
+    return { type: 'key', value: word };
+}
+
+function parseBracketToken(pattern, start, tokens) {
+    const quote = pattern[start + 1];
+    if (quote === '"' || quote === "'") {
+        let end = start + 2;
+        let value = '';
+        while (end < pattern.length && pattern[end] !== quote) {
+            if (pattern[end] === '\\') {
+                end++;
+            }
+            value += pattern[end];
+            end++;
+        }
+        if (pattern[end + 1] !== ']') {
+            throw new Error(`Invalid path pattern "${pattern}": unterminated "[" at offset ${start}`);
+        }
+        tokens.push({ type: 'key', value });
+        return end + 2;
+    }
+
+    const end = pattern.indexOf(']', start);
+    if (end === -1) {
+        throw new Error(`Invalid path pattern "${pattern}": unterminated "[" at offset ${start}`);
+    }
+    const inner = pattern.slice(start + 1, end).trim();
+    if (inner === '*') {
+        tokens.push({ type: 'any' });
+    } else if (ARRAY_INDEX.test(inner)) {
+        tokens.push({ type: 'index', value: Number(inner) });
+    } else if (inner.includes('=')) {
+        const eq = inner.indexOf('=');
+        const raw = inner.slice(eq + 1);
+        let value;
+        try {
+            value = JSON.parse(raw);
+        } catch {
+            value = raw;
+        }
+        tokens.push({ type: 'identity', key: inner.slice(0, eq), value });
+    } else {
+        throw new Error(`Invalid path pattern "${pattern}": unexpected "[${inner}]"`);
+    }
+    return end + 1;
+}
+
+function specificityOf(tokens) {
+    return tokens.reduce((score, token) => {
+        if (token.type === 'deep') {
+            return score;
+        }
+        return score + (token.type === 'any' || token.type === 'glob' ? 1 : 2);
+    }, 0);
+}
+
+function tokenMatches(token, segment) {
+    switch (token.type) {
+        case 'any':
+            return true;
+        case 'key':
+            return typeof segment !== 'object' && String(segment) === token.value;
+        case 'glob':
+            return typeof segment === 'string' && token.regex.test(segment);
+        case 'index':
+            return segment === token.value;
+        case 'identity':
+            return typeof segment === 'object' && segment.key === token.key && segment.value === token.value;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Whether a compiled pattern matches a path exactly.
+ */
+function matchPattern(compiled, segments) {
+    const { tokens } = compiled;
+    const memo = new Map();
+
+    const match = (t, s) => {
+        const id = t * (segments.length + 1) + s;
+        if (memo.has(id)) {
+            return memo.get(id);
+        }
+        let result;
+        if (t === tokens.length) {
+            result = s === segments.length;
+        } else if (tokens[t].type === 'deep') {
+            result = match(t + 1, s) || (s < segments.length && match(t, s + 1));
+        } else {
+            result = s < segments.length && tokenMatches(tokens[t], segments[s]) && match(t + 1, s + 1);
+        }
+        memo.set(id, result);
+        return result;
+    };
+
+    return match(0, 0);
+}
+
+/**
+ * Whether a compiled pattern matches a path or one of its ancestors.
+ */
+function matchWithin(compiled, segments) {
+    for (let length = segments.length; length >= 0; length--) {
+        if (matchPattern(compiled, segments.slice(0, length))) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Whether a compiled pattern could match a path strictly below `segments`.
+ */
+function matchesBelow(compiled, segments) {
+    const { tokens } = compiled;
+    const closure = states => {
+        for (const t of states) {
+            if (t < tokens.length && tokens[t].type === 'deep') {
+                states.add(t + 1);
+            }
+        }
+        return states;
+    };
+
+    let states = closure(new Set([0]));
+    for (const segment of segments) {
+        const next = new Set();
+        for (const t of states) {
+            if (t === tokens.length) {
+                continue;
+            }
+            if (tokens[t].type === 'deep') {
+                next.add(t);
+            } else if (tokenMatches(tokens[t], segment)) {
+                next.add(t + 1);
+            }
+        }
+        states = closure(next);
+    }
+    return [...states].some(t => t < tokens.length);
+}
+
+/**
+ * The most specific of `compiled` patterns matching `segments`, using
+ * `matcher` (`matchPattern` or `matchWithin`), or `undefined`.
+ */
+function bestMatch(compiled, segments, matcher = matchPattern) {
+    let best;
+    for (const pattern of compiled) {
+        if ((!best || pattern.specificity > best.specificity) && matcher(pattern, segments)) {
+            best = pattern;
+        }
+    }
+    return best;
+}
+
+module.exports.compilePattern = compilePattern;
+module.exports.matchPattern = matchPattern;
+module.exports.matchWithin = matchWithin;
+module.exports.matchesBelow = matchesBelow;
+module.exports.bestMatch = bestMatch;
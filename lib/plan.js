@@ -0,0 +1,594 @@
+'use strict';
+
+const binding = require('../binding');
+const { STRATEGIES, alignArrays } = require('./arrays');
+const { getNewSegments, setNewSegments } = require('./locations');
+const {
+    NORMALIZATIONS,
+    coerce,
+    compareCoerced,
+    compareContent,
+    isAbsent,
+    isNormalizing,
+    validateNormalizations,
+} = require('./normalize');
+const { compilePattern, matchPattern, matchesBelow } = require('./pattern');
+const { formatPath, pathResolver } = require('./path');
+const { isDeepEqual, isPlainObject } = require('./values');
+
+/**
+ * Options an `overrides` entry may set.
+ */
+const OVERRIDABLE = [
+    'epsilon',
+    'arrayIdKey',
+    'arrayStrategy',
+    'ignoreCase',
+    'ignoreWhitespace',
+    'ignoreKeysRegex',
+    ...NORMALIZATIONS,
+];
+
+/**
+ * Options the planner consumes; the rest go to the native diff.
+ */
+const PLANNED = ['arrayStrategy', 'comparators', ...NORMALIZATIONS];
+
+/**
+ * Split a diff into native diffs of subtrees, each run with the options in
+ * force there.
+ *
+ * `overrides` maps path patterns (see lib/pattern.js) to option sets. An
+ * override applies to the paths it matches and everything below them, the
+ * way a global option applies to the whole document; where several match,
+ * the more specific pattern wins. The documents are walked in JavaScript only
+ * as deep as some pattern could still match, or as arrays need aligning by
+ * a non-index `arrayStrategy`; each remaining subtree is one native diff.
+ * Array elements carrying the array's `arrayIdKey` are paired by it, the way
+ * the native diff pairs them; the others are aligned by `arrayStrategy`.
+ * With `comparators`, the walk goes down every pair of differing values a
+ * comparator may apply to, and asks it first. The normalisation options (see
+ * lib/normalize.js) take it down every pair of differing values, and
+ * `sortUnkeyedArrays` down to every array.
+ *
+ * Returns the steps as a generator, which walks the documents only as far
+ * as its steps are taken, so that a caller can stop at the first change.
+ * Each step is either `{ results }` (changes found by the walk itself) or
+ * `{ oldValue, newValue, options, segments, newSegments }` (a native diff
+ * to run, whose results `relocate()` moves under `segments`).
+ * `newSegments` locates the same subtree in the new document, where array
+ * alignment may have put it at other indices.
+ *
+ * @param {any} oldValue - The old value
+ * @param {any} newValue - The new value
+ * @param {object} options - Diff options for the whole document
+ * @param {object} [overrides] - Path pattern -> option set
+ * @returns {Generator<object>} Steps, in result order
+ */
+function planDiff(oldValue, newValue, options, overrides = {}) {
+    const rules = compileOverrides(overrides);
+    const comparators = compileComparators(options.comparators);
+    validateStrategy(options.arrayStrategy, 'arrayStrategy');
+    validateNormalizations(options, '');
+
+    const plan = (oldNode, newNode, segments, inherited) => walk(oldNode, newNode, segments, inherited, segments);
+
+    const nativeStep = (oldNode, newNode, segments, nodeOptions, newSegments) => {
+        const nativeOptions = { ...nodeOptions };
+        for (const name of PLANNED) {
+            delete nativeOptions[name];
+        }
+        return { oldValue: oldNode, newValue: newNode, options: nativeOptions, segments, newSegments };
+    };
+
+    const walk = function* (oldNode, newNode, segments, inherited, newSegments) {
+        const nodeOptions = rules
+            .filter(rule => matchPattern(rule, segments))
+            .reduce((merged, rule) => ({ ...merged, ...rule.options }), inherited);
+
+        if (comparators.length > 0) {
+            if (isDeepEqual(oldNode, newNode)) {
+                return;
+            }
+            const verdict = compare(comparators, oldNode, newNode, segments);
+            if (verdict === true) {
+                return;
+            }
+            if (verdict === false) {
+                yield { results: [setNewSegments(changed(oldNode, newNode, segments), newSegments)] };
+                return;
+            }
+        }
+
+        const normalizing = isNormalizing(nodeOptions);
+        if (normalizing) {
+            if (isDeepEqual(oldNode, newNode) || (isAbsent(oldNode, nodeOptions) && isAbsent(newNode, nodeOptions))) {
+                return;
+            }
+            const verdict = nodeOptions.coerceTypes ? compareCoerced(oldNode, newNode, nodeOptions.epsilon) : undefined;
+            if (verdict !== undefined) {
+                if (!verdict) {
+                    const result = { ...changed(oldNode, newNode, segments), diffType: 'Modified' };
+                    yield { results: [setNewSegments(result, newSegments)] };
+                }
+                return;
+            }
+        }
+
+        const aligning = (nodeOptions.arrayStrategy && nodeOptions.arrayStrategy !== 'index')
+            || nodeOptions.sortUnkeyedArrays;
+        const descend = normalizing
+            || rules.some(rule => matchesBelow(rule, segments))
+            || comparators.some(comparator => !comparator.pattern || matchesBelow(comparator.pattern, segments))
+            || (aligning && (containsArray(oldNode) || containsArray(newNode)));
+
+        if (descend && isPlainObject(oldNode) && isPlainObject(newNode)) {
+            yield* walkObject(oldNode, newNode, segments, nodeOptions, newSegments);
+        } else if (descend && Array.isArray(oldNode) && Array.isArray(newNode)) {
+            yield* walkArray(oldNode, newNode, segments, nodeOptions, newSegments);
+        } else {
+            yield nativeStep(oldNode, newNode, segments, nodeOptions, newSegments);
+        }
+    };
+
+    const walkObject = function* (oldNode, newNode, segments, nodeOptions, newSegments) {
+        const keys = new Set([...Object.keys(oldNode), ...Object.keys(newNode)]);
+        for (const key of keys) {
+            if (isIgnoredKey(key, nodeOptions.ignoreKeysRegex)) {
+                continue;
+            }
+            if (key in oldNode && key in newNode) {
+                yield* walk(oldNode[key], newNode[key], [...segments, key], nodeOptions, [...newSegments, key]);
+            } else if (!isAbsent(key in oldNode ? oldNode[key] : newNode[key], nodeOptions)) {
+                const side = key in oldNode ? oldNode : newNode;
+                const wrapped = { [key]: side[key] };
+                yield nativeStep(
+                    side === oldNode ? wrapped : {},
+                    side === newNode ? wrapped : {},
+                    segments,
+                    nodeOptions,
+                    newSegments
+                );
+            }
+        }
+    };
+
+    const walkArray = function* (oldNode, newNode, segments, nodeOptions, newSegments) {
+        const { arrayIdKey } = nodeOptions;
+        const idOf = element => (arrayIdKey && isPlainObject(element) && arrayIdKey in element
+            ? element[arrayIdKey]
+            : undefined);
+        const results = [];
+
+        // Elements sharing an id are paired in order: the first old one with
+        // the first new one, and so on.
+        const newById = new Map();
+        for (const element of newNode) {
+            const id = idOf(element);
+            if (id !== undefined) {
+                newById.set(id, [...(newById.get(id) || []), element]);
+            }
+        }
+        const oldRest = [];
+        for (const [index, element] of oldNode.entries()) {
+            const id = idOf(element);
+            if (id === undefined) {
+                oldRest.push(index);
+                continue;
+            }
+            const identity = { key: arrayIdKey, value: id };
+            const childSegments = [...segments, identity];
+            const matches = newById.get(id) || [];
+            if (matches.length > 0) {
+                yield* walk(element, matches.shift(), childSegments, nodeOptions, [...newSegments, identity]);
+            } else {
+                results.push({ diffType: 'Removed', segments: childSegments, value: element });
+            }
+        }
+        for (const [id, elements] of newById) {
+            for (const element of elements) {
+                const childSegments = [...segments, { key: arrayIdKey, value: id }];
+                results.push({ diffType: 'Added', segments: childSegments, newValue: element });
+            }
+        }
+
+        const newRest = newNode.map((_, index) => index).filter(index => idOf(newNode[index]) === undefined);
+        if (nodeOptions.sortUnkeyedArrays) {
+            const options = optionsBelow(segments, nodeOptions);
+            const normalize = value => normalizedContent(value, options, isIgnoredKey);
+            sortByContent(oldRest, oldNode, normalize);
+            sortByContent(newRest, newNode, normalize);
+        }
+        const equals = (i, j) => {
+            const oldElement = oldNode[oldRest[i]];
+            const newElement = newNode[newRest[j]];
+            return isDeepEqual(oldElement, newElement)
+                || isUnchanged(plan(oldElement, newElement, [...segments, oldRest[i]], nodeOptions));
+        };
+        // Sorted elements are aligned along their longest common subsequence
+        // unless another strategy is given, so one insertion does not shift the
+        // rest.
+        const strategy = nodeOptions.sortUnkeyedArrays && (nodeOptions.arrayStrategy || 'index') === 'index'
+            ? 'lcs'
+            : nodeOptions.arrayStrategy;
+        const keys = strategy && strategy !== 'index'
+            ? elementKeys(oldRest.map(i => oldNode[i]), newRest.map(j => newNode[j]), segments, nodeOptions)
+            : undefined;
+        // Equal elements at other places are left alone when order is ignored.
+        const edits = alignArrays(oldRest.length, newRest.length, strategy, equals, keys)
+            .filter(edit => edit.type !== 'moved' || !nodeOptions.sortUnkeyedArrays)
+            .map(edit => ({ type: edit.type, oldIndex: oldRest[edit.oldIndex], newIndex: newRest[edit.newIndex] }));
+        const inOrder = orderedIndices(oldNode.length, newNode.length, edits);
+        for (const { type, oldIndex, newIndex } of edits) {
+            switch (type) {
+                case 'pair': {
+                    const steps = walk(oldNode[oldIndex], newNode[newIndex], [...segments, oldIndex], nodeOptions, [
+                        ...newSegments,
+                        newIndex,
+                    ]);
+                    yield* inOrder.get(oldIndex) === newIndex ? steps : reordered(steps);
+                    break;
+                }
+                case 'moved':
+                    results.push({
+                        diffType: 'Moved',
+                        segments: [...segments, oldIndex],
+                        newSegments: [...newSegments, newIndex],
+                        fromIndex: oldIndex,
+                        toIndex: newIndex,
+                        value: oldNode[oldIndex],
+                    });
+                    break;
+                case 'removed':
+                    results.push({
+                        diffType: 'Removed',
+                        segments: [...segments, oldIndex],
+                        newSegments: [...newSegments, oldIndex],
+                        value: oldNode[oldIndex],
+                    });
+                    break;
+                default:
+                    results.push({
+                        diffType: 'Added',
+                        segments: [...segments, newIndex],
+                        newSegments: [...newSegments, newIndex],
+                        newValue: newNode[newIndex],
+                    });
+            }
+        }
+
+        if (results.length > 0) {
+            yield {
+                results: results.map(({ segments: resultSegments, newSegments: resultNewSegments, ...result }) =>
+                    setNewSegments({
+                        diffType: result.diffType,
+                        path: formatPath(resultSegments),
+                        ...result,
+                        pathSegments: resultSegments,
+                    }, resultNewSegments)),
+            };
+        }
+    };
+
+    // Keys that equal elements of the array at `segments` share, so that
+    // alignment only compares elements with the same key. None when a
+    // comparator may apply below: it can make any two values equal.
+    const elementKeys = (oldElements, newElements, segments, nodeOptions) => {
+        if (comparators.some(comparator => !comparator.pattern || matchesBelow(comparator.pattern, segments))) {
+            return undefined;
+        }
+        const options = optionsBelow(segments, nodeOptions);
+        const key = value => contentKey(value, options, isIgnoredKey);
+        return { oldKeys: oldElements.map(key), newKeys: newElements.map(key) };
+    };
+
+    // The loosest options that apply to the elements of the array at
+    // `segments`.
+    const optionsBelow = (segments, nodeOptions) => {
+        const below = rules.filter(rule => matchesBelow(rule, segments)).map(rule => rule.options);
+        return loosest([nodeOptions, ...below]);
+    };
+
+    // Whether the native diff ignores a key, asked once per key and regex:
+    // it matches ignoreKeysRegex with its own regex syntax.
+    const ignoredKeys = new Map();
+    const isIgnoredKey = (key, regex) => {
+        if (regex === undefined) {
+            return false;
+        }
+        const id = JSON.stringify([regex, key]);
+        if (!ignoredKeys.has(id)) {
+            const probe = binding.diff({ [key]: 0 }, { [key]: 1 }, { ignoreKeysRegex: regex });
+            ignoredKeys.set(id, probe.length === 0);
+        }
+        return ignoredKeys.get(id);
+    };
+
+    return plan(oldValue, newValue, [], options);
+}
+
+/**
+ * The options that ignore the most of any of the option sets `optionSets`.
+ */
+function loosest(optionSets) {
+    const loose = { ignoreKeysRegex: [] };
+    for (const options of optionSets) {
+        for (const [name, value] of Object.entries(options)) {
+            if (name === 'ignoreKeysRegex' && value !== undefined) {
+                loose.ignoreKeysRegex.push(value);
+            } else if (name === 'epsilon' && typeof value === 'number') {
+                loose.epsilon = Math.max(loose.epsilon || 0, value);
+            } else if (value === true) {
+                loose[name] = true;
+            }
+        }
+    }
+    return loose;
+}
+
+/**
+ * A string that values equal under the `loosest()` options share: their
+ * content without what the options ignore. Arrays are keyed by their
+ * elements in sorted order, as some strategies ignore order. Values with the
+ * same key may still differ.
+ */
+function contentKey(value, options, isIgnoredKey) {
+    if (Array.isArray(value)) {
+        return `[${value.map(element => contentKey(element, options, isIgnoredKey)).sort().join(',')}]`;
+    }
+    if (isPlainObject(value)) {
+        const entries = Object.keys(value)
+            .filter(key => !isAbsent(value[key], options)
+                && !options.ignoreKeysRegex.some(regex => isIgnoredKey(key, regex)))
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${contentKey(value[key], options, isIgnoredKey)}`);
+        return `{${entries.join(',')}}`;
+    }
+    if (typeof value === 'string') {
+        const coerced = options.coerceTypes ? coerce(value.trim()) : value;
+        if (typeof coerced !== 'string') {
+            return contentKey(coerced, options, isIgnoredKey);
+        }
+        const text = options.ignoreWhitespace ? value.replace(/[\s\u0085]/gu, '') : value;
+        return JSON.stringify(options.ignoreCase ? text.toLowerCase() : text);
+    }
+    if (typeof value === 'number' && options.epsilon > 0) {
+        return 'number';
+    }
+    return String(value);
+}
+
+/**
+ * `value` as the `loosest()` options see it, for sorting: without what they
+ * ignore, strings coerced, trimmed of whitespace or lower-cased, and arrays
+ * in `compareContent()` order. Values equal under the options sort alike,
+ * but for numbers within `epsilon`, which still sort next to each other.
+ */
+function normalizedContent(value, options, isIgnoredKey) {
+    if (Array.isArray(value)) {
+        return value.map(element => normalizedContent(element, options, isIgnoredKey)).sort(compareContent);
+    }
+    if (isPlainObject(value)) {
+        const normalized = {};
+        for (const key of Object.keys(value)) {
+            if (!isAbsent(value[key], options) && !options.ignoreKeysRegex.some(regex => isIgnoredKey(key, regex))) {
+                normalized[key] = normalizedContent(value[key], options, isIgnoredKey);
+            }
+        }
+        return normalized;
+    }
+    if (typeof value === 'string') {
+        const coerced = options.coerceTypes ? coerce(value.trim()) : value;
+        if (typeof coerced !== 'string') {
+            return coerced;
+        }
+        const text = options.ignoreWhitespace ? value.replace(/[\s\u0085]/gu, '') : value;
+        return options.ignoreCase ? text.toLowerCase() : text;
+    }
+    return value;
+}
+
+/**
+ * Whether a plan finds no changes, running its native steps synchronously
+ * up to the first change.
+ */
+function isUnchanged(steps) {
+    for (const step of steps) {
+        const results = step.results || binding.diff(step.oldValue, step.newValue, step.options);
+        if (results.length > 0) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Rewrite the results of a native step so they locate changes in the whole
+ * document. Steps at the root need no rewriting.
+ */
+function relocate(results, step) {
+    if (step.segments.length === 0) {
+        return results;
+    }
+    const resolvePath = pathResolver([step.oldValue, step.newValue]);
+    for (const result of results) {
+        const relative = resolvePath(result.path, result);
+        const segments = [...step.segments, ...relative];
+        result.path = formatPath(segments);
+        result.pathSegments = segments;
+        setNewSegments(result, step.newSegments && [...step.newSegments, ...relative]);
+        if (step.reordered) {
+            result.newPathSegments = [...step.newSegments, ...relative];
+        }
+    }
+    return results;
+}
+
+/**
+ * Where each old element of an array ends up in the new one if the elements
+ * it keeps stay in order around the edits, the way `revertDiff()` places
+ * them.
+ */
+function orderedIndices(oldLength, newLength, edits) {
+    const gone = new Set(edits.filter(edit => edit.type === 'removed' || edit.type === 'moved').map(edit => edit.oldIndex));
+    const taken = new Set(edits.filter(edit => edit.type === 'added' || edit.type === 'moved').map(edit => edit.newIndex));
+    const free = [];
+    for (let j = 0; j < newLength; j++) {
+        if (!taken.has(j)) {
+            free.push(j);
+        }
+    }
+    const indices = new Map();
+    for (let i = 0; i < oldLength; i++) {
+        if (!gone.has(i)) {
+            indices.set(i, free[indices.size]);
+        }
+    }
+    return indices;
+}
+
+/**
+ * Mark the steps found below an element paired out of order, so that their
+ * results carry `newPathSegments`.
+ */
+function* reordered(steps) {
+    for (const step of steps) {
+        if (!step.results) {
+            yield { ...step, reordered: true };
+            continue;
+        }
+        for (const result of step.results) {
+            result.newPathSegments = getNewSegments(result);
+        }
+        yield step;
+    }
+}
+
+/**
+ * Ask the comparators that apply at a path, in order, whether two values
+ * are equal. The first `true` or `false` answer wins; `undefined` means
+ * "no opinion": the values are compared as usual, descending into them.
+ */
+function compare(comparators, oldValue, newValue, segments) {
+    const context = { path: formatPath(segments), pathSegments: segments };
+    for (const comparator of comparators) {
+        const applies = comparator.pattern
+            ? matchPattern(comparator.pattern, segments)
+            : comparator.when(oldValue, newValue, context);
+        if (!applies) {
+            continue;
+        }
+        const verdict = comparator.compare(oldValue, newValue, context);
+        if (verdict === true || verdict === false) {
+            return verdict;
+        }
+        if (verdict !== undefined) {
+            throw new TypeError(
+                `Comparator for "${context.path}" must return true, false or undefined, got ${typeof verdict}`
+            );
+        }
+    }
+    return undefined;
+}
+
+function changed(oldValue, newValue, segments) {
+    return {
+        diffType: typeOf(oldValue) === typeOf(newValue) ? 'Modified' : 'TypeChanged',
+        path: formatPath(segments),
+        pathSegments: segments,
+        oldValue,
+        newValue,
+    };
+}
+
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Normalise `comparators`: either an object mapping path patterns to
+ * compare functions, or an array of `{ path, compare }` and
+ * `{ when, compare }` entries, `when` being a predicate over the two values.
+ */
+function compileComparators(comparators) {
+    if (comparators === undefined) {
+        return [];
+    }
+    if (!Array.isArray(comparators) && !isPlainObject(comparators)) {
+        throw new TypeError('comparators must be an object or an array');
+    }
+    const entries = Array.isArray(comparators)
+        ? comparators
+        : Object.entries(comparators).map(([path, compareFn]) => ({ path, compare: compareFn }));
+    return entries.map((entry, i) => {
+        const label = entry && entry.path !== undefined ? `comparators["${entry.path}"]` : `comparators[${i}]`;
+        if (!entry || typeof entry.compare !== 'function') {
+            throw new TypeError(`${label} must provide a compare function`);
+        }
+        if ((entry.path === undefined) === (entry.when === undefined)) {
+            throw new TypeError(`${label} must have exactly one of "path" and "when"`);
+        }
+        if (entry.when !== undefined && typeof entry.when !== 'function') {
+            throw new TypeError(`${label}.when must be a function`);
+        }
+        return {
+            pattern: entry.path === undefined ? undefined : compilePattern(entry.path),
+            when: entry.when,
+            compare: entry.compare,
+        };
+    });
+}
+
+/**
+ * Sort indices into `array` by the `normalize`d content of their elements,
+ * then by their content, for `sortUnkeyedArrays`. Results still use the
+ * original indices.
+ */
+function sortByContent(indices, array, normalize) {
+    const normalized = new Map(indices.map(index => [index, normalize(array[index])]));
+    indices.sort((a, b) => compareContent(normalized.get(a), normalized.get(b))
+        || compareContent(array[a], array[b]));
+}
+
+function containsArray(value) {
+    if (Array.isArray(value)) {
+        return true;
+    }
+    return isPlainObject(value) && Object.values(value).some(containsArray);
+}
+
+function validateStrategy(strategy, name) {
+    if (strategy !== undefined && !STRATEGIES.includes(strategy)) {
+        throw new Error(`Invalid ${name}: ${strategy} (expected "index", "lcs" or "unordered")`);
+    }
+}
+
+function compileOverrides(overrides) {
+    if (!isPlainObject(overrides)) {
+        throw new TypeError('overrides must be an object mapping path patterns to options');
+    }
+    return Object.entries(overrides)
+        .map(([pattern, options]) => {
+            if (!isPlainObject(options)) {
+                throw new TypeError(`overrides["${pattern}"] must be an options object`);
+            }
+            for (const name of Object.keys(options)) {
+                if (!OVERRIDABLE.includes(name)) {
+                    throw new Error(
+                        `Unsupported option in overrides["${pattern}"]: ${name} (expected one of ${OVERRIDABLE.join(', ')})`
+                    );
+                }
+            }
+            validateStrategy(options.arrayStrategy, `arrayStrategy in overrides["${pattern}"]`);
+            validateNormalizations(options, ` in overrides["${pattern}"]`);
+            return { ...compilePattern(pattern), options };
+        })
+        .sort((a, b) => a.specificity - b.specificity);
+}
+
+module.exports.PLANNED = PLANNED;
+module.exports.planDiff = planDiff;
+module.exports.relocate = relocate;
@@ -0,0 +1,80 @@
+'use strict';
+
+/**
+ * Java `.properties` parsing, as `java.util.Properties.load()` reads them,
+ * into a flat object of strings: dotted keys such as `spring.datasource.url`
+ * are kept whole rather than nested.
+ *
+ * A key ends at the first unescaped `=`, `:` or whitespace; the separator and
+ * the whitespace around it are skipped. Lines starting with `#` or `!` are
+ * comments, a line ending in an odd number of backslashes continues on the
+ * next one (its leading whitespace dropped), and `\t`, `\n`, `\r`, `\f` and
+ * `\uXXXX` are escapes; a backslash before any other character stands for
+ * that character. A repeated key keeps its last value.
+ */
+
+const ESCAPES = { t: '\t', n: '\n', r: '\r', f: '\f' };
+
+/**
+ * @param {string} content - Properties text
+ * @returns {object} Values by key
+ */
+function parseProperties(content) {
+    const entries = [];
+    for (const { text, line } of logicalLines(content.replace(/^\uFEFF/, ''))) {
+        const keyEnd = findKeyEnd(text);
+        const separator = /^[ \t\f]*[=:]?[ \t\f]*/.exec(text.slice(keyEnd))[0];
+        entries.push([unescape(text.slice(0, keyEnd), line), unescape(text.slice(keyEnd + separator.length), line)]);
+    }
+    return Object.fromEntries(entries);
+}
+
+/**
+ * Join continued lines and drop blank and comment lines, yielding each
+ * logical line without its leading whitespace, with the line it starts on.
+ */
+function* logicalLines(content) {
+    const lines = content.split(/\r\n|\r|\n/);
+    for (let i = 0; i < lines.length; i++) {
+        const line = i + 1;
+        let text = lines[i].replace(/^[ \t\f]+/, '');
+        if (!text || text[0] === '#' || text[0] === '!') {
+            continue;
+        }
+        while (/(^|[^\\])(\\\\)*\\$/.test(text) && i + 1 < lines.length) {
+            text = text.slice(0, -1) + lines[++i].replace(/^[ \t\f]+/, '');
+        }
+        if (/(^|[^\\])(\\\\)*\\$/.test(text)) {
+            text = text.slice(0, -1);
+        }
+        yield { text, line };
+    }
+}
+
+function findKeyEnd(text) {
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (/[=: \t\f]/.test(text[i])) {
+            return i;
+        }
+    }
+    return text.length;
+}
+
+function unescape(text, line) {
+    return text.replace(/\\(u(.{0,4})|[^])?/g, (escape, body, hex) => {
+        if (body === undefined) {
+            return '';
+        }
+        if (hex !== undefined) {
+            if (!/^[0-9a-fA-F]{4}$/.test(hex)) {
+                throw new Error(`properties parse error: malformed \\uXXXX escape "${escape}" on line ${line}`);
+            }
+            return String.fromCharCode(parseInt(hex, 16));
+        }
+        return ESCAPES[body] || body;
+    });
+}
+
+module.exports.parseProperties = parseProperties;
@@ -0,0 +1,135 @@
+'use strict';
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { resultPath } = require('./path');
+const { describeChange, severityOf } = require('./severity');
+const { DIFF_TYPES } = require('./tree');
+
+const RULES = {
+    Added: 'A value was added',
+    Removed: 'A value was removed',
+    Modified: 'A value was modified',
+    TypeChanged: 'A value changed type',
+    Moved: 'An array element moved',
+};
+
+/**
+ * Render results as a SARIF 2.1.0 log with one result per change. The rule
+ * of a result is its diff type, its level comes from `severity`, and it is
+ * located in the file by `newLocation` / `oldLocation` when the documents
+ * were parsed with locations, or else in `file` (if given).
+ *
+ * @param {Array} results - Diff results
+ * @param {object} [options]
+ * @param {object|Function} [options.severity] - Diff type -> level, or result -> level
+ * @param {string} [options.file] - File to report changes without a location in
+ * @returns {string} SARIF JSON
+ */
+function formatSarif(results, options = {}) {
+    const levelOf = severityOf(options.severity);
+    return sarifLog(results.map(result => sarifResult(result, levelOf(result), options.file)), []);
+}
+
+/**
+ * Render `diffDirectories()` entries as one SARIF log: the changes of every
+ * file, located in it, plus a result for each file added or removed as a
+ * whole. Files that could not be compared are reported as tool execution
+ * notifications.
+ *
+ * @param {Array<object>} entries - Entries returned by `diffDirectories()`
+ * @param {object} [options]
+ * @param {object|Function} [options.severity] - Diff type -> level, or result -> level
+ * @returns {string} SARIF JSON
+ */
+function formatSarifEntries(entries, options = {}) {
+    const levelOf = severityOf(options.severity);
+    const results = [];
+    const notifications = [];
+    for (const entry of entries) {
+        const location = { physicalLocation: { artifactLocation: { uri: toUri(entry.file) } } };
+        if (entry.error) {
+            notifications.push({ level: 'error', message: { text: entry.error.message }, locations: [location] });
+        } else if (entry.status === 'Modified') {
+            // Locate changes by the path relative to the directories, like the files themselves.
+            const relative = location => location && { ...location, file: entry.file };
+            results.push(...entry.results.map(result => sarifResult(
+                { ...result, oldLocation: relative(result.oldLocation), newLocation: relative(result.newLocation) },
+                levelOf(result),
+                entry.file
+            )));
+        } else {
+            results.push({
+                ruleId: entry.status,
+                ruleIndex: DIFF_TYPES.indexOf(entry.status),
+                level: levelOf({ diffType: entry.status, path: '', pathSegments: [] }),
+                message: { text: `${entry.file} ${entry.status.toLowerCase()}` },
+                locations: [location],
+            });
+        }
+    }
+    return sarifLog(results, notifications);
+}
+
+function sarifLog(results, notifications) {
+    const run = {
+        tool: {
+            driver: {
+                name: 'diffx',
+                version: require('../package.json').version,
+                informationUri: 'https://github.com/kako-jun/diffx-js',
+                rules: DIFF_TYPES.map(type => ({ id: type, shortDescription: { text: RULES[type] } })),
+            },
+        },
+        results,
+    };
+    if (notifications.length > 0) {
+        run.invocations = [{ executionSuccessful: true, toolExecutionNotifications: notifications }];
+    }
+    return JSON.stringify({
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [run],
+    }, null, 2);
+}
+
+function sarifResult(result, level, file) {
+    const location = {
+        logicalLocations: [{ fullyQualifiedName: resultPath(result), kind: 'member' }],
+    };
+    const source = result.newLocation || result.oldLocation;
+    const uri = (source && source.file) || file;
+    if (uri) {
+        location.physicalLocation = { artifactLocation: { uri: toUri(uri) } };
+        if (source) {
+            location.physicalLocation.region = { startLine: source.line, startColumn: source.column };
+        }
+    }
+
+    const properties = { path: resultPath(result) };
+    for (const key of ['oldValue', 'newValue', 'value', 'fromIndex', 'toIndex']) {
+        if (result[key] !== undefined) {
+            properties[key] = result[key];
+        }
+    }
+    return {
+        ruleId: result.diffType,
+        ruleIndex: DIFF_TYPES.indexOf(result.diffType),
+        level,
+        message: { text: describeChange(result) },
+        locations: [location],
+        properties,
+    };
+}
+
+// SARIF artifact locations are URI references: `file:` URLs for absolute
+// paths, and escaped segments joined by forward slashes for relative ones.
+function toUri(file) {
+    if (path.isAbsolute(file)) {
+        return pathToFileURL(file).href;
+    }
+    return file.split(/[\\/]/).map(encodeURIComponent).join('/');
+}
+
+module.exports.formatSarif = formatSarif;
+module.exports.formatSarifEntries = formatSarifEntries;
@@ -0,0 +1,303 @@
+'use strict';
+
+const { isDeepEqual, isPlainObject } = require('./values');
+
+/**
+ * The `schema` diff option: diff behaviour derived from a JSON Schema.
+ *
+ * Keywords of the schema, wherever they appear in it:
+ *
+ * - `x-diffx-key: "id"` on an array schema pairs the array's elements by
+ *   that key, like `arrayIdKey` at that path.
+ * - `x-diffx-ignore: true` leaves the value out of the results, like
+ *   `excludePaths`.
+ * - `x-diffx-epsilon: 0.01` compares the numbers at and below the value with
+ *   that tolerance, like `epsilon` at that path.
+ * - `x-diffx-breaking: true | false` marks every change at and below the
+ *   value as breaking or not, overriding the rules below.
+ *
+ * Each result gets `breaking`: removing a required property, adding one the
+ * schema forbids (`additionalProperties: false`), changing a value to a type
+ * the schema does not allow (any type change where it declares none), or to
+ * a value outside its `enum` or `const`. Other changes are not breaking.
+ *
+ * Subschemas are found through `properties`, `patternProperties`,
+ * `additionalProperties`, `items`, `prefixItems`, `additionalItems`, `allOf`,
+ * `anyOf`, `oneOf` and local `$ref`s (`#/$defs/...`). Path patterns cannot
+ * tell the keys of `patternProperties`, or of `additionalProperties` beside
+ * other properties, from the rest: `x-diffx-ignore` there is applied by
+ * matching each result's keys against the schema, and `x-diffx-key` and
+ * `x-diffx-epsilon` are rejected. This is a reading of
+ * the schema, not validation: the alternatives of `anyOf` and `oneOf` all
+ * apply, and keywords under a recursive `$ref` take effect down to its first
+ * repetition.
+ */
+
+const KEYWORDS = {
+    'x-diffx-key': value => typeof value === 'string' && value !== '',
+    'x-diffx-ignore': value => typeof value === 'boolean',
+    'x-diffx-epsilon': value => typeof value === 'number' && Number.isFinite(value) && value >= 0,
+    'x-diffx-breaking': value => typeof value === 'boolean',
+};
+
+const EXPECTED = {
+    'x-diffx-key': 'a property name',
+    'x-diffx-ignore': 'a boolean',
+    'x-diffx-epsilon': 'a non-negative number',
+    'x-diffx-breaking': 'a boolean',
+};
+
+/**
+ * Compile a schema into the `overrides` and `excludePaths` it implies, the
+ * `ignores()` function that tells whether a result is ignored where no path
+ * pattern could express it, and the `classify()` function that tells whether
+ * a result is breaking.
+ *
+ * @param {object} schema - JSON Schema
+ * @returns {{ overrides: object, excludePaths: string[], ignores: Function, classify: Function }}
+ */
+function compileSchema(schema) {
+    if (!isPlainObject(schema)) {
+        throw new TypeError('schema must be a JSON Schema object');
+    }
+    const overrides = {};
+    const excludePaths = [];
+    const ignored = new Set();
+
+    const visit = (node, pointer, pattern, refs) => {
+        for (const [name, isValid] of Object.entries(KEYWORDS)) {
+            if (name in node && !isValid(node[name])) {
+                throw new TypeError(`schema ${name} at "${pointer}" must be ${EXPECTED[name]}`);
+            }
+        }
+        if (node['x-diffx-ignore'] === true && pattern === null) {
+            ignored.add(node);
+        } else if (node['x-diffx-ignore'] === true && pattern) {
+            excludePaths.push(pattern, `${pattern}.**`);
+        }
+        const options = {};
+        if (node['x-diffx-key'] !== undefined) {
+            options.arrayIdKey = node['x-diffx-key'];
+        }
+        if (node['x-diffx-epsilon'] !== undefined) {
+            options.epsilon = node['x-diffx-epsilon'];
+        }
+        if (Object.keys(options).length > 0 && pattern === null) {
+            const name = node['x-diffx-key'] !== undefined ? 'x-diffx-key' : 'x-diffx-epsilon';
+            throw new TypeError(
+                `schema ${name} at "${pointer}" is not supported under patternProperties, `
+                + 'or under additionalProperties beside other properties'
+            );
+        }
+        if (Object.keys(options).length > 0) {
+            overrides[pattern] = { ...overrides[pattern], ...options };
+        }
+        for (const child of children(schema, node, pointer, refs)) {
+            visit(child.node, child.pointer, joinPattern(pattern, child.segment), child.refs);
+        }
+    };
+    visit(schema, '#', '', new Set());
+
+    return {
+        overrides,
+        excludePaths: [...new Set(excludePaths)],
+        ignores: result => ignored.size > 0 && ignores(schema, ignored, result),
+        classify: result => classify(schema, result),
+    };
+}
+
+/**
+ * The subschemas of a schema node, each with the path segment it applies
+ * to (`undefined` for the node's own value, `'*'` for any key, `'[*]'` for
+ * any element and `null` for keys no path pattern can select) and its
+ * location in the schema.
+ */
+function children(root, node, pointer, refs) {
+    const found = [];
+    const add = (child, childPointer, segment, childRefs = refs) => {
+        if (isPlainObject(child)) {
+            found.push({ node: child, pointer: childPointer, segment, refs: childRefs });
+        }
+    };
+    if (typeof node.$ref === 'string' && !refs.has(node.$ref)) {
+        add(resolveRef(root, node.$ref, pointer), node.$ref, undefined, new Set([...refs, node.$ref]));
+    }
+    for (const keyword of ['allOf', 'anyOf', 'oneOf']) {
+        if (Array.isArray(node[keyword])) {
+            node[keyword].forEach((child, i) => add(child, `${pointer}/${keyword}/${i}`, undefined));
+        }
+    }
+    for (const [key, child] of Object.entries(isPlainObject(node.properties) ? node.properties : {})) {
+        add(child, `${pointer}/properties/${escapePointer(key)}`, keyPattern(key));
+    }
+    for (const [regex, child] of Object.entries(isPlainObject(node.patternProperties) ? node.patternProperties : {})) {
+        add(child, `${pointer}/patternProperties/${escapePointer(regex)}`, null);
+    }
+    const others = isPlainObject(node.properties) || isPlainObject(node.patternProperties);
+    add(node.additionalProperties, `${pointer}/additionalProperties`, others ? null : '*');
+    if (Array.isArray(node.prefixItems)) {
+        node.prefixItems.forEach((child, i) => add(child, `${pointer}/prefixItems/${i}`, `[${i}]`));
+    }
+    if (Array.isArray(node.items)) {
+        node.items.forEach((child, i) => add(child, `${pointer}/items/${i}`, `[${i}]`));
+        add(node.additionalItems, `${pointer}/additionalItems`, '[*]');
+    } else {
+        add(node.items, `${pointer}/items`, '[*]');
+    }
+    return found;
+}
+
+/**
+ * `nodes` with the schemas their `$ref`, `allOf`, `anyOf` and `oneOf`
+ * refer to, recursively.
+ */
+function expand(root, nodes) {
+    const expanded = [];
+    const pending = [...nodes];
+    while (pending.length > 0) {
+        const node = pending.shift();
+        if (!isPlainObject(node) || expanded.includes(node)) {
+            continue;
+        }
+        expanded.push(node);
+        if (typeof node.$ref === 'string') {
+            pending.push(resolveRef(root, node.$ref, node.$ref));
+        }
+        for (const keyword of ['allOf', 'anyOf', 'oneOf']) {
+            pending.push(...(Array.isArray(node[keyword]) ? node[keyword] : []));
+        }
+    }
+    return expanded;
+}
+
+/**
+ * Whether a result is at or below a value whose schema is one of the
+ * `ignored` nodes.
+ */
+function ignores(root, ignored, result) {
+    let nodes = expand(root, [root]);
+    for (const segment of result.pathSegments) {
+        nodes = expand(root, nodes.flatMap(node => childrenFor(node, segment)));
+        if (nodes.some(node => ignored.has(node))) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function childrenFor(node, segment) {
+    if (typeof segment === 'string') {
+        if (isPlainObject(node.properties) && Object.prototype.hasOwnProperty.call(node.properties, segment)) {
+            return [node.properties[segment]];
+        }
+        const patterns = Object.entries(isPlainObject(node.patternProperties) ? node.patternProperties : {})
+            .filter(([regex]) => new RegExp(regex, 'u').test(segment))
+            .map(([, child]) => child);
+        return patterns.length > 0 ? patterns : [node.additionalProperties];
+    }
+    const tuple = Array.isArray(node.prefixItems) ? node.prefixItems : Array.isArray(node.items) && node.items;
+    if (tuple) {
+        const rest = Array.isArray(node.prefixItems) ? node.items : node.additionalItems;
+        return [typeof segment === 'number' && segment < tuple.length ? tuple[segment] : rest];
+    }
+    return [node.items];
+}
+
+/**
+ * Whether a diff result is a breaking change under the schema (see the
+ * module comment).
+ */
+function classify(root, result) {
+    const segments = result.pathSegments;
+    const levels = [expand(root, [root])];
+    for (const segment of segments) {
+        levels.push(expand(root, levels[levels.length - 1].flatMap(node => childrenFor(node, segment))));
+    }
+    for (let depth = levels.length - 1; depth >= 0; depth--) {
+        const flagged = levels[depth].find(node => typeof node['x-diffx-breaking'] === 'boolean');
+        if (flagged) {
+            return flagged['x-diffx-breaking'];
+        }
+    }
+
+    const nodes = levels[levels.length - 1];
+    const parents = levels.length > 1 ? levels[levels.length - 2] : [];
+    const key = segments[segments.length - 1];
+    const newValue = 'newValue' in result ? result.newValue : result.value;
+    const declared = nodes.filter(node => node.type !== undefined).flatMap(node => [].concat(node.type));
+    switch (result.diffType) {
+        case 'Removed':
+            return typeof key === 'string'
+                && parents.some(node => Array.isArray(node.required) && node.required.includes(key));
+        case 'Added':
+            return typeof key === 'string' && parents.some(node => node.additionalProperties === false
+                && !(isPlainObject(node.properties) && Object.prototype.hasOwnProperty.call(node.properties, key))
+                && !Object.keys(node.patternProperties || {}).some(regex => new RegExp(regex, 'u').test(key)));
+        case 'TypeChanged':
+            return declared.length === 0 || !declared.some(type => hasType(newValue, type));
+        case 'Modified':
+            return (declared.length > 0 && !declared.some(type => hasType(newValue, type)))
+                || nodes.some(node => (Array.isArray(node.enum) && !node.enum.some(value => isDeepEqual(value, newValue)))
+                    || ('const' in node && !isDeepEqual(node.const, newValue)));
+        default:
+            return false;
+    }
+}
+
+function hasType(value, type) {
+    switch (type) {
+        case 'null':
+            return value === null;
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return isPlainObject(value);
+        case 'integer':
+            return Number.isInteger(value);
+        default:
+            return typeof value === type;
+    }
+}
+
+function resolveRef(root, ref, pointer) {
+    if (!ref.startsWith('#')) {
+        throw new Error(`Unsupported $ref "${ref}" at "${pointer}": only local references ("#/...") are supported`);
+    }
+    let node = root;
+    for (const token of ref.slice(1).split('/').slice(1)) {
+        const key = decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~');
+        if (!isPlainObject(node) && !Array.isArray(node)) {
+            node = undefined;
+            break;
+        }
+        node = node[key];
+    }
+    if (!isPlainObject(node)) {
+        throw new Error(`Cannot resolve $ref "${ref}" in schema`);
+    }
+    return node;
+}
+
+/**
+ * A path pattern segment (see lib/pattern.js) for an object key, quoted
+ * when the key holds pattern syntax.
+ */
+function keyPattern(key) {
+    return /^[^.[\]*"'\\$][^.[\]*"'\\]*$/.test(key) ? key : `[${JSON.stringify(key)}]`;
+}
+
+function joinPattern(pattern, segment) {
+    if (segment === undefined) {
+        return pattern;
+    }
+    if (pattern === null || segment === null) {
+        return null;
+    }
+    return !pattern || segment.startsWith('[') ? `${pattern}${segment}` : `${pattern}.${segment}`;
+}
+
+function escapePointer(key) {
+    return key.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+module.exports.compileSchema = compileSchema;
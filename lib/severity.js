@@ -0,0 +1,68 @@
+'use strict';
+
+const { resultPath } = require('./path');
+const { DIFF_TYPES, formatValue } = require('./tree');
+
+/**
+ * Severity levels, as in SARIF, and the level of each diff type unless the
+ * caller maps it otherwise.
+ */
+const LEVELS = ['error', 'warning', 'note', 'none'];
+
+const DEFAULT_SEVERITY = {
+    Added: 'note',
+    Removed: 'error',
+    Modified: 'warning',
+    TypeChanged: 'error',
+    Moved: 'note',
+};
+
+/**
+ * Build the result -> level function for a `severity` option: a function
+ * of the result, or an object mapping diff types to levels (unmapped types
+ * keep their default).
+ */
+function severityOf(severity) {
+    if (typeof severity === 'function') {
+        return result => checkLevel(severity(result), `severity() for ${resultPath(result)}`);
+    }
+    const mapping = { ...DEFAULT_SEVERITY };
+    for (const [type, level] of Object.entries(severity || {})) {
+        if (!DIFF_TYPES.includes(type)) {
+            throw new TypeError(`Unknown diff type "${type}" in severity (expected one of ${DIFF_TYPES.join(', ')})`);
+        }
+        mapping[type] = checkLevel(level, `severity.${type}`);
+    }
+    return result => mapping[result.diffType];
+}
+
+function checkLevel(level, name) {
+    if (!LEVELS.includes(level)) {
+        throw new TypeError(`${name} must be one of ${LEVELS.join(', ')}, got ${JSON.stringify(level)}`);
+    }
+    return level;
+}
+
+/**
+ * A one-line description of a change, e.g. `spec.replicas: 2 -> 3`.
+ */
+function describeChange(result) {
+    const path = resultPath(result) || '(root)';
+    switch (result.diffType) {
+        case 'Added':
+            return `${path} added: ${formatValue(result.newValue !== undefined ? result.newValue : result.value)}`;
+        case 'Removed':
+            return `${path} removed: ${formatValue(result.oldValue !== undefined ? result.oldValue : result.value)}`;
+        case 'Moved':
+            return `${path} moved from index ${result.fromIndex} to ${result.toIndex}: ${formatValue(result.value)}`;
+        case 'TypeChanged':
+            return `${path} changed type: ${formatValue(result.oldValue)} -> ${formatValue(result.newValue)}`;
+        default:
+            return `${path} modified: ${formatValue(result.oldValue)} -> ${formatValue(result.newValue)}`;
+    }
+}
+
+module.exports.DEFAULT_SEVERITY = DEFAULT_SEVERITY;
+module.exports.LEVELS = LEVELS;
+module.exports.describeChange = describeChange;
+module.exports.severityOf = severityOf;
@@ -0,0 +1,136 @@
+'use strict';
+
+const binding = require('../binding');
+const { DIFF_OPTIONS, diff, prepareDiff, validateOptions } = require('./diff');
+const { formatPath } = require('./path');
+const { relocate } = require('./plan');
+const { DIFF_TYPES } = require('./tree');
+const { isDeepEqual, isPlainObject } = require('./values');
+
+/**
+ * Whether `diff()` would report any difference, stopping at the first one.
+ *
+ * Equal values are answered without planning, equal subtrees are skipped
+ * without a native call, and the native diff runs one object key at a time,
+ * so that the first differing key settles the answer; with `overrides` and
+ * the other planned options, planning stops there too. Keys are split down
+ * the tree, except under `pathFilter` or `ignoreKeysRegex`, which the native
+ * diff matches against whole paths and key names: those split at the top
+ * level only.
+ *
+ * @param {any} oldValue - The old value
+ * @param {any} newValue - The new value
+ * @param {object} [options] - `diff()` options
+ * @returns {boolean} `true` when the values differ
+ */
+function hasDiff(oldValue, newValue, options) {
+    validateOptions(options, DIFF_OPTIONS, 'diff option');
+    if (isDeepEqual(oldValue, newValue)) {
+        return false;
+    }
+    const { steps, finish } = prepareDiff(oldValue, newValue, options);
+    for (const step of steps) {
+        for (const chunk of chunks(step)) {
+            const results = chunk.results
+                || relocate(binding.diff(chunk.oldValue, chunk.newValue, chunk.options), chunk);
+            if (finish([results]).length > 0) {
+                return true;
+            }
+        }
+    }
+    return false;
+}
+
+/**
+ * Split a step into native diffs of single keys, lazily and leaving out
+ * keys whose values are equal. A key present on both sides is split further
+ * unless the options need the native diff to see it.
+ */
+function* chunks(step) {
+    const { oldValue, newValue, options } = step;
+    if (step.results || !isPlainObject(oldValue) || !isPlainObject(newValue)) {
+        yield step;
+        return;
+    }
+    const whole = options.pathFilter !== undefined || options.ignoreKeysRegex !== undefined;
+    for (const key of new Set([...Object.keys(oldValue), ...Object.keys(newValue)])) {
+        const both = key in oldValue && key in newValue;
+        if (both && isDeepEqual(oldValue[key], newValue[key])) {
+            continue;
+        }
+        if (both && !whole) {
+            yield* chunks({
+                oldValue: oldValue[key],
+                newValue: newValue[key],
+                options,
+                segments: [...step.segments, key],
+                newSegments: step.newSegments && [...step.newSegments, key],
+            });
+        } else {
+            // Wrapped in its object, the key keeps its path for the native diff.
+            const wrap = side => (key in side ? { [key]: side[key] } : {});
+            yield { ...step, oldValue: wrap(oldValue), newValue: wrap(newValue) };
+        }
+    }
+}
+
+/**
+ * Summarize the differences between two values: result counts per diff type
+ * and per top-level key, and how much of the documents changed.
+ *
+ * `changedLeaves` counts the leaves (scalars and empty containers) of both
+ * documents that results cover: the old value of a removal, the new value of
+ * an addition, both values of a modification or move. `changedRatio` is
+ * their share of all leaves of both documents, from 0 (equal) to 1
+ * (nothing in common).
+ *
+ * @param {any} oldValue - The old value
+ * @param {any} newValue - The new value
+ * @param {object} [options] - `diff()` options
+ * @returns {object} `{ total, byType, byKey, changedLeaves, totalLeaves, changedRatio }`
+ */
+function diffStats(oldValue, newValue, options) {
+    const results = diff(oldValue, newValue, options);
+    const byType = Object.fromEntries(DIFF_TYPES.map(type => [type, 0]));
+    const byKey = {};
+    let changedLeaves = 0;
+    for (const result of results) {
+        byType[result.diffType]++;
+        const key = result.pathSegments.length > 0 ? formatPath(result.pathSegments.slice(0, 1)) : '';
+        byKey[key] = (byKey[key] || 0) + 1;
+        changedLeaves += coveredLeaves(result);
+    }
+    const totalLeaves = countLeaves(oldValue) + countLeaves(newValue);
+    return {
+        total: results.length,
+        byType,
+        byKey,
+        changedLeaves,
+        totalLeaves,
+        changedRatio: totalLeaves > 0 ? changedLeaves / totalLeaves : 0,
+    };
+}
+
+function coveredLeaves(result) {
+    switch (result.diffType) {
+        case 'Added':
+            return countLeaves(result.newValue !== undefined ? result.newValue : result.value);
+        case 'Removed':
+            return countLeaves(result.oldValue !== undefined ? result.oldValue : result.value);
+        case 'Moved':
+            return 2 * countLeaves(result.value);
+        default:
+            return countLeaves(result.oldValue) + countLeaves(result.newValue);
+    }
+}
+
+function countLeaves(value) {
+    if (value === undefined) {
+        return 0;
+    }
+    const children = Array.isArray(value) || isPlainObject(value) ? Object.values(value) : [];
+    return children.length === 0 ? 1 : children.reduce((sum, child) => sum + countLeaves(child), 0);
+}
+
+module.exports.diffStats = diffStats;
+module.exports.hasDiff = hasDiff;
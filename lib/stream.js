@@ -0,0 +1,301 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { Readable } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { csvReader } = require('./csv');
+const { DIFF_OPTIONS, diff, validateOptions } = require('./diff');
+const { ParseError } = require('./errors');
+const { validateParseOptions } = require('./formats');
+
+const STREAM_EXTENSIONS = {
+    '.csv': 'csv',
+    '.ndjson': 'ndjson',
+    '.jsonl': 'ndjson',
+};
+
+/**
+ * Diff two row-oriented sources (CSV or NDJSON) keyed by one or more columns,
+ * yielding results as they are found.
+ *
+ * Sources are file paths, Node Readable streams or any async iterable of
+ * text chunks. By default the old source is indexed by key and the new one
+ * streamed against it, so memory grows with the old side only. With
+ * `sorted: true` both sides must be ordered by key and are merge-joined in
+ * constant memory.
+ *
+ * Each result describes one row: `Added` (`newValue`), `Removed` (`value`)
+ * or `Modified` (`oldValue`, `newValue` and `changes`, the per-column
+ * `diff()` results). Paths use the `arrayIdKey` notation, e.g. `[id="42"]`.
+ *
+ * @param {string|Readable|AsyncIterable} oldSource - Old rows
+ * @param {string|Readable|AsyncIterable} newSource - New rows
+ * @param {object} options - `diff()` options plus:
+ * @param {string|string[]} options.key - Column(s) identifying a row
+ * @param {string} [options.format] - "csv" or "ndjson"; detected from file extensions otherwise
+ * @param {boolean} [options.sorted=false] - Both sources are sorted by key
+ * @param {object} [options.parseOptions] - `{ csv }`: `parseCsv()` options, e.g. `{ csv: { delimiter: ';' } }`
+ * @returns {AsyncGenerator<object>} Row-level diff results
+ */
+async function* diffStream(oldSource, newSource, options = {}) {
+    validateOptions(options, [...DIFF_OPTIONS, 'key', 'format', 'sorted', 'parseOptions'], 'diffStream() option');
+    const { key, format, sorted = false, parseOptions = {}, ...diffOptions } = options;
+    validateOptions(parseOptions, ['csv', 'ndjson'], 'diffStream() parseOptions format');
+    validateParseOptions(parseOptions);
+    const keys = Array.isArray(key) ? key : [key];
+    if (keys.length === 0 || keys.some(k => typeof k !== 'string' || k === '')) {
+        throw new TypeError('diffStream() requires a `key` column name or an array of them');
+    }
+
+    const oldRows = keyedRows(oldSource, streamFormat(oldSource, format, 'old'), keys, 'old', parseOptions);
+    const newRows = keyedRows(newSource, streamFormat(newSource, format, 'new'), keys, 'new', parseOptions);
+    const compare = row => compareRows(row, diffOptions);
+
+    if (sorted) {
+        yield* mergeJoin(oldRows, newRows, compare);
+    } else {
+        yield* hashJoin(oldRows, newRows, compare);
+    }
+}
+
+function streamFormat(source, format, label) {
+    const resolved = format || (typeof source === 'string'
+        ? STREAM_EXTENSIONS[path.extname(source).toLowerCase()]
+        : undefined);
+    if (resolved !== 'csv' && resolved !== 'ndjson') {
+        throw new Error(
+            `Cannot stream ${typeof source === 'string' ? source : label}: `
+            + 'format must be "csv" or "ndjson"'
+        );
+    }
+    return resolved;
+}
+
+async function* hashJoin(oldRows, newRows, compare) {
+    const pending = new Map();
+    for await (const row of oldRows) {
+        if (pending.has(row.id)) {
+            throw duplicateKey(row);
+        }
+        pending.set(row.id, row);
+    }
+
+    const seen = new Set();
+    for await (const row of newRows) {
+        if (seen.has(row.id)) {
+            throw duplicateKey(row);
+        }
+        seen.add(row.id);
+
+        const oldRow = pending.get(row.id);
+        if (oldRow) {
+            pending.delete(row.id);
+            const result = compare({ oldRow, newRow: row });
+            if (result) {
+                yield result;
+            }
+        } else {
+            yield compare({ newRow: row });
+        }
+    }
+
+    for (const oldRow of pending.values()) {
+        yield compare({ oldRow });
+    }
+}
+
+async function* mergeJoin(oldRows, newRows, compare) {
+    const oldIter = ordered(oldRows)[Symbol.asyncIterator]();
+    const newIter = ordered(newRows)[Symbol.asyncIterator]();
+    try {
+        yield* joinOrdered(oldIter, newIter, compare);
+    } finally {
+        // Close both sources when the consumer stops early or a row fails.
+        await oldIter.return();
+        await newIter.return();
+    }
+}
+
+async function* joinOrdered(oldIter, newIter, compare) {
+    let oldNext = await oldIter.next();
+    let newNext = await newIter.next();
+
+    while (!oldNext.done || !newNext.done) {
+        let order;
+        if (oldNext.done) {
+            order = 1;
+        } else if (newNext.done) {
+            order = -1;
+        } else {
+            order = compareKeys(oldNext.value.key, newNext.value.key);
+        }
+        if (order < 0) {
+            yield compare({ oldRow: oldNext.value });
+            oldNext = await oldIter.next();
+        } else if (order > 0) {
+            yield compare({ newRow: newNext.value });
+            newNext = await newIter.next();
+        } else {
+            const result = compare({ oldRow: oldNext.value, newRow: newNext.value });
+            if (result) {
+                yield result;
+            }
+            oldNext = await oldIter.next();
+            newNext = await newIter.next();
+        }
+    }
+}
+
+async function* ordered(rows) {
+    let previous;
+    for await (const row of rows) {
+        if (previous) {
+            const order = compareKeys(previous.key, row.key);
+            if (order === 0) {
+                throw duplicateKey(row);
+            }
+            if (order > 0) {
+                throw new Error(
+                    `${row.label} is not sorted by key: row ${row.line} (${row.path}) comes after ${previous.path}`
+                );
+            }
+        }
+        previous = row;
+        yield row;
+    }
+}
+
+function compareKeys(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        const x = a[i];
+        const y = b[i];
+        const numeric = x !== '' && y !== '' && !isNaN(x) && !isNaN(y);
+        const order = numeric ? Number(x) - Number(y) : x < y ? -1 : x > y ? 1 : 0;
+        if (order !== 0) {
+            return order;
+        }
+    }
+    return 0;
+}
+
+function duplicateKey(row) {
+    return new Error(`Duplicate key ${row.path} in ${row.label} (row ${row.line})`);
+}
+
+function compareRows({ oldRow, newRow }, diffOptions) {
+    if (!oldRow) {
+        return { diffType: 'Added', path: newRow.path, key: newRow.keyValues, newValue: newRow.value };
+    }
+    if (!newRow) {
+        return { diffType: 'Removed', path: oldRow.path, key: oldRow.keyValues, value: oldRow.value };
+    }
+    const changes = diff(oldRow.value, newRow.value, diffOptions);
+    if (changes.length === 0) {
+        return null;
+    }
+    return {
+        diffType: 'Modified',
+        path: oldRow.path,
+        key: oldRow.keyValues,
+        oldValue: oldRow.value,
+        newValue: newRow.value,
+        changes,
+    };
+}
+
+async function* keyedRows(source, format, keys, label, parseOptions) {
+    const name = typeof source === 'string' ? source : label;
+    for await (const { value, line } of readRows(source, format, name, parseOptions)) {
+        const keyValues = {};
+        for (const key of keys) {
+            if (value === null || typeof value !== 'object' || !(key in value)) {
+                throw new ParseError(`Row ${line} of ${name} has no "${key}" column`, { file: name, format });
+            }
+            keyValues[key] = value[key];
+        }
+        const key = keys.map(k => String(keyValues[k]));
+        yield {
+            value,
+            line,
+            key,
+            id: JSON.stringify(key),
+            keyValues,
+            label: name,
+            path: `[${keys.map(k => `${k}=${JSON.stringify(keyValues[k])}`).join(',')}]`,
+        };
+    }
+}
+
+async function* readRows(source, format, name, parseOptions) {
+    const input = toReadable(source);
+    try {
+        yield* format === 'csv' ? csvRows(input, name, parseOptions.csv) : ndjsonRows(input, name);
+    } finally {
+        if (typeof source === 'string') {
+            input.destroy();
+        }
+    }
+}
+
+function toReadable(source) {
+    if (typeof source === 'string') {
+        return fs.createReadStream(source, { encoding: 'utf8' });
+    }
+    if (source && typeof source.pipe === 'function') {
+        return source;
+    }
+    if (source && typeof source[Symbol.asyncIterator] === 'function') {
+        return Readable.from(source);
+    }
+    throw new TypeError('Stream sources must be file paths, Readable streams or async iterables');
+}
+
+async function* ndjsonRows(input, name) {
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let line = 0;
+    try {
+        for await (const text of lines) {
+            line++;
+            if (!text.trim()) {
+                continue;
+            }
+            let value;
+            try {
+                value = JSON.parse(text);
+            } catch (e) {
+                throw new ParseError(`Failed to parse ${name} as NDJSON at line ${line}: ${e.message}`, {
+                    file: name,
+                    format: 'ndjson',
+                    cause: e,
+                });
+            }
+            yield { value, line };
+        }
+    } finally {
+        lines.close();
+    }
+}
+
+/**
+ * Rows of CSV text read chunk by chunk with `parseCsv()` options (see
+ * lib/csv.js), so that quoted fields may span lines.
+ */
+async function* csvRows(input, name, options) {
+    const reader = csvReader(options);
+    const decoder = new StringDecoder('utf8');
+    const parse = read => {
+        try {
+            return read();
+        } catch (e) {
+            throw new ParseError(`Failed to parse ${name} as CSV: ${e.message}`, { file: name, format: 'csv', cause: e });
+        }
+    };
+    for await (const chunk of input) {
+        yield* parse(() => reader.read(typeof chunk === 'string' ? chunk : decoder.write(chunk)));
+    }
+    yield* parse(() => [...reader.read(decoder.end()), ...reader.end()]);
+}
+
+module.exports.diffStream = diffStream;
@@ -0,0 +1,413 @@
+'use strict';
+
+const { validateOptions } = require('./diff');
+const { normalizeFormat, parseDocument } = require('./formats');
+const { formatPath } = require('./path');
+const { isPlainObject } = require('./values');
+
+/**
+ * Serializers for the formats the native parsers read.
+ *
+ * Each writes what the matching `parse*()` function reads back as the same
+ * value: for any value a parser returns, `parseX(stringifyX(value))` equals
+ * it. Values a format cannot express (null in TOML, nested objects in INI or
+ * CSV, ...) are rejected with a TypeError naming their path, rather than
+ * silently changed.
+ */
+
+const YAML_RESERVED = /^(true|false|yes|no|on|off|y|n|null|~)$/i;
+const TOML_BARE_KEY = /^[A-Za-z0-9_-]+$/;
+const XML_NAME = /^[A-Za-z_][\w.-]*$/;
+
+function unsupported(format, what, segments) {
+    const at = segments.length > 0 ? ` at "${formatPath(segments)}"` : '';
+    return new TypeError(`Cannot represent ${what} in ${format}${at}`);
+}
+
+function describe(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'an array';
+    }
+    return typeof value === 'object' ? 'a nested object' : `a ${typeof value}`;
+}
+
+/* YAML */
+
+/**
+ * Serialize a value as a block-style YAML document.
+ *
+ * @param {any} value - Value to serialize
+ * @returns {string} YAML text
+ */
+function stringifyYaml(value) {
+    return `${yamlNode(value, 0, []).join('\n')}\n`;
+}
+
+function yamlNode(value, indent, segments) {
+    const pad = ' '.repeat(indent);
+    if (Array.isArray(value) && value.length > 0) {
+        return value.flatMap((item, i) => {
+            const lines = yamlNode(item, indent + 2, [...segments, i]);
+            if (isCollection(item)) {
+                lines[0] = `${pad}- ${lines[0].slice(indent + 2)}`;
+                return lines;
+            }
+            return yamlEntry(`${pad}-`, item, indent + 2, [...segments, i]);
+        });
+    }
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+        return Object.entries(value).flatMap(([key, child]) => {
+            const prefix = `${pad}${yamlString(key)}:`;
+            return isCollection(child)
+                ? [prefix, ...yamlNode(child, indent + 2, [...segments, key])]
+                : yamlEntry(prefix, child, indent + 2, [...segments, key]);
+        });
+    }
+    return [`${pad}${yamlScalar(value, indent, segments)}`];
+}
+
+// `key: value` or `- value`, a multi-line string continuing below.
+function yamlEntry(prefix, value, indent, segments) {
+    const [first, ...rest] = yamlScalar(value, indent, segments).split('\n');
+    return [`${prefix} ${first}`, ...rest];
+}
+
+function isCollection(value) {
+    return (Array.isArray(value) || isPlainObject(value)) && Object.keys(value).length > 0;
+}
+
+function yamlScalar(value, indent, segments) {
+    if (value === null || value === undefined) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return '[]';
+    }
+    if (isPlainObject(value)) {
+        return '{}';
+    }
+    if (typeof value === 'number') {
+        if (Number.isNaN(value)) {
+            return '.nan';
+        }
+        if (!Number.isFinite(value)) {
+            return value > 0 ? '.inf' : '-.inf';
+        }
+        return String(value);
+    }
+    if (typeof value === 'boolean') {
+        return String(value);
+    }
+    if (typeof value === 'string') {
+        return yamlBlock(value, indent) || yamlString(value);
+    }
+    throw unsupported('YAML', describe(value), segments);
+}
+
+function yamlString(text) {
+    const plain = /^[A-Za-z_/][^\n\r\t]*$/.test(text)
+        && !/:(\s|$)/.test(text)
+        && !/\s#/.test(text)
+        && !/\s$/.test(text)
+        && !YAML_RESERVED.test(text);
+    return plain ? text : JSON.stringify(text);
+}
+
+// A literal block scalar for multi-line text, when one can hold it exactly.
+function yamlBlock(text, indent) {
+    if (!text.includes('\n') || /[\r\t]/.test(text) || /^\s/.test(text)) {
+        return undefined;
+    }
+    const body = text.replace(/\n+$/, '');
+    const trailing = text.length - body.length;
+    const chomping = ['-', '', '+'][Math.min(trailing, 2)];
+    const pad = ' '.repeat(indent);
+    const lines = body.split('\n').map(line => (line ? pad + line : ''));
+    const kept = trailing > 1 ? new Array(trailing - 1).fill('') : [];
+    return [`|${chomping}`, ...lines, ...kept].join('\n');
+}
+
+/* TOML */
+
+/**
+ * Serialize an object as a TOML document. Nested objects become tables and
+ * arrays of objects arrays of tables.
+ *
+ * @param {object} value - Object to serialize
+ * @returns {string} TOML text
+ */
+function stringifyToml(value) {
+    if (!isPlainObject(value)) {
+        throw unsupported('TOML', `${describe(value)} at the top level`, []);
+    }
+    const lines = [];
+    tomlTable(value, [], lines);
+    return `${lines.join('\n').replace(/^\n+/, '')}\n`;
+}
+
+function isTableArray(value) {
+    return Array.isArray(value) && value.length > 0 && value.every(isPlainObject);
+}
+
+function isTable(value) {
+    return isPlainObject(value) || isTableArray(value);
+}
+
+function tomlTable(table, segments, lines) {
+    const entries = Object.entries(table);
+    for (const [key, child] of entries) {
+        if (!isTable(child)) {
+            lines.push(`${tomlKey(key)} = ${tomlValue(child, [...segments, key])}`);
+        }
+    }
+    for (const [key, child] of entries) {
+        const childSegments = [...segments, key];
+        const header = childSegments.map(tomlKey).join('.');
+        if (isPlainObject(child)) {
+            // A table holding only tables is declared by their headers.
+            const values = Object.values(child);
+            if (values.length === 0 || !values.every(isTable)) {
+                lines.push('', `[${header}]`);
+            }
+            tomlTable(child, childSegments, lines);
+        } else if (isTableArray(child)) {
+            child.forEach((item, i) => {
+                lines.push('', `[[${header}]]`);
+                tomlTable(item, [...childSegments, i], lines);
+            });
+        }
+    }
+}
+
+function tomlKey(key) {
+    return TOML_BARE_KEY.test(key) ? key : JSON.stringify(key);
+}
+
+function tomlValue(value, segments) {
+    if (typeof value === 'string') {
+        return JSON.stringify(value);
+    }
+    if (typeof value === 'boolean') {
+        return String(value);
+    }
+    if (typeof value === 'number') {
+        if (Number.isNaN(value)) {
+            return 'nan';
+        }
+        if (!Number.isFinite(value)) {
+            return value > 0 ? 'inf' : '-inf';
+        }
+        return String(value);
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map((item, i) => tomlValue(item, [...segments, i])).join(', ')}]`;
+    }
+    if (isPlainObject(value)) {
+        const pairs = Object.entries(value).map(([key, child]) =>
+            `${tomlKey(key)} = ${tomlValue(child, [...segments, key])}`
+        );
+        return pairs.length > 0 ? `{ ${pairs.join(', ')} }` : '{}';
+    }
+    throw unsupported('TOML', describe(value), segments);
+}
+
+/* INI */
+
+/**
+ * Serialize an object of sections as INI. `parseIni()` would read a
+ * top-level scalar back into a `default` section and trims values, so
+ * neither can be written.
+ *
+ * @param {object} value - Section name -> { key: value }
+ * @returns {string} INI text
+ */
+function stringifyIni(value) {
+    if (!isPlainObject(value)) {
+        throw unsupported('INI', `${describe(value)} at the top level`, []);
+    }
+    const lines = [];
+    for (const [name, section] of Object.entries(value)) {
+        if (!isPlainObject(section)) {
+            throw unsupported('INI', `${describe(section)} outside a section`, [name]);
+        }
+        if (lines.length > 0) {
+            lines.push('');
+        }
+        lines.push(`[${name}]`);
+        for (const [key, child] of Object.entries(section)) {
+            lines.push(iniEntry(key, child, [name, key]));
+        }
+    }
+    return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+}
+
+function iniEntry(key, value, segments) {
+    if (value !== null && typeof value === 'object') {
+        throw unsupported('INI', describe(value), segments);
+    }
+    const text = value === null || value === undefined ? '' : String(value);
+    if (/[\r\n]/.test(text) || /[=\r\n]/.test(key)) {
+        throw unsupported('INI', 'a line break or "=" in a key', segments);
+    }
+    if (text !== text.trim() || key !== key.trim()) {
+        throw unsupported('INI', 'leading or trailing whitespace in a key or value', segments);
+    }
+    return `${key} = ${text}`;
+}
+
+/* XML */
+
+/**
+ * Serialize a value as XML. Object keys become child elements, array items
+ * repeated elements, and a `text` key the element's text. The value must be
+ * an object with a single key naming the root element, unless `root` names
+ * one to wrap it in; an array wrapped this way is written as `item`
+ * elements.
+ *
+ * @param {any} value - Value to serialize
+ * @param {object} [options]
+ * @param {string} [options.root] - Root element to wrap the value in
+ * @param {string} [options.item="item"] - Element for the items of a wrapped array
+ * @returns {string} XML text
+ */
+function stringifyXml(value, options = {}) {
+    validateOptions(options, ['root', 'item'], 'stringifyXml() option');
+    let document = value;
+    if (options.root !== undefined) {
+        document = { [options.root]: Array.isArray(value) ? { [options.item || 'item']: value } : value };
+    }
+    const keys = isPlainObject(document) ? Object.keys(document) : [];
+    if (keys.length !== 1 || Array.isArray(document[keys[0]])) {
+        throw new TypeError('XML needs a single root element: pass an object with one key, or the `root` option');
+    }
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+    xmlElement(keys[0], document[keys[0]], 0, [], lines);
+    return `${lines.join('\n')}\n`;
+}
+
+function xmlElement(name, value, indent, segments, lines) {
+    const pad = '  '.repeat(indent);
+    if (!XML_NAME.test(name)) {
+        throw unsupported('XML', `the element name "${name}"`, segments);
+    }
+    if (Array.isArray(value)) {
+        value.forEach((item, i) => {
+            if (Array.isArray(item)) {
+                throw unsupported('XML', 'nested arrays', [...segments, i]);
+            }
+            xmlElement(name, item, indent, [...segments, i], lines);
+        });
+        return;
+    }
+    if (value === null || value === undefined || (isPlainObject(value) && Object.keys(value).length === 0)) {
+        lines.push(`${pad}<${name}/>`);
+        return;
+    }
+    if (!isPlainObject(value)) {
+        lines.push(`${pad}<${name}>${xmlText(value, segments)}</${name}>`);
+        return;
+    }
+    lines.push(`${pad}<${name}>`);
+    for (const [key, child] of Object.entries(value)) {
+        if (key === 'text' && !isPlainObject(child) && !Array.isArray(child)) {
+            continue;
+        }
+        xmlElement(key, child, indent + 1, [...segments, key], lines);
+    }
+    if ('text' in value && !isPlainObject(value.text) && !Array.isArray(value.text)) {
+        lines.push(`${pad}  ${xmlText(value.text, [...segments, 'text'])}`);
+    }
+    lines.push(`${pad}</${name}>`);
+}
+
+function xmlText(value, segments) {
+    if (typeof value === 'object') {
+        throw unsupported('XML', describe(value), segments);
+    }
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/* CSV */
+
+/**
+ * Serialize an array of flat objects as CSV with a header row. Columns are
+ * the keys of all rows, in order of first appearance; missing and null
+ * fields are written empty.
+ *
+ * @param {Array<object>} rows - Rows to serialize
+ * @returns {string} CSV text
+ */
+function stringifyCsv(rows) {
+    if (!Array.isArray(rows)) {
+        throw unsupported('CSV', `${describe(rows)} at the top level`, []);
+    }
+    const columns = [];
+    rows.forEach((row, i) => {
+        if (!isPlainObject(row)) {
+            throw unsupported('CSV', `${describe(row)} as a row`, [i]);
+        }
+        for (const key of Object.keys(row)) {
+            if (!columns.includes(key)) {
+                columns.push(key);
+            }
+        }
+    });
+    if (columns.length === 0) {
+        return '';
+    }
+    const lines = [columns.map(csvField).join(',')];
+    rows.forEach((row, i) => {
+        lines.push(columns.map(column => {
+            const value = row[column];
+            if (value !== null && typeof value === 'object') {
+                throw unsupported('CSV', describe(value), [i, column]);
+            }
+            return csvField(value === null || value === undefined ? '' : String(value));
+        }).join(','));
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+function csvField(text) {
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/* Conversion */
+
+const STRINGIFIERS = {
+    json: value => `${JSON.stringify(value, null, 2)}\n`,
+    yaml: stringifyYaml,
+    toml: stringifyToml,
+    ini: stringifyIni,
+    xml: stringifyXml,
+    csv: stringifyCsv,
+};
+
+/**
+ * Convert a document from one format to another. Every format can be read,
+ * but only those of `STRINGIFIERS` written.
+ *
+ * @param {string} content - Document text
+ * @param {string} [from] - Its format; detected from the content when omitted
+ * @param {string} to - Format to write
+ * @param {object} [options] - Options for the serializer, e.g. `root` for XML
+ * @returns {string} The document in the target format
+ */
+function convert(content, from, to, options) {
+    const target = normalizeFormat(to);
+    if (!STRINGIFIERS[target]) {
+        throw new Error(`Cannot convert to ${to}: can only write ${Object.keys(STRINGIFIERS).join(', ')}`);
+    }
+    const value = parseDocument(content, { format: from || undefined });
+    return target === 'xml' ? stringifyXml(value, options) : STRINGIFIERS[target](value);
+}
+
+module.exports.stringifyYaml = stringifyYaml;
+module.exports.stringifyToml = stringifyToml;
+module.exports.stringifyIni = stringifyIni;
+module.exports.stringifyXml = stringifyXml;
+module.exports.stringifyCsv = stringifyCsv;
+module.exports.convert = convert;
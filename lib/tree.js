@@ -0,0 +1,79 @@
+'use strict';
+
+const { formatPath, resultSegments } = require('./path');
+
+const DIFF_TYPES = ['Added', 'Removed', 'Modified', 'TypeChanged', 'Moved'];
+
+/**
+ * Arrange diff results by path, for the formats that show changes in place
+ * rather than as a flat list.
+ *
+ * Each node is `{ label, depth, children, results }`: `label` is its own
+ * segment as written in a path (`spec`, `[2]`, `[id=3]`, empty for the
+ * root), `children` its sub-nodes sorted by key and `results` the results
+ * addressing the node itself.
+ *
+ * @param {Array} results - Diff results
+ * @returns {object} The root node
+ */
+function buildTree(results) {
+    const root = { label: '', depth: 0, children: [], results: [] };
+    const index = new Map([[root, new Map()]]);
+    for (const result of results) {
+        let node = root;
+        for (const segment of resultSegments(result)) {
+            const children = index.get(node);
+            const label = formatPath([segment]);
+            if (!children.has(label)) {
+                const child = { label, depth: node.depth + 1, children: [], results: [], segment };
+                children.set(label, child);
+                index.set(child, new Map());
+                node.children.push(child);
+            }
+            node = children.get(label);
+        }
+        node.results.push(result);
+    }
+    for (const node of index.keys()) {
+        node.children.sort(compareNodes);
+        node.results.sort((a, b) => DIFF_TYPES.indexOf(a.diffType) - DIFF_TYPES.indexOf(b.diffType));
+    }
+    return root;
+}
+
+function compareNodes(a, b) {
+    if (typeof a.segment === 'number' && typeof b.segment === 'number') {
+        return a.segment - b.segment;
+    }
+    if (a.label === b.label) {
+        return 0;
+    }
+    return a.label < b.label ? -1 : 1;
+}
+
+/**
+ * One-line summary of results, e.g. "3 differences: 1 added, 2 modified".
+ */
+function summarize(results) {
+    if (results.length === 0) {
+        return 'No differences';
+    }
+    const counts = DIFF_TYPES
+        .map(type => [type, results.filter(result => result.diffType === type).length])
+        .filter(([, count]) => count > 0)
+        .map(([type, count]) => `${count} ${type === 'TypeChanged' ? 'type changed' : type.toLowerCase()}`);
+    const noun = results.length === 1 ? 'difference' : 'differences';
+    return `${results.length} ${noun}: ${counts.join(', ')}`;
+}
+
+/**
+ * A value written as compact JSON, or `indent`ed JSON.
+ */
+function formatValue(value, indent) {
+    return value === undefined ? 'undefined' : JSON.stringify(value, null, indent);
+}
+
+module.exports.DIFF_TYPES = DIFF_TYPES;
+module.exports.buildTree = buildTree;
+module.exports.formatValue = formatValue;
+module.exports.summarize = summarize;
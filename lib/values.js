@@ -0,0 +1,36 @@
+'use strict';
+
+/**
+ * Helpers for the plain JSON-compatible values the parsers and `diff()`
+ * produce.
+ */
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function isDeepEqual(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') {
+        return false;
+    }
+    if (Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+    }
+    if (Array.isArray(a)) {
+        return a.length === b.length && a.every((item, i) => isDeepEqual(item, b[i]));
+    }
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length
+        && keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isDeepEqual(a[key], b[key]));
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports.clone = clone;
+module.exports.isDeepEqual = isDeepEqual;
+module.exports.isPlainObject = isPlainObject;
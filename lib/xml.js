@@ -0,0 +1,232 @@
+'use strict';
+
+/**
+ * XML parsing in JavaScript, for the options the native parser lacks.
+ *
+ * Documents map to values the way the native parser maps them: the root
+ * element becomes the single key of an object; an element with neither
+ * attributes nor child elements becomes its text (`{}` when it has none);
+ * any other element becomes an object of its attributes and children, with
+ * its text under `textKey`. Repeated names collect into arrays, text is
+ * trimmed and every value is a string. Comments, processing instructions
+ * and the DOCTYPE are skipped.
+ */
+
+const XML_OPTIONS = ['attributePrefix', 'textKey', 'namespaces', 'alwaysArray'];
+
+const NAME = /^[^\s/>="'<]+/;
+const ENTITIES = { lt: '<', gt: '>', amp: '&', apos: '\'', quot: '"' };
+
+/**
+ * @param {string} content - XML text
+ * @param {object} [options]
+ * @param {string} [options.attributePrefix=""] - Prepended to attribute names, e.g. "@"
+ * @param {string} [options.textKey="text"] - Key for the text of elements with attributes or children
+ * @param {string} [options.namespaces="keep"] - "keep" prefixed names as written, or "strip" prefixes
+ *     and `xmlns` attributes
+ * @param {string[]|boolean} [options.alwaysArray] - Element names always read as arrays, or `true` for all
+ * @returns {object} `{ [root]: value }`
+ */
+function parseXml(content, options = {}) {
+    const { attributePrefix = '', textKey = 'text', namespaces = 'keep', alwaysArray = [] } = options;
+    if (namespaces !== 'keep' && namespaces !== 'strip') {
+        throw new TypeError(`XML namespaces must be "keep" or "strip", got ${JSON.stringify(namespaces)}`);
+    }
+    if (alwaysArray !== true && !Array.isArray(alwaysArray)) {
+        throw new TypeError('XML alwaysArray must be an array of element names or true');
+    }
+    const settings = {
+        attributePrefix,
+        strip: namespaces === 'strip',
+        textKey,
+        localName: namespaces === 'strip' ? name => name.slice(name.indexOf(':') + 1) : name => name,
+        isArray: alwaysArray === true ? () => true : name => alwaysArray.includes(name),
+    };
+
+    const reader = { text: content.replace(/^\uFEFF/, ''), offset: 0 };
+    skipMisc(reader);
+    if (reader.text[reader.offset] !== '<') {
+        fail(reader, 'expected the root element');
+    }
+    const [name, value] = readElement(reader, settings);
+    skipMisc(reader);
+    if (reader.offset < reader.text.length) {
+        fail(reader, 'unexpected content after the root element');
+    }
+    return { [name]: value };
+}
+
+/**
+ * Read the element starting at the reader's offset, returning its name and
+ * value.
+ */
+function readElement(reader, settings) {
+    const { text } = reader;
+    reader.offset++;
+    const name = readName(reader);
+    const attributes = [];
+    for (;;) {
+        skipSpace(reader);
+        if (text.startsWith('/>', reader.offset) || text[reader.offset] === '>') {
+            break;
+        }
+        const attribute = readName(reader);
+        skipSpace(reader);
+        expect(reader, '=');
+        skipSpace(reader);
+        const quote = text[reader.offset];
+        if (quote !== '"' && quote !== '\'') {
+            fail(reader, `expected a quoted value for attribute "${attribute}"`);
+        }
+        const end = text.indexOf(quote, reader.offset + 1);
+        if (end === -1) {
+            fail(reader, `unterminated value for attribute "${attribute}"`);
+        }
+        attributes.push([attribute, decode(text.slice(reader.offset + 1, end), reader)]);
+        reader.offset = end + 1;
+    }
+
+    const children = [];
+    const texts = [];
+    if (text.startsWith('/>', reader.offset)) {
+        reader.offset += 2;
+    } else {
+        reader.offset++;
+        for (;;) {
+            const next = text.indexOf('<', reader.offset);
+            if (next === -1) {
+                fail(reader, `element <${name}> is not closed`);
+            }
+            const segment = text.slice(reader.offset, next).trim();
+            if (segment) {
+                texts.push(decode(segment, reader));
+            }
+            reader.offset = next;
+            if (text.startsWith('</', next)) {
+                reader.offset += 2;
+                const closing = readName(reader);
+                if (closing !== name) {
+                    fail(reader, `expected </${name}>, found </${closing}>`);
+                }
+                skipSpace(reader);
+                expect(reader, '>');
+                break;
+            }
+            if (text.startsWith('<![CDATA[', next)) {
+                const end = text.indexOf(']]>', next);
+                if (end === -1) {
+                    fail(reader, 'unterminated CDATA section');
+                }
+                texts.push(text.slice(next + 9, end));
+                reader.offset = end + 3;
+            } else if (!skipMarkup(reader)) {
+                children.push(readElement(reader, settings));
+            }
+        }
+    }
+    return [settings.localName(name), buildValue(attributes, children, texts.join(''), settings)];
+}
+
+function buildValue(attributes, children, text, settings) {
+    const members = attributes
+        .filter(([name]) => !(settings.strip && /^xmlns(:|$)/.test(name)))
+        .map(([name, value]) => [settings.attributePrefix + settings.localName(name), value]);
+    if (members.length === 0 && children.length === 0) {
+        return text || {};
+    }
+    const object = {};
+    const add = (name, value, element) => {
+        if (name in object) {
+            object[name] = [].concat(object[name], [value]);
+        } else {
+            object[name] = element && settings.isArray(name) ? [value] : value;
+        }
+    };
+    for (const [name, value] of members) {
+        add(name, value, false);
+    }
+    for (const [name, value] of children) {
+        add(name, value, true);
+    }
+    if (text) {
+        object[settings.textKey] = text;
+    }
+    return object;
+}
+
+function readName(reader) {
+    const match = NAME.exec(reader.text.slice(reader.offset, reader.offset + 256));
+    if (!match) {
+        fail(reader, 'expected a name');
+    }
+    reader.offset += match[0].length;
+    return match[0];
+}
+
+/**
+ * Skip a comment, processing instruction or DOCTYPE at the offset, telling
+ * whether there was one.
+ */
+function skipMarkup(reader) {
+    const { text, offset } = reader;
+    let end;
+    if (text.startsWith('<!--', offset)) {
+        end = text.indexOf('-->', offset);
+        end = end === -1 ? -1 : end + 3;
+    } else if (text.startsWith('<?', offset)) {
+        end = text.indexOf('?>', offset);
+        end = end === -1 ? -1 : end + 2;
+    } else if (text.startsWith('<!DOCTYPE', offset)) {
+        // The internal subset, if any, is bracketed and may contain `>`.
+        const subset = text.indexOf('[', offset);
+        const close = text.indexOf('>', offset);
+        end = subset !== -1 && subset < close ? text.indexOf(']', subset) : offset;
+        end = end === -1 ? -1 : text.indexOf('>', end) + 1;
+    } else {
+        return false;
+    }
+    if (end <= 0) {
+        fail(reader, 'unterminated markup');
+    }
+    reader.offset = end;
+    return true;
+}
+
+function skipMisc(reader) {
+    do {
+        skipSpace(reader);
+    } while (skipMarkup(reader));
+}
+
+function skipSpace(reader) {
+    while (/\s/.test(reader.text[reader.offset] || '')) {
+        reader.offset++;
+    }
+}
+
+function expect(reader, char) {
+    if (reader.text[reader.offset] !== char) {
+        fail(reader, `expected "${char}"`);
+    }
+    reader.offset++;
+}
+
+function decode(text, reader) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (entity, body) => {
+        if (body[0] === '#') {
+            return String.fromCodePoint(body[1] === 'x' ? parseInt(body.slice(2), 16) : Number(body.slice(1)));
+        }
+        if (!(body in ENTITIES)) {
+            fail(reader, `unknown entity ${entity}`);
+        }
+        return ENTITIES[body];
+    });
+}
+
+function fail(reader, message) {
+    const line = reader.text.slice(0, reader.offset).split('\n').length;
+    throw new Error(`XML parse error: ${message} (line ${line})`);
+}
+
+module.exports.XML_OPTIONS = XML_OPTIONS;
+module.exports.parseXml = parseXml;
@@ -0,0 +1,97 @@
+'use strict';
+
+const binding = require('../binding');
+const { attachLocations, attachStreamLocations } = require('./locations');
+const { isPlainObject } = require('./values');
+
+/**
+ * YAML options on top of the native parser, which reads a single document
+ * and resolves anchors and aliases but leaves merge keys (`<<`) as ordinary
+ * keys.
+ */
+
+const YAML_OPTIONS = ['multiDocument', 'mergeKeys'];
+
+const DOCUMENT_START = /^---(?=\s|$)/;
+const EMPTY_LINE = /^(#.*)?$|^%|^\.\.\.(?=\s|$)/;
+
+/**
+ * @param {string} content - YAML text
+ * @param {object} [options]
+ * @param {boolean} [options.multiDocument=false] - Read a stream of `---`-separated documents into an array
+ * @param {boolean} [options.mergeKeys=false] - Apply `<<` merge keys
+ * @param {boolean} [options.locations] - Record source locations
+ * @param {string} [options.file] - File name to report in locations
+ * @returns {any} The document, or an array of documents
+ */
+function parseYaml(content, options = {}) {
+    const { multiDocument = false, mergeKeys = false, locations, file } = options;
+    const parseOne = text => {
+        const value = mergeKeys ? applyMergeKeys(binding.parseYaml(text)) : binding.parseYaml(text);
+        return locations ? attachLocations(value, text, 'yaml', file) : value;
+    };
+    if (!multiDocument) {
+        return parseOne(content);
+    }
+    const documents = splitDocuments(content).map(parseOne);
+    return locations ? attachStreamLocations(documents, file) : documents;
+}
+
+/**
+ * Split a YAML stream at its `---` markers. Each document keeps its marker
+ * line and is padded with empty lines to its place in the stream, so that
+ * parse errors and source locations report lines of the whole stream. Text
+ * before the first marker is a document only if it holds more than
+ * comments and directives.
+ */
+function splitDocuments(content) {
+    const lines = content.replace(/^\uFEFF/, '').split(/(?<=\n)/);
+    const documents = [];
+    let current = { start: 0, lines: [], explicit: false };
+    lines.forEach((line, index) => {
+        if (DOCUMENT_START.test(line)) {
+            documents.push(current);
+            current = { start: index, lines: [], explicit: true };
+        }
+        current.lines.push(line);
+    });
+    documents.push(current);
+    return documents
+        .filter(document => document.explicit || document.lines.some(line => !EMPTY_LINE.test(line.trim())))
+        .map(document => '\n'.repeat(document.start) + document.lines.join(''));
+}
+
+/**
+ * Replace `<<` keys by the mappings they merge: keys of the mapping itself
+ * win over merged ones, and earlier mappings in a `<<` list over later ones.
+ */
+function applyMergeKeys(value) {
+    if (Array.isArray(value)) {
+        return value.map(applyMergeKeys);
+    }
+    if (!isPlainObject(value)) {
+        return value;
+    }
+    const merged = {};
+    if ('<<' in value) {
+        for (const source of [].concat(value['<<'])) {
+            if (!isPlainObject(source)) {
+                throw new Error('YAML parse error: a merge key "<<" must refer to a mapping or a list of mappings');
+            }
+            for (const [key, child] of Object.entries(applyMergeKeys(source))) {
+                if (!(key in merged)) {
+                    merged[key] = child;
+                }
+            }
+        }
+    }
+    for (const [key, child] of Object.entries(value)) {
+        if (key !== '<<') {
+            merged[key] = applyMergeKeys(child);
+        }
+    }
+    return merged;
+}
+
+module.exports.YAML_OPTIONS = YAML_OPTIONS;
+module.exports.parseYaml = parseYaml;
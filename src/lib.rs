@@ -5,6 +5,7 @@ use diffx_core::{
     DiffxSpecificOptions, OutputFormat,
 };
 use napi::bindgen_prelude::*;
+use napi::{Env, Task};
 use napi_derive::napi;
 use regex::Regex;
 
@@ -103,6 +104,72 @@ pub fn diff(
     Ok(js_results)
 }
 
+/// Task computing a diff on the libuv threadpool
+pub struct DiffTask {
+    old: serde_json::Value,
+    new_value: serde_json::Value,
+    options: Option<DiffOptions>,
+}
+
+#[napi]
+impl Task for DiffTask {
+    type Output = Vec<DiffResult>;
+    type JsValue = Vec<JsDiffResult>;
+
+    fn compute(&mut self) -> Result<Self::Output> {
+        core_diff(&self.old, &self.new_value, self.options.as_ref())
+            .map_err(|e| Error::new(Status::GenericFailure, format!("Diff error: {e}")))
+    }
+
+    fn resolve(&mut self, _env: Env, output: Self::Output) -> Result<Self::JsValue> {
+        output.into_iter().map(convert_diff_result).collect()
+    }
+}
+
+/// Asynchronous variant of `diff`
+///
+/// The comparison runs on the libuv threadpool so the event loop stays
+/// responsive; converting the inputs from JavaScript still happens on the
+/// calling thread.
+///
+/// # Arguments
+///
+/// * `old` - The old value (JavaScript object, array, or primitive)
+/// * `new` - The new value (JavaScript object, array, or primitive)
+/// * `options` - Optional configuration object
+/// * `signal` - Optional AbortSignal; aborting before the task starts rejects the Promise
+///
+/// # Returns
+///
+/// Promise resolving to an array of difference objects
+///
+/// # Example
+///
+/// ```javascript
+/// const { diffAsync } = require('diffx-js');
+///
+/// const controller = new AbortController();
+/// const result = await diffAsync(old, newObj, { epsilon: 0.001 }, controller.signal);
+/// ```
+#[napi]
+pub fn diff_async(
+    old: serde_json::Value,
+    #[napi(ts_arg_type = "any")] new_value: serde_json::Value,
+    options: Option<JsDiffOptions>,
+    signal: Option<AbortSignal>,
+) -> Result<AsyncTask<DiffTask>> {
+    let options = options.map(build_diff_options).transpose()?;
+
+    Ok(AsyncTask::with_optional_signal(
+        DiffTask {
+            old,
+            new_value,
+            options,
+        },
+        signal,
+    ))
+}
+
 /// Parse JSON string to JavaScript object
 ///
 /// # Arguments
@@ -193,6 +260,88 @@ pub fn parse_xml(content: String) -> Result<serde_json::Value> {
         .map_err(|e| Error::new(Status::InvalidArg, format!("XML parse error: {e}")))
 }
 
+#[derive(Clone, Copy)]
+enum ParseFormat {
+    Json,
+    Csv,
+    Yaml,
+    Toml,
+    Ini,
+    Xml,
+}
+
+/// Task parsing a document on the libuv threadpool
+pub struct ParseTask {
+    content: String,
+    format: ParseFormat,
+}
+
+#[napi]
+impl Task for ParseTask {
+    type Output = serde_json::Value;
+    type JsValue = serde_json::Value;
+
+    fn compute(&mut self) -> Result<Self::Output> {
+        let content = std::mem::take(&mut self.content);
+        match self.format {
+            ParseFormat::Json => parse_json(content),
+            ParseFormat::Csv => parse_csv(content),
+            ParseFormat::Yaml => parse_yaml(content),
+            ParseFormat::Toml => parse_toml(content),
+            ParseFormat::Ini => parse_ini(content),
+            ParseFormat::Xml => parse_xml(content),
+        }
+    }
+
+    fn resolve(&mut self, _env: Env, output: Self::Output) -> Result<Self::JsValue> {
+        Ok(output)
+    }
+}
+
+fn parse_task(
+    content: String,
+    format: ParseFormat,
+    signal: Option<AbortSignal>,
+) -> AsyncTask<ParseTask> {
+    AsyncTask::with_optional_signal(ParseTask { content, format }, signal)
+}
+
+/// Asynchronous variant of `parseJson`, parsing on the libuv threadpool
+#[napi]
+pub fn parse_json_async(content: String, signal: Option<AbortSignal>) -> AsyncTask<ParseTask> {
+    parse_task(content, ParseFormat::Json, signal)
+}
+
+/// Asynchronous variant of `parseCsv`, parsing on the libuv threadpool
+#[napi]
+pub fn parse_csv_async(content: String, signal: Option<AbortSignal>) -> AsyncTask<ParseTask> {
+    parse_task(content, ParseFormat::Csv, signal)
+}
+
+/// Asynchronous variant of `parseYaml`, parsing on the libuv threadpool
+#[napi]
+pub fn parse_yaml_async(content: String, signal: Option<AbortSignal>) -> AsyncTask<ParseTask> {
+    parse_task(content, ParseFormat::Yaml, signal)
+}
+
+/// Asynchronous variant of `parseToml`, parsing on the libuv threadpool
+#[napi]
+pub fn parse_toml_async(content: String, signal: Option<AbortSignal>) -> AsyncTask<ParseTask> {
+    parse_task(content, ParseFormat::Toml, signal)
+}
+
+/// Asynchronous variant of `parseIni`, parsing on the libuv threadpool
+#[napi]
+pub fn parse_ini_async(content: String, signal: Option<AbortSignal>) -> AsyncTask<ParseTask> {
+    parse_task(content, ParseFormat::Ini, signal)
+}
+
+/// Asynchronous variant of `parseXml`, parsing on the libuv threadpool
+#[napi]
+pub fn parse_xml_async(content: String, signal: Option<AbortSignal>) -> AsyncTask<ParseTask> {
+    parse_task(content, ParseFormat::Xml, signal)
+}
+
 /// Format diff results as string
 ///
 /// # Arguments
@@ -0,0 +1,143 @@
+const diffx = require('../index.js');
+
+describe('arrayStrategy', () => {
+    const pipeline = { steps: ['checkout', 'build', 'test', 'deploy'] };
+    const withLint = { steps: ['checkout', 'lint', 'build', 'test', 'deploy'] };
+
+    test('compares by index by default', () => {
+        const results = diffx.diff(pipeline, withLint);
+
+        expect(results.map(r => r.diffType).sort()).toEqual(['Added', 'Modified', 'Modified', 'Modified']);
+    });
+
+    test('reports a single insertion with lcs', () => {
+        const results = diffx.diff(pipeline, withLint, { arrayStrategy: 'lcs' });
+
+        expect(results).toEqual([{
+            diffType: 'Added',
+            path: 'steps[1]',
+            pathSegments: ['steps', 1],
+            pointer: '/steps/1',
+            newValue: 'lint',
+        }]);
+    });
+
+    test('reports moved elements with their old and new index', () => {
+        const reordered = { steps: ['checkout', 'test', 'build', 'deploy'] };
+
+        const results = diffx.diff(pipeline, reordered, { arrayStrategy: 'lcs' });
+
+        expect(results).toHaveLength(1);
+        expect(results[0]).toMatchObject({ diffType: 'Moved', fromIndex: 1, toIndex: 2, value: 'build' });
+        expect(results[0].path).toBe('steps[1]');
+    });
+
+    test('diffs changed elements against their old selves', () => {
+        const results = diffx.diff(
+            [{ name: 'build', cmd: 'make' }, { name: 'test', cmd: 'make test' }],
+            [{ name: 'lint', cmd: 'eslint' }, { name: 'build', cmd: 'make' }, { name: 'test', cmd: 'make check' }],
+            { arrayStrategy: 'lcs' }
+        );
+
+        expect(results.map(r => [r.diffType, r.path])).toEqual([
+            ['Modified', '[1].cmd'],
+            ['Added', '[0]'],
+        ]);
+    });
+
+    test('ignores order with unordered', () => {
+        const results = diffx.diff(
+            { tags: ['a', 'b', 'c'] },
+            { tags: ['c', 'a', 'd', 'b'] },
+            { arrayStrategy: 'unordered' }
+        );
+
+        expect(results.map(r => [r.diffType, r.path, r.newValue])).toEqual([['Added', 'tags[2]', 'd']]);
+    });
+
+    test('honours diff options when matching elements', () => {
+        const results = diffx.diff(
+            { points: [1.0, 2.0, 3.0] },
+            { points: [3.0001, 1.0001, 2.0001] },
+            { arrayStrategy: 'lcs', epsilon: 0.01 }
+        );
+
+        expect(results.map(r => [r.diffType, r.fromIndex, r.toIndex])).toEqual([['Moved', 2, 0]]);
+    });
+
+    test('matches elements equal under diff options wherever they are', () => {
+        const results = diffx.diff(
+            { tags: ['A ', 'b', { k: 1.0, ts: 1 }] },
+            { tags: [{ k: 1.05, ts: 2 }, 'B', 'a'] },
+            { arrayStrategy: 'unordered', ignoreCase: true, ignoreWhitespace: true, epsilon: 0.1, ignoreKeysRegex: '^ts' }
+        );
+
+        expect(results).toEqual([]);
+    });
+
+    test('aligns large reordered arrays', () => {
+        const old = Array.from({ length: 2000 }, (_, i) => ({ id: `e${i}`, n: i }));
+
+        const results = diffx.diff(old, [...old].reverse(), { arrayStrategy: 'lcs' });
+
+        expect(results).toHaveLength(1999);
+        expect(results.every(r => r.diffType === 'Moved')).toBe(true);
+    });
+
+    test('can be set per path through overrides', () => {
+        const results = diffx.diff(
+            { steps: ['a', 'b'], ports: [80, 443] },
+            { steps: ['x', 'a', 'b'], ports: [443, 80] },
+            { arrayStrategy: 'lcs', overrides: { ports: { arrayStrategy: 'unordered' } } }
+        );
+
+        expect(results.map(r => [r.diffType, r.path])).toEqual([['Added', 'steps[0]']]);
+    });
+
+    test('round-trips through applyDiff() and revertDiff()', () => {
+        const old = { jobs: [{ id: 'a', n: 1 }, 'x', 'y', 'z', { id: 'b', n: 1 }] };
+        const newObj = { jobs: ['z', { id: 'a', n: 2 }, 'x', 'w', { id: 'b', n: 1 }, 'y'] };
+        const results = diffx.diff(old, newObj, { arrayStrategy: 'lcs' });
+
+        expect(diffx.applyDiff(old, results, { strict: true })).toSemanticallyEqual(newObj);
+        expect(diffx.revertDiff(newObj, results, { strict: true })).toSemanticallyEqual(old);
+    });
+
+    test('reverts unordered results up to element order', () => {
+        const old = [[2, 2], 'b'];
+        const newObj = [[[], 2], 1, 'b'];
+
+        for (const options of [{ arrayStrategy: 'unordered' }, { sortUnkeyedArrays: true }]) {
+            const results = diffx.diff(old, newObj, options);
+            expect(results[0]).toMatchObject({ path: '[0][1]', newPathSegments: [0, 0] });
+
+            const reverted = diffx.revertDiff(newObj, results, { strict: true });
+            expect(reverted).toEqual([[2, 2], 'b']);
+            expect(diffx.diff(newObj, diffx.applyDiff(old, results, { strict: true }), options)).toEqual([]);
+        }
+    });
+
+    test('converts moves to JSON Patch', () => {
+        const results = diffx.diff(['a', 'b', 'c'], ['c', 'a', 'b'], { arrayStrategy: 'lcs' });
+
+        expect(diffx.toJsonPatch(results)).toEqual([{ op: 'move', from: '/2', path: '/0' }]);
+
+        const old = ['a', 'b', 'c', 'd', 'e'];
+        const newObj = ['e', 'x', 'c', 'a', 'b'];
+        const patch = diffx.toJsonPatch(diffx.diff(old, newObj, { arrayStrategy: 'lcs' }));
+        expect(patch.filter(op => op.op === 'move')).toHaveLength(2);
+        expect(diffx.fromJsonPatch(patch, { source: old })).toEqual(diffx.diff(old, newObj));
+    });
+
+    test('formats moves', () => {
+        const results = diffx.diff(['a', 'b', 'c'], ['c', 'a', 'b'], { arrayStrategy: 'lcs' });
+
+        expect(diffx.formatOutput(results, 'diffx')).toBe('{"Moved":["[2]",2,0,"c"]}\n');
+        expect(JSON.parse(diffx.formatOutput(results, 'json'))).toEqual([{ Moved: ['[2]', 2, 0, 'c'] }]);
+        expect(diffx.formatOutput(results, 'yaml')).toBe('- !Moved\n  - \'[2]\'\n  - 2\n  - 0\n  - c\n');
+    });
+
+    test('rejects unknown strategies', () => {
+        expect(() => diffx.diff([], [], { arrayStrategy: 'myers' })).toThrow('Invalid arrayStrategy: myers');
+    });
+});
@@ -0,0 +1,77 @@
+const binding = require('../binding');
+const diffx = require('../index.js');
+
+describe('diffAsync()', () => {
+    test('resolves to the same results as diff()', async () => {
+        const old = { user: { name: 'Alice', age: 30 }, items: [1, 2] };
+        const newObj = { user: { name: 'Alice', age: 31 }, items: [1, 2, 3] };
+
+        await expect(diffx.diffAsync(old, newObj)).resolves.toEqual(diffx.diff(old, newObj));
+    });
+
+    test('honours diff options', async () => {
+        const results = await diffx.diffAsync({ value: 1.001 }, { value: 1.002 }, { epsilon: 0.01 });
+
+        expect(results).toEqual([]);
+    });
+
+    test('rejects invalid options', async () => {
+        await expect(diffx.diffAsync({}, {}, { ignoreKeysRegex: '(' })).rejects.toThrow('Invalid regex');
+    });
+
+    test('rejects instead of throwing', async () => {
+        jest.replaceProperty(binding, 'diffAsync', () => {
+            throw new Error('Invalid regex: (');
+        });
+        const pending = [
+            diffx.diffAsync({ a: 1 }, { a: 2 }, { ignoreKeysRegex: '(' }),
+            diffx.diffAsync({ a: 1 }, { a: 2 }, { ignoreKeysRegex: '(', signal: new AbortController().signal }),
+            diffx.diffAsync({}, {}, { epsilonn: 1 }),
+        ];
+        jest.restoreAllMocks();
+
+        await expect(pending[0]).rejects.toThrow('Invalid regex');
+        await expect(pending[1]).rejects.toThrow('Invalid regex');
+        await expect(pending[2]).rejects.toThrow('Unknown diffAsync() option "epsilonn"');
+    });
+
+    test('rejects immediately when the signal is already aborted', async () => {
+        const controller = new AbortController();
+        controller.abort();
+
+        await expect(diffx.diffAsync({ a: 1 }, { a: 2 }, { signal: controller.signal }))
+            .rejects.toMatchObject({ name: 'AbortError' });
+    });
+
+    test('rejects when the signal fires while pending', async () => {
+        const controller = new AbortController();
+        const pending = diffx.diffAsync({ a: 1 }, { a: 2 }, { signal: controller.signal });
+        controller.abort();
+
+        await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+    });
+});
+
+describe('parse*Async()', () => {
+    test('parse every format off the main thread', async () => {
+        await expect(diffx.parseJsonAsync('{"a": 1}')).resolves.toEqual({ a: 1 });
+        await expect(diffx.parseYamlAsync('a: 1')).resolves.toEqual({ a: 1 });
+        await expect(diffx.parseTomlAsync('a = 1')).resolves.toEqual({ a: 1 });
+        await expect(diffx.parseIniAsync('[s]\na = 1')).resolves.toEqual({ s: { a: '1' } });
+        await expect(diffx.parseXmlAsync('<a>1</a>')).resolves.toEqual(diffx.parseXml('<a>1</a>'));
+        await expect(diffx.parseCsvAsync('a,b\n1,2')).resolves.toEqual(diffx.parseCsv('a,b\n1,2'));
+    });
+
+    test('rejects on parse errors', async () => {
+        await expect(diffx.parseJsonAsync('invalid json')).rejects.toThrow('JSON parse error');
+        await expect(diffx.parseYamlAsync('a: 1', { sigal: undefined, strcit: true })).rejects.toThrow('strcit');
+    });
+
+    test('accepts an AbortSignal', async () => {
+        const controller = new AbortController();
+        controller.abort();
+
+        await expect(diffx.parseYamlAsync('a: 1', { signal: controller.signal }))
+            .rejects.toMatchObject({ name: 'AbortError' });
+    });
+});
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { run } = require('../lib/cli');
+
+const fixture = name => path.join(__dirname, 'fixtures', name);
+
+function cli(args, stdin) {
+    const out = [];
+    const err = [];
+    const code = run(args, {
+        stdout: { write: text => out.push(text) },
+        stderr: { write: text => err.push(text) },
+        readStdin: () => stdin,
+    });
+    return { code, stdout: out.join(''), stderr: err.join('') };
+}
+
+describe('diffx CLI', () => {
+    test('exits 0 with no output for equivalent documents', () => {
+        const { code, stdout } = cli([fixture('config.json'), fixture('config.yaml')]);
+
+        expect(code).toBe(0);
+        expect(stdout).toBe('');
+    });
+
+    test('prints differences and exits 1', () => {
+        const { code, stdout } = cli([fixture('config.json'), fixture('config-updated.yml')]);
+
+        expect(code).toBe(1);
+        const lines = stdout.trim().split('\n').map(line => JSON.parse(line));
+        expect(lines).toHaveLength(2);
+        expect(lines).toEqual(expect.arrayContaining([
+            { Modified: ['image', 'nginx:1.25', 'nginx:1.27'] },
+            { Modified: ['replicas', 2, 3] },
+        ]));
+    });
+
+    test('maps flags to diff() options and output formats', () => {
+        const { code, stdout } = cli([
+            '--ignore-keys-regex', '^image$',
+            '--output-format=json-patch',
+            fixture('config.json'),
+            fixture('config-updated.yml'),
+        ]);
+
+        expect(code).toBe(1);
+        expect(JSON.parse(stdout)).toEqual([{ op: 'replace', path: '/replicas', value: 3 }]);
+        expect(cli(['--exclude-path', 'image', '--exclude-path', 'replicas',
+            fixture('config.json'), fixture('config-updated.yml')]).code).toBe(0);
+
+        const updated = fs.readFileSync(fixture('orders-semicolon.csv'), 'utf8').replace('20.00', '25.00');
+        const csv = cli(['--parse-options={"csv":{"delimiter":";"}}', '-f', 'csv', '-o', 'json',
+            fixture('orders-semicolon.csv'), '-'], updated);
+        expect(JSON.parse(csv.stdout)).toEqual([{ Modified: ['[1].total', '20.00', '25.00'] }]);
+
+        const loose = 'name: web\nreplicas: "2"\nimage: nginx:1.25\nports: [443, 80]\nlabels: {}\n';
+        expect(cli(['--coerce-types', '--sort-unkeyed-arrays', '--empty-equals-missing', '-f', 'yaml',
+            fixture('config.json'), '-'], loose).code).toBe(0);
+    });
+
+    test('reads diff options from a --schema file', () => {
+        const files = [fixture('config.json'), fixture('config-updated.yml')];
+        const { code, stdout } = cli(['--schema', fixture('config.schema.json'), '-o', 'json', ...files]);
+
+        expect(code).toBe(1);
+        expect(JSON.parse(stdout)).toEqual([{ Modified: ['replicas', 2, 3] }]);
+        const schema = 'properties:\n  image: { x-diffx-ignore: true }\n  replicas: { x-diffx-ignore: true }\n';
+        expect(cli(['-q', '--schema', '-', ...files], schema).code).toBe(0);
+        expect(cli(['--schema', '-', fixture('config.json'), '-'], schema))
+            .toMatchObject({ code: 2, stderr: /only one file or the schema/ });
+    });
+
+    test('colors ansi output only on a terminal without NO_COLOR', () => {
+        const ansi = (isTTY, env) => {
+            const out = [];
+            run(['-o', 'ansi', fixture('config.json'), fixture('config-updated.yml')], {
+                stdout: { write: text => out.push(text), isTTY },
+                stderr: { write: () => {} },
+                env,
+            });
+            return out.join('');
+        };
+
+        expect(ansi(true, {})).toContain('\u001b[31m');
+        expect(ansi(true, { NO_COLOR: '1' })).not.toContain('\u001b[');
+        expect(ansi(undefined, {})).toContain('- replicas: 2\n+ replicas: 3\n');
+        expect(ansi(undefined, {})).not.toContain('\u001b[');
+    });
+
+    test('honours brief and quiet modes', () => {
+        const files = [fixture('config.json'), fixture('config-updated.yml')];
+
+        expect(cli(['-q', ...files])).toEqual({
+            code: 1,
+            stdout: `Files ${files[0]} and ${files[1]} differ\n`,
+            stderr: '',
+        });
+        expect(cli(['--quiet', ...files])).toEqual({ code: 1, stdout: '', stderr: '' });
+        expect(cli(['--quiet', files[0], files[0]]).code).toBe(0);
+    });
+
+    test('reads one side from standard input', () => {
+        const stdin = fs.readFileSync(fixture('config-updated.yml'), 'utf8');
+        const { code, stdout } = cli(['-o', 'json', fixture('config.yaml'), '-'], stdin);
+
+        expect(code).toBe(1);
+        expect(JSON.parse(stdout)).toHaveLength(2);
+        expect(cli(['-', '-'], stdin).code).toBe(2);
+    });
+
+    test('exits 2 on usage and parse errors', () => {
+        expect(cli([fixture('config.json')])).toMatchObject({ code: 2, stderr: /expected two files/ });
+        expect(cli(['--epsilon', 'abc', 'a', 'b'])).toMatchObject({ code: 2, stderr: /expects a number/ });
+        expect(cli(['--arrayIdKey', 'id', 'a', 'b'])).toMatchObject({ code: 2, stderr: /unknown option/ });
+        expect(cli([fixture('config.json'), fixture('broken.yaml')]))
+            .toMatchObject({ code: 2, stderr: /Failed to parse .*broken\.yaml as YAML/ });
+    });
+
+    test('runs as an executable', () => {
+        const bin = path.join(__dirname, '..', 'bin', 'diffx.js');
+        const result = spawnSync(process.execPath, [bin, '-q', fixture('config.yaml'), '-'], {
+            input: fs.readFileSync(fixture('config.json')),
+            encoding: 'utf8',
+        });
+
+        expect(result.status).toBe(0);
+        expect(result.stdout).toBe('');
+    });
+});
@@ -0,0 +1,92 @@
+const diffx = require('../index.js');
+
+describe('comparators', () => {
+    const isTimestamp = value => typeof value === 'string' && !Number.isNaN(Date.parse(value)) && value.includes('T');
+    const withinAMinute = (a, b) => Math.abs(Date.parse(a) - Date.parse(b)) <= 60 * 1000;
+
+    const oldDoc = {
+        release: { version: '^1.2.0', publishedAt: '2024-05-01T10:00:00Z', downloads: 10 },
+        builds: [{ startedAt: '2024-05-01T09:00:00Z', status: 'ok' }],
+    };
+    const newDoc = {
+        release: { version: '>=1.2.0 <2.0.0', publishedAt: '2024-05-01T10:00:40Z', downloads: 12 },
+        builds: [{ startedAt: '2024-05-01T09:05:00Z', status: 'ok' }],
+    };
+
+    test('decides equality by value predicate anywhere in the document', () => {
+        const results = diffx.diff(oldDoc, newDoc, {
+            comparators: [{ when: (a, b) => isTimestamp(a) && isTimestamp(b), compare: withinAMinute }],
+        });
+
+        expect(results.map(r => r.path).sort()).toEqual([
+            'builds[0].startedAt',
+            'release.downloads',
+            'release.version',
+        ]);
+    });
+
+    test('decides equality by path pattern', () => {
+        const ranges = { '^1.2.0': '>=1.2.0 <2.0.0' };
+        const results = diffx.diff(oldDoc, newDoc, {
+            comparators: { 'release.version': (a, b) => (ranges[a] || a) === (ranges[b] || b) },
+        });
+
+        expect(results.map(r => r.path)).not.toContain('release.version');
+        expect(results).toHaveLength(3);
+    });
+
+    test('reports a change when a comparator says not equal', () => {
+        const results = diffx.diff(
+            { build: { id: 1, log: 'a' } },
+            { build: { id: 2, log: 'b' } },
+            { comparators: { build: (a, b) => (a.id === b.id ? undefined : false) } }
+        );
+
+        expect(results).toEqual([{
+            diffType: 'Modified',
+            path: 'build',
+            pathSegments: ['build'],
+            pointer: '/build',
+            oldValue: { id: 1, log: 'a' },
+            newValue: { id: 2, log: 'b' },
+        }]);
+    });
+
+    test('descends when a comparator has no opinion', () => {
+        const calls = [];
+        const results = diffx.diff(
+            { a: { b: 1, c: 'x' } },
+            { a: { b: 2, c: 'x' } },
+            {
+                comparators: [{
+                    when: () => true,
+                    compare: (a, b, { path }) => {
+                        calls.push(path);
+                        return undefined;
+                    },
+                }],
+            }
+        );
+
+        expect(results.map(r => r.path)).toEqual(['a.b']);
+        expect(calls).toEqual(['', 'a', 'a.b']);
+    });
+
+    test('is consulted when aligning arrays', () => {
+        const results = diffx.diff(
+            ['2024-05-01T10:00:00Z', '2024-05-02T10:00:00Z'],
+            ['2024-05-02T10:00:10Z', '2024-05-01T10:00:05Z'],
+            { arrayStrategy: 'unordered', comparators: [{ when: (a, b) => isTimestamp(a) && isTimestamp(b), compare: withinAMinute }] }
+        );
+
+        expect(results).toEqual([]);
+    });
+
+    test('validates comparators', () => {
+        expect(() => diffx.diff(1, 2, { comparators: [{ path: 'a' }] })).toThrow('must provide a compare function');
+        expect(() => diffx.diff(1, 2, { comparators: [{ compare: () => true }] }))
+            .toThrow('exactly one of "path" and "when"');
+        expect(() => diffx.diff(1, 2, { comparators: [{ when: () => true, compare: () => 'yes' }] }))
+            .toThrow('must return true, false or undefined');
+    });
+});
@@ -217,6 +217,43 @@ describe('diff()', () => {
         });
     });
 
+    describe('Option validation', () => {
+        test('rejects unknown options with a suggestion', () => {
+            expect(() => diffx.diff({}, {}, { arrayIDKey: 'id' }))
+                .toThrow(/Unknown diff option "arrayIDKey" \(did you mean "arrayIdKey"\?\)/);
+            expect(() => diffx.diff({}, {}, { epsilom: 0.1 })).toThrow(/did you mean "epsilon"/);
+        });
+
+        test('lists valid options when nothing is close', () => {
+            expect(() => diffx.diff({}, {}, { colour: true })).toThrow(TypeError);
+            expect(() => diffx.diff({}, {}, { colour: true })).toThrow(/Valid options: epsilon, arrayIdKey/);
+        });
+
+        test('allows undefined values and rejects non-object options', () => {
+            expect(diffx.diff({ a: 1 }, { a: 1 }, { epsilon: undefined, typo: undefined })).toEqual([]);
+            expect(() => diffx.diff({}, {}, ['epsilon'])).toThrow(/Expected an options object/);
+        });
+
+        test('validates wrapper options too', () => {
+            expect(() => diffx.diffStrings('{}', '{}', { fromat: 'json' })).toThrow(/did you mean "format"/);
+            expect(() => diffx.merge3({}, {}, {}, { stratgy: 'ours' }))
+                .toThrow(/Unknown merge3\(\) option "stratgy" \(did you mean "strategy"\?\)/);
+        });
+
+        test('validates patch and format options', () => {
+            const results = diffx.diff({ a: 1 }, { a: 2 });
+
+            expect(() => diffx.applyDiff({ a: 1 }, results, { strcit: true }))
+                .toThrow(/Unknown applyDiff\(\) option "strcit" \(did you mean "strict"\?\)/);
+            expect(() => diffx.revertDiff({ a: 2 }, results, { strcit: true })).toThrow(/revertDiff\(\) option/);
+            expect(() => diffx.toJsonPatch(results, { sorce: {} })).toThrow(/did you mean "source"/);
+            expect(() => diffx.fromJsonPatch([], { sorce: {} })).toThrow(/fromJsonPatch\(\) option/);
+            expect(() => diffx.formatOutput(results, 'html', { titel: 'x' }))
+                .toThrow(/Unknown html format option "titel" \(did you mean "title"\?\)/);
+            expect(() => diffx.formatOutput(results, 'json', { source: {} })).toThrow(/Unknown json format option/);
+        });
+    });
+
     describe('Primitive Values', () => {
         test('compares primitive strings', () => {
             const results = diffx.diff('hello', 'world');
@@ -0,0 +1,98 @@
+const path = require('path');
+const diffx = require('../index.js');
+
+const release = name => path.join(__dirname, 'fixtures', 'releases', name);
+
+describe('diffDirectories()', () => {
+    test('pairs files by relative path and reports one-sided files', () => {
+        const entries = diffx.diffDirectories(release('v1'), release('v2'));
+
+        expect(entries.map(entry => [entry.file, entry.status])).toEqual([
+            ['overlays/dev.yaml', 'Error'],
+            ['overlays/legacy.toml', 'Removed'],
+            ['overlays/staging.json', 'Added'],
+            ['values.yaml', 'Modified'],
+        ]);
+        expect(entries[3].results).toMatchObject([
+            { diffType: 'Modified', path: 'replicas', oldValue: 2, newValue: 3 },
+        ]);
+    });
+
+    test('reports unparseable files without aborting', () => {
+        const [entry] = diffx.diffDirectories(release('v1'), release('v2'), { includeFiles: 'dev.yaml' });
+
+        expect(entry.status).toBe('Error');
+        expect(entry.error).toBeInstanceOf(diffx.ParseError);
+        expect(entry.error.file).toBe(path.join(release('v2'), 'overlays', 'dev.yaml'));
+    });
+
+    test('filters files with include and exclude globs', () => {
+        const files = options => diffx.diffDirectories(release('v1'), release('v2'), options).map(entry => entry.file);
+
+        expect(files({ includeFiles: 'overlays/**', excludeFiles: ['*.toml'] }))
+            .toEqual(['overlays/dev.yaml', 'overlays/staging.json']);
+        expect(files({ includeFiles: '*.{json,toml}' })).toEqual(['overlays/legacy.toml', 'overlays/staging.json']);
+        expect(files({ excludeFiles: '**/?ev.yaml' })).not.toContain('overlays/dev.yaml');
+    });
+
+    test('passes diff options through', () => {
+        const entries = diffx.diffDirectories(release('v1'), release('v2'), { ignoreKeysRegex: '^replicas$' });
+
+        expect(entries.map(entry => entry.file)).not.toContain('values.yaml');
+        expect(() => diffx.diffDirectories(release('v1'), release('v2'), { includeFile: '*.yaml' }))
+            .toThrow(/did you mean "includeFiles"/);
+    });
+});
+
+describe('formatDirectoryOutput()', () => {
+    const entries = diffx.diffDirectories(release('v1'), release('v2'), { excludeFiles: 'dev.yaml' });
+
+    test('renders text formats under a header per file', () => {
+        expect(diffx.formatDirectoryOutput(entries)).toBe([
+            '# overlays/legacy.toml (Removed)',
+            '# overlays/staging.json (Added)',
+            '# values.yaml (Modified)',
+            '{"Modified":["replicas",2,3]}',
+            '',
+        ].join('\n'));
+    });
+
+    test('renders JSON formats as one document', () => {
+        expect(JSON.parse(diffx.formatDirectoryOutput(entries, 'json-patch'))).toEqual([
+            { file: 'overlays/legacy.toml', status: 'Removed', changes: [] },
+            { file: 'overlays/staging.json', status: 'Added', changes: [] },
+            { file: 'values.yaml', status: 'Modified', changes: [{ op: 'replace', path: '/replicas', value: 3 }] },
+        ]);
+    });
+
+    test('renders SARIF and JUnit as one report covering every file', () => {
+        const all = diffx.diffDirectories(release('v1'), release('v2'));
+
+        const [run] = JSON.parse(diffx.formatDirectoryOutput(all, 'sarif', { severity: { Added: 'none' } })).runs;
+        expect(run.results.map(r => [r.ruleId, r.level, r.locations[0].physicalLocation.artifactLocation.uri])).toEqual([
+            ['Removed', 'error', 'overlays/legacy.toml'],
+            ['Added', 'none', 'overlays/staging.json'],
+            ['Modified', 'warning', 'values.yaml'],
+        ]);
+        expect(run.invocations[0].toolExecutionNotifications).toMatchObject([
+            { level: 'error', locations: [{ physicalLocation: { artifactLocation: { uri: 'overlays/dev.yaml' } } }] },
+        ]);
+
+        const { testsuites } = diffx.parseXml(diffx.formatDirectoryOutput(all, 'junit', { title: 'release' }));
+        expect(testsuites).toMatchObject({ name: 'release', tests: '4', failures: '3', errors: '1' });
+        expect(testsuites.testsuite.map(suite => suite.name)).toEqual(all.map(entry => entry.file));
+        expect(() => diffx.formatDirectoryOutput(all, 'sarif', { file: 'x' })).toThrow('Unknown sarif format option "file"');
+    });
+
+    test('renders HTML as one page with a section per file', () => {
+        const output = diffx.formatDirectoryOutput(entries, 'html');
+
+        expect(output.match(/<html/g)).toHaveLength(1);
+        expect(output.match(/<h2>.*<\/h2>/g)).toEqual([
+            '<h2>overlays/legacy.toml (Removed)</h2>',
+            '<h2>overlays/staging.json (Added)</h2>',
+            '<h2>values.yaml (Modified)</h2>',
+        ]);
+        expect(output).toContain('<span class="key">replicas</span>');
+    });
+});
@@ -0,0 +1,122 @@
+const path = require('path');
+const diffx = require('../index.js');
+
+const fixture = name => path.join(__dirname, 'fixtures', name);
+
+describe('diffFiles()', () => {
+    test('returns empty array for the same config in JSON and YAML', () => {
+        const results = diffx.diffFiles(fixture('config.json'), fixture('config.yaml'));
+
+        expect(results).toEqual([]);
+    });
+
+    test('detects changes between files of different formats', () => {
+        const results = diffx.diffFiles(fixture('config.json'), fixture('config-updated.yml'));
+
+        expect(results.map(r => r.path).sort()).toEqual(['image', 'replicas']);
+    });
+
+    test('passes diff options through', () => {
+        const results = diffx.diffFiles(fixture('config.yaml'), fixture('config-updated.yml'), {
+            ignoreKeysRegex: '^image$',
+        });
+
+        expect(results).toHaveLength(1);
+        expect(results[0].path).toBe('replicas');
+    });
+
+    test('sniffs content of files without a known extension', () => {
+        const results = diffx.diffFiles(fixture('settings'), fixture('settings'));
+
+        expect(results).toEqual([]);
+    });
+
+    test('reports which file and parser failed', () => {
+        let error;
+        try {
+            diffx.diffFiles(fixture('config.yaml'), fixture('broken.yaml'));
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error).toBeInstanceOf(diffx.ParseError);
+        expect(error.file).toBe(fixture('broken.yaml'));
+        expect(error.format).toBe('yaml');
+        expect(error.message).toContain('broken.yaml');
+    });
+
+    test('honours an explicit format override', () => {
+        expect(() => diffx.diffFiles(fixture('config.yaml'), fixture('config.yaml'), {
+            format: 'json',
+        })).toThrow(diffx.ParseError);
+    });
+});
+
+describe('diffStrings()', () => {
+    test('diffs strings of the given format', () => {
+        const results = diffx.diffStrings('a = 1', 'a = 2', { format: 'toml' });
+
+        expect(results).toHaveLength(1);
+        expect(results[0].oldValue).toBe(1);
+        expect(results[0].newValue).toBe(2);
+    });
+
+    test('allows a different format per side', () => {
+        const results = diffx.diffStrings('{"a": 1}', 'a: 1', {
+            oldFormat: 'json',
+            newFormat: 'yml',
+        });
+
+        expect(results).toEqual([]);
+    });
+
+    test('labels the failing side', () => {
+        expect(() => diffx.diffStrings('{"a": 1}', '{"a": ', { format: 'json' }))
+            .toThrow('Failed to parse new as JSON');
+    });
+
+    test('rejects unsupported formats', () => {
+        expect(() => diffx.diffStrings('a', 'b', { format: 'docx' })).toThrow('Unsupported format');
+    });
+});
+
+describe('detectFormat()', () => {
+    test('uses the file extension', () => {
+        expect(diffx.detectFormat('', 'values.YML')).toBe('yaml');
+        expect(diffx.detectFormat('', 'Cargo.toml')).toBe('toml');
+    });
+
+    test('sniffs JSON', () => {
+        expect(diffx.detectFormat('{"a": [1, 2]}')).toBe('json');
+        expect(diffx.detectFormat('[1, 2]')).toBe('json');
+    });
+
+    test('sniffs XML', () => {
+        expect(diffx.detectFormat('<?xml version="1.0"?><a/>')).toBe('xml');
+    });
+
+    test('sniffs TOML and INI', () => {
+        expect(diffx.detectFormat('[server]\nport = 8080\n')).toBe('toml');
+        expect(diffx.detectFormat('; comment\n[server]\nname = web server\n')).toBe('ini');
+    });
+
+    test('sniffs CSV', () => {
+        expect(diffx.detectFormat('name,age\nAlice,30\n')).toBe('csv');
+    });
+
+    test('detects the JavaScript-parsed formats', () => {
+        expect(['.env.local', 'app.properties', 'main.tf', 'prod.tfvars', 'events.jsonl', 'a.jsonc']
+            .map(file => diffx.detectFormat('', file)))
+            .toEqual(['dotenv', 'properties', 'hcl', 'hcl', 'ndjson', 'json5']);
+        expect(diffx.detectFormat('{\n  // strict\n  "strict": true,\n}', 'tsconfig.json')).toBe('json5');
+        expect(diffx.detectFormat('{"id":1}\n{"id":2}\n')).toBe('ndjson');
+        expect(diffx.detectFormat('export API_URL=http://x\nDEBUG=1\n')).toBe('dotenv');
+        expect(diffx.detectFormat('variable "region" {\n  default = "eu"\n}\n')).toBe('hcl');
+        expect(diffx.diffStrings('{a: 1, /* old */}', 'a = 2\n', { oldFormat: 'jsonc', newFormat: 'tfvars' }))
+            .toMatchObject([{ diffType: 'Modified', path: 'a', oldValue: 1, newValue: 2 }]);
+    });
+
+    test('falls back to YAML', () => {
+        expect(diffx.detectFormat('name: Alice\nitems:\n  - 1\n')).toBe('yaml');
+    });
+});
@@ -0,0 +1,106 @@
+const diffx = require('../index.js');
+
+describe('includePaths / excludePaths', () => {
+    const oldDoc = {
+        metadata: { name: 'web', labels: { 'app.kubernetes.io/name': 'web' }, resourceVersion: '1' },
+        spec: {
+            containers: [
+                { name: 'app', image: 'app:1', ports: [80] },
+                { name: 'proxy', image: 'envoy:1', ports: [443] },
+            ],
+        },
+        status: { phase: 'Pending', observedGeneration: 1, conditions: [{ type: 'Ready' }] },
+    };
+    const newDoc = {
+        metadata: { name: 'web', labels: { 'app.kubernetes.io/name': 'api' }, resourceVersion: '2' },
+        spec: {
+            containers: [
+                { name: 'app', image: 'app:2', ports: [8080] },
+                { name: 'proxy', image: 'envoy:2', ports: [443] },
+            ],
+        },
+        status: { phase: 'Running', observedGeneration: 2, conditions: [{ type: 'Ready', status: 'True' }] },
+    };
+    const paths = results => results.map(r => r.path).sort();
+
+    test('includes paths matching a glob', () => {
+        const results = diffx.diff(oldDoc, newDoc, { includePaths: ['spec.containers[*].image'] });
+
+        expect(paths(results)).toEqual(['spec.containers[0].image', 'spec.containers[1].image']);
+    });
+
+    test('excludes whole subtrees with **', () => {
+        const results = diffx.diff(oldDoc, newDoc, { excludePaths: ['metadata.**', 'status.**'] });
+
+        expect(paths(results)).toEqual([
+            'spec.containers[0].image',
+            'spec.containers[0].ports[0]',
+            'spec.containers[1].image',
+        ]);
+    });
+
+    test('keeps an included path inside an excluded subtree', () => {
+        const results = diffx.diff(oldDoc, newDoc, {
+            excludePaths: ['status.**'],
+            includePaths: ['status.phase'],
+        });
+
+        expect(paths(results)).toContain('status.phase');
+        expect(paths(results)).toContain('metadata.resourceVersion');
+        expect(paths(results).filter(p => p.startsWith('status'))).toEqual(['status.phase']);
+    });
+
+    test('keeps a value added or removed as a whole when it holds an included path', () => {
+        expect(paths(diffx.diff({}, { status: { phase: 1 } }, { includePaths: ['status.phase'] })))
+            .toEqual(['status']);
+        expect(paths(diffx.diff({ a: [{ b: 1 }] }, {}, { includePaths: ['a[*].b'] }))).toEqual(['a']);
+        expect(diffx.diff({}, { status: { other: 1 } }, { includePaths: ['status.phase'] })).toEqual([]);
+    });
+
+    test('lets a more specific exclude win over a broad include', () => {
+        const results = diffx.diff(oldDoc, newDoc, {
+            includePaths: ['spec.**'],
+            excludePaths: ['**', 'spec.containers[*].ports.**'],
+        });
+
+        expect(paths(results)).toEqual(['spec.containers[0].image', 'spec.containers[1].image']);
+    });
+
+    test('accepts JSONPath expressions', () => {
+        expect(paths(diffx.diff(oldDoc, newDoc, { includePaths: ['$..image'] })))
+            .toEqual(['spec.containers[0].image', 'spec.containers[1].image']);
+        expect(paths(diffx.diff(oldDoc, newDoc, { includePaths: ["$.metadata.labels['app.kubernetes.io/name']"] })))
+            .toEqual(['metadata.labels.app.kubernetes.io/name']);
+    });
+
+    test('matches bracketed keys, indices and partial key wildcards', () => {
+        expect(diffx.diff(oldDoc, newDoc, { includePaths: ['metadata.labels["app.kubernetes.io/name"]'] }))
+            .toHaveLength(1);
+        expect(paths(diffx.diff(oldDoc, newDoc, { includePaths: ['spec.containers[1].*'] })))
+            .toEqual(['spec.containers[1].image']);
+        expect(paths(diffx.diff(oldDoc, newDoc, { includePaths: ['metadata.resource*'] })))
+            .toEqual(['metadata.resourceVersion']);
+    });
+
+    test('matches elements identified by arrayIdKey', () => {
+        const results = diffx.diff(
+            { users: [{ id: 1, role: 'dev' }, { id: 2, role: 'dev' }] },
+            { users: [{ id: 1, role: 'lead' }, { id: 2, role: 'ops' }] },
+            { arrayIdKey: 'id', includePaths: ['users[id=2].**'] }
+        );
+
+        expect(results.map(r => r.newValue)).toEqual(['ops']);
+    });
+
+    test('applies to diffFiles and diffStrings', () => {
+        const results = diffx.diffStrings('a: 1\nb: 1\n', 'a: 2\nb: 2\n', { format: 'yaml', excludePaths: 'b' });
+
+        expect(paths(results)).toEqual(['a']);
+    });
+
+    test('rejects malformed patterns', () => {
+        expect(() => diffx.diff({}, {}, { includePaths: ['spec[oops'] })).toThrow('unterminated "["');
+        expect(() => diffx.diff({}, {}, { includePaths: ['$.items[?(@.x)]'] })).toThrow('filters are not supported');
+        expect(() => diffx.diff({}, {}, { excludePaths: 42 })).toThrow(TypeError);
+    });
+});
@@ -1,3 +1,5 @@
+const path = require('path');
+const { pathToFileURL } = require('url');
 const diffx = require('../index.js');
 
 describe('formatOutput()', () => {
@@ -67,6 +69,181 @@ describe('formatOutput()', () => {
         });
     });
 
+    describe('HTML format', () => {
+        test('renders a self-contained page with old and new values side by side', () => {
+            const results = diffx.diff(
+                { spec: { replicas: 2, image: 'web<1>' }, old: true },
+                { spec: { replicas: 3, image: 'web<1>', paused: false } }
+            );
+            const output = diffx.formatOutput(results, 'html', { title: 'Drift & co' });
+
+            expect(output).toMatch(/^<!DOCTYPE html>/);
+            expect(output).toContain('<title>Drift &amp; co</title>');
+            expect(output).not.toMatch(/<script|<link|src=/);
+            expect(output).toContain('3 differences: 1 added, 1 removed, 1 modified');
+            expect(output).toMatch(/<details open[^>]*>\n<summary>spec<\/summary>/);
+            expect(output).toContain('<span class="key">replicas</span><div class="old"><pre>2</pre></div>'
+                + '<div class="new"><pre>3</pre></div>');
+            expect(output).toContain('<span class="key">old</span><div class="old"><pre>true</pre></div><div class="new"></div>');
+        });
+
+        test('escapes keys and values', () => {
+            const output = diffx.formatOutput([{ diffType: 'Added', path: '<b>', value: '</pre><script>' }], 'html');
+            expect(output).not.toContain('<script>');
+            expect(output).toContain('&lt;b&gt;');
+        });
+    });
+
+    describe('ANSI format', () => {
+        test('renders a colored unified tree', () => {
+            const results = diffx.diff(
+                { spec: { replicas: 2, ports: [80] }, name: 'web' },
+                { spec: { replicas: 3, ports: [80, 443] }, name: 'web', debug: true }
+            );
+            const plain = diffx.formatOutput(results, 'ansi').replace(/\u001b\[\d+m/g, '');
+
+            expect(plain).toBe([
+                '+ debug: true',
+                '  spec:',
+                '    ports:',
+                '+     [1]: 443',
+                '-   replicas: 2',
+                '+   replicas: 3',
+                '',
+            ].join('\n'));
+            expect(diffx.formatOutput(results, 'ansi')).toContain('\u001b[31m-   replicas: 2\u001b[0m');
+            expect(diffx.formatOutput([], 'ansi')).toBe('');
+            expect(diffx.formatOutput(results, 'ansi', { color: false })).toBe(plain);
+            expect(() => diffx.formatOutput(results, 'ansi', { color: 'no' })).toThrow('color must be a boolean');
+        });
+    });
+
+    describe('Markdown format', () => {
+        const results = () => diffx.diff(
+            { spec: { replicas: 2, image: 'web:1' }, name: 'a|b', gone: true },
+            { spec: { replicas: 3, image: 'web:2', paused: false }, name: 'c' }
+        );
+
+        test('groups tables by top-level key and diff type under a summary', () => {
+            const output = diffx.formatOutput(results(), 'markdown', { title: 'Config drift' });
+
+            expect(output.startsWith('## Config drift\n\n5 differences: 1 added, 1 removed, 3 modified\n')).toBe(true);
+            expect(output.indexOf('### `gone`')).toBeLessThan(output.indexOf('### `name`'));
+            expect(output.indexOf('### `name`')).toBeLessThan(output.indexOf('### `spec`'));
+            expect(output).toContain('| `name` | `"a\\|b"` | `"c"` |');
+            expect(output).toContain([
+                '**Added**',
+                '',
+                '| Path | Old | New |',
+                '| --- | --- | --- |',
+                '| `spec.paused` |  | `false` |',
+                '',
+                '**Modified**',
+                '',
+                '| Path | Old | New |',
+                '| --- | --- | --- |',
+                '| `spec.image` | `"web:1"` | `"web:2"` |',
+                '| `spec.replicas` | `2` | `3` |',
+            ].join('\n'));
+        });
+
+        test('moves long values into <details> blocks', () => {
+            const long = 'x'.repeat(30);
+            const output = diffx.formatOutput(
+                [{ diffType: 'Added', path: 'notes', value: { text: long } }],
+                'markdown',
+                { maxValueLength: 20 }
+            );
+
+            expect(output).toContain('| `notes` |  | `{"text":"xxxxxxxxxxx…` (full new value below) |');
+            expect(output).toContain('<details>\n<summary><code>notes (new)</code></summary>\n\n'
+                + `\`\`\`json\n{\n  "text": "${long}"\n}\n\`\`\`\n\n</details>`);
+        });
+
+        test('leaves out trailing changes to stay within maxLength', () => {
+            const output = diffx.formatOutput(results(), 'markdown', { maxLength: 300 });
+
+            expect(output.length).toBeLessThanOrEqual(300);
+            expect(output).toContain('### `gone`');
+            expect(output).not.toContain('### `spec`');
+            expect(output).toMatch(/_\d more differences not shown\._\n$/);
+        });
+    });
+
+    describe('SARIF format', () => {
+        test('writes a SARIF 2.1.0 result per change, located when parsed with locations', () => {
+            const results = diffx.diffStrings('replicas: 2\nname: web\n', 'replicas: 3\nname: web\ndebug: true\n', {
+                format: 'yaml',
+            });
+            const log = JSON.parse(diffx.formatOutput(results, 'sarif'));
+
+            expect(log.version).toBe('2.1.0');
+            expect(log.runs[0].tool.driver.rules.map(rule => rule.id))
+                .toEqual(['Added', 'Removed', 'Modified', 'TypeChanged', 'Moved']);
+            const modified = log.runs[0].results.find(result => result.ruleId === 'Modified');
+            expect(modified).toEqual({
+                ruleId: 'Modified',
+                ruleIndex: 2,
+                level: 'warning',
+                message: { text: 'replicas modified: 2 -> 3' },
+                locations: [{
+                    logicalLocations: [{ fullyQualifiedName: 'replicas', kind: 'member' }],
+                    physicalLocation: { artifactLocation: { uri: 'new' }, region: { startLine: 1, startColumn: 1 } },
+                }],
+                properties: { path: 'replicas', oldValue: 2, newValue: 3 },
+            });
+            expect(log.runs[0].results.find(result => result.ruleId === 'Added').level).toBe('note');
+        });
+
+        test('writes file paths as URI references', () => {
+            const uri = file => JSON.parse(diffx.formatOutput([{ diffType: 'Added', path: 'a', newValue: 1 }], 'sarif', {
+                file,
+            })).runs[0].results[0].locations[0].physicalLocation.artifactLocation.uri;
+
+            expect(uri('conf\\app #1.yaml')).toBe('conf/app%20%231.yaml');
+            expect(uri(path.resolve('conf', 'app.yaml'))).toBe(pathToFileURL(path.resolve('conf', 'app.yaml')).href);
+        });
+
+        test('takes severity from a mapping or a function', () => {
+            const results = [
+                { diffType: 'Added', path: 'a', value: 1 },
+                { diffType: 'Removed', path: 'secrets.key', value: 'x' },
+            ];
+            const levels = options => JSON.parse(diffx.formatOutput(results, 'sarif', options)).runs[0].results
+                .map(result => result.level);
+
+            expect(levels({ severity: { Added: 'error' } })).toEqual(['error', 'error']);
+            expect(levels({ severity: result => (result.path.startsWith('secrets') ? 'warning' : 'none') }))
+                .toEqual(['none', 'warning']);
+            expect(() => levels({ severity: { Added: 'fatal' } })).toThrow('severity.Added must be one of');
+            expect(() => levels({ severity: { Changed: 'error' } })).toThrow('Unknown diff type "Changed"');
+        });
+    });
+
+    describe('JUnit format', () => {
+        test('writes a failing test case per change', () => {
+            const results = [
+                { diffType: 'Modified', path: 'spec.image', oldValue: 'web:1', newValue: 'web<2>' },
+                { diffType: 'Added', path: 'spec.debug', value: true },
+            ];
+            const output = diffx.formatOutput(results, 'junit', { severity: { Added: 'none' }, title: 'drift' });
+
+            expect(output).toBe([
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                '<testsuites name="drift" tests="2" failures="1" errors="0">',
+                '  <testsuite name="drift" tests="2" failures="1" errors="0">',
+                '    <testcase name="spec.image" classname="Modified">',
+                '      <failure type="warning" message="spec.image modified: &quot;web:1&quot; -&gt; &quot;web&lt;2&gt;&quot;">'
+                    + 'old: &quot;web:1&quot;\nnew: &quot;web&lt;2&gt;&quot;</failure>',
+                '    </testcase>',
+                '    <testcase name="spec.debug" classname="Added"/>',
+                '  </testsuite>',
+                '</testsuites>',
+                '',
+            ].join('\n'));
+        });
+    });
+
     describe('Manual result construction', () => {
         test('formats manually constructed Added result', () => {
             const results = [{
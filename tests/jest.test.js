@@ -0,0 +1,61 @@
+const diffx = require('../index.js');
+const { matchers, register, serializer, toSemanticallyEqual } = require('../jest');
+const vitest = require('../vitest');
+
+const config = { name: 'web', replicas: 2, resources: { cpu: 0.5 } };
+
+describe('diffx/jest', () => {
+    test('toSemanticallyEqual() passes for equivalent values', () => {
+        expect({ ...config }).toSemanticallyEqual(config);
+        expect({ ...config, replicas: 3 }).not.toSemanticallyEqual(config);
+    });
+
+    test('toSemanticallyEqual() accepts diff() options', () => {
+        const received = { ...config, resources: { cpu: 0.5000001 }, updatedAt: 'now' };
+
+        expect(received).not.toSemanticallyEqual(config);
+        expect(received).toSemanticallyEqual(config, { epsilon: 0.001, ignoreKeysRegex: '^updatedAt$' });
+    });
+
+    test('failure messages list the differences in diffx format', () => {
+        const received = { ...config, replicas: 3, resources: {} };
+
+        expect(() => expect(received).toSemanticallyEqual(config)).toThrow(
+            'Differences from expected to received:\n\n'
+            + '{"Modified":["replicas",2,3]}\n'
+            + '{"Removed":["resources.cpu",0.5]}'
+        );
+        expect(() => expect(config).not.toSemanticallyEqual({ ...config }))
+            .toThrow(/Expected: not semantically equal to/);
+    });
+
+    test('toSemanticallyEqual() rejects unknown options', () => {
+        expect(() => expect(config).toSemanticallyEqual(config, { epsilom: 1 })).toThrow(/did you mean "epsilon"/);
+        expect(typeof toSemanticallyEqual).toBe('function');
+    });
+
+    test('serializer prints diff results sorted by path', () => {
+        const results = diffx.diff(config, { ...config, name: 'api', replicas: 3, zone: 'a' });
+
+        expect(serializer.test(results)).toBe(true);
+        expect(serializer.test([])).toBe(false);
+        expect(serializer.test([{ path: 'a' }])).toBe(false);
+        expect(serializer.serialize(results)).toBe([
+            '{"Modified":["name","web","api"]}',
+            '{"Modified":["replicas",2,3]}',
+            '{"Added":["zone","a"]}',
+        ].join('\n'));
+    });
+
+    test('register() extends any expect with extend() and addSnapshotSerializer()', () => {
+        const calls = [];
+        register({
+            extend: extension => calls.push(['extend', extension]),
+            addSnapshotSerializer: added => calls.push(['addSnapshotSerializer', added]),
+        });
+
+        expect(calls).toEqual([['extend', matchers], ['addSnapshotSerializer', serializer]]);
+        expect(vitest.register).toBe(register);
+        expect(vitest.matchers).toBe(matchers);
+    });
+});
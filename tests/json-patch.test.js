@@ -0,0 +1,198 @@
+const diffx = require('../index.js');
+
+describe('toJsonPatch()', () => {
+    test('converts results to add, remove and replace operations', () => {
+        const results = diffx.diff(
+            { name: 'Alice', age: 30, city: 'Osaka' },
+            { name: 'Alice', age: 31, email: 'alice@example.com' }
+        );
+
+        const patch = diffx.toJsonPatch(results);
+
+        expect(patch).toEqual(expect.arrayContaining([
+            { op: 'replace', path: '/age', value: 31 },
+            { op: 'remove', path: '/city' },
+            { op: 'add', path: '/email', value: 'alice@example.com' },
+        ]));
+        expect(patch).toHaveLength(3);
+    });
+
+    test('converts nested paths and array indices to JSON Pointers', () => {
+        const results = diffx.diff({ a: { items: [1, 2] } }, { a: { items: [1, 3] } });
+
+        expect(diffx.toJsonPatch(results)).toEqual([
+            { op: 'replace', path: '/a/items/1', value: 3 },
+        ]);
+    });
+
+    test('orders array removals so they apply sequentially', () => {
+        const results = diffx.diff({ items: [1, 2, 3, 4] }, { items: [1] });
+
+        expect(diffx.toJsonPatch(results)).toEqual([
+            { op: 'remove', path: '/items/3' },
+            { op: 'remove', path: '/items/2' },
+            { op: 'remove', path: '/items/1' },
+        ]);
+    });
+
+    test('resolves arrayIdKey paths against the source document', () => {
+        const old = { users: [{ id: 1, name: 'Alice' }, { id: 2, name: 'Bob' }] };
+        const newObj = { users: [{ id: 2, name: 'Bobby' }, { id: 3, name: 'Carol' }] };
+        const results = diffx.diff(old, newObj, { arrayIdKey: 'id' });
+
+        const patch = diffx.toJsonPatch(results, { source: old });
+
+        // Operation order follows the native result order; each index is
+        // resolved against the document as patched so far.
+        expect(patch).toHaveLength(3);
+        expect(patch).toEqual(expect.arrayContaining([
+            { op: 'remove', path: '/users/0' },
+            { op: 'add', path: '/users/-', value: { id: 3, name: 'Carol' } },
+        ]));
+        expect(patch.find(op => op.op === 'replace').value).toBe('Bobby');
+        expect(diffx.fromJsonPatch(patch, { source: old }))
+            .toEqual(expect.arrayContaining(diffx.diff(old, newObj)));
+    });
+
+    test('locates arrayIdKey paths by their pointers without the source document', () => {
+        const old = { users: [{ id: 1, name: 'Alice' }, { id: 2, name: 'Bob' }] };
+        const newObj = { users: [{ id: 0, name: 'Zoe' }, { id: 2, name: 'Bobby', admin: true }] };
+        const results = diffx.diff(old, newObj, { arrayIdKey: 'id' });
+
+        const patch = diffx.toJsonPatch(results);
+
+        expect(patch.filter(op => op.op !== 'remove' && op.path.split('/').length > 3)).toEqual(
+            expect.arrayContaining([
+                { op: 'replace', path: '/users/1/name', value: 'Bobby' },
+                { op: 'add', path: '/users/1/admin', value: true },
+            ])
+        );
+        expect(patch.slice(-2)).toEqual([
+            { op: 'remove', path: '/users/0' },
+            { op: 'add', path: '/users/0', value: { id: 0, name: 'Zoe' } },
+        ]);
+        expect(diffx.fromJsonPatch(patch, { source: old })).toEqual(diffx.diff(old, newObj));
+        expect(JSON.parse(diffx.formatOutput(diffx.diff(old, { users: [old.users[0], { id: 2, name: 'Bo' }] },
+            { arrayIdKey: 'id' }), 'json-patch'))).toEqual([{ op: 'replace', path: '/users/1/name', value: 'Bo' }]);
+    });
+});
+
+describe('fromJsonPatch()', () => {
+    test('maps operations to diff results', () => {
+        const results = diffx.fromJsonPatch([
+            { op: 'add', path: '/tags/0', value: 'new' },
+            { op: 'remove', path: '/a~1b' },
+            { op: 'replace', path: '/meta/version', value: 2 },
+        ]);
+
+        expect(results).toEqual([
+            { diffType: 'Added', path: 'tags[0]', pathSegments: ['tags', 0], pointer: '/tags/0', newValue: 'new' },
+            { diffType: 'Removed', path: 'a/b', pathSegments: ['a/b'], pointer: '/a~1b' },
+            {
+                diffType: 'Modified',
+                path: 'meta.version',
+                pathSegments: ['meta', 'version'],
+                pointer: '/meta/version',
+                newValue: 2,
+            },
+        ]);
+        expect(diffx.applyDiff({ tags: [], 'a/b': 1, meta: { version: 1 } }, results))
+            .toEqual({ tags: ['new'], meta: { version: 2 } });
+    });
+
+    test('computes exact results against a source document', () => {
+        const source = { items: [1, 2], meta: { owner: 'alice' } };
+
+        const results = diffx.fromJsonPatch([
+            { op: 'test', path: '/meta/owner', value: 'alice' },
+            { op: 'move', from: '/meta/owner', path: '/owner' },
+            { op: 'add', path: '/items/-', value: 3 },
+        ], { source });
+
+        expect(diffx.applyDiff(source, results)).toEqual({ items: [1, 2, 3], meta: {}, owner: 'alice' });
+    });
+
+    test('fails when a test operation does not hold', () => {
+        expect(() => diffx.fromJsonPatch(
+            [{ op: 'test', path: '/a', value: 2 }],
+            { source: { a: 1 } }
+        )).toThrow(diffx.PatchError);
+    });
+
+    test('round-trips through toJsonPatch', () => {
+        const old = { a: 1, list: [{ x: 1 }, { x: 2 }], nested: { keep: true, drop: 'me' } };
+        const newObj = { a: 2, list: [{ x: 1 }], nested: { keep: true }, extra: [1] };
+        const patch = diffx.toJsonPatch(diffx.diff(old, newObj));
+
+        const results = diffx.fromJsonPatch(patch, { source: old });
+
+        expect(diffx.applyDiff(old, results)).toEqual(newObj);
+    });
+});
+
+describe('merge patches', () => {
+    test('toMergePatch() nulls out removed keys', () => {
+        const results = diffx.diff(
+            { spec: { replicas: 2, paused: true }, name: 'web' },
+            { spec: { replicas: 3 }, name: 'web', labels: { app: 'web' } }
+        );
+
+        expect(diffx.toMergePatch(results)).toEqual({
+            spec: { replicas: 3, paused: null },
+            labels: { app: 'web' },
+        });
+    });
+
+    test('toMergePatch() replaces arrays wholesale given the source', () => {
+        const old = { ports: [80, 443], name: 'web' };
+        const results = diffx.diff(old, { ports: [80, 8443], name: 'web' });
+
+        expect(() => diffx.toMergePatch(results)).toThrow('without the source document');
+        expect(diffx.toMergePatch(results, { source: old })).toEqual({ ports: [80, 8443] });
+    });
+
+    test('toMergePatch() rejects null values', () => {
+        const results = diffx.diff({ a: 1 }, { a: null });
+
+        expect(() => diffx.toMergePatch(results)).toThrow('to null');
+    });
+
+    test('fromMergePatch() diffs the patched source', () => {
+        const results = diffx.fromMergePatch(
+            { spec: { replicas: 3, paused: null } },
+            { source: { spec: { replicas: 2, paused: true } } }
+        );
+
+        expect(results.map(r => [r.diffType, r.path]).sort()).toEqual([
+            ['Modified', 'spec.replicas'],
+            ['Removed', 'spec.paused'],
+        ]);
+    });
+});
+
+describe('formatOutput() patch formats', () => {
+    test('renders json-patch', () => {
+        const results = diffx.diff({ a: 1 }, { a: 2 });
+
+        const output = diffx.formatOutput(results, 'json-patch');
+
+        expect(JSON.parse(output)).toEqual([{ op: 'replace', path: '/a', value: 2 }]);
+    });
+
+    test('renders merge-patch', () => {
+        const results = diffx.diff({ a: 1, b: 2 }, { a: 2 });
+
+        const output = diffx.formatOutput(results, 'merge-patch');
+
+        expect(JSON.parse(output)).toEqual({ a: 2, b: null });
+    });
+
+    test('passes the source document to the patch formats', () => {
+        const old = { users: [{ id: 1, name: 'Alice' }] };
+        const results = diffx.diff(old, { users: [{ id: 1, name: 'Ann' }] }, { arrayIdKey: 'id' });
+
+        const output = diffx.formatOutput(results, 'json-patch', { source: old });
+
+        expect(JSON.parse(output)).toEqual([{ op: 'replace', path: '/users/0/name', value: 'Ann' }]);
+    });
+});
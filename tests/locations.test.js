@@ -0,0 +1,85 @@
+const path = require('path');
+const diffx = require('../index.js');
+
+const fixture = name => path.join(__dirname, 'fixtures', name);
+
+describe('source locations', () => {
+    test('diff() results carry locations of documents parsed with locations', () => {
+        const old = diffx.parseYaml('spec:\n  replicas: 2\n  image: nginx\n', { locations: true, file: 'a.yaml' });
+        const newDoc = diffx.parseYaml('spec:\n  image: nginx\n  replicas: 3\n  paused: true\n', {
+            locations: true,
+            file: 'b.yaml',
+        });
+        const results = diffx.diff(old, newDoc);
+
+        expect(results.find(r => r.path === 'spec.replicas')).toMatchObject({
+            oldLocation: { file: 'a.yaml', line: 2, column: 3 },
+            newLocation: { file: 'b.yaml', line: 3, column: 3 },
+        });
+        const added = results.find(r => r.path === 'spec.paused');
+        expect(added.newLocation).toEqual({ file: 'b.yaml', line: 4, column: 3 });
+        expect(added).not.toHaveProperty('oldLocation');
+    });
+
+    test('locates keys and array elements in JSON', () => {
+        const old = diffx.parseJson('{\n  "users": [\n    {"id": 1, "name": "a"},\n    {"id": 2, "name": "b"}\n  ]\n}', {
+            locations: true,
+        });
+        const results = diffx.diff(old, { users: [{ id: 1, name: 'a' }] });
+
+        expect(results).toHaveLength(1);
+        expect(results[0].oldLocation).toEqual({ line: 4, column: 5 });
+        expect(results[0]).not.toHaveProperty('newLocation');
+    });
+
+    test('locates tables, arrays of tables and inline values in TOML', () => {
+        const text = [
+            'title = "x"',
+            '[server]',
+            'ports = [80,',
+            '  443]',
+            '[[plugins]]',
+            'name = "a"',
+            '[[plugins]]',
+            'name = "b"',
+            'opts = { level = 1 }',
+        ].join('\n');
+        const old = diffx.parseToml(text, { locations: true });
+        const results = diffx.diff(old, {
+            title: 'x',
+            server: { ports: [80, 8443] },
+            plugins: [{ name: 'a' }, { name: 'b', opts: { level: 2 } }],
+        });
+        const lines = Object.fromEntries(results.map(r => [r.path, r.oldLocation.line]));
+
+        expect(lines).toEqual({ 'server.ports[1]': 4, 'plugins[1].opts.level': 9 });
+    });
+
+    test('follows array alignment into the new document', () => {
+        const old = diffx.parseYaml('- a\n- {n: 1}\n', { locations: true });
+        const newDoc = diffx.parseYaml('- z\n- a\n- {n: 2}\n', { locations: true });
+        const results = diffx.diff(old, newDoc, { arrayStrategy: 'lcs' });
+
+        expect(results.find(r => r.diffType === 'Modified')).toMatchObject({
+            path: '[1].n',
+            oldLocation: { line: 2, column: 4 },
+            newLocation: { line: 3, column: 4 },
+        });
+    });
+
+    test('diffFiles() records locations with the file path', () => {
+        const results = diffx.diffFiles(fixture('config.json'), fixture('config-updated.yml'));
+        const replicas = results.find(r => r.path === 'replicas');
+
+        expect(replicas.oldLocation).toEqual({ file: fixture('config.json'), line: 3, column: 3 });
+        expect(replicas.newLocation).toEqual({ file: fixture('config-updated.yml'), line: 2, column: 1 });
+    });
+
+    test('documents parsed without locations are unaffected', () => {
+        const results = diffx.diff(diffx.parseJson('{"a": 1}'), diffx.parseJson('{"a": 2}'));
+
+        expect(results[0]).not.toHaveProperty('oldLocation');
+        expect(() => diffx.parseJson('{}', { location: true })).toThrow(/did you mean "locations"/);
+        expect(() => diffx.parseCsv('a\n1', { locations: true })).toThrow(/Unknown parseCsv\(\) option/);
+    });
+});
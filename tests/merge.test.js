@@ -0,0 +1,175 @@
+const diffx = require('../index.js');
+
+describe('merge3()', () => {
+    const base = {
+        name: 'web',
+        spec: { replicas: 2, image: 'nginx:1.25', env: { LOG: 'info' } },
+        labels: { team: 'core' },
+    };
+
+    test('merges non-overlapping edits from both sides', () => {
+        const ours = { ...base, spec: { ...base.spec, replicas: 3 } };
+        const theirs = { ...base, labels: { team: 'core', tier: 'frontend' } };
+
+        const { merged, conflicts } = diffx.merge3(base, ours, theirs);
+
+        expect(conflicts).toEqual([]);
+        expect(merged).toEqual({
+            name: 'web',
+            spec: { replicas: 3, image: 'nginx:1.25', env: { LOG: 'info' } },
+            labels: { team: 'core', tier: 'frontend' },
+        });
+    });
+
+    test('accepts identical edits made on both sides', () => {
+        const edited = { ...base, name: 'api' };
+
+        const { merged, conflicts } = diffx.merge3(base, edited, { ...edited });
+
+        expect(conflicts).toEqual([]);
+        expect(merged).toEqual(edited);
+    });
+
+    test('reports conflicting edits to the same path and keeps ours', () => {
+        const ours = { ...base, spec: { ...base.spec, image: 'nginx:1.26' } };
+        const theirs = { ...base, spec: { ...base.spec, image: 'nginx:1.27' } };
+
+        const { merged, conflicts } = diffx.merge3(base, ours, theirs);
+
+        expect(conflicts).toEqual([{
+            path: 'spec.image',
+            pathSegments: ['spec', 'image'],
+            pointer: '/spec/image',
+            base: 'nginx:1.25',
+            ours: 'nginx:1.26',
+            theirs: 'nginx:1.27',
+        }]);
+        expect(merged.spec.image).toBe('nginx:1.26');
+    });
+
+    test('reports a removal conflicting with an edit underneath it', () => {
+        const ours = { ...base, spec: { ...base.spec, env: { LOG: 'debug' } } };
+        const { spec, ...theirs } = base;
+
+        const { conflicts } = diffx.merge3(base, ours, theirs);
+
+        expect(conflicts).toHaveLength(1);
+        expect(conflicts[0].path).toBe('spec');
+        expect(conflicts[0].ours.env).toEqual({ LOG: 'debug' });
+        expect(conflicts[0].theirs).toBeUndefined();
+        expect(conflicts[0].base).toEqual(spec);
+    });
+
+    test('resolves conflicts with a global strategy', () => {
+        const ours = { ...base, name: 'ours' };
+        const theirs = { ...base, name: 'theirs' };
+
+        const { merged, conflicts, resolved } = diffx.merge3(base, ours, theirs, { strategy: 'theirs' });
+
+        expect(merged.name).toBe('theirs');
+        expect(conflicts).toEqual([]);
+        expect(resolved).toMatchObject([
+            { path: 'name', base: 'web', ours: 'ours', theirs: 'theirs', resolution: 'theirs' },
+        ]);
+    });
+
+    test('resolves conflicts per path, the most specific prefix winning', () => {
+        const ours = { ...base, name: 'ours', spec: { ...base.spec, replicas: 4, image: 'a' } };
+        const theirs = { ...base, name: 'theirs', spec: { ...base.spec, replicas: 5, image: 'b' } };
+
+        const { merged, conflicts } = diffx.merge3(base, ours, theirs, {
+            strategies: { spec: 'theirs', 'spec.image': 'ours' },
+        });
+
+        expect(merged.spec.replicas).toBe(5);
+        expect(merged.spec.image).toBe('a');
+        expect(conflicts.map(c => c.path)).toEqual(['name']);
+    });
+
+    test('honours arrayIdKey when merging arrays', () => {
+        const baseList = { users: [{ id: 1, role: 'dev' }, { id: 2, role: 'dev' }] };
+        const ours = { users: [{ id: 1, role: 'lead' }, { id: 2, role: 'dev' }] };
+        const theirs = { users: [{ id: 2, role: 'dev' }, { id: 1, role: 'dev' }, { id: 3, role: 'ops' }] };
+
+        const { merged, conflicts } = diffx.merge3(baseList, ours, theirs, { arrayIdKey: 'id' });
+
+        expect(conflicts).toEqual([]);
+        expect(merged.users).toEqual([
+            { id: 1, role: 'lead' },
+            { id: 2, role: 'dev' },
+            { id: 3, role: 'ops' },
+        ]);
+    });
+
+    test('shifts their array indices past our insertions and removals', () => {
+        expect(diffx.merge3({ l: [1, 2, 3] }, { l: [2, 3] }, { l: [1, 2, 3, 4] })).toEqual({
+            merged: { l: [2, 3, 4] },
+            conflicts: [],
+            resolved: [],
+        });
+
+        const lcs = { arrayStrategy: 'lcs' };
+        expect(diffx.merge3({ l: ['a', 'b', 'c'] }, { l: ['x', 'a', 'b', 'c'] }, { l: ['a', 'b', 'c', 'y'] }, lcs)
+            .merged).toEqual({ l: ['x', 'a', 'b', 'c', 'y'] });
+        expect(diffx.merge3({ l: ['a', 'b', 'c'] }, { l: ['b', 'c'] }, { l: ['a', 'b', 'z'] }, lcs).merged)
+            .toEqual({ l: ['b', 'z'] });
+        expect(diffx.merge3({ l: [1, 2, 3, 4, 5] }, { l: [0, 1, 3, 4, 5, 6] }, { l: [1, 2, 9, 3, 5] }, lcs).merged)
+            .toEqual({ l: [0, 1, 9, 3, 5, 6] });
+    });
+
+    test('merges insertions and removals on both sides under lcs', () => {
+        const lcs = { arrayStrategy: 'lcs' };
+        const merge = (ours, theirs, options) => diffx.merge3({ l: [1, 2, 3] }, { l: ours }, { l: theirs }, { ...lcs, ...options });
+
+        expect(merge([1, 3], [1, 9, 3], { strategy: 'theirs' })).toMatchObject({
+            merged: { l: [1, 9, 3] },
+            resolved: [{ path: 'l[1]', base: 2, ours: undefined, theirs: 9 }],
+        });
+        expect(merge([1, 9, 3], [1, 3], { strategy: 'theirs' }).merged).toEqual({ l: [1, 3] });
+        expect(merge([5, 1, 9, 3], [1, 3, 4], { strategy: 'theirs' }).merged).toEqual({ l: [5, 1, 3, 4] });
+        expect(merge([1, 3], [0, 1, 9, 3], { strategy: 'theirs' }).merged).toEqual({ l: [0, 1, 9, 3] });
+        expect(merge([1, 2, 7, 3], [1, 2, 8, 3])).toMatchObject({
+            merged: { l: [1, 2, 7, 3] },
+            conflicts: [{ path: 'l[2]', base: undefined, ours: 7, theirs: 8 }],
+        });
+        expect(merge([1, 2, 7, 3], [1, 2, 8, 3], { strategy: 'theirs' }).merged).toEqual({ l: [1, 2, 8, 3] });
+
+        const { conflicts } = diffx.merge3(
+            { l: [{ a: 1 }, { a: 2 }, { a: 3 }] },
+            { l: [{ a: 0 }, { a: 1 }, { a: 2, b: 1 }, { a: 3 }] },
+            { l: [{ a: 1 }, { a: 3 }] },
+            lcs
+        );
+        expect(conflicts).toEqual([expect.objectContaining({ path: 'l[1]', ours: { a: 2, b: 1 }, theirs: undefined })]);
+    });
+
+    test('reports insertions on both sides of an array with moves as a conflict', () => {
+        const { merged, conflicts } = diffx.merge3(
+            { l: ['a', 'b', 'c'] },
+            { l: ['c', 'a', 'b'] },
+            { l: ['a', 'b', 'c', 'd'] },
+            { arrayStrategy: 'lcs' }
+        );
+
+        expect(merged).toEqual({ l: ['c', 'a', 'b'] });
+        expect(conflicts.map(c => [c.path, c.theirs])).toEqual([['l', ['a', 'b', 'c', 'd']]]);
+    });
+
+    test('honours epsilon and ignoreKeysRegex', () => {
+        const withTime = { price: 1.0, updatedAt: 'mon' };
+        const ours = { price: 1.0001, updatedAt: 'tue' };
+        const theirs = { price: 1.0002, updatedAt: 'wed' };
+
+        const { merged, conflicts } = diffx.merge3(withTime, ours, theirs, {
+            epsilon: 0.001,
+            ignoreKeysRegex: 'updatedAt',
+        });
+
+        expect(conflicts).toEqual([]);
+        expect(merged).toEqual(ours);
+    });
+
+    test('rejects unknown strategies', () => {
+        expect(() => diffx.merge3(base, base, base, { strategy: 'mine' })).toThrow('Invalid merge strategy');
+    });
+});
@@ -0,0 +1,66 @@
+const diffx = require('../index.js');
+
+describe('normalization options', () => {
+    test('coerceTypes compares strings with the numbers and booleans they spell', () => {
+        const results = diffx.diff(
+            { port: '8080', ratio: '1.50', tls: 'yes', debug: 'False', replicas: '3', name: 'web' },
+            { port: 8080, ratio: 1.5, tls: true, debug: false, replicas: 4, name: 1 },
+            { coerceTypes: true }
+        );
+
+        expect(results.map(r => [r.diffType, r.path, r.oldValue, r.newValue])).toEqual([
+            ['Modified', 'replicas', '3', 4],
+            ['TypeChanged', 'name', 'web', 1],
+        ]);
+        expect(diffx.diff({ a: '1.0' }, { a: 1.05 }, { coerceTypes: true, epsilon: 0.1 })).toEqual([]);
+        expect(diffx.diff({ a: '1' }, { a: 1 })).toHaveLength(1);
+    });
+
+    test('nullEqualsMissing and emptyEqualsMissing treat null and empty values as missing keys', () => {
+        const oldValue = { a: null, b: { c: null }, tags: [], meta: { labels: {} }, name: 'x' };
+        const newValue = { b: {}, name: 'y' };
+
+        expect(diffx.diff(oldValue, newValue, { nullEqualsMissing: true }).map(r => r.path))
+            .toEqual(['tags', 'meta', 'name']);
+        expect(diffx.diff(oldValue, newValue, { emptyEqualsMissing: true }).map(r => r.path))
+            .toEqual(['a', 'b.c', 'name']);
+        expect(diffx.diff(oldValue, newValue, { nullEqualsMissing: true, emptyEqualsMissing: true }).map(r => r.path))
+            .toEqual(['name']);
+    });
+
+    test('sortUnkeyedArrays ignores the order of unkeyed elements', () => {
+        const results = diffx.diff(
+            { tags: ['b', 'a', 'c'], rules: [{ port: 443 }, { port: 80 }], users: [{ id: 1, n: 'a' }] },
+            { tags: ['a', 'c', 'b', 'd'], rules: [{ port: 80 }, { port: 8443 }], users: [{ id: 1, n: 'a' }] },
+            { sortUnkeyedArrays: true, arrayIdKey: 'id' }
+        );
+
+        expect(results.map(r => [r.diffType, r.path])).toEqual([
+            ['Added', 'tags[3]'],
+            ['Modified', 'rules[0].port'],
+        ]);
+    });
+
+    test('sortUnkeyedArrays sorts by normalized content and reports no moves', () => {
+        const twins = { a: 'y', z: 'b' };
+        const comparators = [{ when: () => true, compare: (a, b) => (twins[a] === b ? true : undefined) }];
+
+        expect(diffx.diff(['b', 'A'], ['a', 'B'], { sortUnkeyedArrays: true, ignoreCase: true })).toEqual([]);
+        expect(diffx.diff(['1', 2], [2, 1], { sortUnkeyedArrays: true, coerceTypes: true })).toEqual([]);
+        expect(diffx.diff(['a', 'z'], ['y', 'b'], { sortUnkeyedArrays: true, comparators })).toEqual([]);
+    });
+
+    test('can be set per path and are validated', () => {
+        const results = diffx.diff(
+            { app: { port: '80' }, db: { port: '5432' } },
+            { app: { port: 80 }, db: { port: 5432 } },
+            { overrides: { app: { coerceTypes: true } } }
+        );
+
+        expect(results.map(r => r.path)).toEqual(['db.port']);
+        expect(diffx.hasDiff({ a: '1', b: null }, { a: 1 }, { coerceTypes: true, nullEqualsMissing: true })).toBe(false);
+        expect(() => diffx.diff({}, {}, { coerceTypes: 'yes' })).toThrow('coerceTypes must be a boolean');
+        expect(() => diffx.diff({}, {}, { overrides: { a: { sortUnkeyedArrays: 1 } } }))
+            .toThrow('sortUnkeyedArrays in overrides["a"] must be a boolean');
+    });
+});
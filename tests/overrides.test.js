@@ -0,0 +1,138 @@
+const diffx = require('../index.js');
+
+describe('overrides', () => {
+    const oldDoc = {
+        users: [{ id: 1, name: 'Alice' }, { id: 2, name: 'Bob' }],
+        servers: [{ hostname: 'a', cpu: 2 }, { hostname: 'b', cpu: 4 }],
+        geo: { lat: 35.6812, lng: 139.7671 },
+        price: 10.0,
+    };
+    const newDoc = {
+        users: [{ id: 2, name: 'Bob' }, { id: 1, name: 'Alice' }],
+        servers: [{ hostname: 'b', cpu: 8 }, { hostname: 'a', cpu: 2 }],
+        geo: { lat: 35.6812004, lng: 139.7671 },
+        price: 10.0004,
+    };
+
+    test('applies different arrayIdKey and epsilon per path', () => {
+        const results = diffx.diff(oldDoc, newDoc, {
+            overrides: {
+                users: { arrayIdKey: 'id' },
+                servers: { arrayIdKey: 'hostname' },
+                'geo.**': { epsilon: 1e-6 },
+            },
+        });
+
+        expect(results).toEqual([
+            {
+                diffType: 'Modified',
+                path: 'servers[hostname="b"].cpu',
+                pathSegments: ['servers', { key: 'hostname', value: 'b' }, 'cpu'],
+                pointer: '/servers/1/cpu',
+                oldValue: 4,
+                newValue: 8,
+            },
+            {
+                diffType: 'Modified',
+                path: 'price',
+                pathSegments: ['price'],
+                pointer: '/price',
+                oldValue: 10.0,
+                newValue: 10.0004,
+            },
+        ]);
+    });
+
+    test('lets the most specific pattern win over global options', () => {
+        const results = diffx.diff(
+            { a: { x: 1.0, y: 1.0 }, b: 1.0 },
+            { a: { x: 1.05, y: 1.5 }, b: 1.05 },
+            { epsilon: 0.1, overrides: { 'a.**': { epsilon: 0.01 }, 'a.y': { epsilon: 1 } } }
+        );
+
+        expect(results.map(r => r.path)).toEqual(['a.x']);
+    });
+
+    test('applies to the matched path and everything below it', () => {
+        const results = diffx.diff(
+            { meta: { tags: ['A'], owner: { name: 'Alice' } }, title: 'X' },
+            { meta: { tags: ['a'], owner: { name: 'ALICE' } }, title: 'x' },
+            { overrides: { meta: { ignoreCase: true } } }
+        );
+
+        expect(results.map(r => r.path)).toEqual(['title']);
+    });
+
+    test('pairs unkeyed elements and reports added and removed ones', () => {
+        const results = diffx.diff(
+            { items: [{ sku: 'a', qty: 1 }, { note: 'x' }, { sku: 'b', qty: 1 }] },
+            { items: [{ note: 'y' }, { sku: 'c', qty: 1 }, { sku: 'a', qty: 2 }] },
+            { overrides: { items: { arrayIdKey: 'sku' }, 'items[*].qty': { epsilon: 0 } } }
+        );
+
+        expect(results.map(r => [r.diffType, r.path, r.pointer])).toEqual([
+            ['Modified', 'items[sku="a"].qty', '/items/0/qty'],
+            ['Modified', 'items[1].note', '/items/1/note'],
+            ['Removed', 'items[sku="b"]', '/items/2'],
+            ['Added', 'items[sku="c"]', '/items/1'],
+        ]);
+    });
+
+    test('keeps ignoreKeysRegex and pathFilter working on full paths', () => {
+        const oldValue = { app: { updatedAt: 1, name: 'a' }, db: { name: 'a' } };
+        const newValue = { app: { name: 'b', createdAt: 2 }, db: { name: 'b' } };
+
+        const results = diffx.diff(oldValue, newValue, {
+            ignoreKeysRegex: 'At$',
+            pathFilter: 'app.',
+            overrides: { 'app.name': { ignoreCase: true } },
+        });
+
+        expect(results.map(r => r.path)).toEqual(['app.name']);
+    });
+
+    test('keeps ignoreKeysRegex working on keys the planner walks into', () => {
+        const oldValue = { a: { t: 1, x: 1 }, ts: 5, list: [{ t: 1, x: 'a' }] };
+        const newValue = { a: { t: 2, x: 1 }, ts: 6, list: [{ t: 2, x: 'a' }] };
+        const planned = [
+            { overrides: { 'a.x': { epsilon: 1 } } },
+            { comparators: { 'a.x': () => undefined } },
+            { arrayStrategy: 'lcs' },
+            { coerceTypes: true },
+            { nullEqualsMissing: true },
+            { emptyEqualsMissing: true },
+            { sortUnkeyedArrays: true },
+        ];
+
+        for (const options of planned) {
+            expect(diffx.diff(oldValue, newValue, { ignoreKeysRegex: '^t', ...options })).toEqual([]);
+            expect(diffx.hasDiff(oldValue, newValue, { ignoreKeysRegex: '^t', ...options })).toBe(false);
+        }
+    });
+
+    test('pairs elements sharing an arrayIdKey value in order', () => {
+        const list = { l: [{ id: 3, v: 1 }, { id: 3, v: 2 }] };
+        const planned = [{ overrides: { 'l[*]': { epsilon: 0.1 } } }, { arrayStrategy: 'lcs' }];
+
+        for (const options of planned) {
+            expect(diffx.diff(list, list, { arrayIdKey: 'id', ...options })).toEqual([]);
+            expect(diffx.hasDiff(list, list, { arrayIdKey: 'id', ...options })).toBe(false);
+            expect(diffx.diff(list, { l: [...list.l, { id: 3, v: 9 }] }, { arrayIdKey: 'id', ...options }))
+                .toMatchObject([{ diffType: 'Added', path: 'l[id=3]', newValue: { id: 3, v: 9 } }]);
+        }
+    });
+
+    test('runs with diffAsync', async () => {
+        const results = await diffx.diffAsync(oldDoc, newDoc, {
+            overrides: { users: { arrayIdKey: 'id' }, servers: { arrayIdKey: 'hostname' }, 'geo.**': { epsilon: 1e-6 } },
+        });
+
+        expect(results.map(r => r.path)).toEqual(['servers[hostname="b"].cpu', 'price']);
+    });
+
+    test('rejects options that cannot be overridden', () => {
+        expect(() => diffx.diff({}, {}, { overrides: { a: { pathFilter: 'x' } } }))
+            .toThrow('Unsupported option in overrides["a"]: pathFilter');
+        expect(() => diffx.diff({}, {}, { overrides: ['a'] })).toThrow(TypeError);
+    });
+});
@@ -62,6 +62,28 @@ items:
 
             expect(result.items).toEqual([1, 2, 3]);
         });
+
+        test('reads multi-document streams and merge keys', () => {
+            const yaml = `# manifests
+---
+defaults: &defaults
+  replicas: 1
+web:
+  <<: *defaults
+  image: web
+---
+kind: Service
+`;
+            const result = diffx.parseYaml(yaml, { multiDocument: true, mergeKeys: true, locations: true });
+
+            expect(result).toEqual([
+                { defaults: { replicas: 1 }, web: { replicas: 1, image: 'web' } },
+                { kind: 'Service' },
+            ]);
+            expect(diffx.diff(result, [{}, { kind: 'Deployment' }]).find(r => r.path === '[1].kind').oldLocation)
+                .toEqual({ line: 9, column: 1 });
+            expect(() => diffx.parseYaml(yaml)).toThrow('more than one document');
+        });
     });
 
     describe('parseToml()', () => {
@@ -120,6 +142,18 @@ Alice,"Hello, World"`;
 
             expect(result[0].description).toBe('Hello, World');
         });
+
+        test('accepts delimiter, quote, header and inferTypes options', () => {
+            const csv = 'id;name;note\n1;\'Smith; J\';0042x\n2.5;Doe;\'7\'\n';
+
+            expect(diffx.parseCsv(csv, { delimiter: ';', quote: '\'', inferTypes: true })).toEqual([
+                { id: 1, name: 'Smith; J', note: '0042x' },
+                { id: 2.5, name: 'Doe', note: '7' },
+            ]);
+            expect(diffx.parseCsv('a,b\n1\n', { header: false })).toEqual([['a', 'b'], ['1']]);
+            expect(() => diffx.parseCsv('a,b\n1\n', { delimiter: ',' })).toThrow('line 2 has 1 fields');
+            expect(() => diffx.parseCsv(csv, { delimeter: ';' })).toThrow('did you mean "delimiter"');
+        });
     });
 
     describe('parseIni()', () => {
@@ -170,6 +204,117 @@ enabled = true
         test('throws on invalid XML', () => {
             expect(() => diffx.parseXml('<invalid')).toThrow();
         });
+
+        test('accepts attributePrefix, textKey, namespaces and alwaysArray options', () => {
+            const xml = `<a:feed xmlns:a="urn:feed"><a:entry id="1" lang="en">Hello &amp; bye</a:entry></a:feed>`;
+            const options = { attributePrefix: '@', textKey: '#text', namespaces: 'strip', alwaysArray: ['entry'] };
+
+            expect(diffx.parseXml(xml, options)).toEqual({
+                feed: { entry: [{ '@id': '1', '@lang': 'en', '#text': 'Hello & bye' }] },
+            });
+            expect(diffx.parseXml(xml, { attributePrefix: '@' })['a:feed']['@xmlns:a']).toBe('urn:feed');
+            expect(() => diffx.parseXml(xml, { namespaces: 'drop' })).toThrow('"keep" or "strip"');
+        });
+    });
+});
+
+describe('JavaScript parsers', () => {
+    test('parseJson5() reads JSONC and JSON5', () => {
+        const tsconfig = `// generated
+{
+  "compilerOptions": {
+    "strict": true, /* keep */
+    "paths": { "@/*": ["src/*",], },
+  },
+}`;
+
+        expect(diffx.parseJson5(tsconfig)).toEqual({ compilerOptions: { strict: true, paths: { '@/*': ['src/*'] } } });
+        expect(diffx.parseJson5("{key: 'it\\'s', hex: 0x1F, half: .5, big: +Infinity}")).toEqual({
+            key: "it's",
+            hex: 31,
+            half: 0.5,
+            big: Infinity,
+        });
+        expect(() => diffx.parseJson5('{a: 1,,}'))
+            .toThrow('JSON5 parse error: expected a key, found "," at line 1 column 7');
+    });
+
+    test('parseDotenv() reads .env files', () => {
+        const env = `# database
+export DB_HOST=localhost
+DB_PORT = 5432 # default
+GREETING="hello\\nworld"
+RAW='\${HOME}\\n'
+EMPTY=
+`;
+
+        expect(diffx.parseDotenv(env)).toEqual({
+            DB_HOST: 'localhost',
+            DB_PORT: '5432',
+            GREETING: 'hello\nworld',
+            RAW: '${HOME}\\n',
+            EMPTY: '',
+        });
+        expect(() => diffx.parseDotenv('A=1\nB\n')).toThrow('expected KEY=value, found "B" on line 2');
+    });
+
+    test('parseProperties() reads Java properties', () => {
+        const properties = `# application.properties
+spring.datasource.url=jdbc:postgresql://db/app
+server.port: 8080
+app.description = first, \\
+    second
+path=C:\\\\temp
+title\\ key=caf\\u00e9
+`;
+
+        expect(diffx.parseProperties(properties)).toEqual({
+            'spring.datasource.url': 'jdbc:postgresql://db/app',
+            'server.port': '8080',
+            'app.description': 'first, second',
+            path: 'C:\\temp',
+            'title key': 'café',
+        });
+    });
+
+    test('parseNdjson() reads one value per line', () => {
+        expect(diffx.parseNdjson('{"id":1}\n\n{"id":2}\n')).toEqual([{ id: 1 }, { id: 2 }]);
+        expect(() => diffx.parseNdjson('{"id":1}\n{"id":\n')).toThrow(/NDJSON parse error: .* on line 2/);
+    });
+
+    test('parseHcl() reads attributes, blocks and expressions', () => {
+        const hcl = `
+region = "eu-west-1"
+resource "aws_instance" "web" {
+  ami   = "ami-123"
+  count = 2
+  tags  = { Name = "web-\${var.env}" }
+  ingress { port = 80 }
+  ingress { port = 443 }
+  subnet_id = aws_subnet.main.id
+  user_data = <<-EOT
+    #!/bin/sh
+    echo hi
+  EOT
+}
+`;
+
+        expect(diffx.parseHcl(hcl)).toEqual({
+            region: 'eu-west-1',
+            resource: {
+                aws_instance: {
+                    web: {
+                        ami: 'ami-123',
+                        count: 2,
+                        tags: { Name: 'web-${var.env}' },
+                        ingress: [{ port: 80 }, { port: 443 }],
+                        subnet_id: '${aws_subnet.main.id}',
+                        user_data: '#!/bin/sh\necho hi\n',
+                    },
+                },
+            },
+        });
+        expect(() => diffx.parseHcl('a = 1\na = 2\n')).toThrow('HCL parse error: "a" is defined twice at line 2');
     });
 });
 
@@ -209,4 +354,16 @@ describe('Parser + Diff Integration', () => {
         expect(results).toHaveLength(1);
         expect(results[0].path).toBe('age');
     });
+
+    test('diffStrings() passes parser options by format', () => {
+        const results = diffx.diffStrings('sku;qty\nA1;2\n', 'sku;qty\nA1;3\n', {
+            parseOptions: { csv: { delimiter: ';', inferTypes: true } },
+            format: 'csv',
+        });
+
+        expect(results).toHaveLength(1);
+        expect(results[0]).toMatchObject({ path: '[0].qty', oldValue: 2, newValue: 3 });
+        expect(() => diffx.diffStrings('a', 'b', { parseOptions: { csv: { delim: ';' } } }))
+            .toThrow('Unknown csv parse option "delim"');
+    });
 });
@@ -0,0 +1,117 @@
+const diffx = require('../index.js');
+
+describe('applyDiff()', () => {
+    const roundTrip = (old, newObj, options) => {
+        const results = diffx.diff(old, newObj, options);
+        expect(diffx.applyDiff(old, results)).toSemanticallyEqual(newObj);
+        expect(diffx.revertDiff(newObj, results)).toSemanticallyEqual(old);
+    };
+
+    test('replays modified, added and removed properties', () => {
+        roundTrip(
+            { name: 'Alice', age: 30, city: 'Osaka' },
+            { name: 'Alice', age: 31, email: 'alice@example.com' }
+        );
+    });
+
+    test('replays nested changes and type changes', () => {
+        roundTrip(
+            { user: { profile: { age: '30', tags: ['a'] } } },
+            { user: { profile: { age: 30, tags: { primary: 'a' } } } }
+        );
+    });
+
+    test('replays growing and shrinking arrays', () => {
+        roundTrip({ items: [1, 2] }, { items: [1, 4, 3, 5] });
+        roundTrip({ items: [1, 2, 3, 4] }, { items: [0] });
+    });
+
+    test('replays arrays matched by arrayIdKey', () => {
+        roundTrip(
+            { users: [{ id: 1, name: 'Alice' }, { id: 'b', name: 'Bob' }] },
+            { users: [{ id: 1, name: 'Alice Updated' }, { id: 3, name: 'Carol' }] },
+            { arrayIdKey: 'id' }
+        );
+    });
+
+    test('puts elements matched by arrayIdKey back at their index', () => {
+        const old = { users: [{ id: 1 }, { id: 2, name: 'Bob' }, { id: 3 }] };
+        const newObj = { users: [{ id: 0 }, { id: 1 }, { id: 3 }, { id: 4 }] };
+        const results = diffx.diff(old, newObj, { arrayIdKey: 'id' });
+
+        expect(diffx.applyDiff(old, results, { strict: true })).toEqual(newObj);
+        expect(diffx.revertDiff(newObj, results, { strict: true })).toEqual(old);
+    });
+
+    test('replays changes to the root value', () => {
+        roundTrip(42, 43);
+        roundTrip('text', { value: 'text' });
+    });
+
+    test('does not mutate the target', () => {
+        const old = { a: { b: 1 } };
+        const results = diffx.diff(old, { a: { b: 2 } });
+
+        diffx.applyDiff(old, results);
+
+        expect(old).toEqual({ a: { b: 1 } });
+    });
+
+    test('applies stored results to a document that drifted elsewhere', () => {
+        const results = diffx.diff({ version: 1 }, { version: 2 });
+
+        const patched = diffx.applyDiff({ version: 1, extra: true }, results);
+
+        expect(patched).toEqual({ version: 2, extra: true });
+    });
+
+    test('throws PatchError when the parent path is missing', () => {
+        const results = [{ diffType: 'Added', path: 'a.b.c', newValue: 1 }];
+
+        expect(() => diffx.applyDiff({}, results)).toThrow(diffx.PatchError);
+    });
+
+    describe('strict mode', () => {
+        test('applies results whose old values match', () => {
+            const results = diffx.diff({ a: 1, b: [1] }, { a: 2, c: 3 });
+
+            expect(diffx.applyDiff({ a: 1, b: [1] }, results, { strict: true }))
+                .toEqual({ a: 2, c: 3 });
+        });
+
+        test('rejects Modified when the old value differs', () => {
+            const results = diffx.diff({ a: 1 }, { a: 2 });
+
+            expect(() => diffx.applyDiff({ a: 5 }, results, { strict: true }))
+                .toThrow('Cannot apply Modified at "a": expected 1, found 5');
+        });
+
+        test('rejects Removed when the value differs', () => {
+            const results = diffx.diff({ a: { b: 1 } }, {});
+
+            expect(() => diffx.applyDiff({ a: { b: 2 } }, results, { strict: true }))
+                .toThrow(diffx.PatchError);
+        });
+
+        test('rejects Added when the path already exists', () => {
+            const results = diffx.diff({}, { a: 1 });
+
+            let error;
+            try {
+                diffx.applyDiff({ a: 0 }, results, { strict: true });
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error).toBeInstanceOf(diffx.PatchError);
+            expect(error.path).toBe('a');
+            expect(error.diffType).toBe('Added');
+        });
+
+        test('leaves lenient mode forgiving', () => {
+            const results = diffx.diff({ a: 1, b: 2 }, { a: 2 });
+
+            expect(diffx.applyDiff({ a: 5 }, results)).toEqual({ a: 2 });
+        });
+    });
+});
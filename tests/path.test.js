@@ -0,0 +1,136 @@
+const diffx = require('../index.js');
+
+describe('result locations', () => {
+    test('carry pathSegments and a JSON Pointer', () => {
+        const results = diffx.diff(
+            { user: { profile: { age: 30 } }, items: [1, 2] },
+            { user: { profile: { age: 31 } }, items: [1, 3] }
+        );
+
+        expect(results).toHaveLength(2);
+        expect(results.map(r => [r.path, r.pathSegments, r.pointer])).toEqual(expect.arrayContaining([
+            ['user.profile.age', ['user', 'profile', 'age'], '/user/profile/age'],
+            ['items[1]', ['items', 1], '/items/1'],
+        ]));
+    });
+
+    test('keep keys containing dots and slashes intact', () => {
+        const old = { metadata: { annotations: { 'app.kubernetes.io/name': 'web' } } };
+        const newObj = { metadata: { annotations: { 'app.kubernetes.io/name': 'api' } } };
+
+        const [result] = diffx.diff(old, newObj);
+
+        expect(result.pathSegments).toEqual(['metadata', 'annotations', 'app.kubernetes.io/name']);
+        expect(result.pointer).toBe('/metadata/annotations/app.kubernetes.io~1name');
+    });
+
+    test('keep keys containing brackets and numeric strings intact', () => {
+        const results = diffx.diff({ 'x[0]': 1, 10: { a: 1 } }, { 'x[0]': 2, 10: { a: 2 } });
+
+        expect(results.map(r => r.pathSegments)).toEqual(
+            expect.arrayContaining([['x[0]'], ['10', 'a']])
+        );
+    });
+
+    test('pick the key the changed values are under when dotted keys collide', () => {
+        const dotted = diffx.diff({ 'a.b': 1, a: { b: 1 } }, { 'a.b': 2, a: { b: 1 } });
+        const nested = diffx.diff({ a: { b: 1 }, 'a.b': 1 }, { a: { b: 2 }, 'a.b': 1 });
+        const below = diffx.diff({ x: { 'a.b': 1, a: { b: 1 } } }, { x: { 'a.b': 2, a: { b: 1 } } }, {
+            overrides: { x: { ignoreCase: true } },
+        });
+
+        expect(dotted.map(r => [r.pathSegments, r.pointer])).toEqual([[['a.b'], '/a.b']]);
+        expect(nested.map(r => [r.pathSegments, r.pointer])).toEqual([[['a', 'b'], '/a/b']]);
+        expect(below.map(r => r.pathSegments)).toEqual([['x', 'a.b']]);
+    });
+
+    test('use identity segments for arrayIdKey matches', () => {
+        const old = { users: [{ id: 'a', name: 'Alice' }, { id: 'b', name: 'Bob' }] };
+        const newObj = { users: [{ id: 'b', name: 'Bobby' }] };
+
+        const results = diffx.diff(old, newObj, { arrayIdKey: 'id' });
+        const modified = results.find(r => r.diffType === 'Modified');
+        const removed = results.find(r => r.diffType === 'Removed');
+
+        expect(modified.pathSegments).toEqual(['users', { key: 'id', value: 'b' }, 'name']);
+        expect(modified.pointer).toBe('/users/1/name');
+        expect(removed.pointer).toBe('/users/0');
+    });
+
+    test('locate ids holding path syntax or objects', () => {
+        const locate = id => diffx.diff(
+            { u: [{ id: 'z' }, { id, v: 1 }] },
+            { u: [{ id, v: 2 }, { id: 'z' }] },
+            { arrayIdKey: 'id' }
+        ).find(r => r.diffType === 'Modified');
+
+        for (const id of ['a"b', 'p].q[id=1', { k: 1, a: [2] }, [1, 2], null]) {
+            const result = locate(id);
+            expect(result.pathSegments).toEqual(['u', { key: 'id', value: id }, 'v']);
+            expect(result.pointer).toBe('/u/1/v');
+        }
+    });
+
+    test('point Added results into the new document', () => {
+        const results = diffx.diff(
+            { users: [{ id: 1 }] },
+            { users: [{ id: 2 }, { id: 1 }] },
+            { arrayIdKey: 'id' }
+        );
+
+        expect(results[0].pointer).toBe('/users/0');
+    });
+
+    test('use an empty pointer for the root', () => {
+        const [result] = diffx.diff(1, 2);
+
+        expect(result.pathSegments).toEqual([]);
+        expect(result.pointer).toBe('');
+    });
+});
+
+describe('consumers of result locations', () => {
+    const old = { metadata: { labels: { 'app.kubernetes.io/name': 'web', 'tier': 'fe' } } };
+    const newObj = { metadata: { labels: { 'app.kubernetes.io/name': 'api' } } };
+
+    test('applyDiff() and revertDiff() follow pathSegments', () => {
+        const results = diffx.diff(old, newObj);
+
+        expect(diffx.applyDiff(old, results, { strict: true })).toEqual(newObj);
+        expect(diffx.revertDiff(newObj, results, { strict: true })).toEqual(old);
+    });
+
+    test('applyDiff() accepts results located by pointer only', () => {
+        const results = [
+            { diffType: 'Modified', pointer: '/metadata/labels/app.kubernetes.io~1name', oldValue: 'web', newValue: 'api' },
+            { diffType: 'Removed', pointer: '/metadata/labels/tier', value: 'fe' },
+        ];
+
+        expect(diffx.applyDiff(old, results, { strict: true })).toEqual(newObj);
+    });
+
+    test('applyDiff() appends with the "-" pointer token', () => {
+        const results = [{ diffType: 'Added', pointer: '/items/-', newValue: 3 }];
+
+        expect(diffx.applyDiff({ items: [1, 2] }, results)).toEqual({ items: [1, 2, 3] });
+    });
+
+    test('toJsonPatch() escapes keys containing slashes', () => {
+        const patch = diffx.toJsonPatch(diffx.diff(old, newObj));
+
+        expect(patch).toContainEqual({
+            op: 'replace',
+            path: '/metadata/labels/app.kubernetes.io~1name',
+            value: 'api',
+        });
+    });
+
+    test('formatOutput() accepts results without a path string', () => {
+        const output = diffx.formatOutput([
+            { diffType: 'Added', pathSegments: ['a', 0], newValue: 1 },
+            { diffType: 'Removed', pointer: '/b/c', value: 2 },
+        ], 'json');
+
+        expect(JSON.parse(output)).toEqual([{ Added: ['a[0]', 1] }, { Removed: ['b.c', 2] }]);
+    });
+});
@@ -0,0 +1,103 @@
+const diffx = require('../index.js');
+
+describe('schema', () => {
+    const schema = {
+        type: 'object',
+        required: ['name', 'users'],
+        additionalProperties: false,
+        properties: {
+            name: { type: 'string' },
+            version: { type: ['string', 'integer'] },
+            status: { enum: ['active', 'retired'] },
+            price: { type: 'number', 'x-diffx-epsilon': 0.01 },
+            updatedAt: { type: 'string', 'x-diffx-ignore': true },
+            users: { type: 'array', 'x-diffx-key': 'id', items: { $ref: '#/$defs/user' } },
+            notes: { type: 'object', 'x-diffx-breaking': false },
+        },
+        $defs: {
+            user: {
+                type: 'object',
+                required: ['id', 'email'],
+                properties: { id: { type: 'integer' }, email: { type: 'string' } },
+            },
+        },
+    };
+
+    test('takes array keys, tolerances and ignored properties from x-diffx keywords', () => {
+        const results = diffx.diff(
+            { price: 1.001, updatedAt: 'a', users: [{ id: 1, email: 'a' }, { id: 2, email: 'b' }] },
+            { price: 1.005, updatedAt: 'b', users: [{ id: 2, email: 'c' }, { id: 1, email: 'a' }] },
+            { schema }
+        );
+
+        expect(results.map(r => [r.path, r.breaking])).toEqual([['users[id=2].email', false]]);
+    });
+
+    test('classifies results as breaking or not', () => {
+        const results = diffx.diff(
+            { name: 'x', version: 1, status: 'active', users: [{ id: 1, email: 'a' }], notes: { a: 1 } },
+            { version: '1.0', status: 'gone', users: [{ id: 1 }], notes: {}, extra: 1 },
+            { schema }
+        );
+
+        const classified = Object.fromEntries(results.map(r => [`${r.diffType} ${r.path}`, r.breaking]));
+        expect(classified).toEqual({
+            'Removed name': true,
+            'TypeChanged version': false,
+            'Modified status': true,
+            'Removed users[id=1].email': true,
+            'Removed notes.a': false,
+            'Added extra': true,
+        });
+    });
+
+    test('ignores only the keys patternProperties and additionalProperties match', () => {
+        const oldValue = { name: 'a', 'x-trace': 1, meta: { 'x-at': 1, size: 1, kind: 'a' } };
+        const newValue = { name: 'b', 'x-trace': 2, meta: { 'x-at': 2, size: 2, kind: 'b' } };
+        const ignored = { patternProperties: { '^x-': { 'x-diffx-ignore': true } } };
+        const others = { properties: { kind: {} }, additionalProperties: { 'x-diffx-ignore': true } };
+
+        expect(diffx.diff(oldValue, newValue, { schema: ignored }).map(r => r.path).sort())
+            .toEqual(['meta.kind', 'meta.size', 'meta.x-at', 'name']);
+        expect(diffx.diff(oldValue, newValue, { schema: { properties: { meta: ignored } } }).map(r => r.path).sort())
+            .toEqual(['meta.kind', 'meta.size', 'name', 'x-trace']);
+        expect(diffx.diff(oldValue, newValue, { schema: { properties: { meta: others } } }).map(r => r.path).sort())
+            .toEqual(['meta.kind', 'name', 'x-trace']);
+        expect(() => diffx.diff({}, {}, { schema: { patternProperties: { '^n': { 'x-diffx-epsilon': 1 } } } }))
+            .toThrow('schema x-diffx-epsilon at "#/patternProperties/^n" is not supported under patternProperties');
+        expect(() => diffx.diff({}, {}, { schema: { ...others, additionalProperties: { 'x-diffx-key': 'id' } } }))
+            .toThrow(TypeError);
+    });
+
+    test('classifies a modified value its type does not allow as breaking', () => {
+        const results = diffx.diff({ n: 1, r: 1 }, { n: 1.5, r: 1.5 }, {
+            schema: { properties: { n: { type: 'integer' }, r: { type: 'number' } } },
+        });
+
+        expect(results.map(r => [r.diffType, r.path, r.breaking])).toEqual([
+            ['Modified', 'n', true],
+            ['Modified', 'r', false],
+        ]);
+    });
+
+    test('lets explicit options win and leaves results unclassified without a schema', () => {
+        const oldValue = { items: [{ sku: 'a', qty: 1 }], price: 1 };
+        const newValue = { items: [{ sku: 'a', qty: 2 }], price: 1.5 };
+        const itemSchema = { properties: { items: { 'x-diffx-key': 'sku' }, price: { 'x-diffx-epsilon': 1 } } };
+
+        const results = diffx.diff(oldValue, newValue, {
+            schema: itemSchema,
+            overrides: { items: { arrayIdKey: 'qty' } },
+        });
+        expect(results.map(r => r.path).sort()).toEqual(['items[qty=1]', 'items[qty=2]']);
+        expect(diffx.diff(oldValue, newValue)[0]).not.toHaveProperty('breaking');
+    });
+
+    test('rejects invalid keywords and remote references', () => {
+        expect(() => diffx.diff({}, {}, { schema: [] })).toThrow('schema must be a JSON Schema object');
+        expect(() => diffx.diff({}, {}, { schema: { properties: { a: { 'x-diffx-epsilon': -1 } } } }))
+            .toThrow('schema x-diffx-epsilon at "#/properties/a" must be a non-negative number');
+        expect(() => diffx.diff({}, {}, { schema: { $ref: 'https://example.com/schema.json' } }))
+            .toThrow('only local references');
+    });
+});
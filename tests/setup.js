@@ -0,0 +1,3 @@
+const { matchers } = require('../jest');
+
+expect.extend(matchers);
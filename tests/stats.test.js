@@ -0,0 +1,81 @@
+const binding = require('../binding');
+const diffx = require('../index.js');
+
+describe('hasDiff()', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('agrees with diff() under its options', () => {
+        expect(diffx.hasDiff({ a: 1 }, { a: 1 })).toBe(false);
+        expect(diffx.hasDiff({ a: 1 }, { a: 2 })).toBe(true);
+        expect(diffx.hasDiff({ a: 1.0001 }, { a: 1 }, { epsilon: 0.01 })).toBe(false);
+        expect(diffx.hasDiff({ meta: { at: 1 }, v: 1 }, { meta: { at: 2 }, v: 1 }, { ignoreKeysRegex: '^meta$' })).toBe(false);
+        expect(diffx.hasDiff({ l: [{ id: 1 }, { id: 2 }] }, { l: [{ id: 2 }, { id: 1 }] }, { arrayIdKey: 'id' })).toBe(false);
+        expect(diffx.hasDiff({ a: 1, b: 1 }, { a: 2, b: 2 }, { excludePaths: ['a'] })).toBe(true);
+        expect(diffx.hasDiff({ a: 1, b: 1 }, { a: 2, b: 1 }, { excludePaths: ['a'] })).toBe(false);
+        expect(() => diffx.hasDiff({}, {}, { epsilonn: 1 })).toThrow('Unknown diff option "epsilonn"');
+    });
+
+    test('stops at the first differing key', () => {
+        const spy = jest.spyOn(binding, 'diff');
+        const old = { a: { x: 1 }, b: { y: 1 }, c: { z: 1 } };
+
+        expect(diffx.hasDiff(old, { a: { x: 2 }, b: { y: 2 }, c: { z: 2 } })).toBe(true);
+        expect(spy).toHaveBeenCalledTimes(1);
+        expect(spy.mock.calls[0].slice(0, 2)).toEqual([1, 2]);
+
+        spy.mockClear();
+        expect(diffx.hasDiff(old, { a: { x: 1 }, b: { y: 1 }, c: { z: 1 } })).toBe(false);
+        expect(spy).not.toHaveBeenCalled();
+    });
+
+    test('plans only up to the first differing key', () => {
+        const compare = jest.fn(() => false);
+        const old = { a: { v: 1 }, b: { v: 1 }, c: { v: 1 } };
+
+        expect(diffx.hasDiff(old, { a: { v: 2 }, b: { v: 2 }, c: { v: 2 } }, { comparators: { '*.v': compare } }))
+            .toBe(true);
+        expect(compare).toHaveBeenCalledTimes(1);
+
+        compare.mockClear();
+        expect(diffx.hasDiff(old, { ...old }, { comparators: { '*.v': compare } })).toBe(false);
+        expect(compare).not.toHaveBeenCalled();
+    });
+});
+
+describe('diffStats()', () => {
+    test('counts results per diff type and top-level key', () => {
+        const stats = diffx.diffStats(
+            { web: { replicas: 2, image: 'a' }, db: { size: 1 }, old: true },
+            { web: { replicas: 3, image: 'b', debug: false }, db: { size: '1' } }
+        );
+
+        expect(stats).toMatchObject({
+            total: 5,
+            byType: { Added: 1, Removed: 1, Modified: 2, TypeChanged: 1, Moved: 0 },
+            byKey: { web: 3, db: 1, old: 1 },
+        });
+    });
+
+    test('reports the share of changed leaves', () => {
+        expect(diffx.diffStats({ a: 1, b: 2 }, { a: 1, b: 3 })).toMatchObject({
+            changedLeaves: 2,
+            totalLeaves: 4,
+            changedRatio: 0.5,
+        });
+        expect(diffx.diffStats({ a: { x: 1, y: 2 } }, { b: [] })).toMatchObject({
+            changedLeaves: 3,
+            totalLeaves: 3,
+            changedRatio: 1,
+        });
+        expect(diffx.diffStats({}, {})).toEqual({
+            total: 0,
+            byType: { Added: 0, Removed: 0, Modified: 0, TypeChanged: 0, Moved: 0 },
+            byKey: {},
+            changedLeaves: 0,
+            totalLeaves: 2,
+            changedRatio: 0,
+        });
+    });
+});
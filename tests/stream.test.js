@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const diffx = require('../index.js');
+
+const fixture = name => path.join(__dirname, 'fixtures', name);
+
+const collect = async iterator => {
+    const results = [];
+    for await (const result of iterator) {
+        results.push(result);
+    }
+    return results;
+};
+
+describe('diffStream()', () => {
+    test('reports added, removed and modified CSV rows', async () => {
+        const results = await collect(diffx.diffStream(
+            fixture('orders-old.csv'),
+            fixture('orders-new.csv'),
+            { key: 'id' }
+        ));
+
+        expect(results.map(r => [r.diffType, r.path])).toEqual([
+            ['Modified', '[id="3"]'],
+            ['Added', '[id="4"]'],
+            ['Removed', '[id="2"]'],
+        ]);
+    });
+
+    test('carries per-column changes on modified rows', async () => {
+        const results = await collect(diffx.diffStream(
+            fixture('orders-old.csv'),
+            fixture('orders-new.csv'),
+            { key: 'id' }
+        ));
+        const modified = results.find(r => r.diffType === 'Modified');
+
+        expect(modified.key).toEqual({ id: '3' });
+        expect(modified.oldValue.customer).toBe('Carol, Ltd.');
+        expect(modified.changes).toMatchObject([
+            { diffType: 'Modified', path: 'total', oldValue: '30.00', newValue: '35.00' },
+        ]);
+    });
+
+    test('parses quoted fields spanning lines', async () => {
+        const results = await collect(diffx.diffStream(
+            fixture('orders-old.csv'),
+            fixture('orders-new.csv'),
+            { key: 'id' }
+        ));
+
+        expect(results.find(r => r.diffType === 'Added').newValue.customer).toBe('Dave\nJr.');
+    });
+
+    test('supports composite keys over NDJSON', async () => {
+        const results = await collect(diffx.diffStream(
+            fixture('events-old.ndjson'),
+            fixture('events-new.ndjson'),
+            { key: ['region', 'id'] }
+        ));
+
+        expect(results.map(r => [r.diffType, r.key])).toEqual([
+            ['Modified', { region: 'eu', id: 1 }],
+            ['Added', { region: 'us', id: 2 }],
+            ['Removed', { region: 'us', id: 1 }],
+        ]);
+    });
+
+    test('merge-joins sorted sources', async () => {
+        const results = await collect(diffx.diffStream(
+            fixture('orders-old.csv'),
+            fixture('orders-new.csv'),
+            { key: 'id', sorted: true }
+        ));
+
+        expect(results.map(r => [r.diffType, r.path])).toEqual([
+            ['Removed', '[id="2"]'],
+            ['Modified', '[id="3"]'],
+            ['Added', '[id="4"]'],
+        ]);
+    });
+
+    test('closes both sources when the consumer stops early', async () => {
+        const opened = [];
+        const createReadStream = fs.createReadStream;
+        jest.spyOn(fs, 'createReadStream').mockImplementation((...args) => {
+            opened.push(createReadStream(...args));
+            return opened[opened.length - 1];
+        });
+
+        for (const sorted of [true, false]) {
+            const results = diffx.diffStream(fixture('orders-old.csv'), fixture('orders-new.csv'), { key: 'id', sorted });
+            for await (const result of results) {
+                expect(result).toBeDefined();
+                break;
+            }
+        }
+        jest.restoreAllMocks();
+
+        expect(opened).toHaveLength(4);
+        expect(opened.every(stream => stream.destroyed)).toBe(true);
+    });
+
+    test('rejects unsorted input in sorted mode', async () => {
+        const unsorted = Readable.from(['{"id":2}\n{"id":1}\n']);
+
+        await expect(collect(diffx.diffStream(unsorted, Readable.from([]), {
+            key: 'id',
+            format: 'ndjson',
+            sorted: true,
+        }))).rejects.toThrow('not sorted by key');
+    });
+
+    test('accepts Readable streams', async () => {
+        const results = await collect(diffx.diffStream(
+            fs.createReadStream(fixture('orders-old.csv')),
+            Readable.from(['id,customer,total\n', '1,Alice,10.00\n']),
+            { key: 'id', format: 'csv' }
+        ));
+
+        expect(results.map(r => r.diffType)).toEqual(['Removed', 'Removed']);
+    });
+
+    test('passes diff options to the column comparison', async () => {
+        const results = await collect(diffx.diffStream(
+            Readable.from(['{"id":1,"name":"Alice","seen":"mon"}\n']),
+            Readable.from(['{"id":1,"name":"ALICE","seen":"tue"}\n']),
+            { key: 'id', format: 'ndjson', ignoreCase: true, ignoreKeysRegex: '^seen$' }
+        ));
+
+        expect(results).toEqual([]);
+    });
+
+    test('reads CSV with parseOptions, across chunk boundaries', async () => {
+        const text = Buffer.from('id;customer;total\r\n1;Alice;10.00\n2;Bö;20.00\n3;Carol, Ltd.;30.00\n');
+        const cr = text.indexOf('\r') + 1;
+        const umlaut = text.indexOf('ö') + 1;
+        const chunks = [text.subarray(0, cr), text.subarray(cr, umlaut), text.subarray(umlaut)];
+
+        const results = await collect(diffx.diffStream(fixture('orders-semicolon.csv'), Readable.from(chunks), {
+            key: 'id',
+            format: 'csv',
+            parseOptions: { csv: { delimiter: ';' } },
+        }));
+
+        expect(results.map(r => [r.path, r.changes.map(c => c.newValue)])).toEqual([['[id="2"]', ['Bö']]]);
+        await expect(collect(diffx.diffStream(fixture('orders-old.csv'), fixture('orders-new.csv'), {
+            key: 'id',
+            parseOptions: { csv: { delimeter: ';' } },
+        }))).rejects.toThrow('did you mean "delimiter"');
+    });
+
+    test('reports duplicate keys', async () => {
+        await expect(collect(diffx.diffStream(
+            Readable.from(['{"id":1}\n{"id":1}\n']),
+            Readable.from([]),
+            { key: 'id', format: 'ndjson' }
+        ))).rejects.toThrow('Duplicate key [id=1]');
+    });
+
+    test('reports rows without the key column', async () => {
+        await expect(collect(diffx.diffStream(
+            fixture('orders-old.csv'),
+            fixture('orders-new.csv'),
+            { key: 'sku' }
+        ))).rejects.toThrow('has no "sku" column');
+    });
+
+    test('requires a key', async () => {
+        await expect(collect(diffx.diffStream(fixture('orders-old.csv'), fixture('orders-new.csv'))))
+            .rejects.toThrow(TypeError);
+    });
+});
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const diffx = require('../index.js');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+describe('stringify', () => {
+    test('stringifyYaml() round-trips through parseYaml()', () => {
+        const value = {
+            name: 'app',
+            version: '1.0',
+            enabled: 'yes',
+            n: null,
+            ratio: 0.5,
+            tags: ['a: b', ' padded', '#hash', { id: 1, labels: [] }, [1, 2]],
+            scripts: { build: 'make\nmake install\n', notes: 'one\n\ntwo', kept: 'x\n\n' },
+            empty: {},
+        };
+        expect(diffx.parseYaml(diffx.stringifyYaml(value))).toSemanticallyEqual(value);
+        expect(diffx.parseYaml(diffx.stringifyYaml(diffx.parseYaml(fixture('config.yaml')))))
+            .toSemanticallyEqual(diffx.parseYaml(fixture('config.yaml')));
+    });
+
+    test('stringifyToml() writes tables and arrays of tables and round-trips', () => {
+        const value = {
+            title: 'x',
+            'a.b': 'dotted',
+            mixed: [{ a: 1 }, 2],
+            servers: { alpha: { ip: '10.0.0.1', ports: [80, 443] } },
+            products: [{ name: 'hammer', sku: 1 }, { name: 'nail' }],
+        };
+        const text = diffx.stringifyToml(value);
+
+        expect(text).toContain('[servers.alpha]\n');
+        expect(text).not.toContain('[servers]\n');
+        expect(text.match(/^\[\[products\]\]$/gm)).toHaveLength(2);
+        expect(diffx.parseToml(text)).toSemanticallyEqual(value);
+        expect(() => diffx.stringifyToml({ a: { b: null } })).toThrow('Cannot represent null in TOML at "a.b"');
+    });
+
+    test('stringifyIni(), stringifyXml() and stringifyCsv() round-trip parser output', () => {
+        const ini = 'global = 1\n[user]\nname = a b\nexpr = x=y\n';
+        expect(diffx.parseIni(diffx.stringifyIni(diffx.parseIni(ini)))).toEqual(diffx.parseIni(ini));
+        expect(() => diffx.stringifyIni({ s: { k: { deep: 1 } } })).toThrow('at "s.k"');
+        expect(() => diffx.stringifyIni({ a: 1, s: {} })).toThrow('Cannot represent a number outside a section in INI at "a"');
+        expect(() => diffx.stringifyIni({ s: { k: '  pad' } })).toThrow('whitespace in a key or value in INI at "s.k"');
+
+        const xml = '<config><db host="h"><port>5432</port>text &amp; more</db><item>a</item><item>b</item><e/></config>';
+        expect(diffx.parseXml(diffx.stringifyXml(diffx.parseXml(xml)))).toEqual(diffx.parseXml(xml));
+        expect(diffx.parseXml(diffx.stringifyXml([{ id: '1' }, { id: '2' }], { root: 'rows', item: 'row' })))
+            .toEqual({ rows: { row: [{ id: '1' }, { id: '2' }] } });
+        expect(() => diffx.stringifyXml({ a: 1, b: 2 })).toThrow('single root element');
+
+        const rows = [{ id: '1', note: 'x, y' }, { id: '2', note: 'say "hi"\nbye' }, { id: ' 3', note: '' }];
+        expect(diffx.parseCsv(diffx.stringifyCsv(rows))).toEqual(rows);
+        expect(diffx.parseCsv(diffx.stringifyCsv(diffx.parseCsv(fixture('orders-old.csv')))))
+            .toEqual(diffx.parseCsv(fixture('orders-old.csv')));
+    });
+
+    test('convert() parses one format and writes another', () => {
+        expect(diffx.convert('{"server": {"port": 80}}', 'json', 'toml')).toBe('[server]\nport = 80\n');
+        expect(diffx.convert('a: 1\n', undefined, 'json')).toBe('{\n  "a": 1\n}\n');
+        expect(diffx.convert('[x]\nk = v\n', 'ini', 'yml')).toBe('x:\n  k: v\n');
+        expect(diffx.convert('id,name\n1,a\n', 'csv', 'xml', { root: 'rows' }))
+            .toContain('<rows>\n  <item>\n    <id>1</id>');
+        expect(() => diffx.convert('a: 1', 'yaml', 'proto')).toThrow('Unsupported format: proto');
+        expect(diffx.convert('a = 1\n', 'hcl', 'json')).toBe('{\n  "a": 1\n}\n');
+        expect(() => diffx.convert('a: 1', 'yaml', 'hcl')).toThrow('Cannot convert to hcl');
+        expect(() => diffx.stringifyXml({ a: 1 }, { rot: 'x' })).toThrow('Unknown stringifyXml() option "rot"');
+    });
+});
@@ -0,0 +1,8 @@
+import type { DiffxMatchers } from './jest';
+
+export * from './jest';
+
+declare module 'vitest' {
+  interface Assertion<T = any> extends DiffxMatchers<void> {}
+  interface AsymmetricMatchersContaining extends DiffxMatchers {}
+}
@@ -0,0 +1,11 @@
+'use strict';
+
+/**
+ * Test helpers for Vitest, as `diffx/vitest`: those of `diffx/jest`, typed
+ * for Vitest's `expect`.
+ *
+ *     import { expect } from 'vitest';
+ *     import { register } from 'diffx/vitest';
+ *     register(expect);
+ */
+module.exports = require('./lib/jest');